@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -9,11 +10,97 @@ const __dirname = path.dirname(__filename);
 
 const config = {
   port: process.env.PORT || 5000,
-  indesignAppPath: process.env.INDESIGN_APP_PATH || null, // Will use default path for platform if not set
+  // Logging: json (one object per line, for log collectors) or text; debug | info | warn | error
+  logFormat: process.env.LOG_FORMAT || 'json',
+  logLevel: process.env.LOG_LEVEL || 'info',
+  // Prometheus metrics at GET /metrics; scrapers send METRICS_TOKEN as "Authorization: Bearer <token>" if set
+  metricsEnabled: process.env.METRICS_ENABLED !== 'false',
+  metricsToken: process.env.METRICS_TOKEN || null,
+  conversionEngine: process.env.CONVERSION_ENGINE || 'desktop', // desktop | mock | command
+  conversionCommand: process.env.CONVERSION_COMMAND || null, // Command template for the command engine
+  conversionTimeoutMs: parseInt(process.env.CONVERSION_TIMEOUT_SECONDS || '300', 10) * 1000,
+  mockEngineDelayMs: parseInt(process.env.MOCK_ENGINE_DELAY_MS || '0', 10),
+  customPdfPresets: (process.env.PDF_PRESETS || '').split(',').map(name => name.trim()).filter(Boolean),
+  indesignAppPath: process.env.INDESIGN_APP_PATH || null, // Skips installation discovery if set
+  indesignVersion: process.env.INDESIGN_VERSION || null, // Installed version to use, e.g. 2024; default: newest
+  indesignInstallRoots: (process.env.INDESIGN_INSTALL_ROOTS || '').split(',').map(folder => folder.trim()).filter(Boolean),
+  indesignSession: process.env.INDESIGN_SESSION === 'true', // Keep InDesign running between jobs
+  indesignSessionMaxJobs: parseInt(process.env.INDESIGN_SESSION_MAX_JOBS || '50', 10),
+  indesignStartupTimeoutMs: parseInt(process.env.INDESIGN_STARTUP_TIMEOUT_SECONDS || '180', 10) * 1000,
+  preExportScriptsPath: path.join(__dirname, '..', process.env.PRE_EXPORT_SCRIPTS_PATH || './scripts/pre-export'),
+  indesignHealthCheckTimeoutMs: parseInt(process.env.INDESIGN_HEALTH_CHECK_TIMEOUT_SECONDS || '30', 10) * 1000,
   tempUploadPath: path.join(__dirname, '..', process.env.TEMP_UPLOAD_PATH || './temp/uploads'),
   tempExtractPath: path.join(__dirname, '..', process.env.TEMP_EXTRACT_PATH || './temp/extracted'),
   maxFileSizeMB: parseInt(process.env.MAX_FILE_SIZE_MB || '100', 10),
   maxFileSizeBytes: parseInt(process.env.MAX_FILE_SIZE_MB || '100', 10) * 1024 * 1024,
+  uploadSessionPath: path.join(__dirname, '..', process.env.UPLOAD_SESSION_PATH || './temp/upload-sessions'),
+  uploadChunkSizeBytes: parseInt(process.env.UPLOAD_CHUNK_SIZE_MB || '8', 10) * 1024 * 1024,
+  uploadSessionRetentionHours: parseInt(process.env.UPLOAD_SESSION_RETENTION_HOURS || '24', 10),
+  tempResultPath: path.join(__dirname, '..', process.env.TEMP_RESULT_PATH || './temp/results'),
+  // Results of earlier conversions, reused for identical uploads; 0 MB disables the cache
+  resultCachePath: path.join(__dirname, '..', process.env.RESULT_CACHE_PATH || './temp/result-cache'),
+  resultCacheMaxBytes: parseInt(process.env.RESULT_CACHE_MAX_MB || '1024', 10) * 1024 * 1024,
+  // Where results (and, with STORAGE_KEEP_PACKAGES, uploaded packages) are kept: temp | archive | s3
+  storageBackend: process.env.STORAGE_BACKEND || 'temp',
+  storageKeepPackages: process.env.STORAGE_KEEP_PACKAGES === 'true',
+  tempStoragePath: path.join(__dirname, '..', process.env.TEMP_STORAGE_PATH || './temp/storage'),
+  archiveStoragePath: path.join(__dirname, '..', process.env.ARCHIVE_STORAGE_PATH || './archive'),
+  // How long the archive and s3 backends keep results, and their jobs; 0 keeps them forever
+  storageRetentionDays: parseInt(process.env.STORAGE_RETENTION_DAYS || '30', 10),
+  s3Endpoint: process.env.S3_ENDPOINT || null, // e.g. http://localhost:9000 for MinIO; default: AWS
+  s3Region: process.env.S3_REGION || 'us-east-1',
+  s3Bucket: process.env.S3_BUCKET || null,
+  s3Prefix: (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, ''),
+  s3AccessKeyId: process.env.S3_ACCESS_KEY_ID || null, // Default: the AWS SDK credential chain
+  s3SecretAccessKey: process.env.S3_SECRET_ACCESS_KEY || null,
+  s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT), // MinIO and most S3-compatible servers need path-style URLs
+  // Signed result URLs (GET /api/jobs/:id/result-url); without a secret, links stop working on restart
+  downloadUrlTtlSeconds: parseInt(process.env.DOWNLOAD_URL_TTL_MINUTES || '60', 10) * 60,
+  downloadUrlSecret: process.env.DOWNLOAD_URL_SECRET || null,
+  jobStorePath: path.join(__dirname, '..', process.env.JOB_STORE_PATH || './data/jobs.json'),
+  jobRetentionHours: parseInt(process.env.JOB_RETENTION_HOURS || '24', 10),
+  batchStorePath: path.join(__dirname, '..', process.env.BATCH_STORE_PATH || './data/batches.json'),
+  batchMaxFiles: parseInt(process.env.BATCH_MAX_FILES || '50', 10),
+  // API authentication: clients send a key created with manage-api-keys.js (stored hashed in API_KEYS_PATH)
+  apiAuth: process.env.API_AUTH === 'true',
+  apiKeysPath: path.join(__dirname, '..', process.env.API_KEYS_PATH || './data/api-keys.json'),
+  apiUsagePath: path.join(__dirname, '..', process.env.API_USAGE_PATH || './data/api-usage.json'),
+  // Limits of keys that do not set their own; 0 means unlimited
+  apiRateLimitPerMinute: parseInt(process.env.API_RATE_LIMIT_PER_MINUTE || '120', 10),
+  apiJobsPerHour: parseInt(process.env.API_JOBS_PER_HOUR || '0', 10),
+  apiBytesPerDay: parseInt(process.env.API_MB_PER_DAY || '0', 10) * 1024 * 1024,
+  // Origins browsers may call the API from; empty allows any origin
+  corsOrigins: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+  // Webhooks: jobs uploaded with a callbackUrl POST their result there, signed with WEBHOOK_SECRET
+  webhookSecret: process.env.WEBHOOK_SECRET || null,
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10),
+  webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '10', 10) * 1000,
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS || '10', 10) * 1000,
+  // Hosts callbacks may go to ("hooks.example.com", "*.example.com"); empty allows any public host
+  webhookAllowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+  // Address clients reach this server at, used in the result URLs of webhooks
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, ''),
+  conversionConcurrency: parseInt(process.env.CONVERSION_CONCURRENCY || '1', 10),
+  maxQueueDepth: parseInt(process.env.MAX_QUEUE_DEPTH || '50', 10),
+  preflightPolicy: process.env.PREFLIGHT_POLICY || 'warn', // fail | warn | proceed
+  preflightMinImagePpi: parseInt(process.env.PREFLIGHT_MIN_IMAGE_PPI || '200', 10),
+  zipMaxUncompressedBytes: parseInt(process.env.ZIP_MAX_UNCOMPRESSED_MB || '4096', 10) * 1024 * 1024,
+  zipMaxEntries: parseInt(process.env.ZIP_MAX_ENTRIES || '10000', 10),
+  zipMaxCompressionRatio: parseInt(process.env.ZIP_MAX_COMPRESSION_RATIO || '100', 10),
+  // Render farm coordinator: dispatch conversions to worker agents (farm-worker.js)
+  renderFarm: process.env.RENDER_FARM === 'true',
+  farmWorkerToken: process.env.FARM_WORKER_TOKEN || null, // Shared secret workers authenticate with
+  farmHeartbeatTimeoutMs: parseInt(process.env.FARM_HEARTBEAT_TIMEOUT_SECONDS || '30', 10) * 1000,
+  farmMaxAttempts: parseInt(process.env.FARM_MAX_ATTEMPTS || '3', 10),
+  // Render farm worker agent
+  farmCoordinatorUrl: process.env.FARM_COORDINATOR_URL || 'http://localhost:5000',
+  farmWorkerName: process.env.FARM_WORKER_NAME || os.hostname(),
+  farmWorkerSlots: parseInt(process.env.FARM_WORKER_SLOTS || '1', 10),
+  farmWorkerIndesignVersions: (process.env.FARM_WORKER_INDESIGN_VERSIONS || '').split(',').map(version => version.trim()).filter(Boolean),
+  farmWorkerFonts: (process.env.FARM_WORKER_FONTS || '').split(',').map(name => name.trim()).filter(Boolean),
+  farmPollIntervalMs: parseInt(process.env.FARM_POLL_INTERVAL_SECONDS || '2', 10) * 1000,
 };
 
 export default config;
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+// Stand-in for a long-running InDesign, for exercising the desktop engine's
+// session mode (INDESIGN_SESSION=true) on machines without InDesign (e.g.
+// Linux). It reads one script request per line on stdin, ignores the
+// ExtendScript and answers like InDesign would (see sendScriptOverStdio in
+// services/engines/desktopEngine.js); conversions write a minimal PDF to the
+// output path, like fake-indesign.sh.
+//
+// Usage (in .env):
+//   INDESIGN_APP_PATH=/path/to/Backend/fake-indesign-session.js
+//   INDESIGN_SESSION=true
+//   FAKE_INDESIGN_DELAY=5           # optional: seconds to "convert" for
+//   FAKE_INDESIGN_STARTUP_DELAY=3   # optional: seconds to "launch" for
+//   FAKE_INDESIGN_CRASH_ON_JOB=2    # optional: exit during the 2nd conversion
+//   FAKE_INDESIGN_HANG_ON_JOB=3     # optional: never finish the 3rd conversion
+
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+
+const PLACEHOLDER_PDF = `%PDF-1.4
+1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj
+2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj
+3 0 obj << /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >> endobj
+trailer << /Root 1 0 R >>
+%%EOF
+`;
+
+const startupDelayMs = parseFloat(process.env.FAKE_INDESIGN_STARTUP_DELAY || '1') * 1000;
+const conversionDelayMs = parseFloat(process.env.FAKE_INDESIGN_DELAY || '1') * 1000;
+const crashOnJob = parseInt(process.env.FAKE_INDESIGN_CRASH_ON_JOB || '0', 10);
+const hangOnJob = parseInt(process.env.FAKE_INDESIGN_HANG_ON_JOB || '0', 10);
+
+const launchedAt = Date.now();
+let conversions = 0;
+let openDocuments = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function reply(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+/**
+ * Pretends to run one script, answering with the lines it prints
+ * @param {{id: number, script: string, env: Object}} request - Script request from the backend
+ */
+async function runScript({ id, env }) {
+  const print = line => reply({ id, line });
+  const kind = env.INDESIGN_SESSION_SCRIPT || 'conversion';
+
+  // Scripts sent while "launching" wait until the app is up
+  if (Date.now() - launchedAt < startupDelayMs) {
+    await sleep(startupDelayMs - (Date.now() - launchedAt));
+  }
+
+  if (kind === 'startup') {
+    print('READY fake-indesign');
+  } else if (kind === 'healthCheck') {
+    print(`OK fake-indesign, open documents: ${openDocuments}`);
+  } else if (kind === 'reset') {
+    openDocuments = 0;
+    print('RESET');
+  } else if (kind === 'quit') {
+    reply({ id, done: true, error: null });
+    process.exit(0);
+  } else {
+    conversions++;
+    print('Opening InDesign document...');
+    openDocuments++;
+    print('Document opened successfully. Pages: 1');
+
+    if (conversions === crashOnJob) {
+      process.exit(1);
+    }
+    if (conversions === hangOnJob) {
+      await new Promise(() => {});
+    }
+
+    await sleep(conversionDelayMs);
+    print(`Starting ${(env.INDESIGN_EXPORT_FORMAT || 'pdf').toUpperCase()} export...`);
+
+    // Per-page image formats pass a directory; drop a single placeholder page in it
+    let outputFile = env.INDESIGN_OUTPUT_PATH;
+    const stats = await fs.stat(outputFile).catch(() => null);
+    if (stats?.isDirectory()) {
+      outputFile = path.join(outputFile, `page-0001.${env.INDESIGN_EXPORT_FORMAT}`);
+    }
+    await fs.writeFile(outputFile, PLACEHOLDER_PDF);
+
+    print('Export completed successfully');
+    openDocuments--;
+    print('Document closed. Conversion complete.');
+  }
+
+  reply({ id, done: true, error: null });
+}
+
+// Scripts run one at a time, like in InDesign
+let queue = Promise.resolve();
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const request = JSON.parse(line);
+  queue = queue
+    .then(() => runScript(request))
+    .catch(error => reply({ id: request.id, done: true, error: error.message }));
+});
+
+// Exit with the backend, so a server that stops without quitting the session leaves nothing behind
+process.stdin.on('end', () => process.exit(0));
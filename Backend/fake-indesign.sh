@@ -0,0 +1,34 @@
+#!/bin/bash
+
+# Stand-in for the InDesign executable, for exercising the upload pipeline
+# on machines without InDesign (e.g. Linux). It ignores the ExtendScript and
+# writes a minimal PDF to the output path passed in by the backend
+# (whatever format was requested).
+#
+# Usage (in .env):
+#   INDESIGN_APP_PATH=/path/to/Backend/fake-indesign.sh
+#   FAKE_INDESIGN_DELAY=5   # optional: seconds to "convert" for
+
+echo "Opening InDesign document..."
+echo "Document opened successfully. Pages: 1"
+
+sleep "${FAKE_INDESIGN_DELAY:-1}"
+
+echo "Starting PDF export..."
+
+# Per-page image formats pass a directory; drop a single placeholder page in it
+OUTPUT_FILE="$INDESIGN_OUTPUT_PATH"
+if [ -d "$INDESIGN_OUTPUT_PATH" ]; then
+    OUTPUT_FILE="$INDESIGN_OUTPUT_PATH/page-0001.$INDESIGN_EXPORT_FORMAT"
+fi
+
+cat > "$OUTPUT_FILE" <<'PDF'
+%PDF-1.4
+1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj
+2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj
+3 0 obj << /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >> endobj
+trailer << /Root 1 0 R >>
+%%EOF
+PDF
+
+echo "PDF export completed successfully"
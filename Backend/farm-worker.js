@@ -0,0 +1,239 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import config from './config/config.js';
+import { getEngine } from './services/engines/index.js';
+import { convertPackage } from './services/conversionPipeline.js';
+import { serializeError } from './utils/errors.js';
+import { deleteMultiple } from './utils/fileCleanup.js';
+import logger, { withLogContext } from './utils/logger.js';
+
+// Render farm worker agent
+//
+// Registers with the coordinator (a backend started with RENDER_FARM=true),
+// claims jobs it has a free slot for, downloads each package, converts it
+// with the engine configured on this machine (CONVERSION_ENGINE) and uploads
+// the result. Progress is reported to the coordinator as the job runs.
+//
+// Usage (in .env or the environment):
+//   FARM_COORDINATOR_URL=http://render-coordinator:5000
+//   FARM_WORKER_TOKEN=...                       # same as on the coordinator
+//   FARM_WORKER_NAME=mac-studio-2               # default: host name
+//   FARM_WORKER_SLOTS=1                         # jobs converted at once
+//   FARM_WORKER_INDESIGN_VERSIONS=2024,2025     # default: the versions installed here
+//   FARM_WORKER_FONTS=Minion Pro,Myriad Pro
+// then: npm run worker
+
+const activeJobs = new Set();
+let workerId = null;
+let heartbeatTimer = null;
+let stopping = false;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends a request to the coordinator
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Path on the coordinator
+ * @param {{json?: Object, body?: ReadableStream, headers?: Object}} options - JSON body, or a raw body with its headers
+ * @returns {Promise<Response>}
+ * @throws {Error} - With the coordinator's error code and HTTP status if it rejects the request
+ */
+async function request(method, urlPath, { json, body, headers = {} } = {}) {
+  const response = await fetch(new URL(urlPath, config.farmCoordinatorUrl), {
+    method,
+    headers: {
+      ...(config.farmWorkerToken && { Authorization: `Bearer ${config.farmWorkerToken}` }),
+      ...(json !== undefined && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    body: json !== undefined ? JSON.stringify(json) : body,
+    ...(body && { duplex: 'half' })
+  });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `${method} ${urlPath} failed with status ${response.status}`);
+    error.code = data.code;
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Lists the InDesign versions this worker advertises
+ * @returns {Promise<string[]>}
+ */
+async function getInDesignVersions() {
+  if (config.farmWorkerIndesignVersions.length > 0) {
+    return config.farmWorkerIndesignVersions;
+  }
+
+  const status = await getEngine().getStatus?.();
+  return (status?.installs || []).map(install => install.version).filter(Boolean);
+}
+
+/**
+ * Registers this worker with its capability tags and starts sending heartbeats
+ */
+async function register() {
+  const tags = {
+    engine: getEngine().name,
+    indesignVersions: await getInDesignVersions(),
+    fonts: config.farmWorkerFonts
+  };
+  const response = await request('POST', '/api/farm/workers', {
+    json: { name: config.farmWorkerName, slots: config.farmWorkerSlots, tags }
+  });
+  const { workerId: id, heartbeatIntervalMs } = await response.json();
+
+  workerId = id;
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = setInterval(sendHeartbeat, heartbeatIntervalMs);
+  logger.info(`Registered with ${config.farmCoordinatorUrl} as ${config.farmWorkerName}`, { workerId });
+}
+
+async function sendHeartbeat() {
+  if (!workerId) {
+    return;
+  }
+
+  try {
+    await request('POST', `/api/farm/workers/${workerId}/heartbeat`);
+  } catch (error) {
+    if (error.code === 'WORKER_NOT_FOUND') {
+      // The coordinator restarted or gave up on this worker
+      logger.warn('The coordinator no longer knows this worker; registering again');
+      workerId = null;
+    } else {
+      logger.error('Heartbeat failed', { error: error.message });
+    }
+  }
+}
+
+/**
+ * Claims jobs while there are free slots, until the worker is stopped
+ */
+async function pollForJobs() {
+  while (!stopping) {
+    try {
+      if (!workerId) {
+        await register();
+      }
+
+      if (activeJobs.size < config.farmWorkerSlots) {
+        const response = await request('POST', `/api/farm/workers/${workerId}/claim`);
+        if (response.status === 200) {
+          const { job } = await response.json();
+          withLogContext({ jobId: job.id, requestId: job.requestId ?? null }, () => runJob(workerId, job));
+          continue;
+        }
+      }
+    } catch (error) {
+      if (error.code === 'WORKER_NOT_FOUND') {
+        workerId = null;
+      } else {
+        logger.error('Could not reach the coordinator', { error: error.message });
+      }
+    }
+
+    await sleep(config.farmPollIntervalMs);
+  }
+}
+
+/**
+ * Converts a claimed job and uploads its result, or reports why it failed
+ * @param {string} claimedBy - Id this worker had when it claimed the job
+ * @param {{id: string, originalName: string, exportOptions: Object, documentSelection: Object}} job - The job
+ */
+async function runJob(claimedBy, job) {
+  activeJobs.add(job.id);
+  const jobPath = `/api/farm/workers/${claimedBy}/jobs/${job.id}`;
+  const packagePath = path.join(config.tempUploadPath, `farm-${job.id}.zip`);
+  const extractPath = path.join(config.tempExtractPath, `farm-${job.id}`);
+
+  // Progress is sent one report at a time so the timeline keeps its order
+  let progress = Promise.resolve();
+  const report = (body) => {
+    progress = progress
+      .then(() => request('POST', `${jobPath}/events`, { json: body }))
+      .catch((error) => {
+        logger.error('Failed to report progress', { error: error.message });
+      });
+    return progress;
+  };
+
+  try {
+    logger.info(`Claimed ${job.originalName}`);
+    await fs.mkdir(config.tempUploadPath, { recursive: true });
+    const download = await request('GET', `${jobPath}/package`);
+    await pipeline(Readable.fromWeb(download.body), createWriteStream(packagePath));
+
+    const { output, extractMs, convertMs, preflight } = await convertPackage(packagePath, extractPath, job, {
+      stage: (stage, message) => report({ stage, message }),
+      update: changes => report({ changes })
+    });
+    if (preflight) {
+      await report({ changes: { preflight } });
+    }
+    await progress;
+
+    const { size } = await fs.stat(output.path);
+    const query = new URLSearchParams({ extension: output.extension, extractMs, convertMs });
+    await request('PUT', `${jobPath}/result?${query}`, {
+      body: createReadStream(output.path),
+      headers: { 'Content-Type': output.contentType, 'Content-Length': String(size) }
+    });
+    logger.info('Result uploaded', { bytes: size });
+  } catch (error) {
+    logger.error('Conversion error', { error });
+    await progress;
+
+    // A job that was dispatched to another worker meanwhile is simply dropped
+    if (error.code !== 'JOB_NOT_ASSIGNED') {
+      await request('POST', `${jobPath}/failure`, { json: { error: serializeError(error) } }).catch((reportError) => {
+        logger.error('Failed to report the failure', { error: reportError.message });
+      });
+    }
+  } finally {
+    activeJobs.delete(job.id);
+    await deleteMultiple([packagePath, extractPath]);
+  }
+}
+
+/**
+ * Leaves the farm; jobs still running here are dispatched to other workers
+ */
+async function shutdown() {
+  stopping = true;
+  clearInterval(heartbeatTimer);
+
+  if (workerId) {
+    await request('DELETE', `/api/farm/workers/${workerId}`).catch(() => {});
+  }
+  try {
+    await getEngine().shutdown?.();
+  } catch (error) {
+    logger.error('Error stopping the conversion engine', { error });
+  }
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => {
+  logger.info('SIGTERM received, leaving the farm...');
+  shutdown();
+});
+
+process.on('SIGINT', () => {
+  logger.info('SIGINT received, leaving the farm...');
+  shutdown();
+});
+
+logger.info(`Render farm worker ${config.farmWorkerName}: ${getEngine().name} engine, ${config.farmWorkerSlots} slot(s)`);
+if (!await getEngine().isAvailable()) {
+  logger.warn(`The ${getEngine().name} engine is not available; jobs will fail`);
+}
+pollForJobs();
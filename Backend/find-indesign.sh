@@ -31,8 +31,8 @@ while IFS= read -r APP_PATH; do
             if [ -n "$EXECUTABLE" ]; then
                 echo "   Executable: $EXECUTABLE"
                 echo ""
-                echo "   Add this to your .env file:"
-                echo "   INDESIGN_APP_PATH=$EXECUTABLE"
+                echo "   The backend finds it automatically. To always use this version, add to your .env file:"
+                echo "   INDESIGN_VERSION=${APP_PATH#*Adobe InDesign }"
                 echo ""
 
                 # Test if executable
@@ -69,6 +69,6 @@ fi
 
 echo ""
 echo "=== Next Steps ==="
-echo "1. Copy the INDESIGN_APP_PATH line above to your .env file"
+echo "1. With several versions installed, the newest is used unless INDESIGN_VERSION is set"
 echo "2. Run: node test-indesign.js"
 echo "3. If successful, start your backend: npm start"
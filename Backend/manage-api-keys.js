@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+import { parseArgs } from 'util';
+import config from './config/config.js';
+import { createApiKey, listApiKeys, revokeApiKey } from './services/apiKeys.js';
+
+// Manages the API keys clients authenticate with when API_AUTH=true
+//
+// Usage:
+//   npm run keys -- create <name> [--requests-per-minute N] [--jobs-per-hour N] [--mb-per-day N]
+//   npm run keys -- list
+//   npm run keys -- revoke <id>
+//
+// Limits left out use the server defaults (API_RATE_LIMIT_PER_MINUTE,
+// API_JOBS_PER_HOUR, API_MB_PER_DAY); 0 means unlimited. Keys are stored
+// hashed in API_KEYS_PATH, so a new key is shown only once.
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'requests-per-minute': { type: 'string' },
+    'jobs-per-hour': { type: 'string' },
+    'mb-per-day': { type: 'string' }
+  }
+});
+const [command, argument] = positionals;
+
+/**
+ * Reads a numeric limit option
+ * @param {string} name - Option name
+ * @param {number} factor - Multiplier to the stored unit
+ * @returns {number|undefined}
+ */
+function readLimit(name, factor = 1) {
+  if (options[name] === undefined) {
+    return undefined;
+  }
+
+  const value = Number(options[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    console.error(`--${name} must be a whole number of 0 or more`);
+    process.exit(1);
+  }
+  return value * factor;
+}
+
+function describeLimits(limits) {
+  const described = [
+    limits.requestsPerMinute !== undefined && `${limits.requestsPerMinute || 'unlimited'} requests/min`,
+    limits.jobsPerHour !== undefined && `${limits.jobsPerHour || 'unlimited'} jobs/hour`,
+    limits.bytesPerDay !== undefined && `${limits.bytesPerDay ? Math.round(limits.bytesPerDay / 1024 / 1024) : 'unlimited'} MB/day`
+  ].filter(Boolean);
+  return described.length > 0 ? described.join(', ') : 'server defaults';
+}
+
+if (command === 'create' && argument) {
+  const limits = Object.fromEntries(
+    Object.entries({
+      requestsPerMinute: readLimit('requests-per-minute'),
+      jobsPerHour: readLimit('jobs-per-hour'),
+      bytesPerDay: readLimit('mb-per-day', 1024 * 1024)
+    }).filter(([, value]) => value !== undefined)
+  );
+  const { key, record } = await createApiKey(argument, limits);
+
+  console.log(`✓ Created API key ${record.id} for ${record.name} (${describeLimits(limits)})`);
+  console.log(`\n  ${key}\n`);
+  console.log('Store it now: only its hash is kept, in', config.apiKeysPath);
+  if (!config.apiAuth) {
+    console.log('Keys are only checked once API_AUTH=true is set');
+  }
+} else if (command === 'list') {
+  const keys = await listApiKeys();
+  if (keys.length === 0) {
+    console.log('No API keys; create one with: npm run keys -- create <name>');
+  }
+  for (const key of keys) {
+    const state = key.revokedAt ? `revoked ${key.revokedAt}` : `created ${key.createdAt}`;
+    console.log(`${key.id}  ${key.name}  ${state}  ${describeLimits(key.limits || {})}`);
+  }
+} else if (command === 'revoke' && argument) {
+  if (!await revokeApiKey(argument)) {
+    console.error(`No API key with id ${argument}`);
+    process.exit(1);
+  }
+  console.log(`✓ Revoked API key ${argument}`);
+} else {
+  console.error('Usage: npm run keys -- create <name> [--requests-per-minute N] [--jobs-per-hour N] [--mb-per-day N]');
+  console.error('       npm run keys -- list');
+  console.error('       npm run keys -- revoke <id>');
+  process.exit(1);
+}
@@ -0,0 +1,48 @@
+import config from '../config/config.js';
+import { findApiKey } from '../services/apiKeys.js';
+import { consumeRequest } from '../services/clientLimits.js';
+import { AppError, sendError } from '../utils/errors.js';
+
+/**
+ * Lets only clients with a valid API key use the API (when API_AUTH is on) and
+ * applies each key's request rate limit
+ * Clients send the key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ * EventSource cannot send headers, so GET requests may pass it as ?apiKey= instead
+ * Routes find the client as req.client; it is null while API_AUTH is off
+ */
+export async function requireApiKey(req, res, next) {
+  req.client = null;
+  if (!config.apiAuth) {
+    return next();
+  }
+
+  try {
+    const client = await findApiKey(getApiKey(req));
+    if (!client) {
+      res.set('WWW-Authenticate', 'Bearer');
+      throw new AppError('UNAUTHORIZED', 'Invalid or missing API key', { status: 401 });
+    }
+
+    consumeRequest(client);
+    req.client = client;
+    next();
+  } catch (error) {
+    sendError(res, error, 'Failed to authenticate request');
+  }
+}
+
+/**
+ * Reads the API key a request was sent with
+ * @param {import('express').Request} req - Request
+ * @returns {string|null}
+ */
+function getApiKey(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (bearer) {
+    return bearer[1];
+  }
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key');
+  }
+  return req.method === 'GET' && typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+}
@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import {
+  registerWorker,
+  recordHeartbeat,
+  removeWorker,
+  claimJob,
+  getJobPackage,
+  recordWorkerProgress,
+  completeWorkerJob,
+  failWorkerJob,
+  getFarmStatus
+} from '../services/renderFarm.js';
+import { requireApiKey } from '../middleware/apiAuth.js';
+import { AppError, ValidationError, sendError } from '../utils/errors.js';
+import { deleteFile } from '../utils/fileCleanup.js';
+
+const router = express.Router();
+
+/**
+ * Lets only worker agents that know FARM_WORKER_TOKEN use the worker endpoints
+ * They send it as "Authorization: Bearer <token>"
+ */
+function requireWorkerToken(req, res, next) {
+  if (!config.farmWorkerToken) {
+    return next();
+  }
+
+  const expected = Buffer.from(`Bearer ${config.farmWorkerToken}`);
+  const actual = Buffer.from(req.get('Authorization') || '');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return sendError(res, new AppError('UNAUTHORIZED', 'Invalid or missing worker token', { status: 401 }));
+  }
+  next();
+}
+
+/**
+ * GET /api/farm/workers
+ * Lists the registered workers with their capability tags, active jobs and
+ * last heartbeat, and the number of jobs waiting for a worker
+ */
+router.get('/farm/workers', requireApiKey, (req, res) => {
+  res.json(getFarmStatus());
+});
+
+/**
+ * POST /api/farm/workers
+ * Registers a worker agent
+ * Body: { name, slots, tags: { engine, indesignVersions, fonts } }
+ * Responds with the worker id and how often to send heartbeats
+ */
+router.post('/farm/workers', requireWorkerToken, (req, res) => {
+  const worker = registerWorker(req.body || {});
+  res.status(201).json({
+    workerId: worker.id,
+    heartbeatIntervalMs: Math.round(config.farmHeartbeatTimeoutMs / 3)
+  });
+});
+
+/**
+ * POST /api/farm/workers/:workerId/heartbeat
+ * Tells the coordinator the worker is alive; 404 WORKER_NOT_FOUND means it
+ * was considered lost and must register again
+ */
+router.post('/farm/workers/:workerId/heartbeat', requireWorkerToken, (req, res) => {
+  try {
+    recordHeartbeat(req.params.workerId);
+    res.json({ ok: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/farm/workers/:workerId
+ * Unregisters a worker that shuts down; its jobs are dispatched again
+ */
+router.delete('/farm/workers/:workerId', requireWorkerToken, async (req, res) => {
+  await removeWorker(req.params.workerId, 'Worker shut down');
+  res.status(204).end();
+});
+
+/**
+ * POST /api/farm/workers/:workerId/claim
+ * Hands the worker the oldest waiting job it can convert: 200 with the job's
+ * id, name, export options and document selection, or 204 if there is none
+ */
+router.post('/farm/workers/:workerId/claim', requireWorkerToken, async (req, res) => {
+  try {
+    const job = await claimJob(req.params.workerId);
+    if (!job) {
+      return res.status(204).end();
+    }
+    res.json({ job });
+  } catch (error) {
+    sendError(res, error, 'Failed to claim job');
+  }
+});
+
+/**
+ * GET /api/farm/workers/:workerId/jobs/:jobId/package
+ * Downloads the uploaded zip of a job assigned to the worker
+ */
+router.get('/farm/workers/:workerId/jobs/:jobId/package', requireWorkerToken, (req, res) => {
+  try {
+    const packagePath = getJobPackage(req.params.workerId, req.params.jobId);
+    res.sendFile(packagePath, (error) => {
+      if (error && !res.headersSent) {
+        sendError(res, new AppError('UPLOAD_NOT_FOUND', 'The uploaded package is no longer available', { status: 410 }));
+      }
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/farm/workers/:workerId/jobs/:jobId/events
+ * Records progress on a job: { stage, message } adds a timeline entry
+ * (extracting, converting or combining) and { changes } updates its
+ * documents, chapters, extraction or preflight
+ */
+router.post('/farm/workers/:workerId/jobs/:jobId/events', requireWorkerToken, async (req, res) => {
+  try {
+    await recordWorkerProgress(req.params.workerId, req.params.jobId, req.body || {});
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to record progress');
+  }
+});
+
+/**
+ * PUT /api/farm/workers/:workerId/jobs/:jobId/result?extension=.pdf&extractMs=...&convertMs=...
+ * Uploads the converted file (the raw request body, with its Content-Type) and
+ * completes the job
+ */
+router.put('/farm/workers/:workerId/jobs/:jobId/result', requireWorkerToken, async (req, res) => {
+  const extension = String(req.query.extension || '');
+  if (!/^\.[a-z0-9]{1,8}$/i.test(extension)) {
+    return sendError(res, new ValidationError('Invalid result extension', null, 'INVALID_OPTION'));
+  }
+
+  await fs.mkdir(config.tempResultPath, { recursive: true });
+  const uploadPath = path.join(config.tempResultPath, `farm-${uuidv4()}${extension}`);
+
+  try {
+    // Rejects workers the job is no longer assigned to before accepting the upload
+    getJobPackage(req.params.workerId, req.params.jobId);
+    await pipeline(req, createWriteStream(uploadPath));
+
+    await completeWorkerJob(
+      req.params.workerId,
+      req.params.jobId,
+      {
+        path: uploadPath,
+        contentType: req.get('Content-Type') || 'application/octet-stream',
+        extension
+      },
+      {
+        extractMs: parseInt(req.query.extractMs, 10) || 0,
+        convertMs: parseInt(req.query.convertMs, 10) || 0
+      }
+    );
+    res.status(204).end();
+  } catch (error) {
+    await deleteFile(uploadPath);
+    sendError(res, error, 'Failed to store result');
+  }
+});
+
+/**
+ * POST /api/farm/workers/:workerId/jobs/:jobId/failure
+ * Fails a job: { error: { code, message, details } }
+ */
+router.post('/farm/workers/:workerId/jobs/:jobId/failure', requireWorkerToken, async (req, res) => {
+  try {
+    await failWorkerJob(req.params.workerId, req.params.jobId, req.body?.error);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to record failure');
+  }
+});
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import { sendStoredFile } from '../services/storage/index.js';
+import { verifyLocalSignedUrl } from '../services/storage/signedUrls.js';
+import { sendError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/files/:storage/*key?name=...&type=...&expires=...&signature=...
+ * Downloads a file from a local storage backend through a link from
+ * GET /api/jobs/:id/result-url. Needs no API key: the signature grants access
+ * to that one file until the link expires
+ */
+router.get('/files/:storage/*key', async (req, res) => {
+  const key = req.params.key.join('/');
+
+  try {
+    const file = verifyLocalSignedUrl(req.params.storage, key, req.query);
+    await sendStoredFile(res, req.params.storage, key, file);
+  } catch (error) {
+    if (!res.headersSent) {
+      return sendError(res, error, 'Failed to send file');
+    }
+    logger.error('Error sending file', { storage: req.params.storage, key, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,321 @@
+import express from 'express';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { getJob, toPublicJob, toJobSummary, queryJobs, isJobVisibleTo, jobEvents } from '../services/jobStore.js';
+import { deleteJobWithFiles } from '../services/jobProcessor.js';
+import { getBatch, toPublicBatch, writeBatchResult } from '../services/batchStore.js';
+import { createResultUrl, sendStoredFile } from '../services/storage/index.js';
+import { ValidationError, sendError } from '../utils/errors.js';
+import { deleteFile } from '../utils/fileCleanup.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Comments sent on idle event streams so proxies do not close them
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
+
+const JOB_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parses the filters and page of a history request
+ * @param {Object} query - Query parameters
+ * @returns {{statuses: string[], from: number|null, to: number|null, name: string, page: number, pageSize: number}}
+ * @throws {ValidationError} - If a filter is malformed
+ */
+function parseHistoryQuery(query) {
+  const statuses = String(query.status || '').split(',').map(status => status.trim()).filter(Boolean);
+  const unknown = statuses.filter(status => !JOB_STATUSES.includes(status));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown job status: ${unknown.join(', ')}`, { statuses: JOB_STATUSES });
+  }
+
+  const parseTime = (name) => {
+    if (!query[name]) {
+      return null;
+    }
+    const time = Date.parse(String(query[name]));
+    if (Number.isNaN(time)) {
+      throw new ValidationError(`Invalid ${name}: expected an ISO 8601 date or time`);
+    }
+    return time;
+  };
+
+  const parseCount = (name, fallback, max) => {
+    if (query[name] === undefined || query[name] === '') {
+      return fallback;
+    }
+    const count = Number(query[name]);
+    if (!Number.isInteger(count) || count < 1 || count > max) {
+      throw new ValidationError(`Invalid ${name}: expected a whole number from 1 to ${max}`);
+    }
+    return count;
+  };
+
+  return {
+    statuses,
+    from: parseTime('from'),
+    to: parseTime('to'),
+    name: String(query.q || '').trim(),
+    page: parseCount('page', 1, Number.MAX_SAFE_INTEGER),
+    pageSize: parseCount('pageSize', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+  };
+}
+
+/**
+ * GET /api/jobs?status=failed,completed&from=...&to=...&q=brochure&page=1&pageSize=20
+ * Lists conversion jobs, newest first, for the conversion history: status
+ * (comma-separated), creation time range (ISO 8601) and part of the file name
+ * filter it. With API_AUTH on, each API key sees only the jobs it submitted
+ */
+router.get('/jobs', (req, res) => {
+  let filters;
+  try {
+    filters = parseHistoryQuery(req.query);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const { page, pageSize, ...criteria } = filters;
+  const { jobs, total } = queryJobs({
+    ...criteria,
+    client: req.client,
+    offset: (page - 1) * pageSize,
+    limit: pageSize
+  });
+  res.json({
+    jobs: jobs.map(toJobSummary),
+    total,
+    page,
+    pageSize,
+    totalPages: Math.max(1, Math.ceil(total / pageSize))
+  });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Returns the status, timings and error (if any) of a conversion job
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !isJobVisibleTo(job, req.client)) {
+    return res.status(404).json({ error: 'Job not found', code: 'JOB_NOT_FOUND' });
+  }
+
+  res.json(toPublicJob(job));
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Streams the job as Server-Sent Events: a "job" event with the same body as
+ * GET /api/jobs/:id whenever its stage, timeline, extraction progress or queue
+ * position changes. The stream ends after the job completes or fails
+ */
+router.get('/jobs/:id/events', (req, res) => {
+  const jobId = req.params.id;
+  const job = getJob(jobId);
+  if (!job || !isJobVisibleTo(job, req.client)) {
+    return res.status(404).json({ error: 'Job not found', code: 'JOB_NOT_FOUND' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let lastSent = null;
+
+  const close = () => {
+    clearInterval(heartbeat);
+    jobEvents.off('change', sendJob);
+    res.end();
+  };
+
+  // Any job change can move this job in the queue, so every change is checked
+  const sendJob = () => {
+    const job = getJob(jobId);
+    if (!job) {
+      return close();
+    }
+
+    const data = JSON.stringify(toPublicJob(job));
+    if (data !== lastSent) {
+      lastSent = data;
+      res.write(`event: job\ndata: ${data}\n\n`);
+    }
+
+    if (job.status === 'completed' || job.status === 'failed') {
+      close();
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+  jobEvents.on('change', sendJob);
+  req.on('close', close);
+  sendJob();
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Deletes a finished job with its stored result (and package). Jobs that are
+ * still queued or converting cannot be deleted
+ */
+router.delete('/jobs/:id', async (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job || !isJobVisibleTo(job, req.client)) {
+    return res.status(404).json({ error: 'Job not found', code: 'JOB_NOT_FOUND' });
+  }
+
+  if (job.status !== 'completed' && job.status !== 'failed') {
+    return res.status(409).json({
+      error: 'Job is not finished yet',
+      code: 'JOB_NOT_FINISHED',
+      status: job.status
+    });
+  }
+
+  try {
+    await deleteJobWithFiles(job);
+    logger.info('Job deleted', { jobId: job.id });
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Failed to delete job');
+  }
+});
+
+/**
+ * Responds with why a job has no result to download, if it has none
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object|null} job - The requested job
+ * @returns {boolean} - Whether a response was sent
+ */
+function respondIfNoResult(req, res, job) {
+  if (!job || !isJobVisibleTo(job, req.client)) {
+    res.status(404).json({ error: 'Job not found', code: 'JOB_NOT_FOUND' });
+    return true;
+  }
+
+  if (job.status === 'failed') {
+    res.status(409).json({
+      error: 'Job failed',
+      code: 'JOB_FAILED',
+      details: job.error
+    });
+    return true;
+  }
+
+  if (job.status !== 'completed') {
+    res.status(409).json({
+      error: 'Job is not finished yet',
+      code: 'JOB_NOT_FINISHED',
+      status: job.status
+    });
+    return true;
+  }
+
+  // Jobs completed before results went to result storage
+  if (!job.resultKey) {
+    res.status(410).json({ error: 'Result is no longer available', code: 'RESULT_EXPIRED' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * GET /api/jobs/:id/result
+ * Downloads the file produced by a completed job
+ * The result stays in result storage, so it can be downloaded again until its
+ * job expires
+ */
+router.get('/jobs/:id/result', async (req, res) => {
+  const job = getJob(req.params.id);
+  if (respondIfNoResult(req, res, job)) {
+    return;
+  }
+
+  try {
+    await sendStoredFile(res, job.resultStorage, job.resultKey, {
+      fileName: job.resultName,
+      contentType: job.resultContentType
+    });
+  } catch (error) {
+    if (!res.headersSent) {
+      return sendError(res, error, 'Failed to send result');
+    }
+    logger.error('Error sending result', { jobId: job.id, error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/result-url
+ * Returns a time-limited link that downloads the result without an API key:
+ * { url, expiresAt }. Links work for DOWNLOAD_URL_TTL_MINUTES; with S3 storage
+ * they are presigned URLs of the bucket
+ */
+router.get('/jobs/:id/result-url', async (req, res) => {
+  const job = getJob(req.params.id);
+  if (respondIfNoResult(req, res, job)) {
+    return;
+  }
+
+  try {
+    res.json(await createResultUrl(job));
+  } catch (error) {
+    sendError(res, error, 'Failed to create download link');
+  }
+});
+
+/**
+ * GET /api/batch/:id
+ * Returns the status of a batch ("processing", "completed", "partial" or
+ * "failed"), a summary of its items by status and each item's job status and error
+ */
+router.get('/batch/:id', (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch || !isJobVisibleTo(batch, req.client)) {
+    return res.status(404).json({ error: 'Batch not found', code: 'BATCH_NOT_FOUND' });
+  }
+
+  res.json(toPublicBatch(batch));
+});
+
+/**
+ * GET /api/batch/:id/result
+ * Downloads a zip with the result of every converted package of a finished
+ * batch and a manifest.json listing each package with its status, file or error
+ */
+router.get('/batch/:id/result', async (req, res) => {
+  const batch = getBatch(req.params.id);
+  if (!batch || !isJobVisibleTo(batch, req.client)) {
+    return res.status(404).json({ error: 'Batch not found', code: 'BATCH_NOT_FOUND' });
+  }
+
+  const { status, summary } = toPublicBatch(batch);
+  if (status === 'processing') {
+    return res.status(409).json({ error: 'Batch is not finished yet', code: 'BATCH_NOT_FINISHED', summary });
+  }
+
+  const zipPath = path.join(config.tempResultPath, `batch-${uuidv4()}.zip`);
+  try {
+    await writeBatchResult(batch, zipPath);
+  } catch (error) {
+    await deleteFile(zipPath);
+    return sendError(res, error, 'Failed to combine batch results');
+  }
+
+  res.download(zipPath, `batch-${batch.id}.zip`, async (err) => {
+    if (err && !res.headersSent) {
+      logger.error('Error sending batch result', { batchId: batch.id, error: err });
+      res.status(500).json({ error: 'Failed to send batch result', code: 'INTERNAL_ERROR' });
+    }
+    await deleteFile(zipPath);
+  });
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+import express from 'express';
+import config from '../config/config.js';
+import { getMetrics } from '../services/metrics.js';
+import { AppError, sendError } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Checks the token Prometheus scrapes with, if METRICS_TOKEN is set
+ * It is sent as "Authorization: Bearer <token>"
+ */
+function requireMetricsToken(req, res, next) {
+  if (!config.metricsToken) {
+    return next();
+  }
+
+  const expected = Buffer.from(`Bearer ${config.metricsToken}`);
+  const actual = Buffer.from(req.get('Authorization') || '');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return sendError(res, new AppError('UNAUTHORIZED', 'Invalid or missing metrics token', { status: 401 }));
+  }
+  next();
+}
+
+/**
+ * GET /metrics
+ * Prometheus metrics: uploads, extraction and conversion times, queue depth,
+ * job outcomes by error code, timeouts, InDesign restarts and request times
+ */
+router.get('/metrics', requireMetricsToken, async (req, res) => {
+  try {
+    const { contentType, body } = await getMetrics();
+    res.type(contentType).send(body);
+  } catch (error) {
+    sendError(res, error, 'Failed to collect metrics');
+  }
+});
+
+export default router;
@@ -1,11 +1,39 @@
 import express from 'express';
+import fs from 'fs/promises';
 import multer from 'multer';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import config from '../config/config.js';
-import { extractZipAndFindInDesignFile, isValidZipFile } from '../services/zipHandler.js';
-import { convertInDesignToPDF } from '../services/indesignService.js';
-import { deleteMultiple } from '../utils/fileCleanup.js';
+import { createJob, getJob, isJobVisibleTo } from '../services/jobStore.js';
+import { parseExportOptions, getAllowedPresets, IMAGE_COMPRESSION_TYPES } from '../services/exportOptions.js';
+import { EXPORT_FORMATS } from '../services/exportFormats.js';
+import { parseDocumentSelection } from '../services/documentSelection.js';
+import { PREFLIGHT_POLICIES } from '../services/preflight.js';
+import { validateZipFile, extractNestedPackages } from '../services/zipHandler.js';
+import { inspectPackage } from '../services/packageInspector.js';
+import { AppError, ValidationError, EngineUnavailableError, serializeError, sendError } from '../utils/errors.js';
+import { getEngine } from '../services/engines/index.js';
+import { enqueueJob } from '../services/jobProcessor.js';
+import { conversionQueue } from '../services/conversionQueue.js';
+import { parseWorkerRequirements, getFarmStatus } from '../services/renderFarm.js';
+import { listPreExportScripts, validatePreExportScripts } from '../services/preExportScripts.js';
+import { isCacheEnabled, getCacheKey } from '../services/resultCache.js';
+import { createJobFromCache, releasePackage } from '../services/jobResults.js';
+import { createBatch, toPublicBatch } from '../services/batchStore.js';
+import { checkQuota, reserveJobUsage } from '../services/clientLimits.js';
+import { parseCallbackUrl } from '../services/webhooks.js';
+import { copyStoredFile } from '../services/storage/index.js';
+import {
+  createUploadSession,
+  getUploadSession,
+  writeChunk,
+  completeUploadSession,
+  deleteUploadSession,
+  toPublicUploadSession
+} from '../services/uploadSessions.js';
+import { recordUpload } from '../services/metrics.js';
+import { deleteFile, deleteMultiple } from '../utils/fileCleanup.js';
+import logger, { getLogContext } from '../utils/logger.js';
 
 const router = express.Router();
 
@@ -20,104 +48,564 @@ const storage = multer.diskStorage({
   }
 });
 
+const acceptZipFiles = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (ext !== '.zip') {
+    return cb(new ValidationError('Only .zip files are allowed', null, 'INVALID_FILE_TYPE'));
+  }
+  cb(null, true);
+};
+
 const upload = multer({
   storage,
   limits: {
     fileSize: config.maxFileSizeBytes
   },
-  fileFilter: (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (ext !== '.zip') {
-      return cb(new Error('Only .zip files are allowed'));
-    }
-    cb(null, true);
+  fileFilter: acceptZipFiles
+});
+
+// Batch uploads take up to BATCH_MAX_FILES packages in one request
+const batchUpload = multer({
+  storage,
+  limits: {
+    fileSize: config.maxFileSizeBytes,
+    files: config.batchMaxFiles
+  },
+  fileFilter: acceptZipFiles
+});
+
+// Chunks of resumable uploads arrive as raw request bodies
+const chunkParser = express.raw({
+  type: 'application/octet-stream',
+  limit: config.uploadChunkSizeBytes
+});
+
+/**
+ * Lists the InDesign versions a job may ask for: those installed on this
+ * machine, or on any render farm worker
+ * @returns {Promise<string[]>}
+ */
+async function listInDesignVersions() {
+  if (config.renderFarm) {
+    return [...new Set(getFarmStatus().workers.flatMap(worker => worker.tags.indesignVersions))];
   }
+
+  const status = await getEngine().getStatus?.();
+  return (status?.installs || []).map(install => install.version).filter(Boolean);
+}
+
+/**
+ * GET /api/export-options
+ * Lists the output formats, PDF presets, image compression types, preflight policies,
+ * InDesign versions and pre-export scripts a job may request
+ */
+router.get('/export-options', async (req, res) => {
+  res.json({
+    formats: Object.entries(EXPORT_FORMATS).map(([id, { label }]) => ({ id, label })),
+    presets: getAllowedPresets(),
+    imageCompression: Object.keys(IMAGE_COMPRESSION_TYPES),
+    preflightPolicies: PREFLIGHT_POLICIES,
+    defaultPreflightPolicy: config.preflightPolicy,
+    indesignVersions: await listInDesignVersions(),
+    preExportScripts: await listPreExportScripts()
+  });
 });
 
 /**
  * POST /api/upload
- * Handles zip file upload and converts InDesign files to PDF
+ * Accepts a zip file upload and queues it for conversion
+ * The output format (default PDF) and export options are sent as form fields alongside the file
+ * For packages with several documents, "documents" picks which to convert and
+ * "combine" whether their results come back as a zip or a single merged PDF.
+ * Packages with an InDesign book (.indb) export the book; "book" and "chapters"
+ * pick which book and which of its chapters
+ * "preExportScripts" runs registered scripts on the documents before export.
+ * "indesignVersion" converts with that installed InDesign version. With a render
+ * farm, it and "requiredFonts" limit the job to workers with that InDesign
+ * version and those fonts installed
+ * Responds immediately with the job id; poll GET /api/jobs/:id for status.
+ * A package converted before with the same options is answered from the result
+ * cache with a completed job; "Cache-Control: no-cache" forces a fresh conversion
  */
 router.post('/upload', upload.single('file'), async (req, res) => {
-  let uploadedFilePath = null;
-  let extractPath = null;
-  let pdfPath = null;
+  // Check if file was uploaded
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded', code: 'NO_FILE' });
+  }
+
+  logger.info(`File uploaded: ${req.file.originalname}`, { path: req.file.path, bytes: req.file.size });
+  recordUpload('single', req.file.size);
+
+  // Refuse new work once the conversion queue is full
+  if (conversionQueue.isFull()) {
+    await deleteFile(req.file.path);
+    return res.status(429).json({
+      error: 'Conversion queue is full, please try again later',
+      code: 'QUEUE_FULL',
+      queue: conversionQueue.getStats()
+    });
+  }
+
+  await queueUpload(res, { path: req.file.path, originalName: req.file.originalname }, req.body, {
+    fresh: wantsFreshConversion(req),
+    client: req.client
+  });
+});
+
+/**
+ * POST /api/batch
+ * Accepts several zip files (the "files" field), or a single zip of zips, and
+ * queues a conversion for each package. The export options and document
+ * selection fields apply to every package, as with POST /api/upload.
+ * A package that is rejected (e.g. a corrupt zip) becomes a failed item; the
+ * others are converted regardless. Responds 202 with the batch; follow it with
+ * GET /api/batch/:id and download every result with GET /api/batch/:id/result
+ */
+router.post('/batch', batchUpload.array('files'), async (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded', code: 'NO_FILE' });
+  }
+
+  const uploadedBytes = files.reduce((total, file) => total + file.size, 0);
+  logger.info(`Batch uploaded: ${files.length} file(s)`, { bytes: uploadedBytes });
+  recordUpload('batch', uploadedBytes, files.length);
+  let packages = files.map(file => ({ name: file.originalname, path: file.path, originalName: file.originalname }));
+  let options;
 
   try {
-    // Check if file was uploaded
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    // A single zip holding only zips is unpacked into its packages
+    if (files.length === 1) {
+      let nested = null;
+      try {
+        nested = await extractNestedPackages(files[0].path, config.tempUploadPath);
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          throw error;
+        }
+        // A corrupt or unsafe archive is queued like any package, and becomes a failed item
+        logger.warn(`${files[0].originalname} could not be read as a zip of zips`, { error });
+      }
+      if (nested) {
+        await deleteFile(files[0].path);
+        packages = nested.map(item => ({ name: item.name, path: item.path, originalName: path.basename(item.name) }));
+      }
+    }
+
+    if (packages.length > config.batchMaxFiles) {
+      throw new ValidationError(
+        `A batch may hold at most ${config.batchMaxFiles} packages`,
+        { packages: packages.length, limit: config.batchMaxFiles },
+        'TOO_MANY_FILES'
+      );
+    }
+    if (!conversionQueue.hasRoomFor(packages.length)) {
+      throw new AppError('QUEUE_FULL', 'Conversion queue has no room for this batch, please try again later', {
+        status: 429,
+        details: { packages: packages.length, queue: conversionQueue.getStats() }
+      });
     }
+    // The whole batch must fit the API key's quotas
+    const sizes = await Promise.all(packages.map(async item => (await fs.stat(item.path)).size));
+    await checkQuota(req.client, { jobs: packages.length, bytes: sizes.reduce((total, size) => total + size, 0) });
 
-    uploadedFilePath = req.file.path;
-    console.log(`File uploaded: ${uploadedFilePath}`);
+    options = await parseConversionFields(req.body);
+  } catch (error) {
+    await deleteMultiple(packages.map(item => item.path));
+    return sendError(res, error, 'Failed to queue batch');
+  }
 
-    // Validate zip file
-    const isValid = await isValidZipFile(uploadedFilePath);
-    if (!isValid) {
-      return res.status(400).json({ error: 'Invalid or corrupt zip file' });
+  const items = [];
+  for (const item of packages) {
+    try {
+      const job = await submitPackage(item, options, { fresh: wantsFreshConversion(req), client: req.client });
+      items.push({ name: item.name, jobId: job.id, error: null });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        logger.error(`Failed to queue ${item.name}`, { error });
+      }
+      await deleteFile(item.path);
+      items.push({ name: item.name, jobId: null, error: serializeError(error) });
     }
+  }
 
-    // Create unique extraction directory
-    const extractId = uuidv4();
-    extractPath = path.join(config.tempExtractPath, extractId);
+  const batch = await createBatch(items, { clientId: req.client?.id ?? null });
+  logger.info(`${items.filter(item => item.jobId).length} of ${items.length} package(s) queued`, {
+    batchId: batch.id,
+    jobIds: items.map(item => item.jobId).filter(Boolean)
+  });
+  res.status(202).json({
+    batchId: batch.id,
+    ...toPublicBatch(batch),
+    statusUrl: `/api/batch/${batch.id}`,
+    resultUrl: `/api/batch/${batch.id}/result`
+  });
+});
 
-    // Extract zip and find InDesign file
-    console.log('Extracting zip file...');
-    const { indesignFile } = await extractZipAndFindInDesignFile(uploadedFilePath, extractPath);
-    console.log(`InDesign file found: ${indesignFile}`);
+/**
+ * POST /api/uploads
+ * Starts a resumable, chunked upload; the body is JSON with fileName and fileSize
+ * Responds with the upload id and the chunk size to use
+ */
+router.post('/uploads', async (req, res) => {
+  try {
+    // Refuse uploads the API key's quotas could not take before any chunk is sent
+    await checkQuota(req.client, { jobs: 1, bytes: Number(req.body?.fileSize) || 0 });
+    const session = await createUploadSession(req.body, { clientId: req.client?.id ?? null });
+    logger.info(`Upload session started: ${session.fileName}`, {
+      uploadId: session.id,
+      bytes: session.fileSize,
+      chunks: session.totalChunks
+    });
+    res.status(201).json(toPublicUploadSession(session));
+  } catch (error) {
+    sendError(res, error, 'Failed to start upload');
+  }
+});
 
-    // Convert to PDF using InDesign Server
-    console.log('Converting to PDF...');
-    pdfPath = await convertInDesignToPDF(indesignFile, extractPath);
-    console.log(`PDF generated: ${pdfPath}`);
+/**
+ * Gets the upload session of a request, if the request's API key started it
+ * @param {Object} req - Express request with the upload id in req.params.id
+ * @returns {Promise<Object|null>} - The session, or null if it does not exist or belongs to another key
+ */
+async function getClientUploadSession(req) {
+  const session = await getUploadSession(req.params.id);
+  return session && isJobVisibleTo(session, req.client) ? session : null;
+}
 
-    // Send PDF file to client
-    const originalName = path.basename(req.file.originalname, '.zip');
-    res.download(pdfPath, `${originalName}.pdf`, async (err) => {
-      // Clean up files after sending (or if error occurs)
-      await cleanupFiles([uploadedFilePath, extractPath, pdfPath]);
+/**
+ * GET /api/uploads/:id
+ * Lists the chunks received so far, so an interrupted upload can send only the missing ones
+ */
+router.get('/uploads/:id', async (req, res) => {
+  const session = await getClientUploadSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found', code: 'UPLOAD_NOT_FOUND' });
+  }
 
-      if (err) {
-        console.error('Error sending file:', err);
-      }
+  res.json(toPublicUploadSession(session));
+});
+
+/**
+ * PUT /api/uploads/:id/chunks/:index
+ * Stores one chunk; the body is the raw chunk (application/octet-stream) and
+ * X-Chunk-Checksum its SHA-256 in hex. Chunks may be sent in any order and retried
+ */
+router.put('/uploads/:id/chunks/:index', chunkParser, async (req, res) => {
+  if (!await getClientUploadSession(req)) {
+    return res.status(404).json({ error: 'Upload not found', code: 'UPLOAD_NOT_FOUND' });
+  }
+
+  try {
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const session = await writeChunk(req.params.id, req.params.index, data, req.get('X-Chunk-Checksum'));
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found', code: 'UPLOAD_NOT_FOUND' });
+    }
+
+    res.json(toPublicUploadSession(session));
+  } catch (error) {
+    sendError(res, error, 'Failed to store chunk');
+  }
+});
+
+/**
+ * POST /api/uploads/:id/complete
+ * Assembles the received chunks and queues the package for conversion
+ * Export options and the document selection are sent as JSON, with the same
+ * fields as POST /api/upload; the response and cache behavior are the same as well.
+ * Completing an upload again responds with the job the first request created
+ */
+router.post('/uploads/:id/complete', async (req, res) => {
+  const session = await getClientUploadSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found', code: 'UPLOAD_NOT_FOUND' });
+  }
+
+  // Keep the upload so it can be completed once the queue has room
+  if (!session.jobId && conversionQueue.isFull()) {
+    return res.status(429).json({
+      error: 'Conversion queue is full, please try again later',
+      code: 'QUEUE_FULL',
+      queue: conversionQueue.getStats()
     });
+  }
 
+  let completion;
+  try {
+    completion = await completeUploadSession(session.id, async (file) => {
+      logger.info(`File uploaded: ${file.originalName}`, { path: file.path, uploadId: session.id, bytes: session.fileSize });
+      recordUpload('resumable', session.fileSize);
+      const options = await parseConversionFields(req.body || {});
+      return submitPackage(file, options, { fresh: wantsFreshConversion(req), client: req.client });
+    });
   } catch (error) {
-    console.error('Upload error:', error);
+    return sendError(res, error, 'Failed to queue file');
+  }
 
-    // Clean up files on error
-    await cleanupFiles([uploadedFilePath, extractPath, pdfPath]);
+  const job = completion && getJob(completion.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Upload not found', code: 'UPLOAD_NOT_FOUND' });
+  }
+  if (completion.repeated) {
+    logger.info('Upload completed again; responding with its job', { uploadId: session.id, jobId: job.id });
+  }
+  res.status(job.cached ? 200 : 202).json(toSubmittedJob(job));
+});
 
-    // Send appropriate error response
-    if (error.message.includes('No InDesign file')) {
-      return res.status(400).json({ error: error.message });
-    }
+/**
+ * DELETE /api/uploads/:id
+ * Cancels an upload and discards its chunks
+ */
+router.delete('/uploads/:id', async (req, res) => {
+  if (!await getClientUploadSession(req) || !await deleteUploadSession(req.params.id)) {
+    return res.status(404).json({ error: 'Upload not found', code: 'UPLOAD_NOT_FOUND' });
+  }
 
-    if (error.message.includes('Cannot connect to InDesign Server')) {
-      return res.status(503).json({
-        error: 'InDesign Server is not available',
-        details: error.message
-      });
-    }
+  res.status(204).end();
+});
 
-    res.status(500).json({
-      error: 'Failed to process file',
-      details: error.message
+/**
+ * POST /api/jobs/:id/rerun
+ * Converts the package of an earlier job again, with the export options in the
+ * JSON body (the same fields as POST /api/upload; left out options take the
+ * server defaults). The document selection, required fonts and callback URL
+ * are the original job's unless the body sets them. Needs the package, which
+ * is only kept with STORAGE_KEEP_PACKAGES; responds like POST /api/upload
+ */
+router.post('/jobs/:id/rerun', async (req, res) => {
+  const original = getJob(req.params.id);
+  if (!original || !isJobVisibleTo(original, req.client)) {
+    return res.status(404).json({ error: 'Job not found', code: 'JOB_NOT_FOUND' });
+  }
+
+  if (!original.packageKey) {
+    return res.status(409).json({
+      error: 'The package of this job was not kept, so it cannot be converted again; upload it again instead',
+      code: 'PACKAGE_NOT_KEPT'
     });
   }
+
+  if (conversionQueue.isFull()) {
+    return res.status(429).json({
+      error: 'Conversion queue is full, please try again later',
+      code: 'QUEUE_FULL',
+      queue: conversionQueue.getStats()
+    });
+  }
+
+  const file = { path: path.join(config.tempUploadPath, `${uuidv4()}.zip`), originalName: original.originalName };
+  try {
+    await copyStoredFile(original.packageStorage, original.packageKey, file.path);
+  } catch (error) {
+    await deleteFile(file.path);
+    return sendError(res, error, 'Failed to restore the package');
+  }
+
+  logger.info('Converting a job again', { jobId: original.id });
+  await queueUpload(res, file, { ...toSelectionFields(original), ...req.body }, {
+    fresh: wantsFreshConversion(req),
+    client: req.client,
+    rerunOf: original.id
+  });
 });
 
 /**
- * Helper function to clean up temporary files
- * @param {string[]} paths - Array of file/directory paths to delete
+ * Turns a job's document selection, required fonts and callback URL back into upload fields
+ * @param {Object} job - Stored job
+ * @returns {Object<string, string>}
+ */
+function toSelectionFields(job) {
+  const { documents = 'first', combine, book, chapters } = job.documentSelection || {};
+  const fields = {
+    documents: Array.isArray(documents) ? JSON.stringify(documents) : documents === 'all' ? 'all' : undefined,
+    combine,
+    book: book || undefined,
+    chapters: chapters ? JSON.stringify(chapters) : undefined,
+    requiredFonts: job.requirements?.fonts?.length > 0 ? JSON.stringify(job.requirements.fonts) : undefined,
+    callbackUrl: job.callbackUrl || undefined
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Tells whether a request asks to convert again rather than reuse a cached result
+ * @param {import('express').Request} req - Upload request
+ * @returns {boolean}
+ */
+function wantsFreshConversion(req) {
+  return /\bno-cache\b/i.test(req.get('Cache-Control') || '');
+}
+
+/**
+ * Validates an uploaded package with its export options and queues it for conversion
+ * Responds 202 with the job id, or 200 with a completed job when the result is
+ * cached; otherwise with the error's status and code, e.g. 400 if the package or
+ * an option is rejected or 503 if the engine is unavailable (the uploaded file is
+ * deleted in that case)
+ * @param {import('express').Response} res - Response to send
+ * @param {{path: string, originalName: string}} file - The uploaded zip
+ * @param {Object} fields - Export options and document selection fields
+ * @param {{fresh: boolean, client: Object|null, rerunOf: string|null}} options - Whether to convert even if
+ *   the result is cached, the API client submitting it and the job this one re-runs, if any
+ * @returns {Promise<void>}
  */
-async function cleanupFiles(paths) {
-  const validPaths = paths.filter(p => p !== null && p !== undefined);
-  if (validPaths.length > 0) {
-    await deleteMultiple(validPaths);
-    console.log('Cleaned up temporary files');
+async function queueUpload(res, file, fields, { fresh = false, client = null, rerunOf = null } = {}) {
+  try {
+    const job = await submitPackage(file, await parseConversionFields(fields), { fresh, client, rerunOf });
+    res.status(job.cached ? 200 : 202).json(toSubmittedJob(job));
+  } catch (error) {
+    // Clean up the upload if the job could not be created
+    await deleteFile(file.path);
+    sendError(res, error, 'Failed to queue file');
   }
 }
 
+/**
+ * Parses the export options, document selection, render farm requirements and callback URL of an upload
+ * @param {Object} fields - Form or JSON fields of the upload
+ * @returns {Promise<{exportOptions: Object, documentSelection: Object, requirements: Object|null,
+ *   callbackUrl: string|null}>}
+ * @throws {ValidationError} - If an option is invalid or the options do not fit together
+ */
+async function parseConversionFields(fields) {
+  const exportOptions = parseExportOptions(fields);
+  await validatePreExportScripts(exportOptions.preExportScripts);
+  const documentSelection = parseDocumentSelection(fields);
+
+  if (documentSelection.combine === 'merge' && EXPORT_FORMATS[exportOptions.format].extension !== '.pdf') {
+    throw new ValidationError(
+      `Documents can only be merged into a single file for PDF formats, not ${exportOptions.format}`,
+      null,
+      'INVALID_OPTION'
+    );
+  }
+  if ((documentSelection.book || documentSelection.chapters) && !EXPORT_FORMATS[exportOptions.format].bookExport) {
+    throw new ValidationError(`InDesign books cannot be exported to ${exportOptions.format}`, null, 'UNSUPPORTED_FORMAT');
+  }
+
+  return {
+    exportOptions,
+    documentSelection,
+    requirements: parseWorkerRequirements(fields),
+    callbackUrl: await parseCallbackUrl(fields.callbackUrl)
+  };
+}
+
+/**
+ * Validates one uploaded package and queues its conversion, or completes it
+ * straight away from the result cache
+ * The job owns the uploaded file afterwards; if an error is thrown, the caller deletes it
+ * @param {{path: string, originalName: string}} file - The uploaded zip
+ * @param {{exportOptions: Object, documentSelection: Object, requirements: Object|null, callbackUrl: string|null}}
+ *   options - Parsed by parseConversionFields
+ * @param {{fresh: boolean, client: Object|null, rerunOf: string|null}} submitOptions - Whether to convert even
+ *   if the result is cached, the API client submitting it (the job counts against its quotas) and the job
+ *   this one re-runs, if any
+ * @returns {Promise<Object>} - The job
+ * @throws {AppError} - If the package is rejected, a quota is used up or the engine is unavailable
+ */
+async function submitPackage(
+  file,
+  { exportOptions, documentSelection, requirements, callbackUrl },
+  { fresh = false, client = null, rerunOf = null } = {}
+) {
+  const { size } = await fs.stat(file.path);
+  // Counted against the quotas right away, so parallel uploads cannot all pass the check before
+  // any is counted; given back if the package is not queued after all
+  const releaseUsage = await reserveJobUsage(client, size);
+  try {
+    // Reject corrupt, unsafe or oversized archives with a 400 before they are queued. Only the
+    // central directory is read here; the entries are checked again as extraction streams them
+    await validateZipFile(file.path);
+
+    const jobFields = {
+      originalName: file.originalName,
+      exportOptions,
+      documentSelection,
+      requirements,
+      callbackUrl,
+      clientId: client?.id ?? null,
+      clientName: client?.name ?? null,
+      rerunOf,
+      // Correlates the job's log entries with the upload request
+      requestId: getLogContext().requestId ?? null
+    };
+
+    // Identical packages are served from the result cache without running the engine
+    const cacheKey = isCacheEnabled() ? await getCacheKey(file.path, { exportOptions, documentSelection }) : null;
+    const cachedJob = cacheKey && !fresh
+      ? await createJobFromCache(cacheKey, jobFields)
+      : null;
+    if (cachedJob) {
+      await releasePackage(cachedJob.id, file.path);
+      logger.info('Served from the result cache', { jobId: cachedJob.id });
+      return cachedJob;
+    }
+
+    // Without a working engine the job could only fail later; render farm
+    // jobs wait for a worker instead
+    if (!config.renderFarm && !await getEngine().isAvailable()) {
+      throw new EngineUnavailableError(`The ${getEngine().name} conversion engine is not available on the server`, {
+        engine: getEngine().name
+      });
+    }
+
+    const job = await createJob({ ...jobFields, uploadPath: file.path, cacheKey });
+    logger.info('Job queued', { jobId: job.id, package: file.originalName });
+
+    // Queue the conversion; progress is tracked on the job
+    enqueueJob(job.id);
+    return job;
+  } catch (error) {
+    await releaseUsage();
+    throw error;
+  }
+}
+
+/**
+ * Describes a submitted job in an upload response
+ * @param {Object} job - The queued or cached job
+ * @returns {{jobId: string, status: string, queuePosition: number|null, cached: boolean, statusUrl: string,
+ *   resultUrl: string}}
+ */
+function toSubmittedJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    queuePosition: conversionQueue.getPosition(job.id),
+    cached: Boolean(job.cached),
+    statusUrl: `/api/jobs/${job.id}`,
+    resultUrl: `/api/jobs/${job.id}/result`
+  };
+}
+
+/**
+ * POST /api/inspect
+ * Inspects an uploaded zip without launching InDesign: documents (with page
+ * count and links for IDML), Links and Document fonts contents, sizes and
+ * files no document references
+ * Use the listed paths as the "documents", "book" or "chapters" fields of POST /api/upload
+ */
+router.post('/inspect', upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded', code: 'NO_FILE' });
+  }
+
+  const extractPath = path.join(config.tempExtractPath, `inspect-${uuidv4()}`);
+
+  try {
+    // Extraction checks each entry as it streams it, so the archive is read once
+    const report = await inspectPackage(req.file.path, extractPath);
+    res.json({
+      originalName: req.file.originalname,
+      ...report
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to inspect file');
+  } finally {
+    await deleteMultiple([req.file.path, extractPath]);
+  }
+});
+
 export default router;
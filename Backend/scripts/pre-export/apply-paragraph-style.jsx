@@ -0,0 +1,16 @@
+// @description Applies a paragraph style in place of another one throughout the document
+// @param from Name of the paragraph style to replace
+// @param to Name of the paragraph style to apply
+var fromStyle = document.paragraphStyles.itemByName(scriptParams.from);
+var toStyle = document.paragraphStyles.itemByName(scriptParams.to);
+if (!fromStyle.isValid || !toStyle.isValid) {
+  throw new Error("Paragraph style not found: " + (fromStyle.isValid ? scriptParams.to : scriptParams.from));
+}
+
+app.findTextPreferences = NothingEnum.NOTHING;
+app.changeTextPreferences = NothingEnum.NOTHING;
+app.findTextPreferences.appliedParagraphStyle = fromStyle;
+app.changeTextPreferences.appliedParagraphStyle = toStyle;
+document.changeText();
+app.findTextPreferences = NothingEnum.NOTHING;
+app.changeTextPreferences = NothingEnum.NOTHING;
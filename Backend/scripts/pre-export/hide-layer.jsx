@@ -0,0 +1,9 @@
+// @description Hides a layer and leaves it out of the export, e.g. notes or a die line
+// @param layer Name of the layer to hide
+var layer = document.layers.itemByName(scriptParams.layer);
+if (layer.isValid) {
+  layer.visible = false;
+  layer.printable = false;
+} else {
+  $.writeln("Layer not found, nothing to hide: " + scriptParams.layer);
+}
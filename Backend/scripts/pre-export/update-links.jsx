@@ -0,0 +1,6 @@
+// @description Updates every out-of-date link to the file in the package
+for (var i = 0; i < document.links.length; i++) {
+  if (document.links[i].status === LinkStatus.LINK_OUT_OF_DATE) {
+    document.links[i].update();
+  }
+}
@@ -1,57 +1,179 @@
 import express from 'express';
 import cors from 'cors';
 import fs from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
 import config from './config/config.js';
 import uploadRouter from './routes/upload.js';
-import { testInDesignConnection } from './services/indesignService.js';
+import jobsRouter from './routes/jobs.js';
+import farmRouter from './routes/farm.js';
+import filesRouter from './routes/files.js';
+import metricsRouter from './routes/metrics.js';
+import { requireApiKey } from './middleware/apiAuth.js';
+import { getEngine } from './services/engines/index.js';
+import { getStorage } from './services/storage/index.js';
 import { cleanupOldFiles } from './utils/fileCleanup.js';
+import { AppError, ValidationError, sendError } from './utils/errors.js';
+import logger, { withLogContext, bindEmitterToLogContext } from './utils/logger.js';
+import { recordHttpRequest } from './services/metrics.js';
+import { loadJobs, flushJobs } from './services/jobStore.js';
+import { loadBatches, cleanupExpiredBatches } from './services/batchStore.js';
+import { enqueueJob, recoverInterruptedJobs, cleanupExpiredJobs } from './services/jobProcessor.js';
+import { startRenderFarm, getFarmStatus } from './services/renderFarm.js';
+import { getCacheStats } from './services/resultCache.js';
+import { resumePendingWebhooks } from './services/webhooks.js';
 
 const app = express();
 
+// Ids clients may send as X-Request-Id; anything else gets a generated id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Polled by monitoring, so only logged at debug level
+const QUIET_PATHS = ['/health', '/metrics'];
+
+// Chunks of resumable uploads (PUT /api/uploads/:id/chunks/:index)
+const CHUNK_PATH_PATTERN = /^\/api\/uploads\/[^/]+\/chunks\/[^/]+$/;
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Retry-After tells browser clients how long to wait after a 429
+app.use(cors({
+  origin: config.corsOrigins.length > 0 ? config.corsOrigins : '*',
+  exposedHeaders: ['Retry-After', 'X-Request-Id']
+}));
 
-// Request logging
+// Request logging and metrics
+// Each request runs in a log context with its id, so everything logged while
+// handling it (and by the jobs it creates) can be traced back to it
 app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
+  const clientRequestId = req.get('X-Request-Id');
+  const requestId = REQUEST_ID_PATTERN.test(clientRequestId || '') ? clientRequestId : uuidv4();
+  const startTime = Date.now();
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const durationMs = Date.now() - startTime;
+    // Without the query, which may hold download link signatures
+    const requestPath = req.originalUrl.split('?')[0];
+    // Route patterns rather than paths, so ids do not end up as metric labels
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    recordHttpRequest(req.method, route, res.statusCode, durationMs);
+    logger[QUIET_PATHS.includes(requestPath) ? 'debug' : 'info']('Request completed', {
+      method: req.method,
+      path: requestPath,
+      status: res.statusCode,
+      durationMs,
+      apiKey: req.client?.name
+    });
+  });
+
+  withLogContext({ requestId }, () => {
+    bindEmitterToLogContext(req);
+    bindEmitterToLogContext(res);
+    next();
+  });
 });
+app.use(express.json());
 
 // Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Server is running' });
+app.get('/health', async (req, res) => {
+  const engine = getEngine();
+  const storage = getStorage();
+  const health = {
+    status: 'ok',
+    message: 'Server is running',
+    engine: {
+      name: engine.name,
+      available: await engine.isAvailable(),
+      ...(engine.getStatus ? await engine.getStatus() : {})
+    },
+    storage: {
+      backend: storage.name,
+      ...(storage.getStatus ? await storage.getStatus() : {})
+    },
+    // Hits and misses count since the server started
+    cache: await getCacheStats()
+  };
+
+  if (config.renderFarm) {
+    const { workers, slots, waitingJobs } = getFarmStatus();
+    health.farm = { workers: workers.length, slots, waitingJobs };
+  }
+  res.json(health);
 });
 
+// Prometheus metrics; like /health they need no API key, but METRICS_TOKEN can protect them
+if (config.metricsEnabled) {
+  app.use(metricsRouter);
+}
+
 // API routes
+// Worker agents authenticate with FARM_WORKER_TOKEN rather than an API key
+if (config.renderFarm) {
+  app.use('/api', farmRouter);
+}
+// Signed download links carry their own authorization
+app.use('/api', filesRouter);
+app.use('/api', requireApiKey);
 app.use('/api', uploadRouter);
+app.use('/api', jobsRouter);
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({ error: 'Endpoint not found' });
+  res.status(404).json({ error: 'Endpoint not found', code: 'NOT_FOUND' });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-
   // Multer errors
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({
       error: 'File too large',
+      code: 'FILE_TOO_LARGE',
       maxSize: `${config.maxFileSizeMB}MB`
     });
   }
 
-  if (err.message === 'Only .zip files are allowed') {
-    return res.status(400).json({ error: err.message });
+  // Batch uploads with more files than BATCH_MAX_FILES
+  if (err.code === 'LIMIT_FILE_COUNT') {
+    return res.status(400).json({
+      error: 'Too many files',
+      code: 'TOO_MANY_FILES',
+      maxFiles: config.batchMaxFiles
+    });
   }
 
-  // Generic error
-  res.status(500).json({
-    error: 'Internal server error',
-    message: err.message
-  });
+  // Files sent in a form field the endpoint does not read
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return res.status(400).json({
+      error: `Unexpected file field: ${err.field}`,
+      code: 'UNEXPECTED_FILE_FIELD'
+    });
+  }
+
+  // Request bodies over the parser's limit: chunks of resumable uploads larger
+  // than the chunk size, or JSON bodies over the JSON limit
+  if (err.type === 'entity.too.large') {
+    if (CHUNK_PATH_PATTERN.test(req.path)) {
+      return res.status(413).json({
+        error: 'Chunk too large',
+        code: 'CHUNK_TOO_LARGE',
+        maxSize: `${config.uploadChunkSizeBytes} bytes`
+      });
+    }
+    return res.status(413).json({
+      error: 'Request body too large',
+      code: 'PAYLOAD_TOO_LARGE',
+      maxSize: `${err.limit} bytes`
+    });
+  }
+
+  // Other client errors of the body parsers, e.g. a malformed JSON body
+  if (!(err instanceof AppError) && err.status >= 400 && err.status < 500) {
+    const message = err.type === 'entity.parse.failed' ? 'Malformed JSON body' : err.message;
+    return sendError(res, new ValidationError(message));
+  }
+
+  // Typed errors (e.g. a rejected file type) carry their own status and code;
+  // anything else is logged and reported as a 500
+  sendError(res, err);
 });
 
 // Initialize server
@@ -60,46 +182,117 @@ async function initializeServer() {
     // Ensure temp directories exist
     await fs.mkdir(config.tempUploadPath, { recursive: true });
     await fs.mkdir(config.tempExtractPath, { recursive: true });
-    console.log('Temporary directories initialized');
+    await fs.mkdir(config.tempResultPath, { recursive: true });
+    await fs.mkdir(config.uploadSessionPath, { recursive: true });
+    logger.info('Temporary directories initialized');
+
+    // Restore jobs from the previous run
+    await loadJobs();
+    await loadBatches();
+    await cleanupExpiredJobs();
+    await cleanupExpiredBatches();
+    const resumedJobs = await recoverInterruptedJobs();
+    if (resumedJobs.length > 0) {
+      logger.info(`Resuming ${resumedJobs.length} interrupted job(s)`, { jobIds: resumedJobs });
+    }
+    const pendingWebhooks = resumePendingWebhooks();
+    if (pendingWebhooks > 0) {
+      logger.info(`Resuming delivery of ${pendingWebhooks} webhook(s)`);
+    }
 
     // Clean up old files on startup
     await cleanupOldFiles(config.tempUploadPath);
     await cleanupOldFiles(config.tempExtractPath);
-    console.log('Old temporary files cleaned up');
+    await cleanupOldFiles(config.uploadSessionPath, config.uploadSessionRetentionHours);
+    logger.info('Old temporary files cleaned up');
 
-    // Test InDesign application availability
-    console.log('Testing Adobe InDesign availability...');
-    const connected = await testInDesignConnection();
+    if (config.renderFarm) {
+      startRenderFarm();
+    }
 
-    if (connected) {
-      console.log('✓ Adobe InDesign is available');
+    if (config.apiAuth) {
+      logger.info('API authentication is on: clients need an API key (npm run keys)', { apiKeysPath: config.apiKeysPath });
     } else {
-      console.warn('⚠ Warning: Adobe InDesign not found');
-      console.warn('  The server will start, but PDF conversion will fail until InDesign is installed');
-      console.warn('  Run: npm run find:indesign to locate your installation');
-      console.warn('  See README.md or MACOS-SERVER-SETUP.md for setup instructions');
+      logger.warn('API_AUTH is not enabled; any client that can reach the server can convert files');
+    }
+    const storage = getStorage();
+    logger.info(`Result storage: ${storage.name}`, { keepPackages: config.storageKeepPackages });
+    if (storage.name === 's3') {
+      const { bucket, endpoint, reachable, error } = await storage.getStatus();
+      if (reachable) {
+        logger.info(`S3 bucket ${bucket} is reachable`, { bucket, endpoint });
+      } else {
+        logger.warn(`S3 bucket ${bucket || '(S3_BUCKET not set)'} is not reachable; conversions will fail until results can be stored`, {
+          bucket,
+          endpoint,
+          reason: error
+        });
+      }
+    } else if (!config.downloadUrlSecret) {
+      logger.warn('DOWNLOAD_URL_SECRET is not set; signed download links stop working when the server restarts');
+    }
+    if (config.corsOrigins.length > 0) {
+      logger.info(`CORS: browsers may call the API from ${config.corsOrigins.join(', ')}`);
+    }
+    resumedJobs.forEach(jobId => enqueueJob(jobId));
+
+    // Test conversion engine availability; with a render farm, workers convert
+    const engine = getEngine();
+    if (config.renderFarm) {
+      logger.info('Render farm coordinator: conversions run on worker agents (npm run worker)');
+      if (!config.farmWorkerToken) {
+        logger.warn('FARM_WORKER_TOKEN is not set; any client can register as a worker');
+      }
+    } else {
+      logger.info(`Conversion engine: ${engine.name}`);
+      const available = await engine.isAvailable();
+
+      if (available) {
+        logger.info(`${engine.name} engine is available`);
+        if (engine.name === 'desktop') {
+          const { version, installs } = await engine.getStatus();
+          const others = installs.filter(install => install.version !== version).map(install => install.version);
+          logger.info(`Adobe InDesign ${version || 'at INDESIGN_APP_PATH'}`, { otherVersions: others });
+        }
+        if (engine.name === 'desktop' && config.indesignSession) {
+          logger.info(`InDesign session mode: InDesign is kept running and restarted every ${config.indesignSessionMaxJobs} jobs`);
+        }
+      } else if (engine.name === 'desktop') {
+        logger.warn(`Adobe InDesign${config.indesignVersion ? ` ${config.indesignVersion}` : ''} not found; conversions will fail until it is installed`, {
+          hint: 'Run npm run find:indesign to locate your installation, see README.md or MACOS-SERVER-SETUP.md, or set CONVERSION_ENGINE=mock to run without InDesign'
+        });
+      } else {
+        logger.warn(`${engine.name} engine is not available; conversions will fail until it is configured`, {
+          hint: 'The command engine requires CONVERSION_COMMAND to be set'
+        });
+      }
     }
 
     // Start server
     const server = app.listen(config.port, () => {
-      console.log(`\n✓ Server running on http://localhost:${config.port}`);
-      console.log(`✓ Upload endpoint: http://localhost:${config.port}/api/upload`);
-      console.log(`✓ Health check: http://localhost:${config.port}/health\n`);
+      const url = `http://localhost:${config.port}`;
+      logger.info(`Server running on ${url}`, {
+        port: Number(config.port),
+        uploadUrl: `${url}/api/upload`,
+        healthUrl: `${url}/health`,
+        metricsUrl: config.metricsEnabled ? `${url}/metrics` : undefined
+      });
     });
 
-    // Set timeout for large file uploads (30 minutes)
-    server.timeout = 30 * 60 * 1000; // 30 minutes
-    server.keepAliveTimeout = 30 * 60 * 1000; // 30 minutes
-    server.headersTimeout = 30 * 60 * 1000 + 1000; // Slightly more than keepAliveTimeout
+    // Allow slow uploads of large packages; conversion itself runs as a background job
+    server.requestTimeout = 30 * 60 * 1000; // 30 minutes
 
     // Set up periodic cleanup (every 6 hours)
     setInterval(() => {
       cleanupOldFiles(config.tempUploadPath);
       cleanupOldFiles(config.tempExtractPath);
+      cleanupOldFiles(config.uploadSessionPath, config.uploadSessionRetentionHours);
+      cleanupExpiredJobs();
+      cleanupExpiredBatches();
     }, 6 * 60 * 60 * 1000);
 
   } catch (error) {
-    console.error('Failed to initialize server:', error);
+    logger.error('Failed to initialize server', { error });
     process.exit(1);
   }
 }
@@ -107,13 +300,27 @@ async function initializeServer() {
 // Start the server
 initializeServer();
 
+/**
+ * Stops processes the conversion engine keeps running (e.g. an InDesign
+ * session) and writes pending job changes before exiting
+ */
+async function shutdown() {
+  try {
+    await getEngine().shutdown?.();
+  } catch (error) {
+    logger.error('Error stopping the conversion engine', { error });
+  }
+  await flushJobs();
+  process.exit(0);
+}
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  process.exit(0);
+  logger.info('SIGTERM received, shutting down gracefully...');
+  shutdown();
 });
 
 process.on('SIGINT', () => {
-  console.log('\nSIGINT received, shutting down gracefully...');
-  process.exit(0);
+  logger.info('SIGINT received, shutting down gracefully...');
+  shutdown();
 });
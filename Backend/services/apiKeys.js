@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+
+// Keys are stored as SHA-256 hashes in API_KEYS_PATH; the key itself is shown once, when it is created.
+// Keys are 32 random bytes, so a fast hash is enough: there is nothing to guess from it
+const KEY_PREFIX = 'idk_';
+
+let keysByHash = new Map();
+let loadedMtimeMs = null;
+
+/**
+ * Hashes an API key the way it is stored
+ * @param {string} key - API key
+ * @returns {string} - Hex SHA-256
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Reads the key file, unless it has not changed since it was last read
+ * Keys created or revoked with manage-api-keys.js take effect without a restart
+ * @returns {Promise<Object[]>} - Stored keys
+ */
+async function loadApiKeys() {
+  let stat;
+  try {
+    stat = await fs.stat(config.apiKeysPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    keysByHash = new Map();
+    loadedMtimeMs = null;
+    return [];
+  }
+
+  if (stat.mtimeMs !== loadedMtimeMs) {
+    const storedKeys = JSON.parse(await fs.readFile(config.apiKeysPath, 'utf8'));
+    keysByHash = new Map(storedKeys.map(record => [record.hash, record]));
+    loadedMtimeMs = stat.mtimeMs;
+  }
+  return [...keysByHash.values()];
+}
+
+/**
+ * Writes the key file
+ * @param {Object[]} records - Stored keys
+ * @returns {Promise<void>}
+ */
+async function saveApiKeys(records) {
+  const tempPath = `${config.apiKeysPath}.tmp`;
+  await fs.mkdir(path.dirname(config.apiKeysPath), { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(records, null, 2), { encoding: 'utf8', mode: 0o600 });
+  await fs.rename(tempPath, config.apiKeysPath);
+}
+
+/**
+ * Finds the client an API key belongs to
+ * @param {string} key - API key sent by the client
+ * @returns {Promise<{id: string, name: string, limits: Object}|null>} - The client, or null if the
+ *   key is unknown or revoked
+ */
+export async function findApiKey(key) {
+  if (!key) {
+    return null;
+  }
+
+  await loadApiKeys();
+  const record = keysByHash.get(hashApiKey(key));
+  if (!record || record.revokedAt) {
+    return null;
+  }
+  return { id: record.id, name: record.name, limits: record.limits || {} };
+}
+
+/**
+ * Creates an API key for a client
+ * @param {string} name - Who the key is for, e.g. "prepress-team"
+ * @param {{requestsPerMinute?: number, jobsPerHour?: number, bytesPerDay?: number}} limits - Limits of this
+ *   key; those left out use the server defaults (API_RATE_LIMIT_PER_MINUTE, API_JOBS_PER_HOUR, API_MB_PER_DAY)
+ * @returns {Promise<{key: string, record: Object}>} - The key, which is not stored, and its record
+ */
+export async function createApiKey(name, limits = {}) {
+  const records = await loadApiKeys();
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: uuidv4(),
+    name,
+    hash: hashApiKey(key),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    limits
+  };
+
+  await saveApiKeys([...records, record]);
+  return { key, record };
+}
+
+/**
+ * Lists the API keys, without their hashes
+ * @returns {Promise<{id: string, name: string, createdAt: string, revokedAt: string|null, limits: Object}[]>}
+ */
+export async function listApiKeys() {
+  return (await loadApiKeys()).map(({ hash, ...record }) => record);
+}
+
+/**
+ * Revokes an API key; requests with it are rejected from then on
+ * @param {string} id - Key id
+ * @returns {Promise<boolean>} - False if there is no such key
+ */
+export async function revokeApiKey(id) {
+  const records = await loadApiKeys();
+  const record = records.find(candidate => candidate.id === id);
+  if (!record) {
+    return false;
+  }
+
+  record.revokedAt ??= new Date().toISOString();
+  await saveApiKeys(records);
+  return true;
+}
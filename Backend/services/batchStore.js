@@ -0,0 +1,216 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { getJob, toPublicJob } from './jobStore.js';
+import { zipOutputs } from './outputCombiner.js';
+import { copyStoredFile } from './storage/index.js';
+import { ResultExpiredError, serializeError } from '../utils/errors.js';
+import { deleteFile, deleteMultiple } from '../utils/fileCleanup.js';
+import { createJsonFileStore } from '../utils/jsonFileStore.js';
+import logger from '../utils/logger.js';
+
+// Batches group the jobs of one batch upload; like jobs, they are mirrored to a JSON file
+const batches = new Map();
+const batchFile = createJsonFileStore(config.batchStorePath, 'batch store');
+
+// Name of the manifest in a batch's combined result
+const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Loads persisted batches from disk into memory
+ * @returns {Promise<void>}
+ */
+export async function loadBatches() {
+  const storedBatches = await batchFile.read();
+  if (!storedBatches) {
+    return;
+  }
+
+  batches.clear();
+  for (const batch of storedBatches) {
+    batches.set(batch.id, batch);
+  }
+}
+
+/**
+ * Writes the current batch list to disk
+ * @returns {Promise<void>}
+ */
+function persistBatches() {
+  return batchFile.write(() => [...batches.values()]);
+}
+
+/**
+ * Creates a batch
+ * @param {{name: string, jobId: string|null, error: Object|null}[]} items - One item per package, in upload
+ *   order: the job converting it, or the error that kept it from being queued
+ * @param {{clientId: string|null}} owner - API key that uploaded the batch, if API_AUTH is on
+ * @returns {Promise<Object>} - The created batch
+ */
+export async function createBatch(items, { clientId = null } = {}) {
+  const batch = {
+    id: uuidv4(),
+    createdAt: new Date().toISOString(),
+    clientId,
+    items
+  };
+
+  batches.set(batch.id, batch);
+  await persistBatches();
+  return batch;
+}
+
+/**
+ * Gets a batch by id
+ * @param {string} batchId - Batch id
+ * @returns {Object|null}
+ */
+export function getBatch(batchId) {
+  return batches.get(batchId) || null;
+}
+
+/**
+ * Removes batches older than the job retention period; their jobs have expired by then
+ * @param {number} maxAgeHours - Maximum age in hours
+ * @returns {Promise<void>}
+ */
+export async function cleanupExpiredBatches(maxAgeHours = config.jobRetentionHours) {
+  const maxAgeMs = maxAgeHours * 60 * 60 * 1000;
+  const now = Date.now();
+  let removed = false;
+
+  for (const batch of batches.values()) {
+    if (now - Date.parse(batch.createdAt) > maxAgeMs) {
+      batches.delete(batch.id);
+      removed = true;
+      logger.info('Cleaned up expired batch', { batchId: batch.id });
+    }
+  }
+
+  if (removed) {
+    await persistBatches();
+  }
+}
+
+/**
+ * Converts a batch into the shape returned by the API, with the current status of each item
+ * The batch is "processing" while any item is queued or converting; once all
+ * have finished it is "completed" if every item succeeded, "failed" if none did
+ * and "partial" otherwise
+ * @param {Object} batch - Stored batch
+ * @returns {Object}
+ */
+export function toPublicBatch(batch) {
+  const items = batch.items.map(toPublicItem);
+  const summary = { total: items.length, queued: 0, processing: 0, completed: 0, failed: 0 };
+  for (const item of items) {
+    summary[item.status === 'expired' ? 'failed' : item.status]++;
+  }
+
+  let status = 'partial';
+  if (summary.queued > 0 || summary.processing > 0) {
+    status = 'processing';
+  } else if (summary.completed === summary.total) {
+    status = 'completed';
+  } else if (summary.completed === 0) {
+    status = 'failed';
+  }
+
+  return {
+    id: batch.id,
+    status,
+    createdAt: batch.createdAt,
+    summary,
+    items
+  };
+}
+
+/**
+ * Writes the combined result of a finished batch: the result of every
+ * converted package, named after the package, and a manifest listing each
+ * package with its status, file in the archive or error
+ * @param {Object} batch - Stored batch
+ * @param {string} zipPath - Path of the zip to write
+ * @returns {Promise<void>}
+ */
+export async function writeBatchResult(batch, zipPath) {
+  const outputs = [];
+  const usedNames = new Set([MANIFEST_NAME]);
+  const manifestItems = [];
+  const manifestPath = `${zipPath}.manifest.json`;
+
+  try {
+    for (const item of toPublicBatch(batch).items) {
+      const job = item.status === 'completed' ? getJob(item.jobId) : null;
+      let file = null;
+      let error = item.error;
+      if (job) {
+        // Results are copied out of result storage, which may not be on this server
+        const extension = path.extname(job.resultKey);
+        const localPath = `${zipPath}.${outputs.length}${extension}`;
+        try {
+          await copyStoredFile(job.resultStorage, job.resultKey, localPath);
+          file = uniqueName(`${item.name.replace(/\.zip$/i, '')}${extension}`, usedNames);
+          outputs.push({ name: file, path: localPath });
+        } catch (copyError) {
+          await deleteFile(localPath);
+          if (!(copyError instanceof ResultExpiredError)) {
+            throw copyError;
+          }
+          error = serializeError(copyError);
+        }
+      }
+      manifestItems.push({ name: item.name, jobId: item.jobId, status: item.status, file, error });
+    }
+
+    const { items, ...summary } = toPublicBatch(batch);
+    await fs.writeFile(manifestPath, JSON.stringify({ ...summary, items: manifestItems }, null, 2), 'utf8');
+
+    await zipOutputs([...outputs, { name: MANIFEST_NAME, path: manifestPath }], zipPath);
+  } finally {
+    await deleteMultiple([manifestPath, ...outputs.map(output => output.path)]);
+  }
+}
+
+/**
+ * Describes one package of a batch with its job's current status
+ * @param {{name: string, jobId: string|null, error: Object|null}} item - Stored item
+ * @returns {{name: string, jobId: string|null, status: string, stage: string|null, cached: boolean,
+ *   error: Object|null, resultName: string|null}}
+ */
+function toPublicItem(item) {
+  const job = item.jobId ? getJob(item.jobId) : null;
+  if (!job) {
+    // Rejected before it was queued, or expired since
+    return {
+      name: item.name,
+      jobId: item.jobId,
+      status: item.error ? 'failed' : 'expired',
+      stage: null,
+      cached: false,
+      error: item.error || { code: 'JOB_NOT_FOUND', message: 'Job has expired', details: null },
+      resultName: null
+    };
+  }
+
+  const { status, stage, cached, error, resultName } = toPublicJob(job);
+  return { name: item.name, jobId: job.id, status, stage, cached, error, resultName };
+}
+
+/**
+ * Makes a file name unique within an archive by numbering repeats: "ad.pdf", "ad (2).pdf"
+ * @param {string} name - Desired name
+ * @param {Set<string>} usedNames - Names already taken; the returned name is added
+ * @returns {string}
+ */
+function uniqueName(name, usedNames) {
+  const extension = path.extname(name);
+  const base = name.slice(0, name.length - extension.length);
+  let candidate = name;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${extension}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
@@ -0,0 +1,198 @@
+import config from '../config/config.js';
+import { RateLimitError } from '../utils/errors.js';
+import { createJsonFileStore } from '../utils/jsonFileStore.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Request rate limits are token buckets per client: full at requestsPerMinute, refilled continuously
+const buckets = new Map();
+
+// Jobs each client submitted in the last day, oldest first, with the bytes uploaded for them.
+// Quotas are checked against it, so it is persisted: a restart does not reset them
+const usage = new Map();
+const usageFile = createJsonFileStore(config.apiUsagePath, 'API usage');
+let usageLoaded = null;
+
+/**
+ * Gets the limits of a client: those set on its API key, otherwise the server defaults
+ * A limit of 0 means unlimited
+ * @param {{limits: Object}} client - Client of the request (see findApiKey)
+ * @returns {{requestsPerMinute: number, jobsPerHour: number, bytesPerDay: number}}
+ */
+export function getClientLimits(client) {
+  return {
+    requestsPerMinute: client.limits.requestsPerMinute ?? config.apiRateLimitPerMinute,
+    jobsPerHour: client.limits.jobsPerHour ?? config.apiJobsPerHour,
+    bytesPerDay: client.limits.bytesPerDay ?? config.apiBytesPerDay
+  };
+}
+
+/**
+ * Counts a request against the client's rate limit
+ * @param {{id: string, limits: Object}} client - Client of the request
+ * @throws {RateLimitError} - RATE_LIMITED if the client sent more requests than its limit allows
+ */
+export function consumeRequest(client) {
+  const { requestsPerMinute } = getClientLimits(client);
+  if (requestsPerMinute <= 0) {
+    return;
+  }
+
+  const now = Date.now();
+  const refillPerMs = requestsPerMinute / 60000;
+  const bucket = buckets.get(client.id) || { tokens: requestsPerMinute, updatedAt: now };
+  bucket.tokens = Math.min(requestsPerMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+  bucket.updatedAt = now;
+  buckets.set(client.id, bucket);
+
+  if (bucket.tokens < 1) {
+    throw new RateLimitError(
+      'RATE_LIMITED',
+      `Too many requests; this API key may send ${requestsPerMinute} per minute`,
+      Math.ceil((1 - bucket.tokens) / refillPerMs / 1000),
+      { requestsPerMinute }
+    );
+  }
+  bucket.tokens -= 1;
+}
+
+/**
+ * Checks that a client may submit more jobs without exceeding its quotas
+ * @param {{id: string, limits: Object}|null} client - Client of the request; null (API_AUTH off) has no quotas
+ * @param {{jobs: number, bytes: number}} request - Jobs to submit and the bytes uploaded for them
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} - QUOTA_EXCEEDED, with the time until enough of the quota is free again
+ */
+export async function checkQuota(client, request) {
+  if (!client) {
+    return;
+  }
+
+  await loadUsage();
+  const now = Date.now();
+  assertWithinQuota(client, getUsageEntries(client.id, now), request, now);
+}
+
+/**
+ * Checks a job against the client's quotas and counts it at once
+ * Nothing is awaited between the check and the count, so concurrent submissions
+ * cannot all pass the check before any of them is counted
+ * @param {{id: string, limits: Object}|null} client - Client of the request; null (API_AUTH off) has no quotas
+ * @param {number} bytes - Size of the uploaded package
+ * @returns {Promise<function(): Promise<void>>} - Gives the reservation back, when the job is not submitted
+ *   after all
+ * @throws {RateLimitError} - QUOTA_EXCEEDED, with the time until enough of the quota is free again
+ */
+export async function reserveJobUsage(client, bytes) {
+  if (!client) {
+    return async () => {};
+  }
+
+  await loadUsage();
+  const now = Date.now();
+  const entries = getUsageEntries(client.id, now);
+  assertWithinQuota(client, entries, { jobs: 1, bytes }, now);
+
+  const reservation = { at: now, bytes };
+  usage.set(client.id, [...entries, reservation]);
+  await persistUsage();
+
+  return async () => {
+    usage.set(client.id, (usage.get(client.id) || []).filter(entry => entry !== reservation));
+    await persistUsage();
+  };
+}
+
+/**
+ * Throws if jobs would take a client over its quotas
+ * @param {{limits: Object}} client - Client of the request
+ * @param {{at: number, bytes: number}[]} entries - The client's jobs of the last day, oldest first
+ * @param {{jobs: number, bytes: number}} request - Jobs to submit and the bytes uploaded for them
+ * @param {number} now - Current time in ms
+ * @throws {RateLimitError} - QUOTA_EXCEEDED, with the time until enough of the quota is free again
+ */
+function assertWithinQuota(client, entries, { jobs, bytes }, now) {
+  const { jobsPerHour, bytesPerDay } = getClientLimits(client);
+  const lastHour = entries.filter(entry => entry.at > now - HOUR_MS);
+
+  if (jobsPerHour > 0 && lastHour.length + jobs > jobsPerHour) {
+    // The oldest jobs of the hour have to drop out of the window first
+    const blocking = lastHour[lastHour.length + jobs - jobsPerHour - 1];
+    throw new RateLimitError(
+      'QUOTA_EXCEEDED',
+      `Job quota exceeded; this API key may submit ${jobsPerHour} jobs per hour`,
+      secondsUntil(blocking ? blocking.at + HOUR_MS : now + HOUR_MS, now),
+      { jobsPerHour, jobsInLastHour: lastHour.length, requested: jobs }
+    );
+  }
+
+  const usedBytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+  if (bytesPerDay > 0 && usedBytes + bytes > bytesPerDay) {
+    let freedBytes = 0;
+    const blocking = entries.find((entry) => {
+      freedBytes += entry.bytes;
+      return usedBytes - freedBytes + bytes <= bytesPerDay;
+    });
+    throw new RateLimitError(
+      'QUOTA_EXCEEDED',
+      `Upload quota exceeded; this API key may upload ${formatMegabytes(bytesPerDay)} per day`,
+      secondsUntil(blocking ? blocking.at + DAY_MS : now + DAY_MS, now),
+      { bytesPerDay, bytesInLastDay: usedBytes, requestedBytes: bytes }
+    );
+  }
+}
+
+/**
+ * Gets a client's jobs of the last day, dropping older ones
+ * The usage must be loaded (see loadUsage)
+ * @param {string} clientId - Key id
+ * @param {number} now - Current time in ms
+ * @returns {{at: number, bytes: number}[]}
+ */
+function getUsageEntries(clientId, now) {
+  const entries = (usage.get(clientId) || []).filter(entry => entry.at > now - DAY_MS);
+  usage.set(clientId, entries);
+  return entries;
+}
+
+/**
+ * Reads the recorded usage from disk, once
+ * @returns {Promise<void>}
+ */
+function loadUsage() {
+  usageLoaded ??= (async () => {
+    const stored = await usageFile.read();
+    for (const [clientId, entries] of Object.entries(stored || {})) {
+      usage.set(clientId, entries);
+    }
+  })();
+  return usageLoaded;
+}
+
+/**
+ * Writes the recorded usage to disk
+ * @returns {Promise<void>}
+ */
+function persistUsage() {
+  return usageFile.write(() => Object.fromEntries(usage));
+}
+
+/**
+ * Gets the seconds until a time, for Retry-After
+ * @param {number} time - Time in ms
+ * @param {number} now - Current time in ms
+ * @returns {number} - Whole seconds, at least 1
+ */
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((time - now) / 1000));
+}
+
+/**
+ * Formats a byte count for error messages
+ * @param {number} bytes - Byte count
+ * @returns {string} - e.g. "500 MB"
+ */
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
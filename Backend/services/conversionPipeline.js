@@ -0,0 +1,195 @@
+import path from 'path';
+import { extractZipAndFindInDesignFile } from './zipHandler.js';
+import { convertInDesign } from './indesignService.js';
+import { selectDocuments, selectBook } from './documentSelection.js';
+import { mergePdfs, zipOutputs } from './outputCombiner.js';
+import { EXPORT_FORMATS } from './exportFormats.js';
+import { readPreflightReport, summarizePreflight, describePreflightIssues } from './preflight.js';
+import config from '../config/config.js';
+import { NoDocumentError, PreflightError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Minimum time between extraction progress updates, which are persisted to the job store
+const EXTRACTION_PROGRESS_INTERVAL_MS = 500;
+
+/**
+ * Converts an uploaded package: extracts it, selects the documents, converts
+ * each with the configured engine and combines the outputs
+ * Used for local jobs (jobProcessor.js) and by render farm workers (farm-worker.js);
+ * progress is reported through the reporter rather than written to the job store.
+ * Callers run it in the job's log context (withLogContext), so its entries carry the job id
+ * @param {string} packagePath - The uploaded zip
+ * @param {string} extractPath - Directory to extract to; the output is written inside it
+ * @param {{id: string, exportOptions: Object, documentSelection: Object}} job - The job's id, export options and
+ *   document selection
+ * @param {{stage: function(string, string): Promise, update: function(Object): Promise}} reporter - Records a
+ *   stage with a message, and changes to the job (documents, chapters, extraction, preflight)
+ * @returns {Promise<{output: {path: string, contentType: string, extension: string}, extractMs: number,
+ *   convertMs: number, preflight: Object|null}>}
+ * @throws {AppError} - Conversion errors; a PreflightError when preflight fails under the "fail" policy
+ */
+export async function convertPackage(packagePath, extractPath, job, reporter) {
+  const policy = job.exportOptions?.preflight || config.preflightPolicy;
+  const preflightReports = [];
+
+  try {
+    // Extract zip and find InDesign files; entries are validated as they are streamed
+    logger.info('Extracting zip file...');
+    await reporter.stage('extracting', 'Extracting package');
+    const extractStart = Date.now();
+    const { indesignFiles, books } = await extractZipAndFindInDesignFile(
+      packagePath,
+      extractPath,
+      createProgressReporter(reporter)
+    );
+    const extractMs = Date.now() - extractStart;
+
+    const format = job.exportOptions?.format || 'pdf';
+    const selection = job.documentSelection || { documents: 'first', combine: 'zip' };
+    const book = selectBook(books, extractPath, selection, format);
+
+    // A book is exported as a whole (or as its selected chapters) in one go
+    let documents;
+    let chapters = null;
+    if (book) {
+      documents = [book];
+      if (selection.chapters) {
+        const chapterPaths = selectDocuments(indesignFiles, extractPath, selection.chapters);
+        chapters = chapterPaths.map(chapter => path.basename(chapter));
+        await reporter.update({
+          chapters: chapterPaths.map(chapter => toRelativeName(extractPath, chapter))
+        });
+      }
+    } else {
+      if (indesignFiles.length === 0) {
+        throw new NoDocumentError(`The package only contains an InDesign book, which cannot be exported to ${format}`);
+      }
+      documents = selectDocuments(indesignFiles, extractPath, selection.documents);
+    }
+
+    const documentNames = documents.map(document => toRelativeName(extractPath, document));
+    logger.info(`InDesign file(s) selected: ${documentNames.join(', ')}`, { extractMs });
+    await reporter.update({ documents: documentNames });
+
+    // Convert each document using InDesign, into its own output directory
+    logger.info(`Converting to ${format}...`, { format });
+    const convertStart = Date.now();
+    const outputs = [];
+    // Lines printed by the engine (e.g. "Starting PDF export...") are added to the timeline
+    const onProgress = (message) => {
+      reporter.stage('converting', message).catch((error) => {
+        logger.error('Failed to record progress', { error });
+      });
+    };
+    for (const [index, document] of documents.entries()) {
+      const outputDir = path.join(extractPath, '.output', String(index));
+      const preflightReportPath = path.join(extractPath, '.output', `${index}.preflight.json`);
+      await reporter.stage('converting', `Converting ${documentNames[index]} to ${EXPORT_FORMATS[format].label}`);
+      try {
+        const output = await convertInDesign(document, outputDir, job.exportOptions, {
+          chapters,
+          preflightReportPath,
+          onProgress
+        });
+        outputs.push({ ...output, name: documentNames[index] });
+      } finally {
+        // Engines write the report before exporting, so it exists even if the export failed
+        const issues = await readPreflightReport(preflightReportPath);
+        if (issues) {
+          preflightReports.push({ document: documentNames[index], issues });
+        }
+      }
+    }
+
+    // Engines that do not enforce the policy themselves still fail the job here
+    const preflight = preflightReports.length > 0 ? summarizePreflight(preflightReports, policy) : null;
+    if (preflight?.status === 'failed') {
+      throw new PreflightError(`Preflight failed: ${describePreflightIssues(preflight.summary)}`, preflight.summary);
+    }
+    if (preflight?.status === 'warnings') {
+      logger.warn(`Preflight warnings: ${describePreflightIssues(preflight.summary)}`, { preflight: preflight.summary });
+    }
+    if (outputs.length > 1) {
+      await reporter.stage(
+        'combining',
+        selection.combine === 'merge' ? `Merging ${outputs.length} PDFs` : `Zipping ${outputs.length} results`
+      );
+    }
+    const output = await combineOutputs(outputs, selection.combine, path.join(extractPath, '.output'));
+
+    return { output, extractMs, convertMs: Date.now() - convertStart, preflight };
+  } catch (error) {
+    const preflight = preflightReports.length > 0 ? summarizePreflight(preflightReports, policy) : null;
+    if (preflight) {
+      await reporter.update({ preflight });
+    }
+
+    // Report preflight problems rather than the engine error they caused
+    if (preflight?.status === 'failed' && !(error instanceof PreflightError)) {
+      logger.error('Conversion error caused by preflight problems', { error });
+      throw new PreflightError(`Preflight failed: ${describePreflightIssues(preflight.summary)}`, preflight.summary);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Creates a callback that reports extraction progress
+ * Updates are throttled, since every update is persisted; the last entry is always reported
+ * @param {{update: function(Object): Promise}} reporter - Reporter of the conversion
+ * @returns {function({entries: number, totalEntries: number, bytes: number}): void}
+ */
+function createProgressReporter(reporter) {
+  let lastUpdate = 0;
+
+  return (progress) => {
+    const now = Date.now();
+    if (now - lastUpdate < EXTRACTION_PROGRESS_INTERVAL_MS && progress.entries < progress.totalEntries) {
+      return;
+    }
+    lastUpdate = now;
+    reporter.update({ extraction: progress }).catch((error) => {
+      logger.error('Failed to record extraction progress', { error });
+    });
+  };
+}
+
+/**
+ * Combines the outputs of the converted documents into the job's result
+ * @param {{name: string, path: string, contentType: string, extension: string}[]} outputs - One output per document
+ * @param {string} combine - "merge" (single PDF) or "zip"
+ * @param {string} outputDir - Directory for the combined file
+ * @returns {Promise<{path: string, contentType: string, extension: string}>}
+ */
+async function combineOutputs(outputs, combine, outputDir) {
+  if (outputs.length === 1) {
+    return outputs[0];
+  }
+
+  if (combine === 'merge') {
+    const mergedPath = path.join(outputDir, 'merged.pdf');
+    await mergePdfs(outputs.map(output => output.path), mergedPath);
+    return { path: mergedPath, contentType: 'application/pdf', extension: '.pdf' };
+  }
+
+  // Name each entry after its document, keeping the package folder structure
+  const zipPath = path.join(outputDir, 'combined.zip');
+  await zipOutputs(
+    outputs.map(output => ({
+      name: output.name.replace(/\.(indd|idml)$/i, output.extension),
+      path: output.path
+    })),
+    zipPath
+  );
+  return { path: zipPath, contentType: 'application/zip', extension: '.zip' };
+}
+
+/**
+ * Converts a document path into its path relative to the package root
+ * @param {string} rootPath - Directory the package was extracted to
+ * @param {string} documentPath - Absolute document path
+ * @returns {string} - Relative path with forward slashes
+ */
+function toRelativeName(rootPath, documentPath) {
+  return path.relative(rootPath, documentPath).split(path.sep).join('/');
+}
@@ -0,0 +1,111 @@
+import config from '../config/config.js';
+
+/**
+ * In-process FIFO queue that limits how many conversions run at once
+ * Desktop InDesign is a single application instance, so by default only
+ * one job is allowed to drive it at a time
+ */
+export class ConversionQueue {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Maximum number of tasks running at once
+   * @param {number} options.maxDepth - Maximum number of tasks waiting to run
+   */
+  constructor({ concurrency = 1, maxDepth = Infinity } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.maxDepth = maxDepth;
+    this.waiting = [];
+    this.running = new Set();
+  }
+
+  /**
+   * Whether the queue has reached its maximum depth
+   * @returns {boolean}
+   */
+  isFull() {
+    return this.waiting.length >= this.maxDepth;
+  }
+
+  /**
+   * Whether the queue can take this many more tasks without exceeding its maximum depth
+   * @param {number} count - Number of tasks to add
+   * @returns {boolean}
+   */
+  hasRoomFor(count) {
+    return this.waiting.length + count <= this.maxDepth;
+  }
+
+  /**
+   * Adds a task to the end of the queue
+   * @param {string} id - Id used to report the task's queue position
+   * @param {Function} task - Async function that performs the work
+   * @returns {Promise<*>} - Resolves with the task's result once it has run
+   */
+  enqueue(id, task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ id, task, resolve, reject });
+      this.runNext();
+    });
+  }
+
+  /**
+   * Gets a task's position in the queue
+   * @param {string} id - Task id
+   * @returns {number|null} - 1-based position while waiting, 0 while running, null if unknown
+   */
+  getPosition(id) {
+    if (this.running.has(id)) {
+      return 0;
+    }
+
+    const index = this.waiting.findIndex(item => item.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Summarizes the current queue state
+   * @returns {{running: number, waiting: number, concurrency: number, maxDepth: number}}
+   */
+  getStats() {
+    return {
+      running: this.running.size,
+      waiting: this.waiting.length,
+      concurrency: this.concurrency,
+      maxDepth: this.maxDepth
+    };
+  }
+
+  /**
+   * Changes how many tasks may run at once, e.g. as render farm workers come and go
+   * Running tasks are not interrupted when the limit drops
+   * @param {number} concurrency - Maximum number of tasks running at once (0 to hold all tasks)
+   */
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(0, concurrency);
+    this.runNext();
+  }
+
+  /**
+   * Starts waiting tasks while there are free slots
+   */
+  runNext() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      const { id, task, resolve, reject } = this.waiting.shift();
+      this.running.add(id);
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.running.delete(id);
+          this.runNext();
+        });
+    }
+  }
+}
+
+// Shared queue in front of the InDesign conversion pipeline
+export const conversionQueue = new ConversionQueue({
+  concurrency: config.conversionConcurrency,
+  maxDepth: config.maxQueueDepth
+});
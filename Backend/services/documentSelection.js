@@ -0,0 +1,169 @@
+import path from 'path';
+import { ValidationError } from '../utils/errors.js';
+import { EXPORT_FORMATS } from './exportFormats.js';
+
+// How the outputs of several documents are delivered
+export const COMBINE_MODES = ['zip', 'merge'];
+
+/**
+ * Validates which documents of a package to convert and how to combine them
+ * documents may be "all", a single document path, a comma-separated list or
+ * a JSON array; when omitted only the first document is converted.
+ * book picks an InDesign book (.indb) and chapters limits its export to
+ * some of its chapter documents, given in the same list forms
+ * @param {Object} fields - Request body fields
+ * @returns {{documents: 'first'|'all'|string[], combine: string, book: string|null, chapters: string[]|null}}
+ * @throws {ValidationError} - If the selection is malformed
+ */
+export function parseDocumentSelection(fields = {}) {
+  const selection = {
+    documents: parseDocuments(fields.documents),
+    combine: parseCombine(fields.combine),
+    book: isEmpty(fields.book) ? null : String(fields.book).trim(),
+    chapters: isEmpty(fields.chapters) ? null : parseNameList('chapters', fields.chapters)
+  };
+
+  if (selection.documents !== 'first' && (selection.book || selection.chapters)) {
+    throw new ValidationError('Select either documents or a book, not both');
+  }
+  return selection;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function parseDocuments(value) {
+  if (isEmpty(value)) {
+    return 'first';
+  }
+  if (String(value).trim().toLowerCase() === 'all') {
+    return 'all';
+  }
+  return parseNameList('documents', value);
+}
+
+function parseNameList(field, value) {
+  const text = String(value).trim();
+
+  let names;
+  if (text.startsWith('[')) {
+    try {
+      names = JSON.parse(text);
+    } catch {
+      throw new ValidationError(`Invalid ${field} list: expected a JSON array of document paths`);
+    }
+    if (!Array.isArray(names) || !names.every(name => typeof name === 'string')) {
+      throw new ValidationError(`Invalid ${field} list: expected a JSON array of document paths`);
+    }
+  } else {
+    names = text.split(',');
+  }
+
+  names = names.map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    throw new ValidationError(`Invalid ${field} list: no document names given`);
+  }
+  return names;
+}
+
+function parseCombine(value) {
+  if (isEmpty(value)) {
+    return 'zip';
+  }
+
+  const combine = String(value).trim().toLowerCase();
+  if (!COMBINE_MODES.includes(combine)) {
+    throw new ValidationError(`Invalid combine mode: ${value}. Expected one of: ${COMBINE_MODES.join(', ')}`);
+  }
+  return combine;
+}
+
+/**
+ * Resolves a document selection against the documents found in a package
+ * Names match a document's path relative to the package root, or its file
+ * name when that is unique in the package
+ * @param {string[]} documentPaths - Absolute paths of the documents, in package order
+ * @param {string} rootPath - Directory the package was extracted to
+ * @param {'first'|'all'|string[]} documents - Parsed selection
+ * @returns {string[]} - Absolute paths of the selected documents, in the requested order
+ * @throws {ValidationError} - If a named document is missing or ambiguous
+ */
+export function selectDocuments(documentPaths, rootPath, documents) {
+  if (documents === 'first') {
+    return documentPaths.slice(0, 1);
+  }
+  if (documents === 'all') {
+    return documentPaths;
+  }
+
+  return documents.map(name => resolveName(documentPaths, rootPath, name, 'Document'));
+}
+
+/**
+ * Decides whether a job converts an InDesign book (.indb) instead of documents
+ * A named book or chapter list always selects a book; otherwise the first
+ * book in the package is used when no documents were picked and the format
+ * can be exported from a book
+ * @param {string[]} bookPaths - Absolute paths of the books, in package order
+ * @param {string} rootPath - Directory the package was extracted to
+ * @param {Object} selection - Parsed selection (see parseDocumentSelection)
+ * @param {string} format - Requested output format
+ * @returns {string|null} - Absolute path of the book, or null to convert documents
+ * @throws {ValidationError} - If the requested book is missing or ambiguous
+ */
+export function selectBook(bookPaths, rootPath, selection, format) {
+  if (selection.book) {
+    return resolveName(bookPaths, rootPath, selection.book, 'Book');
+  }
+
+  if (selection.chapters) {
+    if (bookPaths.length === 0) {
+      throw new ValidationError('Chapters were selected but the package has no InDesign book (.indb)', null, 'NO_BOOK');
+    }
+    return bookPaths[0];
+  }
+
+  if (selection.documents === 'first' && bookPaths.length > 0 && EXPORT_FORMATS[format].bookExport) {
+    return bookPaths[0];
+  }
+  return null;
+}
+
+/**
+ * Finds the file a name refers to
+ * @param {string[]} filePaths - Absolute paths to choose from
+ * @param {string} rootPath - Directory the package was extracted to
+ * @param {string} name - Path relative to rootPath, or a unique file name
+ * @param {string} kind - "Document" or "Book", for error messages
+ * @returns {string} - Absolute path of the file
+ * @throws {ValidationError} - If the name matches no file or several files
+ */
+function resolveName(filePaths, rootPath, name, kind) {
+  const relativePaths = filePaths.map(filePath =>
+    path.relative(rootPath, filePath).split(path.sep).join('/')
+  );
+  const available = { [`available${kind}s`]: relativePaths };
+  const normalized = name.replace(/\\/g, '/').replace(/^\.?\//, '');
+
+  const exactIndex = relativePaths.indexOf(normalized);
+  if (exactIndex !== -1) {
+    return filePaths[exactIndex];
+  }
+
+  const byName = relativePaths
+    .map((relativePath, index) => ({ relativePath, index }))
+    .filter(({ relativePath }) => path.posix.basename(relativePath) === normalized);
+
+  if (byName.length === 1) {
+    return filePaths[byName[0].index];
+  }
+  if (byName.length > 1) {
+    throw new ValidationError(
+      `${kind} name "${name}" is ambiguous; use its full path in the package`,
+      available,
+      'DOCUMENT_AMBIGUOUS'
+    );
+  }
+  throw new ValidationError(`${kind} not found in package: ${name}`, available, 'DOCUMENT_NOT_FOUND');
+}
@@ -0,0 +1,135 @@
+import { spawn } from "child_process";
+import path from "path";
+import readline from "readline";
+import config from "../../config/config.js";
+import { EngineUnavailableError, EngineTimeoutError, ExportFailedError } from "../../utils/errors.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Command engine: runs an arbitrary converter from a command template
+ * (CONVERSION_COMMAND). The template is split into arguments and run
+ * without a shell; these placeholders are substituted in each argument:
+ *   {input}     - path to the .indd, .idml or .indb file
+ *   {output}    - path where the output must be written (a directory for
+ *                 per-page image formats, to be filled with one file per page)
+ *   {outputDir} - directory of the output
+ *   {format}    - requested output format (pdf, idml, epub-fixed, png, ...)
+ *   {chapters}  - for books, comma-separated file names of the chapters to
+ *                 export (empty for the whole book)
+ *   {preflightReport} - where the command may write a preflight report
+ *                 (JSON, see services/preflight.js); the job records no
+ *                 preflight result when no report is written
+ * Lines the command prints to stdout are shown as progress on the job.
+ */
+const commandEngine = {
+  name: "command",
+  convert,
+  isAvailable,
+};
+
+export default commandEngine;
+
+/**
+ * Runs the configured command to convert an InDesign file
+ * @param {string} indesignFilePath - Path to the .indd, .idml or .indb file
+ * @param {string} outputPath - Output file, or output directory for per-page image formats
+ * @param {Object} exportOptions - Normalized export options, including format
+ * @param {{chapters?: string[]|null, preflightReportPath?: string|null, onProgress?: Function}} context - For
+ *   books, file names of the chapters to export (null for all); where to write the preflight report;
+ *   called with each progress line the converter prints
+ * @returns {Promise<void>}
+ */
+async function convert(indesignFilePath, outputPath, exportOptions = {}, context = {}) {
+  if (!config.conversionCommand) {
+    throw new EngineUnavailableError("CONVERSION_COMMAND is not configured for the command engine");
+  }
+
+  const values = {
+    input: indesignFilePath,
+    output: outputPath,
+    outputDir: path.dirname(outputPath),
+    format: exportOptions.format || "pdf",
+    chapters: context.chapters ? context.chapters.join(",") : "",
+    preflightReport: context.preflightReportPath || "",
+  };
+  const [command, ...args] = splitCommand(config.conversionCommand).map((arg) =>
+    arg.replace(/\{(input|output|outputDir|format|chapters|preflightReport)\}/g, (match, key) => values[key])
+  );
+
+  await new Promise((resolve, reject) => {
+    logger.info(`Running conversion command: ${command} ${args.join(" ")}`);
+    const childProcess = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+
+    let output = "";
+    const timeout = setTimeout(() => {
+      childProcess.kill("SIGKILL");
+      reject(new EngineTimeoutError(
+        `Conversion command timed out after ${config.conversionTimeoutMs / 1000} seconds`,
+        { timeoutSeconds: config.conversionTimeoutMs / 1000 }
+      ));
+    }, config.conversionTimeoutMs);
+
+    childProcess.stdout.on("data", (data) => {
+      output += data.toString();
+    });
+
+    // Each line the command prints is reported as progress
+    readline.createInterface({ input: childProcess.stdout }).on("line", (line) => {
+      if (line.trim()) {
+        logger.info("Command output", { stream: "stdout", line: line.trim() });
+        context.onProgress?.(line.trim());
+      }
+    });
+
+    childProcess.stderr.on("data", (data) => {
+      output += data.toString();
+    });
+    readline.createInterface({ input: childProcess.stderr }).on("line", (line) => {
+      if (line.trim()) {
+        logger.info("Command output", { stream: "stderr", line: line.trim() });
+      }
+    });
+
+    childProcess.on("error", (error) => {
+      clearTimeout(timeout);
+      reject(new EngineUnavailableError(`Failed to run conversion command: ${error.message}`, { command }));
+    });
+
+    childProcess.on("close", (code) => {
+      clearTimeout(timeout);
+      if (code !== 0) {
+        reject(new ExportFailedError(
+          `Conversion command failed: ${output.trim() || `Exit code ${code}`}`,
+          { exitCode: code, output: output.trim().slice(-4000) }
+        ));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Splits a command template into arguments, honouring single and double quotes
+ * @param {string} template - Command template
+ * @returns {string[]}
+ */
+function splitCommand(template) {
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(template)) !== null) {
+    args.push(match[1] ?? match[2] ?? match[3]);
+  }
+
+  return args;
+}
+
+/**
+ * The command engine is available once a command template is configured
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable() {
+  return Boolean(config.conversionCommand);
+}
@@ -0,0 +1,672 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import readline from "readline";
+import { v4 as uuidv4 } from "uuid";
+import config from "../../config/config.js";
+import { IMAGE_COMPRESSION_TYPES } from "../exportOptions.js";
+import { EngineUnavailableError, EngineTimeoutError, ScriptError } from "../../utils/errors.js";
+import { InDesignSession } from "./indesignSession.js";
+import { buildConversionScript } from "./scriptBuilder.js";
+import { loadPreExportScript } from "../preExportScripts.js";
+import { discoverInstalls, resolveInstall } from "./indesignInstalls.js";
+import logger, { bindLogContext } from "../../utils/logger.js";
+
+/**
+ * Desktop engine: drives a locally installed Adobe InDesign application
+ * through a generated ExtendScript (macOS via AppleScript, Windows via -ScriptPath)
+ * InDesign is launched for each job and quits when it is done, or with
+ * INDESIGN_SESSION=true kept running and sent one script per job
+ * The installation is discovered (see indesignInstalls.js); jobs may ask for a
+ * specific version with the indesignVersion export option
+ */
+const desktopEngine = {
+  name: "desktop",
+  convert,
+  isAvailable,
+  getStatus,
+  shutdown,
+};
+
+export default desktopEngine;
+
+/**
+ * Converts an InDesign file using desktop Adobe InDesign
+ * @param {string} indesignFilePath - Path to the .indd, .idml or .indb file
+ * @param {string} outputPath - Output file, or output directory for per-page image formats
+ * @param {Object} exportOptions - Normalized export options, including format
+ * @param {{chapters?: string[]|null, preflightReportPath?: string|null, onProgress?: Function}} context - For
+ *   books, file names of the chapters to export (null for all); where to write the preflight report;
+ *   called with each progress line the converter prints
+ * @returns {Promise<void>}
+ */
+async function convert(indesignFilePath, outputPath, exportOptions, context = {}) {
+  await executeInDesignScript(indesignFilePath, outputPath, exportOptions, context);
+}
+
+/**
+ * Converts a path for ExtendScript's File(), which accepts forward slashes on every platform
+ * @param {string} filePath - Native path
+ * @returns {string}
+ */
+function toScriptPath(filePath) {
+  return filePath.replace(/\\/g, "/");
+}
+
+/**
+ * Executes ExtendScript via desktop InDesign application
+ * Books (.indb) are opened through the book API and exported as a whole
+ * @param {string} indesignFilePath - Path to the InDesign file or book
+ * @param {string} outputPath - Output file, or output directory for per-page image formats
+ * @param {Object} exportOptions - Normalized export options, including format
+ * @param {{chapters?: string[]|null, preflightReportPath?: string|null, onProgress?: Function}} context - For
+ *   books, file names of the chapters to export (null for all); where to write the preflight report;
+ *   called with each progress line the converter prints
+ */
+async function executeInDesignScript(indesignFilePath, outputPath, exportOptions, context = {}) {
+  // Map API option names to the ExtendScript enumeration names they select
+  const { preExportScripts: selectedScripts = [], ...options } = exportOptions;
+  const scriptOptions = {
+    ...options,
+    imageCompression: options.imageCompression
+      ? IMAGE_COMPRESSION_TYPES[options.imageCompression]
+      : null,
+  };
+
+  // Create temporary ExtendScript file; the name is unique so concurrent jobs
+  // (CONVERSION_CONCURRENCY) never share a script or its AppleScript/VBScript
+  const scriptPath = path.join(os.tmpdir(), `indesign_export_${uuidv4()}.jsx`);
+
+  // Every value reaches the script JSON-encoded; see scriptBuilder.js
+  const preExportScripts = await Promise.all(
+    selectedScripts.map(async ({ name, params }) => {
+      const { source } = await loadPreExportScript(name);
+      return { name, source, params };
+    })
+  );
+  const script = await buildConversionScript(
+    {
+      sourcePath: toScriptPath(indesignFilePath),
+      outputPath: toScriptPath(outputPath),
+      exportOptions: scriptOptions,
+      chapters: context.chapters || null,
+      preflightReportPath: context.preflightReportPath ? toScriptPath(context.preflightReportPath) : null,
+      preflightMinPpi: config.preflightMinImagePpi,
+      quitWhenDone: !config.indesignSession,
+    },
+    preExportScripts
+  );
+
+  try {
+    // Write script to temporary file
+    await fs.writeFile(scriptPath, script, "utf8");
+
+    // Execute InDesign with the script
+    // The paths are also passed through the environment for stand-in executables
+    const scriptEnv = {
+      INDESIGN_SOURCE_PATH: indesignFilePath,
+      INDESIGN_OUTPUT_PATH: outputPath,
+      INDESIGN_EXPORT_FORMAT: exportOptions.format,
+    };
+    const install = await resolveInstall(exportOptions.indesignVersion);
+    logger.info(`Using Adobe InDesign ${install.version || "at"} ${install.executablePath}`, {
+      version: install.version,
+      session: config.indesignSession,
+    });
+    if (config.indesignSession) {
+      const session = await getSession(install);
+      await session.run(scriptPath, scriptEnv, context.onProgress);
+    } else {
+      await runInDesignWithScript(install, scriptPath, scriptEnv, context.onProgress);
+    }
+
+    // Clean up temporary script file
+    await fs.unlink(scriptPath).catch(() => {});
+  } catch (error) {
+    // Clean up temporary script file on error
+    await fs.unlink(scriptPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Writes the AppleScript that makes InDesign run an ExtendScript file
+ * @param {string} scriptPath - Path to the .jsx script file
+ * @param {{applicationName: string}} install - The InDesign installation to run it in
+ * @param {Object} options
+ * @param {boolean} options.activate - Bring InDesign to the front (and launch it if needed)
+ * @returns {Promise<string>} - Path of the AppleScript file
+ */
+async function writeAppleScript(scriptPath, install, { activate = true } = {}) {
+  const appleScriptPath = scriptPath.replace(".jsx", ".scpt");
+  const appleScriptContent = `tell application "${install.applicationName}"
+${activate ? "\tactivate\n" : ""}\tset scriptFile to POSIX file "${scriptPath}"
+\tdo script scriptFile language javascript
+end tell`;
+
+  await fs.writeFile(appleScriptPath, appleScriptContent, "utf8");
+  return appleScriptPath;
+}
+
+/**
+ * Turns the result of a script run into the error it reports, if any
+ * The script reports its own failures as "ERROR: <message>"
+ * @param {number} exitCode - Exit code of the process that ran the script
+ * @param {string} stdout - Its standard output
+ * @param {string} stderr - Its standard error
+ * @returns {ScriptError|null} - The error, or null if the script succeeded
+ */
+function toScriptError(exitCode, stdout, stderr) {
+  // Filter out macOS objc duplicate class warnings (they're harmless)
+  const filteredStderr = stderr
+    .split("\n")
+    .filter(
+      (line) =>
+        !line.includes("Class AdobeSimpleURLSession") &&
+        !line.includes("objc[") &&
+        !line.includes("is implemented in both") &&
+        !line.includes("One of the duplicates must be removed")
+    )
+    .join("\n")
+    .trim();
+
+  if (exitCode === 0 && !filteredStderr.includes("ERROR:")) {
+    return null;
+  }
+
+  const output = filteredStderr || stdout;
+  const errorLine = output.split("\n").find((line) => line.includes("ERROR:"));
+  return new ScriptError(
+    errorLine
+      ? `InDesign reported an error: ${errorLine.slice(errorLine.indexOf("ERROR:") + 6).trim()}`
+      : `InDesign script execution failed: ${output || `Exit code ${exitCode}`}`,
+    { exitCode, output: output.slice(-4000) }
+  );
+}
+
+/**
+ * Runs Adobe InDesign with an ExtendScript file
+ * @param {{executablePath: string, applicationName: string}} install - The InDesign installation to run
+ * @param {string} scriptPath - Path to the .jsx script file
+ * @param {Object} scriptEnv - Extra environment variables for the spawned process
+ * @param {Function} onOutputLine - Optional; called with each line the script writes to stdout
+ */
+async function runInDesignWithScript(install, scriptPath, scriptEnv = {}, onOutputLine = null) {
+  return new Promise(async (resolve, reject) => {
+    logger.info("Starting InDesign process...");
+    const platform = os.platform();
+    let indesignPath = install.executablePath;
+    let args;
+    let appleScriptPath = null;
+
+    // Set up command arguments based on platform
+    if (platform === "darwin") {
+      // macOS: Create AppleScript file to execute the ExtendScript
+      appleScriptPath = await writeAppleScript(scriptPath, install);
+
+      indesignPath = "osascript";
+      args = [appleScriptPath];
+    } else {
+      // Windows: Use -ScriptPath argument
+      // Other platforms only get here with an explicitly configured executable,
+      // e.g. a stand-in that writes a PDF (see fake-indesign.sh)
+      args = ["-ScriptPath", scriptPath];
+    }
+
+    // Set up environment to suppress macOS duplicate class warnings
+    const env = {
+      ...process.env,
+      ...scriptEnv,
+      OBJC_DISABLE_INITIALIZE_FORK_SAFETY: "YES",
+    };
+
+    const childProcess = spawn(indesignPath, args, {
+      stdio: ["ignore", "pipe", "pipe"],
+      env: env,
+      detached: false,
+    });
+
+    logger.info("InDesign process spawned", { pid: childProcess.pid });
+
+    let stdout = "";
+    let stderr = "";
+    let isResolved = false;
+
+    // Stop InDesign if the conversion takes longer than CONVERSION_TIMEOUT_SECONDS
+    const timeoutSeconds = config.conversionTimeoutMs / 1000;
+    const timeout = setTimeout(() => {
+      if (!isResolved) {
+        logger.warn("InDesign process timed out; killing it", { pid: childProcess.pid, timeoutSeconds });
+        childProcess.kill("SIGTERM");
+        setTimeout(() => {
+          if (!childProcess.killed) {
+            childProcess.kill("SIGKILL");
+          }
+        }, 5000);
+        reject(
+          new EngineTimeoutError(
+            `InDesign process timed out after ${timeoutSeconds} seconds. This may indicate missing fonts, missing links, or InDesign waiting for user input.`,
+            { timeoutSeconds }
+          )
+        );
+      }
+    }, config.conversionTimeoutMs);
+
+    childProcess.stdout.on("data", (data) => {
+      stdout += data.toString();
+    });
+
+    // The script reports its stages ("Opening InDesign document...", "Starting PDF export...") line by line
+    readline.createInterface({ input: childProcess.stdout }).on("line", (line) => {
+      if (line.trim()) {
+        logger.info("InDesign output", { stream: "stdout", line: line.trim() });
+        onOutputLine?.(line.trim());
+      }
+    });
+
+    childProcess.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+    readline.createInterface({ input: childProcess.stderr }).on("line", (line) => {
+      if (line.trim()) {
+        logger.info("InDesign output", { stream: "stderr", line: line.trim() });
+      }
+    });
+
+    const removeAppleScript = () => {
+      if (appleScriptPath) {
+        fs.unlink(appleScriptPath).catch(() => {});
+      }
+    };
+
+    childProcess.on("error", (error) => {
+      isResolved = true;
+      clearTimeout(timeout);
+      removeAppleScript();
+      reject(
+        new EngineUnavailableError(
+          `Failed to launch InDesign: ${error.message}. Please ensure InDesign is installed at: ${indesignPath}`,
+          { path: indesignPath }
+        )
+      );
+    });
+
+    childProcess.on("close", (code) => {
+      isResolved = true;
+      clearTimeout(timeout);
+      removeAppleScript();
+
+      const error = toScriptError(code, stdout, stderr);
+      if (error) {
+        logger.warn("InDesign script failed", { exitCode: code, error: error.message });
+        reject(error);
+      } else {
+        logger.info("InDesign script finished", { exitCode: code });
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// Session mode (INDESIGN_SESSION): InDesign is launched once and receives
+// one script per job; see indesignSession.js for the lifecycle
+
+// Lifecycle scripts of the session. The startup script remembers the
+// preferences conversion scripts change, in a persistent script engine, so
+// the reset script can restore them after each job
+const SESSION_SCRIPTS = {
+  startup: `
+#target indesign
+#targetengine "indesignConverter"
+
+var converterDefaults = {};
+var preferenceNames = ["scriptPreferences", "pdfExportPreferences", "interactivePDFExportPreferences",
+  "jpegExportPreferences", "pngExportPreferences"];
+for (var i = 0; i < preferenceNames.length; i++) {
+  converterDefaults[preferenceNames[i]] = app[preferenceNames[i]].properties;
+}
+
+"READY " + app.version;
+`,
+  healthCheck: `
+#target indesign
+#targetengine "indesignConverter"
+
+if (typeof converterDefaults === "undefined") {
+  throw new Error("Session state was lost");
+}
+
+"OK " + app.version + ", open documents: " + app.documents.length;
+`,
+  reset: `
+#target indesign
+#targetengine "indesignConverter"
+
+// Closing must not wait for "save changes?" dialogs
+app.scriptPreferences.userInteractionLevel = UserInteractionLevels.NEVER_INTERACT;
+
+while (app.books.length > 0) {
+  app.books[0].close(SaveOptions.NO);
+}
+while (app.documents.length > 0) {
+  app.documents[0].close(SaveOptions.NO);
+}
+
+// Read-only properties cannot be set and are skipped
+for (var name in converterDefaults) {
+  var defaults = converterDefaults[name];
+  for (var key in defaults) {
+    try {
+      app[name][key] = defaults[key];
+    } catch (e) {}
+  }
+}
+
+"RESET";
+`,
+  quit: `
+#target indesign
+
+app.quit(SaveOptions.NO);
+`,
+};
+
+// One session per installation, keyed by executable path; a version is only
+// launched once a job asks for it
+const sessions = new Map();
+
+/**
+ * Gets the session that keeps an InDesign installation running, creating it on first use
+ * @param {{version: string|null, executablePath: string, applicationName: string}} install - The installation
+ * @returns {Promise<InDesignSession>}
+ */
+function getSession(install) {
+  if (!sessions.has(install.executablePath)) {
+    const sessionPromise = createSession(install).catch((error) => {
+      sessions.delete(install.executablePath);
+      throw error;
+    });
+    sessions.set(install.executablePath, { install, sessionPromise });
+  }
+  return sessions.get(install.executablePath).sessionPromise;
+}
+
+/**
+ * Writes the lifecycle scripts and creates the session
+ * @param {Object} install - The InDesign installation the session runs
+ * @returns {Promise<InDesignSession>}
+ */
+async function createSession(install) {
+  const scriptDir = await fs.mkdtemp(path.join(os.tmpdir(), "indesign_session_"));
+  const scripts = {};
+  for (const [name, content] of Object.entries(SESSION_SCRIPTS)) {
+    scripts[name] = path.join(scriptDir, `${name}.jsx`);
+    await fs.writeFile(scripts[name], content, "utf8");
+  }
+
+  return new InDesignSession({
+    launch: () => launchInDesign(install),
+    send: (scriptPath, scriptEnv, options) => sendScriptToInDesign(install, scriptPath, scriptEnv, options),
+    scripts,
+    maxJobs: config.indesignSessionMaxJobs,
+    jobTimeoutMs: config.conversionTimeoutMs,
+    startupTimeoutMs: config.indesignStartupTimeoutMs,
+    healthCheckTimeoutMs: config.indesignHealthCheckTimeoutMs,
+  });
+}
+
+/**
+ * Whether InDesign is a stand-in that receives scripts over stdin
+ * (see fake-indesign-session.js) rather than the real application
+ * @returns {boolean}
+ */
+function isStandIn() {
+  const platform = os.platform();
+  return platform !== "darwin" && platform !== "win32";
+}
+
+/**
+ * Starts the long-lived InDesign process of the session
+ * @param {{executablePath: string}} install - The InDesign installation to launch
+ * @returns {ChildProcess}
+ */
+function launchInDesign(install) {
+  const standIn = isStandIn();
+  const app = spawn(install.executablePath, standIn ? ["-session"] : [], {
+    stdio: standIn ? ["pipe", "pipe", "inherit"] : "ignore",
+    env: { ...process.env, OBJC_DISABLE_INITIALIZE_FORK_SAFETY: "YES" },
+    detached: false,
+  });
+
+  // Writing to a stand-in that has exited must not crash the server; the
+  // session notices the exit
+  app.stdin?.on("error", () => {});
+  return app;
+}
+
+/**
+ * Runs a script in the running InDesign: through AppleScript on macOS, through
+ * InDesign's COM interface on Windows and over stdin for stand-ins
+ * @param {{version: string|null, applicationName: string}} install - The InDesign installation running
+ * @param {string} scriptPath - Path to the .jsx script file
+ * @param {Object} scriptEnv - Values for stand-ins, like the environment of runInDesignWithScript
+ * @param {{app: ChildProcess, onOutputLine?: Function, signal: AbortSignal}} options - The InDesign
+ *   process; called with each line the script prints; aborts the script
+ * @returns {Promise<string>} - The script output
+ */
+async function sendScriptToInDesign(install, scriptPath, scriptEnv, { app, onOutputLine = null, signal }) {
+  const platform = os.platform();
+
+  if (platform === "darwin") {
+    const appleScriptPath = await writeAppleScript(scriptPath, install, { activate: false });
+    try {
+      return await runScriptSender("osascript", [appleScriptPath], onOutputLine, signal);
+    } finally {
+      await fs.unlink(appleScriptPath).catch(() => {});
+    }
+  }
+
+  if (platform === "win32") {
+    // 1246973031 is ScriptLanguage.JAVASCRIPT. Each version registers its own
+    // COM class, e.g. InDesign.Application.2024 or InDesign.Application.CC.2019
+    const progId = install.version ? `InDesign.Application.${install.version.replace(/ /g, ".")}` : "InDesign.Application";
+    const vbScriptPath = scriptPath.replace(".jsx", ".vbs");
+    const vbScriptContent = `Set app = CreateObject("${progId}")
+WScript.Echo app.DoScript("${scriptPath.replace(/"/g, '""')}", 1246973031)
+`;
+    await fs.writeFile(vbScriptPath, vbScriptContent, "utf8");
+    try {
+      return await runScriptSender("cscript", ["//NoLogo", vbScriptPath], onOutputLine, signal);
+    } finally {
+      await fs.unlink(vbScriptPath).catch(() => {});
+    }
+  }
+
+  return sendScriptOverStdio(app, scriptPath, scriptEnv, onOutputLine, signal);
+}
+
+/**
+ * Runs a short-lived process that hands a script to the running InDesign
+ * @param {string} command - osascript or cscript
+ * @param {string[]} args - Its arguments
+ * @param {Function} onOutputLine - Optional; called with each line it prints
+ * @param {AbortSignal} signal - Stops the process
+ * @returns {Promise<string>} - Its output
+ */
+function runScriptSender(command, args, onOutputLine, signal) {
+  return new Promise((resolve, reject) => {
+    const sender = spawn(command, args, {
+      stdio: ["ignore", "pipe", "pipe"],
+      env: { ...process.env, OBJC_DISABLE_INITIALIZE_FORK_SAFETY: "YES" },
+      signal,
+    });
+
+    let stdout = "";
+    let stderr = "";
+
+    sender.stdout.on("data", (data) => {
+      stdout += data.toString();
+    });
+    readline.createInterface({ input: sender.stdout }).on("line", (line) => {
+      if (line.trim()) {
+        logger.info("InDesign output", { stream: "stdout", line: line.trim() });
+        onOutputLine?.(line.trim());
+      }
+    });
+    sender.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+
+    sender.on("error", (error) => {
+      reject(
+        error.name === "AbortError"
+          ? error
+          : new EngineUnavailableError(`Failed to run ${command}: ${error.message}`, { command })
+      );
+    });
+
+    sender.on("close", (code) => {
+      const error = toScriptError(code, stdout, stderr);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// Readers of the stand-ins' stdout, one per process
+const standInReaders = new WeakMap();
+let nextStandInRequestId = 1;
+
+/**
+ * Sends a script to a stand-in as a JSON line on its stdin
+ * The stand-in answers with {"id", "line"} for each line the script prints and
+ * finally {"id", "done": true, "error"} (error is null on success)
+ * @param {ChildProcess} app - The stand-in process
+ * @param {string} scriptPath - Path to the .jsx script file
+ * @param {Object} scriptEnv - Values for the stand-in
+ * @param {Function} onOutputLine - Optional; called with each line the script prints
+ * @param {AbortSignal} signal - Stops waiting for the answer
+ * @returns {Promise<string>} - The script output
+ */
+function sendScriptOverStdio(app, scriptPath, scriptEnv, onOutputLine, signal) {
+  return new Promise((resolve, reject) => {
+    if (!standInReaders.has(app)) {
+      standInReaders.set(app, readline.createInterface({ input: app.stdout }));
+    }
+    const reader = standInReaders.get(app);
+    const id = nextStandInRequestId++;
+    let output = "";
+
+    const stopListening = () => {
+      reader.off("line", onLine);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const onAbort = () => {
+      stopListening();
+      reject(signal.reason);
+    };
+    // The reader outlives this script, so its lines are logged in the context of the job that sent it
+    const onLine = bindLogContext((text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        return;
+      }
+      // Answers to scripts that were given up on are ignored
+      if (message.id !== id) {
+        return;
+      }
+
+      if (!message.done) {
+        logger.info("InDesign output", { stream: "stdout", line: message.line });
+        output += `${message.line}\n`;
+        onOutputLine?.(message.line);
+        return;
+      }
+
+      stopListening();
+      if (message.error) {
+        reject(new ScriptError(`InDesign reported an error: ${message.error}`, { output: output.slice(-4000) }));
+      } else {
+        resolve(output);
+      }
+    });
+
+    reader.on("line", onLine);
+    signal?.addEventListener("abort", onAbort);
+    app.stdin.write(`${JSON.stringify({ id, script: scriptPath, env: scriptEnv })}\n`);
+  });
+}
+
+/**
+ * Gets the installed InDesign versions and the state of the InDesign sessions
+ * @returns {Promise<{mode: string, version: string|null, installs: Object[], sessions: Object[]}>} - version is
+ *   the one jobs use unless they ask for another (null if none is found); sessions lists the installations
+ *   launched in session mode
+ */
+async function getStatus() {
+  const defaultInstall = await resolveInstall().catch(() => null);
+  // INDESIGN_APP_PATH is the only installation used when it is set
+  const installs = config.indesignAppPath ? [defaultInstall] : await discoverInstalls();
+  const sessionStatus = await Promise.all(
+    [...sessions.values()].map(async ({ install, sessionPromise }) => ({
+      version: install.version,
+      ...(await sessionPromise.catch(() => null))?.getStatus(),
+    }))
+  );
+
+  return {
+    mode: config.indesignSession ? "session" : "launch-per-job",
+    version: defaultInstall?.version || null,
+    installs: installs.map((install) => ({
+      version: install.version,
+      path: install.executablePath,
+    })),
+    sessions: sessionStatus,
+  };
+}
+
+/**
+ * Quits the InDesign sessions that are running
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+  await Promise.all(
+    [...sessions.values()].map(async ({ sessionPromise }) => {
+      const session = await sessionPromise.catch(() => null);
+      await session?.shutdown();
+    })
+  );
+}
+
+/**
+ * Checks if a file exists
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>}
+ */
+async function checkFileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Tests if Adobe InDesign application is available
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable() {
+  try {
+    const install = await resolveInstall();
+    return await checkFileExists(install.executablePath);
+  } catch (error) {
+    return false;
+  }
+}
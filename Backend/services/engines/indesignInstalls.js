@@ -0,0 +1,152 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import config from "../../config/config.js";
+import { EngineUnavailableError } from "../../utils/errors.js";
+
+// Install folders are named after the release, e.g. "Adobe InDesign 2024" or "Adobe InDesign CC 2019"
+const INSTALL_FOLDER_PATTERN = /^Adobe InDesign (.+)$/;
+
+/**
+ * Gets the folders InDesign installations are looked for in
+ * INDESIGN_INSTALL_ROOTS replaces the platform's standard locations
+ * @param {string} platform - Platform, as reported by os.platform()
+ * @returns {string[]}
+ */
+export function getInstallRoots(platform = os.platform()) {
+  if (config.indesignInstallRoots.length > 0) {
+    return config.indesignInstallRoots;
+  }
+
+  if (platform === "darwin") {
+    return ["/Applications"];
+  }
+  if (platform === "win32") {
+    const programFolders = [process.env.ProgramFiles || "C:\\Program Files", process.env["ProgramFiles(x86)"]];
+    return [...new Set(programFolders.filter(Boolean))].map((folder) => path.join(folder, "Adobe"));
+  }
+  return [];
+}
+
+/**
+ * Finds the InDesign installations in the install roots
+ * On macOS each is an application bundle ("Adobe InDesign 2024/Adobe InDesign 2024.app");
+ * elsewhere a folder with InDesign.exe ("Adobe\Adobe InDesign 2024\InDesign.exe")
+ * @param {{roots?: string[], platform?: string}} options - Folders to search and the install
+ *   layout to expect; default to this machine's
+ * @returns {Promise<{version: string, executablePath: string, applicationName: string}[]>} - Newest first
+ */
+export async function discoverInstalls({ platform = os.platform(), roots = getInstallRoots(platform) } = {}) {
+  const installs = [];
+
+  for (const root of roots) {
+    let entries;
+    try {
+      entries = await fs.readdir(root, { withFileTypes: true });
+    } catch {
+      // Roots that do not exist on this machine are skipped
+      continue;
+    }
+
+    for (const entry of entries) {
+      const match = entry.isDirectory() && INSTALL_FOLDER_PATTERN.exec(entry.name);
+      if (!match || installs.some((install) => install.version === match[1])) {
+        continue;
+      }
+
+      const executablePath =
+        platform === "darwin"
+          ? path.join(root, entry.name, `${entry.name}.app`, "Contents", "MacOS", entry.name)
+          : path.join(root, entry.name, "InDesign.exe");
+      if (await isFile(executablePath)) {
+        installs.push({ version: match[1], executablePath, applicationName: entry.name });
+      }
+    }
+  }
+
+  return installs.sort(compareVersions);
+}
+
+/**
+ * Picks the InDesign installation to convert with
+ * A job's version comes first, then INDESIGN_VERSION, then the newest installation.
+ * INDESIGN_APP_PATH bypasses discovery: it is the only installation used.
+ * @param {string|null} version - Version the job asks for, e.g. "2024"
+ * @returns {Promise<{version: string|null, executablePath: string, applicationName: string}>}
+ * @throws {EngineUnavailableError} - If no installation, or none of the requested version, is found
+ */
+export async function resolveInstall(version = null) {
+  const requested = version || config.indesignVersion;
+
+  if (config.indesignAppPath) {
+    const install = describeExecutable(config.indesignAppPath);
+    if (version && !sameVersion(install.version, version)) {
+      throw new EngineUnavailableError(`Adobe InDesign ${version} is not available: INDESIGN_APP_PATH selects another version`, {
+        requestedVersion: version,
+        installedVersions: install.version ? [install.version] : [],
+      });
+    }
+    return install;
+  }
+
+  const roots = getInstallRoots();
+  if (roots.length === 0) {
+    throw new EngineUnavailableError("Unsupported platform for Adobe InDesign automation", { platform: os.platform() });
+  }
+
+  const installs = await discoverInstalls({ roots });
+  if (installs.length === 0) {
+    throw new EngineUnavailableError("No Adobe InDesign installation found", { installRoots: roots });
+  }
+  if (!requested) {
+    return installs[0];
+  }
+
+  const install = installs.find((candidate) => sameVersion(candidate.version, requested));
+  if (!install) {
+    throw new EngineUnavailableError(`Adobe InDesign ${requested} is not installed`, {
+      requestedVersion: requested,
+      installedVersions: installs.map((candidate) => candidate.version),
+    });
+  }
+  return install;
+}
+
+/**
+ * Describes a configured executable, taking the version and application name from its path
+ * when it lies in an install folder
+ * @param {string} executablePath - Path to the InDesign executable
+ * @returns {{version: string|null, executablePath: string, applicationName: string}}
+ */
+function describeExecutable(executablePath) {
+  const folders = executablePath.split(/[\\/]/);
+  const installFolder = folders.find((folder) => INSTALL_FOLDER_PATTERN.test(folder));
+  const bundle = folders.find((folder) => folder.endsWith(".app"));
+
+  return {
+    version: installFolder ? INSTALL_FOLDER_PATTERN.exec(installFolder)[1] : null,
+    executablePath,
+    applicationName: bundle ? bundle.slice(0, -".app".length) : installFolder || "Adobe InDesign",
+  };
+}
+
+function sameVersion(a, b) {
+  return Boolean(a) && a.toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Orders installations newest first by the release year in their version
+ * ("CC 2019" before "CC 2018"), then by name
+ */
+function compareVersions(a, b) {
+  const year = (install) => Number(/\d{4}/.exec(install.version)?.[0] || 0);
+  return year(b) - year(a) || b.version.localeCompare(a.version);
+}
+
+async function isFile(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch {
+    return false;
+  }
+}
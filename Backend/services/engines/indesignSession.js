@@ -0,0 +1,345 @@
+import { EngineUnavailableError, EngineTimeoutError, ScriptError } from "../../utils/errors.js";
+import logger, { withLogContext } from "../../utils/logger.js";
+import { recordInDesignRestart } from "../metrics.js";
+
+/**
+ * Keeps one InDesign process running across conversions and sends it one
+ * script per job, instead of paying InDesign's cold start for every job
+ *
+ * The session only manages the lifecycle; how the process is started and
+ * how a script reaches it are supplied by the caller, so the same manager
+ * drives desktop InDesign and stand-ins such as fake-indesign-session.js:
+ *   launch(): ChildProcess - starts the long-lived process
+ *   send(scriptPath, scriptEnv, {app, onOutputLine, signal}): Promise<string> - runs a script in
+ *     the running process and resolves with its output; signal aborts a script that is given up on
+ *
+ * Around every job the session health-checks the app before it and resets it
+ * afterwards (closing all documents and restoring preferences). The app is
+ * restarted after maxJobs jobs, when it crashes and when a script hangs;
+ * restarts are counted in the indesign_restarts_total metric.
+ */
+export class InDesignSession {
+  /**
+   * @param {Object} options
+   * @param {Function} options.launch - Starts the long-lived process
+   * @param {Function} options.send - Runs a script in the running process
+   * @param {{startup: string, healthCheck: string, reset: string, quit: string}} options.scripts - Paths
+   *   of the lifecycle scripts: startup runs once the app is launched, healthCheck before each job,
+   *   reset after each job, quit to stop the app
+   * @param {number} options.maxJobs - Jobs after which the app is restarted
+   * @param {number} options.jobTimeoutMs - Time a job may take before the app is considered hung
+   * @param {number} options.startupTimeoutMs - Time the app may take to respond after launching
+   * @param {number} options.healthCheckTimeoutMs - Time a health check, reset or quit may take
+   * @param {number} options.retryDelayMs - Delay between startup checks
+   */
+  constructor({
+    launch,
+    send,
+    scripts,
+    maxJobs = 50,
+    jobTimeoutMs = 5 * 60 * 1000,
+    startupTimeoutMs = 3 * 60 * 1000,
+    healthCheckTimeoutMs = 30 * 1000,
+    retryDelayMs = 2000,
+  }) {
+    this.launch = launch;
+    this.send = send;
+    this.scripts = scripts;
+    this.maxJobs = Math.max(1, maxJobs);
+    this.jobTimeoutMs = jobTimeoutMs;
+    this.startupTimeoutMs = startupTimeoutMs;
+    this.healthCheckTimeoutMs = healthCheckTimeoutMs;
+    this.retryDelayMs = retryDelayMs;
+
+    this.state = "stopped"; // stopped | starting | ready | busy | stopping
+    this.app = null;
+    // Scripts sent and not finished; usually one, but shutdown sends quit while a reset may still run
+    this.pending = new Set();
+    this.jobsSinceLaunch = 0;
+    this.launches = 0;
+    this.lastExit = null;
+    // Jobs and lifecycle steps run one after another
+    this.chain = Promise.resolve();
+  }
+
+  /**
+   * Runs a conversion script in the session, starting InDesign if needed
+   * @param {string} scriptPath - Path to the .jsx script
+   * @param {Object} scriptEnv - Values passed along with the script (used by stand-ins)
+   * @param {Function} onOutputLine - Optional; called with each line the script prints
+   * @returns {Promise<string>} - The script output
+   */
+  run(scriptPath, scriptEnv = {}, onOutputLine = null) {
+    const job = this.chain.then(() => this.runJob(scriptPath, scriptEnv, onOutputLine));
+    // Resetting or restarting happens after the job has reported its result
+    this.chain = job
+      .catch(() => {})
+      .then(() => this.afterJob())
+      .catch((error) => logger.error("InDesign session could not prepare for the next job", { error: error.message }));
+    return job;
+  }
+
+  /**
+   * Quits the app, e.g. when the server shuts down
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await this.stop();
+  }
+
+  /**
+   * Summarizes the session for health reporting
+   * @returns {{state: string, pid: number|null, jobsSinceLaunch: number, maxJobs: number, launches: number,
+   *   lastExit: Object|null}}
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      pid: this.app?.pid ?? null,
+      jobsSinceLaunch: this.jobsSinceLaunch,
+      maxJobs: this.maxJobs,
+      launches: this.launches,
+      lastExit: this.lastExit,
+    };
+  }
+
+  async runJob(scriptPath, scriptEnv, onOutputLine) {
+    await this.ensureReady();
+
+    this.state = "busy";
+    this.jobsSinceLaunch++;
+    try {
+      return await this.runScript(scriptPath, scriptEnv, this.jobTimeoutMs, onOutputLine);
+    } catch (error) {
+      if (error instanceof EngineTimeoutError) {
+        // A hung app would block every following job
+        logger.warn("InDesign stopped responding; restarting it", { pid: this.app?.pid });
+        recordInDesignRestart("hung");
+        await this.stop({ force: true });
+      }
+      throw error;
+    } finally {
+      if (this.state === "busy") {
+        this.state = "ready";
+      }
+    }
+  }
+
+  /**
+   * Leaves the app ready for the next job: restarts it when it has run
+   * maxJobs jobs or is no longer running, otherwise resets its state
+   */
+  async afterJob() {
+    if (this.app && this.jobsSinceLaunch >= this.maxJobs) {
+      logger.info(`Restarting InDesign after ${this.jobsSinceLaunch} jobs`);
+      recordInDesignRestart("max_jobs");
+      await this.stop();
+    } else if (this.app) {
+      try {
+        await this.runScript(this.scripts.reset, { INDESIGN_SESSION_SCRIPT: "reset" }, this.healthCheckTimeoutMs);
+        return;
+      } catch (error) {
+        logger.warn("InDesign reset failed; restarting InDesign", { error: error.message });
+        recordInDesignRestart("reset_failed");
+        await this.stop();
+      }
+    }
+
+    await this.start();
+  }
+
+  /**
+   * Makes sure the app is running and responds, restarting it if not
+   */
+  async ensureReady() {
+    if (this.app && this.state === "ready") {
+      try {
+        await this.runScript(this.scripts.healthCheck, { INDESIGN_SESSION_SCRIPT: "healthCheck" }, this.healthCheckTimeoutMs);
+        return;
+      } catch (error) {
+        logger.warn("InDesign health check failed; restarting InDesign", { error: error.message });
+        recordInDesignRestart("health_check_failed");
+        await this.stop();
+      }
+    }
+
+    if (!this.app) {
+      await this.start();
+    }
+  }
+
+  /**
+   * Launches the app and waits until it runs the startup script
+   */
+  async start() {
+    if (this.app) {
+      return;
+    }
+
+    this.state = "starting";
+    this.jobsSinceLaunch = 0;
+    this.launches++;
+
+    let app;
+    try {
+      app = this.launch();
+    } catch (error) {
+      this.state = "stopped";
+      throw error;
+    }
+    this.app = app;
+    logger.info("Launched InDesign session", { pid: app.pid ?? null, launches: this.launches });
+
+    let launchError = null;
+    // The app outlives the job that launched it, so its exit is not logged as part of that job
+    app.on("error", (error) => {
+      launchError = error;
+      withLogContext({}, () => this.handleExit(app, { error: error.message }));
+    });
+    app.on("exit", (code, signal) => withLogContext({}, () => this.handleExit(app, { exitCode: code, signal })));
+
+    // The app takes a while to launch; it is ready once it runs a script
+    const deadline = Date.now() + this.startupTimeoutMs;
+    while (this.app === app) {
+      try {
+        await this.runScript(this.scripts.startup, { INDESIGN_SESSION_SCRIPT: "startup" }, this.healthCheckTimeoutMs);
+        this.state = "ready";
+        logger.info("InDesign session is ready", { pid: app.pid ?? null });
+        return;
+      } catch (error) {
+        if (Date.now() + this.retryDelayMs > deadline) {
+          await this.stop();
+          throw new EngineUnavailableError(
+            `InDesign did not respond within ${Math.round(this.startupTimeoutMs / 1000)} seconds of launching: ${error.message}`,
+            { timeoutSeconds: Math.round(this.startupTimeoutMs / 1000) }
+          );
+        }
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelayMs));
+      }
+    }
+
+    throw new EngineUnavailableError(
+      launchError ? `Failed to launch InDesign: ${launchError.message}` : "InDesign quit while starting",
+      this.lastExit
+    );
+  }
+
+  /**
+   * Quits the app, killing it if it does not quit by itself
+   * @param {Object} options
+   * @param {boolean} options.force - Kill the app right away, e.g. when it is hung
+   */
+  async stop({ force = false } = {}) {
+    const app = this.app;
+    if (!app) {
+      return;
+    }
+
+    this.state = "stopping";
+    const exited = new Promise((resolve) => app.once("exit", resolve));
+
+    let quit = false;
+    if (!force) {
+      try {
+        await this.runScript(this.scripts.quit, { INDESIGN_SESSION_SCRIPT: "quit" }, this.healthCheckTimeoutMs);
+      } catch {
+        // The app may already be gone or hung; it is killed below
+      }
+      quit = await Promise.race([
+        exited.then(() => true),
+        new Promise((resolve) => setTimeout(() => resolve(false), this.healthCheckTimeoutMs)),
+      ]);
+    }
+
+    if (!quit && this.app === app) {
+      logger.warn("Killing InDesign", { pid: app.pid ?? null });
+      app.kill("SIGKILL");
+      await exited;
+    }
+  }
+
+  /**
+   * Forgets an app that has exited; fails the scripts it was running and,
+   * when it crashed while idle, starts it again
+   * @param {ChildProcess} app - The process that exited
+   * @param {Object} exitInfo - Exit code and signal, or launch error
+   */
+  handleExit(app, exitInfo) {
+    if (this.app !== app) {
+      return;
+    }
+
+    const previousState = this.state;
+    this.app = null;
+    this.state = "stopped";
+    this.lastExit = { ...exitInfo, at: new Date().toISOString() };
+
+    for (const pending of this.pending) {
+      pending.fail(new ScriptError("InDesign quit unexpectedly while running the script", exitInfo));
+    }
+
+    if (previousState === "stopping") {
+      logger.info("InDesign quit");
+      return;
+    }
+
+    logger.error("InDesign exited unexpectedly", exitInfo);
+    recordInDesignRestart("crashed");
+    if (previousState === "ready") {
+      this.chain = this.chain
+        .then(() => this.start())
+        .catch((error) => logger.error("Could not restart InDesign", { error: error.message }));
+    }
+  }
+
+  /**
+   * Sends one script to the running app, failing if it takes longer than timeoutMs
+   * or the app exits before it finishes
+   * @param {string} scriptPath - Path to the .jsx script
+   * @param {Object} scriptEnv - Values passed along with the script
+   * @param {number} timeoutMs - Time limit
+   * @param {Function} onOutputLine - Optional; called with each line the script prints
+   * @returns {Promise<string>} - The script output
+   */
+  runScript(scriptPath, scriptEnv, timeoutMs, onOutputLine = null) {
+    const app = this.app;
+    if (!app) {
+      return Promise.reject(new EngineUnavailableError("InDesign is not running"));
+    }
+
+    const controller = new AbortController();
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const pending = {
+        fail: (error) => finish(error),
+      };
+      const finish = (error, output) => {
+        if (!this.pending.delete(pending)) {
+          return;
+        }
+        clearTimeout(timer);
+        if (error) {
+          controller.abort();
+          reject(error);
+        } else {
+          resolve(output);
+        }
+      };
+
+      this.pending.add(pending);
+      timer = setTimeout(() => {
+        finish(
+          new EngineTimeoutError(
+            `InDesign did not finish the script within ${Math.round(timeoutMs / 1000)} seconds. This may indicate missing fonts, missing links, or InDesign waiting for user input.`,
+            { timeoutSeconds: Math.round(timeoutMs / 1000) }
+          )
+        );
+      }, timeoutMs);
+
+      this.send(scriptPath, scriptEnv, { app, onOutputLine, signal: controller.signal }).then(
+        (output) => finish(null, output),
+        (error) => finish(error)
+      );
+    });
+  }
+}
@@ -0,0 +1,37 @@
+import config from "../../config/config.js";
+import desktopEngine from "./desktopEngine.js";
+import mockEngine from "./mockEngine.js";
+import commandEngine from "./commandEngine.js";
+
+/**
+ * Conversion engines, selected with CONVERSION_ENGINE
+ *
+ * Every engine exposes the same interface:
+ *   name: string
+ *   convert(indesignFilePath, outputPath, exportOptions, context): Promise<void> - writes the output
+ *   isAvailable(): Promise<boolean> - whether the engine can run on this machine
+ *   getStatus(): Promise<Object> - optional; engine state for GET /health
+ *   shutdown(): Promise<void> - optional; stops processes the engine keeps running
+ *
+ * Engines report failures with the errors in utils/errors.js: EngineUnavailableError,
+ * EngineTimeoutError, ScriptError or ExportFailedError
+ */
+export const engines = {
+  desktop: desktopEngine,
+  mock: mockEngine,
+  command: commandEngine,
+};
+
+/**
+ * Gets the conversion engine selected in the configuration
+ * @returns {Object} - The active engine
+ */
+export function getEngine() {
+  const engine = engines[config.conversionEngine];
+  if (!engine) {
+    throw new Error(
+      `Unknown conversion engine "${config.conversionEngine}". Expected one of: ${Object.keys(engines).join(", ")}`
+    );
+  }
+  return engine;
+}
@@ -0,0 +1,44 @@
+// Brings a book's styles, numbering and table of contents up to date, as
+// InDesign does when a book is exported from its panel
+
+// Regenerates the table of contents in every chapter that has one, so it
+// lists entries and page numbers from the whole book
+function updateBookTableOfContents() {
+  for (var i = 0; i < book.bookContents.length; i++) {
+    var chapter = app.open(book.bookContents[i].fullName, false);
+    var hasToc = false;
+    for (var s = 0; s < chapter.stories.length; s++) {
+      if (chapter.stories[s].storyType === StoryTypes.TOC_STORY) {
+        hasToc = true;
+        break;
+      }
+    }
+
+    if (hasToc) {
+      // Prefer the TOC style set up to include book documents
+      var tocStyle = chapter.tocStyles.lastItem();
+      for (var t = 0; t < chapter.tocStyles.length; t++) {
+        if (chapter.tocStyles[t].includeBookDocuments) {
+          tocStyle = chapter.tocStyles[t];
+          break;
+        }
+      }
+      chapter.createTOC(tocStyle, true, book);
+      chapter.save();
+      $.writeln("Updated table of contents in " + chapter.name);
+    }
+    chapter.close(SaveOptions.NO);
+  }
+}
+
+if (isBook) {
+  if (book.styleSourceDocument && book.styleSourceDocument.exists) {
+    $.writeln("Synchronizing book with its style source...");
+    book.synchronize();
+  }
+  book.repaginate();
+  book.updateAllNumbers();
+  updateBookTableOfContents();
+  book.repaginate();
+  book.updateAllNumbers();
+}
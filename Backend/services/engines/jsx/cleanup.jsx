@@ -0,0 +1,32 @@
+// Runs when any step fails: closes what is open, quits InDesign unless it is
+// kept running, and reports the error
+
+$.writeln("ERROR occurred: " + err.message);
+
+// Close document if it's open
+if (doc) {
+  try {
+    $.writeln("Attempting to close document...");
+    doc.close(SaveOptions.NO);
+  } catch (e) {
+    $.writeln("Could not close document: " + e.message);
+  }
+}
+if (book) {
+  try {
+    book.close(SaveOptions.NO);
+  } catch (e) {
+    $.writeln("Could not close book: " + e.message);
+  }
+}
+
+// Try to quit InDesign
+if (quitWhenDone) {
+  try {
+    app.quit();
+  } catch (e) {}
+}
+
+// Write error to stderr
+$.writeln("ERROR: " + err.message);
+throw err;
@@ -0,0 +1,18 @@
+// Closes the document or book without saving and, unless InDesign is kept
+// running for the next job, quits InDesign
+
+if (isBook) {
+  book.close(SaveOptions.NO);
+} else {
+  doc.close(SaveOptions.NO);
+}
+
+$.writeln("Document closed. Conversion complete.");
+
+// Quit InDesign to ensure process terminates
+if (quitWhenDone) {
+  app.quit();
+}
+
+// Return success message
+"SUCCESS";
@@ -0,0 +1,131 @@
+// Configures the export preferences of the requested format and exports
+
+// Exports the open document, or the book (or its selected chapters)
+function exportTarget(exportFormat) {
+  if (!isBook) {
+    doc.exportFile(exportFormat, File(outputPath), false);
+  } else if (exportContents) {
+    // Book exports use the current export preferences when no preset is passed
+    book.exportFile(exportFormat, File(outputPath), false, undefined, exportContents);
+  } else {
+    book.exportFile(exportFormat, File(outputPath), false);
+  }
+}
+
+// Exports each page in the range as a separate image into the output folder
+function exportPageImages(exportFormat, extension) {
+  var pages = expandPageRange(exportOptions.pageRange, doc.pages.length);
+  for (var i = 0; i < pages.length; i++) {
+    var pageNumber = "" + pages[i];
+    while (pageNumber.length < 4) {
+      pageNumber = "0" + pageNumber;
+    }
+    // "+N" addresses pages by absolute position, regardless of section numbering
+    if (exportFormat === ExportFormat.JPG) {
+      app.jpegExportPreferences.pageString = "+" + pages[i];
+    } else {
+      app.pngExportPreferences.pageString = "+" + pages[i];
+    }
+    doc.exportFile(exportFormat, File(outputPath + "/page-" + pageNumber + extension), false);
+  }
+  $.writeln("Exported " + pages.length + " page image(s)");
+}
+
+if (isBook && !/^(pdf|interactive-pdf|epub-reflowable|epub-fixed)$/.test(exportOptions.format)) {
+  throw new Error("Books cannot be exported to " + exportOptions.format);
+}
+
+$.writeln("Configuring " + exportOptions.format + " export preferences...");
+
+if (exportOptions.format === "pdf") {
+  var prefs = app.pdfExportPreferences;
+
+  // Start from the requested preset; otherwise keep the application's current settings
+  if (exportOptions.preset) {
+    var preset = app.pdfExportPresets.itemByName(exportOptions.preset);
+    if (!preset.isValid) {
+      throw new Error("PDF export preset not found: " + exportOptions.preset);
+    }
+    var presetProperties = preset.properties;
+    for (var key in presetProperties) {
+      try {
+        prefs[key] = presetProperties[key];
+      } catch (e) {
+        // Read-only properties such as name cannot be copied
+      }
+    }
+    $.writeln("Using PDF export preset: " + exportOptions.preset);
+  }
+
+  // Books always export whole chapters
+  if (exportOptions.pageRange === "all" || isBook) {
+    prefs.pageRange = PageRange.ALL_PAGES;
+  } else {
+    prefs.pageRange = exportOptions.pageRange;
+  }
+
+  if (exportOptions.spreads !== null) {
+    prefs.exportReaderSpreads = exportOptions.spreads;
+  }
+  if (exportOptions.cropMarks !== null) {
+    prefs.cropMarks = exportOptions.cropMarks;
+  }
+  if (exportOptions.bleedMarks !== null) {
+    prefs.bleedMarks = exportOptions.bleedMarks;
+  }
+  if (exportOptions.bleedMm !== null) {
+    var bleed = exportOptions.bleedMm + "mm";
+    prefs.useDocumentBleedWithPDF = false;
+    prefs.bleedTop = bleed;
+    prefs.bleedBottom = bleed;
+    prefs.bleedInside = bleed;
+    prefs.bleedOutside = bleed;
+  }
+  if (exportOptions.imageCompression !== null) {
+    prefs.colorBitmapCompression = BitmapCompression[exportOptions.imageCompression];
+    prefs.grayscaleBitmapCompression = BitmapCompression[exportOptions.imageCompression];
+  }
+  if (exportOptions.imageResolution !== null) {
+    prefs.colorBitmapSampling = Sampling.BICUBIC_DOWNSAMPLE;
+    prefs.colorBitmapSamplingDPI = exportOptions.imageResolution;
+    prefs.thresholdToCompressColor = Math.round(exportOptions.imageResolution * 1.5);
+    prefs.grayscaleBitmapSampling = Sampling.BICUBIC_DOWNSAMPLE;
+    prefs.grayscaleBitmapSamplingDPI = exportOptions.imageResolution;
+    prefs.thresholdToCompressGray = Math.round(exportOptions.imageResolution * 1.5);
+  }
+
+  $.writeln("Starting PDF export...");
+  exportTarget(ExportFormat.PDF_TYPE);
+} else if (exportOptions.format === "interactive-pdf") {
+  if (exportOptions.pageRange === "all" || isBook) {
+    app.interactivePDFExportPreferences.pageRange = PageRange.ALL_PAGES;
+  } else {
+    app.interactivePDFExportPreferences.pageRange = exportOptions.pageRange;
+  }
+  $.writeln("Starting interactive PDF export...");
+  exportTarget(ExportFormat.INTERACTIVE_PDF);
+} else if (exportOptions.format === "idml") {
+  $.writeln("Starting IDML export...");
+  doc.exportFile(ExportFormat.INDESIGN_MARKUP, File(outputPath), false);
+} else if (exportOptions.format === "epub-reflowable") {
+  $.writeln("Starting EPUB export...");
+  exportTarget(ExportFormat.EPUB);
+} else if (exportOptions.format === "epub-fixed") {
+  $.writeln("Starting fixed layout EPUB export...");
+  exportTarget(ExportFormat.FIXED_LAYOUT_EPUB);
+} else if (exportOptions.format === "jpeg") {
+  app.jpegExportPreferences.jpegExportRange = ExportRangeOrAllPages.EXPORT_RANGE;
+  app.jpegExportPreferences.exportResolution = exportOptions.dpi;
+  app.jpegExportPreferences.jpegQuality = JPEGOptionsQuality.HIGH;
+  $.writeln("Starting JPEG export...");
+  exportPageImages(ExportFormat.JPG, ".jpg");
+} else if (exportOptions.format === "png") {
+  app.pngExportPreferences.pngExportRange = PNGExportRangeEnum.EXPORT_RANGE;
+  app.pngExportPreferences.exportResolution = exportOptions.dpi;
+  $.writeln("Starting PNG export...");
+  exportPageImages(ExportFormat.PNG_FORMAT, ".png");
+} else {
+  throw new Error("Unsupported export format: " + exportOptions.format);
+}
+
+$.writeln("Export completed successfully");
@@ -0,0 +1,68 @@
+// Helpers shared by the other fragments
+
+// Gets the name of the page an item sits on (null on the pasteboard)
+function pageNameOf(item) {
+  try {
+    return item.parentPage ? item.parentPage.name : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Serializes a value as JSON; ExtendScript has no JSON object
+function toJson(value) {
+  var i;
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  if (typeof value === "string") {
+    var backslash = String.fromCharCode(92);
+    var text = '"';
+    for (i = 0; i < value.length; i++) {
+      var code = value.charCodeAt(i);
+      if (code === 34 || code === 92) {
+        text += backslash + value.charAt(i);
+      } else if (code < 32 || code === 0x2028 || code === 0x2029) {
+        var hex = code.toString(16);
+        while (hex.length < 4) {
+          hex = "0" + hex;
+        }
+        text += backslash + "u" + hex;
+      } else {
+        text += value.charAt(i);
+      }
+    }
+    return text + '"';
+  }
+  var parts = [];
+  if (value instanceof Array) {
+    for (i = 0; i < value.length; i++) {
+      parts.push(toJson(value[i]));
+    }
+    return "[" + parts.join(",") + "]";
+  }
+  for (var key in value) {
+    if (value.hasOwnProperty(key)) {
+      parts.push(toJson(key) + ":" + toJson(value[key]));
+    }
+  }
+  return "{" + parts.join(",") + "}";
+}
+
+// Expands an InDesign page range ("all" or e.g. "1-4, 7, 10-") into absolute page numbers
+function expandPageRange(range, pageCount) {
+  var pages = [];
+  var parts = range === "all" ? ["1-"] : range.split(", ");
+  for (var i = 0; i < parts.length; i++) {
+    var bounds = parts[i].split("-");
+    var first = parseInt(bounds[0], 10);
+    var last = bounds.length === 1 ? first : (bounds[1] === "" ? pageCount : parseInt(bounds[1], 10));
+    for (var n = first; n <= Math.min(last, pageCount); n++) {
+      pages.push(n);
+    }
+  }
+  return pages;
+}
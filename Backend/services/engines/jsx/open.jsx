@@ -0,0 +1,56 @@
+// Opens the document or book; for books, checks the chapters and picks the
+// ones to export
+
+$.writeln("Starting InDesign conversion script...");
+
+// Suppress all dialogs and user interaction
+app.scriptPreferences.userInteractionLevel = UserInteractionLevels.NEVER_INTERACT;
+
+var sourceFile = File(params.sourcePath);
+if (!sourceFile.exists) {
+  throw new Error("Source file not found: " + sourceFile.fsName);
+}
+
+var exportOptions = params.exportOptions;
+var outputPath = params.outputPath;
+var bookChapters = params.chapters;
+var isBook = /\.indb$/i.test(sourceFile.name);
+var exportContents = null;
+
+if (isBook) {
+  $.writeln("Opening InDesign book...");
+  book = app.open(sourceFile, false);
+  $.writeln("Book opened successfully. Chapters: " + book.bookContents.length);
+
+  for (var c = 0; c < book.bookContents.length; c++) {
+    if (book.bookContents[c].status === BookContentStatus.DOCUMENT_IS_MISSING) {
+      throw new Error("Book chapter is missing from the package: " + book.bookContents[c].name);
+    }
+  }
+
+  // Export only the selected chapters, in book order, when a selection is given
+  if (bookChapters) {
+    exportContents = [];
+    for (var c = 0; c < book.bookContents.length; c++) {
+      for (var n = 0; n < bookChapters.length; n++) {
+        if (book.bookContents[c].name === bookChapters[n]) {
+          exportContents.push(book.bookContents[c]);
+        }
+      }
+    }
+    if (exportContents.length !== bookChapters.length) {
+      throw new Error("Not all selected chapters are part of the book: " + bookChapters.join(", "));
+    }
+    $.writeln("Exporting " + exportContents.length + " selected chapter(s)");
+  }
+} else {
+  $.writeln("Opening InDesign document...");
+  doc = app.open(sourceFile, false); // false = don't show dialogs
+
+  $.writeln("Document opened successfully. Pages: " + doc.pages.length);
+}
+
+// The chapters of a book that are exported
+function exportedChapters() {
+  return exportContents || book.bookContents.everyItem().getElements();
+}
@@ -0,0 +1,23 @@
+// Runs the pre-export scripts the job opted into, in order. Books run them on
+// each exported chapter, which is saved so the export sees the changes
+
+function runPreExportScripts(document) {
+  for (var i = 0; i < preExportScripts.length; i++) {
+    $.writeln("Running pre-export script " + preExportScripts[i].name + " on " + document.name + "...");
+    preExportScripts[i].run(document, params.preExportScripts[i].params);
+  }
+}
+
+if (preExportScripts.length > 0) {
+  if (isBook) {
+    var chapters = exportedChapters();
+    for (var c = 0; c < chapters.length; c++) {
+      var chapter = app.open(chapters[c].fullName, false);
+      runPreExportScripts(chapter);
+      chapter.save();
+      chapter.close(SaveOptions.NO);
+    }
+  } else {
+    runPreExportScripts(doc);
+  }
+}
@@ -0,0 +1,100 @@
+// Preflight: reports missing fonts and links, overset text and problem images,
+// and stops the conversion under the "fail" policy
+
+// Adds the font, link, overset text and image problems of an open document to issues
+function preflightDocument(document, issues) {
+  var i;
+  for (i = 0; i < document.fonts.length; i++) {
+    var font = document.fonts[i];
+    if (font.status === FontStatus.NOT_AVAILABLE) {
+      issues.missingFonts.push({ document: document.name, font: font.name });
+    } else if (font.status === FontStatus.SUBSTITUTED || font.status === FontStatus.FAUX) {
+      issues.substitutedFonts.push({ document: document.name, font: font.name });
+    }
+  }
+
+  for (i = 0; i < document.links.length; i++) {
+    var link = document.links[i];
+    var linkInfo = { document: document.name, link: link.name, path: link.filePath };
+    if (link.status === LinkStatus.LINK_MISSING || link.status === LinkStatus.LINK_INACCESSIBLE) {
+      issues.missingLinks.push(linkInfo);
+    } else if (link.status === LinkStatus.LINK_OUT_OF_DATE) {
+      issues.modifiedLinks.push(linkInfo);
+    }
+  }
+
+  for (i = 0; i < document.stories.length; i++) {
+    var story = document.stories[i];
+    if (story.overflows && story.textContainers.length > 0) {
+      var lastFrame = story.textContainers[story.textContainers.length - 1];
+      issues.oversetText.push({ document: document.name, page: pageNameOf(lastFrame) });
+    }
+  }
+
+  // RGB images only matter when the output goes to print
+  var checkRgb = exportOptions.format === "pdf";
+  for (i = 0; i < document.allGraphics.length; i++) {
+    var graphic = document.allGraphics[i];
+    var imageInfo = {
+      document: document.name,
+      link: graphic.itemLink && graphic.itemLink.isValid ? graphic.itemLink.name : null,
+      page: pageNameOf(graphic)
+    };
+
+    // Only placed bitmap images have an effective resolution and color space
+    var ppi;
+    try {
+      ppi = graphic.effectivePpi;
+    } catch (e) {
+      continue;
+    }
+    if (ppi && Math.min(ppi[0], ppi[1]) < params.preflightMinPpi) {
+      imageInfo.effectivePpi = ppi;
+      issues.lowResolutionImages.push(imageInfo);
+    }
+    if (checkRgb && graphic.space === "RGB") {
+      issues.rgbImages.push(imageInfo);
+    }
+  }
+}
+
+$.writeln("Running preflight checks...");
+var issues = {
+  missingFonts: [],
+  substitutedFonts: [],
+  missingLinks: [],
+  modifiedLinks: [],
+  oversetText: [],
+  lowResolutionImages: [],
+  rgbImages: []
+};
+if (isBook) {
+  var checkedContents = exportedChapters();
+  for (var c = 0; c < checkedContents.length; c++) {
+    var chapterDoc = app.open(checkedContents[c].fullName, false);
+    preflightDocument(chapterDoc, issues);
+    chapterDoc.close(SaveOptions.NO);
+  }
+} else {
+  preflightDocument(doc, issues);
+}
+
+var issueCount = 0;
+for (var check in issues) {
+  if (issues[check].length > 0) {
+    $.writeln("Preflight: " + issues[check].length + " " + check);
+    issueCount += issues[check].length;
+  }
+}
+
+if (params.preflightReportPath) {
+  var reportFile = File(params.preflightReportPath);
+  reportFile.encoding = "UTF-8";
+  reportFile.open("w");
+  reportFile.write(toJson({ issues: issues }));
+  reportFile.close();
+}
+
+if (issueCount > 0 && exportOptions.preflight === "fail") {
+  throw new Error("Preflight found " + issueCount + " problem(s)");
+}
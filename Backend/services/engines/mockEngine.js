@@ -0,0 +1,288 @@
+import fs from "fs/promises";
+import path from "path";
+import AdmZip from "adm-zip";
+import { PDFDocument, StandardFonts } from "pdf-lib";
+import config from "../../config/config.js";
+
+/**
+ * Mock engine: writes placeholder output listing the document and its links
+ * Runs on any platform without InDesign, so the upload pipeline can be
+ * exercised in CI and on developer machines. Output is deterministic for
+ * the same package contents.
+ */
+const mockEngine = {
+  name: "mock",
+  convert,
+  isAvailable,
+};
+
+export default mockEngine;
+
+// Fixed timestamp so the same package always produces the same bytes
+const MOCK_DATE = new Date("2000-01-01T00:00:00Z");
+
+// 1x1 white PNG and 8x8 grey baseline JPEG used as page images
+const PLACEHOLDER_PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4//8/AAX+Av4N70a4AAAAAElFTkSuQmCC",
+  "base64"
+);
+const PLACEHOLDER_JPEG = Buffer.from(
+  "/9j/2wBDAAEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQH/" +
+    "wAALCAAIAAgBAREA/8QAFAABAAAAAAAAAAAAAAAAAAAAAP/EABQQAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQEAAD8AP//Z",
+  "base64"
+);
+
+/**
+ * Writes placeholder output describing the InDesign document
+ * @param {string} indesignFilePath - Path to the .indd, .idml or .indb file
+ * @param {string} outputPath - Output file, or output directory for per-page image formats
+ * @param {Object} exportOptions - Normalized export options, including format
+ * @param {{chapters?: string[]|null, preflightReportPath?: string|null, onProgress?: Function}} context - For
+ *   books, file names of the chapters to export (null for all); where to write the preflight report;
+ *   called with each progress line the converter prints
+ * @returns {Promise<void>}
+ */
+async function convert(indesignFilePath, outputPath, exportOptions = {}, context = {}) {
+  // Report the same stages as the desktop engine's script, spread over the simulated delay
+  const report = context.onProgress || (() => {});
+  const wait = () => new Promise((resolve) => setTimeout(resolve, config.mockEngineDelayMs / 2));
+  const isBook = path.extname(indesignFilePath).toLowerCase() === ".indb";
+
+  report(isBook ? "Opening InDesign book..." : "Opening InDesign document...");
+  await wait();
+  const lines = await describeDocument(indesignFilePath, exportOptions, context.chapters);
+  report(isBook ? "Book opened successfully" : "Document opened successfully. Pages: 1");
+
+  // Pre-export scripts cannot run without InDesign; the progress shows they were selected
+  for (const script of exportOptions.preExportScripts || []) {
+    report(`Running pre-export script ${script.name} (skipped by the mock engine)...`);
+  }
+
+  report("Running preflight checks...");
+  if (context.preflightReportPath) {
+    await writePreflightReport(indesignFilePath, context.preflightReportPath);
+  }
+
+  report(`Starting ${exportOptions.format || "pdf"} export...`);
+  await wait();
+
+  switch (exportOptions.format || "pdf") {
+    case "jpeg":
+      await fs.writeFile(path.join(outputPath, "page-0001.jpg"), PLACEHOLDER_JPEG);
+      break;
+    case "png":
+      await fs.writeFile(path.join(outputPath, "page-0001.png"), PLACEHOLDER_PNG);
+      break;
+    case "idml":
+      await writeZip(outputPath, "application/vnd.adobe.indesign-idml-package", {
+        "README.txt": lines.join("\n"),
+      });
+      break;
+    case "epub-reflowable":
+    case "epub-fixed":
+      await writeZip(outputPath, "application/epub+zip", {
+        "META-INF/container.xml": EPUB_CONTAINER,
+        "OEBPS/content.opf": EPUB_PACKAGE,
+        "OEBPS/index.xhtml": buildEpubPage(lines),
+      });
+      break;
+    default:
+      await writePdf(outputPath, path.basename(indesignFilePath), lines);
+  }
+  report("Export completed successfully");
+}
+
+/**
+ * Builds the text lines describing a document, its links and the export options
+ * @param {string} indesignFilePath - Path to the .indd, .idml or .indb file
+ * @param {Object} exportOptions - Normalized export options
+ * @param {string[]|null} chapters - Selected book chapters (null for all)
+ * @returns {Promise<string[]>}
+ */
+async function describeDocument(indesignFilePath, exportOptions, chapters) {
+  const stats = await fs.stat(indesignFilePath);
+  const links = await listLinks(path.join(path.dirname(indesignFilePath), "Links"));
+  const isBook = path.extname(indesignFilePath).toLowerCase() === ".indb";
+
+  return [
+    "Mock conversion (no InDesign)",
+    "",
+    `${isBook ? "Book" : "Document"}: ${path.basename(indesignFilePath)}`,
+    `Size: ${stats.size} bytes`,
+    ...(isBook ? [`Chapters: ${chapters ? chapters.join(", ") : "all"}`] : []),
+    "",
+    `Links (${links.length}):`,
+    ...links.map((link) => `  ${link}`),
+    "",
+    "Export options:",
+    ...Object.entries(exportOptions)
+      .filter(([, value]) => value !== null)
+      .map(([name, value]) => `  ${name}: ${value}`),
+  ];
+}
+
+/**
+ * Writes the preflight report of a document
+ * The mock engine cannot inspect fonts or links, so the report has no problems
+ * unless the package has a "<document name>.preflight.json" file beside the
+ * document, which is used as the report to simulate problems
+ * @param {string} indesignFilePath - Path to the document
+ * @param {string} reportPath - Where to write the report
+ * @returns {Promise<void>}
+ */
+async function writePreflightReport(indesignFilePath, reportPath) {
+  const simulatedPath = path.join(
+    path.dirname(indesignFilePath),
+    `${path.basename(indesignFilePath, path.extname(indesignFilePath))}.preflight.json`
+  );
+
+  try {
+    await fs.copyFile(simulatedPath, reportPath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    await fs.writeFile(reportPath, JSON.stringify({ issues: {} }));
+  }
+}
+
+/**
+ * Writes a placeholder PDF with one line of text per entry
+ * @param {string} pdfOutputPath - Path where PDF should be saved
+ * @param {string} title - Document title
+ * @param {string[]} lines - Text lines
+ * @returns {Promise<void>}
+ */
+async function writePdf(pdfOutputPath, title, lines) {
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+  pdfDoc.setTitle(title);
+  pdfDoc.setCreationDate(MOCK_DATE);
+  pdfDoc.setModificationDate(MOCK_DATE);
+
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const lineHeight = 16;
+  let page = pdfDoc.addPage();
+  let y = page.getHeight() - 50;
+
+  for (const line of lines) {
+    if (y < 50) {
+      page = pdfDoc.addPage();
+      y = page.getHeight() - 50;
+    }
+    // Standard fonts only cover WinAnsi, so replace anything outside printable ASCII
+    page.drawText(line.replace(/[^\x20-\x7E]/g, "?"), { x: 50, y, size: 12, font });
+    y -= lineHeight;
+  }
+
+  await fs.writeFile(pdfOutputPath, await pdfDoc.save());
+}
+
+/**
+ * Writes a zip-based package (IDML or EPUB) with a leading, uncompressed mimetype entry
+ * @param {string} outputPath - Path where the package should be saved
+ * @param {string} mimetype - Package mimetype
+ * @param {Object<string, string>} files - Entry names mapped to their text contents
+ * @returns {Promise<void>}
+ */
+async function writeZip(outputPath, mimetype, files) {
+  // Keep insertion order: the mimetype entry must come first
+  const zip = new AdmZip({ noSort: true });
+  zip.addFile("mimetype", Buffer.from(mimetype));
+  zip.getEntry("mimetype").header.method = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    zip.addFile(name, Buffer.from(contents, "utf8"));
+  }
+  for (const entry of zip.getEntries()) {
+    entry.header.time = MOCK_DATE;
+  }
+
+  await zip.writeZipPromise(outputPath);
+}
+
+const EPUB_CONTAINER = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const EPUB_PACKAGE = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="id">urn:uuid:00000000-0000-0000-0000-000000000000</dc:identifier>
+    <dc:title>Mock conversion</dc:title>
+    <dc:language>en</dc:language>
+    <meta property="dcterms:modified">2000-01-01T00:00:00Z</meta>
+  </metadata>
+  <manifest>
+    <item id="index" href="index.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+  </manifest>
+  <spine>
+    <itemref idref="index"/>
+  </spine>
+</package>
+`;
+
+/**
+ * Builds the single XHTML page of the placeholder EPUB
+ * @param {string[]} lines - Text lines
+ * @returns {string}
+ */
+function buildEpubPage(lines) {
+  const escape = (text) =>
+    text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head><title>Mock conversion</title></head>
+<body>
+<nav epub:type="toc"><ol><li><a href="index.xhtml">Mock conversion</a></li></ol></nav>
+<pre>${lines.map(escape).join("\n")}</pre>
+</body>
+</html>
+`;
+}
+
+/**
+ * Lists files in a package's Links folder, relative to that folder
+ * @param {string} linksPath - Path to the Links folder
+ * @param {string} prefix - Relative path of the folder being listed
+ * @returns {Promise<string[]>} - Sorted relative paths (empty if there is no Links folder)
+ */
+async function listLinks(linksPath, prefix = "") {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(linksPath, prefix), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const links = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) {
+      continue;
+    }
+
+    const relativePath = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      links.push(...(await listLinks(linksPath, relativePath)));
+    } else if (entry.isFile()) {
+      links.push(relativePath);
+    }
+  }
+
+  return links.sort();
+}
+
+/**
+ * The mock engine is always available
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable() {
+  return true;
+}
@@ -0,0 +1,121 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FRAGMENT_DIR = path.join(__dirname, "jsx");
+
+// Fragments of the conversion script (jsx/<name>.jsx), in the order they run.
+// helpers.jsx is included before them and cleanup.jsx handles failures
+const CONVERSION_STEPS = ["open", "preExport", "book", "preflight", "export", "close"];
+
+const fragments = new Map();
+
+/**
+ * Serializes a value as an ExtendScript literal
+ * JSON is valid ES3 literal syntax except for the U+2028/U+2029 line
+ * separators, which must be escaped inside string literals
+ * @param {*} value - JSON-serializable value
+ * @returns {string}
+ */
+export function toExtendScriptLiteral(value) {
+  return JSON.stringify(value)
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+/**
+ * Builds the ExtendScript that converts one document or book
+ * Every job value is passed in a single JSON-encoded params object that the
+ * fragments read, so file names, presets and the like can never change the
+ * script. Only the pre-export scripts an administrator registered are code.
+ * @param {{sourcePath: string, outputPath: string, exportOptions: Object, chapters: string[]|null,
+ *   preflightReportPath: string|null, preflightMinPpi: number, quitWhenDone: boolean}} params - Values for the script
+ * @param {{name: string, source: string, params: Object}[]} preExportScripts - Scripts to run before preflight
+ *   and export, with the parameters the job gives them
+ * @returns {Promise<string>}
+ */
+export async function buildConversionScript(params, preExportScripts = []) {
+  const [helpers, cleanup, ...steps] = await Promise.all(
+    ["helpers", "cleanup", ...CONVERSION_STEPS].map(loadFragment)
+  );
+  const scriptParams = {
+    ...params,
+    preExportScripts: preExportScripts.map((script) => ({ name: script.name, params: script.params })),
+  };
+
+  return [
+    "#target indesign",
+    "",
+    "// Generated by scriptBuilder.js from the fragments in services/engines/jsx",
+    `var params = ${toExtendScriptLiteral(scriptParams)};`,
+    "",
+    "// In session mode (INDESIGN_SESSION) InDesign stays open for the next job",
+    "var quitWhenDone = params.quitWhenDone;",
+    "var doc = null;",
+    "var book = null;",
+    "",
+    helpers,
+    toPreExportFunctions(preExportScripts),
+    "try {",
+    steps.map((step) => indent(step)).join("\n\n"),
+    "} catch (err) {",
+    indent(cleanup),
+    "}",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Wraps the registered pre-export scripts in functions the preExport fragment calls
+ * Each script runs with the document it changes as "document" and the
+ * parameters the job gave it as "scriptParams"
+ * @param {{source: string}[]} scripts - Scripts, in the order they run
+ * @returns {string}
+ */
+function toPreExportFunctions(scripts) {
+  const entries = scripts.map(
+    (script, index) => `  {
+    name: params.preExportScripts[${index}].name,
+    run: function (document, scriptParams) {
+${indent(script.source, 6)}
+    }
+  }`
+  );
+
+  return [
+    "// Pre-export scripts registered by the administrator (PRE_EXPORT_SCRIPTS_PATH)",
+    entries.length > 0 ? `var preExportScripts = [\n${entries.join(",\n")}\n];` : "var preExportScripts = [];",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Reads a fragment of the conversion script; fragments are read once
+ * @param {string} name - File name in jsx/, without extension
+ * @returns {Promise<string>}
+ */
+function loadFragment(name) {
+  if (!fragments.has(name)) {
+    fragments.set(
+      name,
+      fs.readFile(path.join(FRAGMENT_DIR, `${name}.jsx`), "utf8").then((text) => text.trimEnd())
+    );
+  }
+  return fragments.get(name);
+}
+
+/**
+ * Indents every non-empty line of a block of code
+ * @param {string} text - Code to indent; trailing whitespace is dropped
+ * @param {number} spaces - Spaces to add before each line
+ * @returns {string}
+ */
+function indent(text, spaces = 2) {
+  const padding = " ".repeat(spaces);
+  return text
+    .trimEnd()
+    .split("\n")
+    .map((line) => (line ? padding + line : line))
+    .join("\n");
+}
@@ -0,0 +1,97 @@
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Output formats a job may request
+ * multiFile formats produce one file per page; engines write them into a
+ * directory and the service zips that directory into the final result.
+ * bookExport formats can also be exported from an InDesign book (.indb)
+ */
+export const EXPORT_FORMATS = {
+  pdf: {
+    label: 'PDF (print)',
+    extension: '.pdf',
+    contentType: 'application/pdf',
+    multiFile: false,
+    bookExport: true
+  },
+  'interactive-pdf': {
+    label: 'Interactive PDF',
+    extension: '.pdf',
+    contentType: 'application/pdf',
+    multiFile: false,
+    bookExport: true
+  },
+  idml: {
+    label: 'IDML',
+    extension: '.idml',
+    contentType: 'application/vnd.adobe.indesign-idml-package',
+    multiFile: false,
+    bookExport: false
+  },
+  'epub-reflowable': {
+    label: 'EPUB (reflowable)',
+    extension: '.epub',
+    contentType: 'application/epub+zip',
+    multiFile: false,
+    bookExport: true
+  },
+  'epub-fixed': {
+    label: 'EPUB (fixed layout)',
+    extension: '.epub',
+    contentType: 'application/epub+zip',
+    multiFile: false,
+    bookExport: true
+  },
+  jpeg: {
+    label: 'JPEG (one image per page)',
+    extension: '.jpg',
+    contentType: 'application/zip',
+    multiFile: true,
+    bookExport: false
+  },
+  png: {
+    label: 'PNG (one image per page)',
+    extension: '.png',
+    contentType: 'application/zip',
+    multiFile: true,
+    bookExport: false
+  }
+};
+
+export const DEFAULT_FORMAT = 'pdf';
+
+/**
+ * Validates a requested output format
+ * @param {string} value - Format name from the request (defaults to pdf)
+ * @returns {string} - The format name
+ * @throws {ValidationError} - If the format is not supported
+ */
+export function parseFormat(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return DEFAULT_FORMAT;
+  }
+
+  const format = String(value).trim().toLowerCase();
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new ValidationError(
+      `Unsupported format: ${value}. Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      null,
+      'UNSUPPORTED_FORMAT'
+    );
+  }
+  return format;
+}
+
+/**
+ * Gets the file extension and content type of a job's final result
+ * Multi-file formats are delivered as a zip
+ * @param {string} format - Format name
+ * @returns {{extension: string, contentType: string}}
+ */
+export function getResultType(format) {
+  const { extension, contentType, multiFile } = EXPORT_FORMATS[format];
+  return {
+    extension: multiFile ? '.zip' : extension,
+    contentType
+  };
+}
@@ -0,0 +1,167 @@
+import config from '../config/config.js';
+import { ValidationError } from '../utils/errors.js';
+import { parseFormat } from './exportFormats.js';
+import { parsePreflightPolicy } from './preflight.js';
+import { parsePreExportScripts } from './preExportScripts.js';
+
+// PDF export presets that ship with InDesign
+export const BUILT_IN_PDF_PRESETS = [
+  '[High Quality Print]',
+  '[Press Quality]',
+  '[Smallest File Size]',
+  '[PDF/X-1a:2001]',
+  '[PDF/X-3:2002]',
+  '[PDF/X-4:2008]'
+];
+
+// Maps API compression names to ExtendScript BitmapCompression values
+export const IMAGE_COMPRESSION_TYPES = {
+  auto: 'AUTO_COMPRESSION',
+  jpeg: 'JPEG',
+  zip: 'ZIP',
+  none: 'NONE'
+};
+
+const MIN_IMAGE_RESOLUTION = 72;
+const MAX_IMAGE_RESOLUTION = 2400;
+const MAX_BLEED_MM = 100;
+const DEFAULT_PAGE_IMAGE_DPI = 150;
+
+/**
+ * Gets the preset names a job may request
+ * Custom presets installed on the InDesign machine are added with PDF_PRESETS
+ * @returns {string[]}
+ */
+export function getAllowedPresets() {
+  return [...BUILT_IN_PDF_PRESETS, ...config.customPdfPresets];
+}
+
+/**
+ * Validates and normalizes export options from an upload request
+ * PDF options that are not provided are null, meaning "use the preset or document setting"
+ * @param {Object} fields - Request body fields (multipart values are strings)
+ * @returns {{format: string, preset: string|null, pageRange: string, spreads: boolean|null,
+ *   cropMarks: boolean|null, bleedMarks: boolean|null, bleedMm: number|null,
+ *   imageCompression: string|null, imageResolution: number|null, dpi: number, preflight: string,
+ *   indesignVersion: string|null, preExportScripts: {name: string, params: Object}[]}}
+ * @throws {ValidationError} - If any option is invalid
+ */
+export function parseExportOptions(fields = {}) {
+  return {
+    format: parseFormat(fields.format),
+    preset: parsePreset(fields.preset),
+    pageRange: parsePageRange(fields.pageRange),
+    spreads: parseBoolean('spreads', fields.spreads),
+    cropMarks: parseBoolean('cropMarks', fields.cropMarks),
+    bleedMarks: parseBoolean('bleedMarks', fields.bleedMarks),
+    bleedMm: parseNumber('bleedMm', fields.bleedMm, 0, MAX_BLEED_MM),
+    imageCompression: parseImageCompression(fields.imageCompression),
+    imageResolution: parseNumber('imageResolution', fields.imageResolution, MIN_IMAGE_RESOLUTION, MAX_IMAGE_RESOLUTION, true),
+    // Resolution of JPEG/PNG page images
+    dpi: parseNumber('dpi', fields.dpi, MIN_IMAGE_RESOLUTION, MAX_IMAGE_RESOLUTION, true) ?? DEFAULT_PAGE_IMAGE_DPI,
+    // What to do when preflight finds missing fonts, links and similar problems
+    preflight: parsePreflightPolicy(fields.preflight),
+    // InDesign version to convert with, for documents that need a particular release
+    indesignVersion: parseInDesignVersion(fields.indesignVersion),
+    // Registered scripts to run on the document before it is exported
+    preExportScripts: parsePreExportScripts(fields.preExportScripts)
+  };
+}
+
+/**
+ * Checks whether a form value was left empty
+ * @param {*} value - Form value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function parsePreset(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+
+  const preset = String(value).trim();
+  const allowed = getAllowedPresets();
+  if (!allowed.includes(preset)) {
+    throw new ValidationError(`Unknown PDF export preset: ${preset}`, { allowedPresets: allowed }, 'INVALID_OPTION');
+  }
+  return preset;
+}
+
+function parsePageRange(value) {
+  if (isEmpty(value) || String(value).trim().toLowerCase() === 'all') {
+    return 'all';
+  }
+
+  // InDesign page range syntax, e.g. "1-4, 7, 10-"
+  const pageRange = String(value).replace(/\s+/g, '');
+  if (!/^\d+(-\d*)?(,\d+(-\d*)?)*$/.test(pageRange)) {
+    throw new ValidationError(
+      `Invalid page range: ${value}. Use "all" or a list such as "1-4, 7, 10-"`,
+      null,
+      'INVALID_OPTION'
+    );
+  }
+  return pageRange.replace(/,/g, ', ');
+}
+
+function parseBoolean(name, value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+  if (value === true || value === 'true' || value === '1' || value === 'on') {
+    return true;
+  }
+  if (value === false || value === 'false' || value === '0' || value === 'off') {
+    return false;
+  }
+  throw new ValidationError(`Invalid value for ${name}: expected true or false`, null, 'INVALID_OPTION');
+}
+
+function parseNumber(name, value, min, max, integer = false) {
+  if (isEmpty(value)) {
+    return null;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    const kind = integer ? 'a whole number' : 'a number';
+    throw new ValidationError(
+      `Invalid value for ${name}: expected ${kind} between ${min} and ${max}`,
+      null,
+      'INVALID_OPTION'
+    );
+  }
+  return number;
+}
+
+function parseImageCompression(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+
+  const compression = String(value).trim().toLowerCase();
+  if (!Object.hasOwn(IMAGE_COMPRESSION_TYPES, compression)) {
+    throw new ValidationError(
+      `Invalid image compression: ${value}. Expected one of: ${Object.keys(IMAGE_COMPRESSION_TYPES).join(', ')}`,
+      null,
+      'INVALID_OPTION'
+    );
+  }
+  return compression;
+}
+
+function parseInDesignVersion(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+
+  // Release names as in the install folder, e.g. "2024" or "CC 2019"
+  const version = String(value).trim();
+  if (!/^[\w .()-]{1,40}$/.test(version)) {
+    throw new ValidationError(`Invalid InDesign version: ${value}. Use a release such as "2024"`, null, 'INVALID_OPTION');
+  }
+  return version;
+}
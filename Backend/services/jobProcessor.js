@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import { convertPackage } from './conversionPipeline.js';
+import { getJob, updateJob, recordStage, listJobs, deleteJob } from './jobStore.js';
+import { completeJob, failJob, releasePackage } from './jobResults.js';
+import { conversionQueue } from './conversionQueue.js';
+import { dispatchJob } from './renderFarm.js';
+import { getStorage } from './storage/index.js';
+import { deleteFile } from '../utils/fileCleanup.js';
+import logger, { withLogContext } from '../utils/logger.js';
+
+/**
+ * Adds a job to the conversion queue
+ * Jobs run in FIFO order, limited by the configured concurrency; with
+ * RENDER_FARM=true they are dispatched to worker agents instead of run here.
+ * A job runs in a log context with its id and the id of the request that created it
+ * @param {string} jobId - Id of the job to run
+ * @returns {Promise<void>} - Resolves once the job has finished
+ */
+export function enqueueJob(jobId) {
+  return conversionQueue
+    .enqueue(jobId, () =>
+      withLogContext({ jobId, requestId: getJob(jobId)?.requestId ?? null }, () =>
+        config.renderFarm ? dispatchJob(jobId) : processJob(jobId)
+      )
+    )
+    .catch((error) => {
+      logger.error('Unexpected queue error', { jobId, error });
+    });
+}
+
+/**
+ * Runs a queued conversion job from start to finish
+ * The job record is updated as it moves through each stage
+ * @param {string} jobId - Id of the job to process
+ * @returns {Promise<void>}
+ */
+export async function processJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) {
+    return;
+  }
+
+  const extractPath = path.join(config.tempExtractPath, job.id);
+  const startTime = Date.now();
+
+  await updateJob(job.id, {
+    status: 'processing',
+    startedAt: new Date().toISOString()
+  });
+
+  try {
+    const { output, extractMs, convertMs, preflight } = await convertPackage(job.uploadPath, extractPath, job, {
+      stage: (stage, message) => recordStage(job.id, stage, message),
+      update: changes => updateJob(job.id, changes)
+    });
+
+    await completeJob(job.id, output, {
+      timings: { extractMs, convertMs, totalMs: Date.now() - startTime },
+      preflight
+    });
+  } catch (error) {
+    logger.error('Conversion error', { error });
+    await failJob(job.id, error, { timings: { totalMs: Date.now() - startTime } });
+  } finally {
+    await deleteFile(extractPath);
+    await releasePackage(job.id, job.uploadPath);
+  }
+}
+
+/**
+ * Picks up jobs that were queued or running when the server last stopped
+ * Jobs whose uploaded package is gone are marked as failed
+ * @returns {Promise<string[]>} - Ids of jobs that should be run again
+ */
+export async function recoverInterruptedJobs() {
+  const resumable = [];
+
+  for (const job of listJobs()) {
+    if (job.status !== 'queued' && job.status !== 'processing') {
+      continue;
+    }
+
+    try {
+      await fs.access(job.uploadPath);
+      await updateJob(job.id, { status: 'queued', startedAt: null });
+      await recordStage(job.id, 'queued', 'Queued again after a server restart');
+      resumable.push(job.id);
+    } catch {
+      await failJob(job.id, { code: 'JOB_INTERRUPTED', message: 'Job was interrupted by a server restart', details: null });
+    }
+  }
+
+  return resumable;
+}
+
+/**
+ * Removes finished jobs (and their stored files) older than the retention period
+ * Jobs whose files are in a persistent storage backend are kept as long as the
+ * backend keeps files (STORAGE_RETENTION_DAYS), so their results stay downloadable
+ * @param {number} maxAgeHours - Maximum age in hours
+ * @returns {Promise<void>}
+ */
+export async function cleanupExpiredJobs(maxAgeHours = config.jobRetentionHours) {
+  const now = Date.now();
+
+  for (const job of listJobs()) {
+    if (job.status !== 'completed' && job.status !== 'failed') {
+      continue;
+    }
+
+    const retentionHours = getRetentionHours(job, maxAgeHours);
+    if (now - Date.parse(job.completedAt) > retentionHours * 60 * 60 * 1000) {
+      await deleteJobWithFiles(job);
+      logger.info('Cleaned up expired job', { jobId: job.id });
+    }
+  }
+}
+
+/**
+ * Deletes a finished job with its stored result and package
+ * @param {Object} job - Completed or failed job
+ * @returns {Promise<void>}
+ */
+export async function deleteJobWithFiles(job) {
+  await deleteStoredFile(job, job.resultStorage, job.resultKey);
+  await deleteStoredFile(job, job.packageStorage, job.packageKey);
+  await deleteJob(job.id);
+}
+
+/**
+ * Gets how long a finished job is kept: the longest of maxAgeHours and the
+ * retention of the backends its files are in
+ * @param {Object} job - Finished job
+ * @param {number} maxAgeHours - Retention of jobs without stored files
+ * @returns {number} - Hours; Infinity if a backend keeps files forever
+ */
+function getRetentionHours(job, maxAgeHours) {
+  const storageNames = [job.resultKey && job.resultStorage, job.packageKey && job.packageStorage].filter(Boolean);
+  const retentions = storageNames.map(name => getStorage(name).retentionHours);
+  return retentions.includes(0) ? Infinity : Math.max(maxAgeHours, ...retentions);
+}
+
+/**
+ * Deletes a job's result or package from its storage backend; failures are logged, not thrown
+ * @param {Object} job - Job the file belongs to
+ * @param {string} storageName - Backend the file is in
+ * @param {string|null} key - Key of the file; nothing is deleted without one
+ * @returns {Promise<void>}
+ */
+async function deleteStoredFile(job, storageName, key) {
+  if (!key) {
+    return;
+  }
+
+  try {
+    await getStorage(storageName).delete(key);
+  } catch (error) {
+    logger.error(`Failed to delete ${key} from ${storageName} storage`, { jobId: job.id, error: error.message });
+  }
+}
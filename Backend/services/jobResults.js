@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { createJob, getJob, updateJob, recordStage } from './jobStore.js';
+import { restoreCachedResult, storeCachedResult } from './resultCache.js';
+import { countPdfPages } from './outputCombiner.js';
+import { notifyJobFinished } from './webhooks.js';
+import { getStorage } from './storage/index.js';
+import { serializeError } from '../utils/errors.js';
+import { deleteFile } from '../utils/fileCleanup.js';
+import logger from '../utils/logger.js';
+import { recordJobFinished } from './metrics.js';
+
+// Larger PDFs are not loaded just to count their pages
+const PAGE_COUNT_MAX_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Stores the result of a finished conversion and marks the job completed
+ * The file goes to result storage (STORAGE_BACKEND), so it outlives the
+ * working directory and can be downloaded again later. Jobs with a cache key
+ * also add a copy of the result to the result cache, and jobs with a callback
+ * URL start delivering their webhook. A result that cannot be stored fails the job
+ * @param {string} jobId - Id of the job
+ * @param {{path: string, contentType: string, extension: string}} output - The converted file
+ * @param {Object} fields - Other fields to record, e.g. timings and preflight
+ * @returns {Promise<void>}
+ */
+export async function completeJob(jobId, output, fields = {}) {
+  const job = getJob(jobId);
+  if (!job) {
+    return;
+  }
+
+  // Cached before it is stored, since storing moves the file away
+  if (job.cacheKey && !job.cached) {
+    await storeCachedResult(job.cacheKey, output.path, {
+      contentType: output.contentType,
+      extension: output.extension,
+      preflight: fields.preflight
+    }).catch((error) => {
+      logger.error('Failed to cache the result', { jobId: job.id, error: error.message });
+    });
+  }
+
+  const { size: resultSize } = await fs.stat(output.path);
+  const pageCount = await getPageCount(output, resultSize);
+
+  const storage = getStorage();
+  const resultKey = `results/${job.id}${output.extension}`;
+  try {
+    await storage.put(resultKey, output.path, { contentType: output.contentType });
+  } catch (error) {
+    logger.error('Failed to store the result', { jobId: job.id, error: error.message });
+    await deleteFile(output.path);
+    await failJob(job.id, error, fields);
+    return;
+  }
+  logger.info(`Output stored in ${storage.name} storage`, { jobId: job.id, key: resultKey, bytes: resultSize, pageCount });
+  await recordStage(job.id, 'completed', 'Conversion finished');
+
+  const completed = await updateJob(job.id, {
+    status: 'completed',
+    completedAt: new Date().toISOString(),
+    resultStorage: storage.name,
+    resultKey,
+    resultName: `${path.basename(job.originalName, '.zip')}${output.extension}`,
+    resultContentType: output.contentType,
+    resultSize,
+    pageCount,
+    ...fields
+  });
+  if (completed) {
+    recordJobFinished(completed);
+  }
+
+  await notifyJobFinished(job.id);
+}
+
+/**
+ * Counts the pages of a result for the job history
+ * Only PDFs are counted, and only up to PAGE_COUNT_MAX_BYTES since the whole file is parsed
+ * @param {{path: string, extension: string}} output - The converted file
+ * @param {number} size - Its size in bytes
+ * @returns {Promise<number|null>} - Page count, or null if it was not counted
+ */
+async function getPageCount(output, size) {
+  if (output.extension !== '.pdf' || size > PAGE_COUNT_MAX_BYTES) {
+    return null;
+  }
+
+  try {
+    return await countPdfPages(output.path);
+  } catch (error) {
+    logger.error(`Failed to count the pages of ${output.path}`, { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Creates a job that is completed straight away with the cached result of an identical conversion
+ * @param {string} cacheKey - Cache key of the upload and its options
+ * @param {Object} fields - Initial job fields (originalName, exportOptions, ...)
+ * @returns {Promise<Object|null>} - The completed job, or null if nothing is cached under the key
+ */
+export async function createJobFromCache(cacheKey, fields) {
+  await fs.mkdir(config.tempResultPath, { recursive: true });
+  const restorePath = path.join(config.tempResultPath, `${uuidv4()}.cached`);
+  const cached = await restoreCachedResult(cacheKey, restorePath);
+  if (!cached) {
+    return null;
+  }
+
+  const job = await createJob({ ...fields, cacheKey, cached: true, startedAt: new Date().toISOString() });
+  await recordStage(job.id, 'converting', `Reusing the result of an identical conversion from ${cached.createdAt}`);
+  await completeJob(
+    job.id,
+    { path: restorePath, contentType: cached.contentType, extension: cached.extension },
+    { timings: { totalMs: Date.now() - Date.parse(job.startedAt) }, preflight: cached.preflight }
+  );
+  return getJob(job.id);
+}
+
+/**
+ * Marks a job failed with the error that stopped it, and starts delivering its webhook
+ * @param {string} jobId - Id of the job
+ * @param {Error|{code: string, message: string, details: Object|null}} error - The error, or an already
+ *   serialized one (e.g. reported by a render farm worker)
+ * @param {Object} fields - Other fields to record, e.g. timings
+ * @returns {Promise<void>}
+ */
+export async function failJob(jobId, error, fields = {}) {
+  const jobError = error instanceof Error ? serializeError(error) : error;
+
+  await recordStage(jobId, 'failed', jobError.message);
+  const failed = await updateJob(jobId, {
+    status: 'failed',
+    completedAt: new Date().toISOString(),
+    error: jobError,
+    ...fields
+  });
+  if (failed) {
+    recordJobFinished(failed);
+  }
+
+  await notifyJobFinished(jobId);
+}
+
+/**
+ * Disposes of a job's uploaded package once the job no longer needs it: with
+ * STORAGE_KEEP_PACKAGES it goes to result storage next to the result, otherwise it is deleted
+ * @param {string} jobId - Id of the job
+ * @param {string} packagePath - Path of the uploaded zip
+ * @returns {Promise<void>}
+ */
+export async function releasePackage(jobId, packagePath) {
+  if (!config.storageKeepPackages || !getJob(jobId)) {
+    await deleteFile(packagePath);
+    return;
+  }
+
+  const storage = getStorage();
+  const packageKey = `packages/${jobId}.zip`;
+  try {
+    await storage.put(packageKey, packagePath, { contentType: 'application/zip' });
+    await updateJob(jobId, { packageStorage: storage.name, packageKey });
+  } catch (error) {
+    logger.error('Failed to store the package', { jobId, error: error.message });
+    await deleteFile(packagePath);
+  }
+}
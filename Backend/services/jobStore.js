@@ -0,0 +1,277 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { conversionQueue } from './conversionQueue.js';
+import { createJsonFileStore } from '../utils/jsonFileStore.js';
+
+// Jobs are kept in memory and mirrored to a JSON file so they survive restarts
+const jobs = new Map();
+const jobFile = createJsonFileStore(config.jobStorePath, 'job store');
+
+// Timelines keep the most recent entries; a long export can print many lines
+const MAX_TIMELINE_ENTRIES = 200;
+
+// Timeline messages can arrive many times a second, so they are written to disk at most this often;
+// other changes (e.g. a new status) are written right away, along with any pending messages
+const TIMELINE_PERSIST_DELAY_MS = 1000;
+let persistTimer = null;
+
+/**
+ * Emits "change" with the job id whenever a job is created, updated or deleted
+ * Used to stream job progress to clients
+ */
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Loads persisted jobs from disk into memory
+ * @returns {Promise<void>}
+ */
+export async function loadJobs() {
+  const storedJobs = await jobFile.read();
+  if (!storedJobs) {
+    return;
+  }
+
+  jobs.clear();
+  for (const job of storedJobs) {
+    jobs.set(job.id, job);
+  }
+}
+
+/**
+ * Writes the current job list to disk
+ * @returns {Promise<void>}
+ */
+function persistJobs() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  return jobFile.write(() => [...jobs.values()]);
+}
+
+/**
+ * Writes the job list to disk within TIMELINE_PERSIST_DELAY_MS, once for all changes made until then
+ */
+function schedulePersistJobs() {
+  if (!persistTimer) {
+    persistTimer = setTimeout(persistJobs, TIMELINE_PERSIST_DELAY_MS);
+    persistTimer.unref();
+  }
+}
+
+/**
+ * Writes changes whose write was delayed, e.g. before the server exits
+ * @returns {Promise<void>}
+ */
+export async function flushJobs() {
+  if (persistTimer) {
+    await persistJobs();
+  }
+}
+
+/**
+ * Creates a new queued job
+ * @param {Object} fields - Initial job fields (originalName, uploadPath, ...)
+ * @returns {Promise<Object>} - The created job
+ */
+export async function createJob(fields) {
+  const createdAt = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    status: 'queued',
+    stage: 'queued',
+    timeline: [{ stage: 'queued', message: 'Queued for conversion', at: createdAt }],
+    createdAt,
+    startedAt: null,
+    completedAt: null,
+    timings: {},
+    error: null,
+    resultStorage: null,
+    resultKey: null,
+    resultName: null,
+    ...fields
+  };
+
+  jobs.set(job.id, job);
+  jobEvents.emit('change', job.id);
+  await persistJobs();
+  return job;
+}
+
+/**
+ * Gets a job by id
+ * @param {string} jobId - Job id
+ * @returns {Object|null}
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Applies changes to a job and persists them
+ * @param {string} jobId - Job id
+ * @param {Object} changes - Fields to merge into the job
+ * @returns {Promise<Object|null>} - The updated job
+ */
+export async function updateJob(jobId, changes) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+
+  Object.assign(job, changes);
+  jobEvents.emit('change', jobId);
+  await persistJobs();
+  return job;
+}
+
+/**
+ * Moves a job to a stage of the conversion and adds a message to its timeline
+ * Several messages may be recorded for the same stage, e.g. each line InDesign prints;
+ * clients are notified right away, but the write to disk is delayed (see TIMELINE_PERSIST_DELAY_MS)
+ * @param {string} jobId - Job id
+ * @param {string} stage - queued, extracting, converting, combining, completed or failed
+ * @param {string} message - What is happening
+ * @returns {Promise<Object|null>} - The updated job
+ */
+export async function recordStage(jobId, stage, message) {
+  const job = jobs.get(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const entry = { stage, message, at: new Date().toISOString() };
+  job.stage = stage;
+  job.timeline = [...(job.timeline || []), entry].slice(-MAX_TIMELINE_ENTRIES);
+  jobEvents.emit('change', jobId);
+  schedulePersistJobs();
+  return job;
+}
+
+/**
+ * Removes a job from the store
+ * @param {string} jobId - Job id
+ * @returns {Promise<void>}
+ */
+export async function deleteJob(jobId) {
+  if (jobs.delete(jobId)) {
+    jobEvents.emit('change', jobId);
+    await persistJobs();
+  }
+}
+
+/**
+ * Lists all jobs, oldest first
+ * @returns {Object[]}
+ */
+export function listJobs() {
+  return [...jobs.values()];
+}
+
+/**
+ * Tells whether an API client may see, download, delete or re-run a job
+ * With API_AUTH on, clients see the jobs submitted with their key; otherwise every job.
+ * Batches and upload sessions record their clientId too and are checked the same way
+ * @param {Object} job - Stored job, batch or upload session
+ * @param {{id: string}|null} client - Client of the request
+ * @returns {boolean}
+ */
+export function isJobVisibleTo(job, client) {
+  return !client || job.clientId === client.id;
+}
+
+/**
+ * Finds jobs for the conversion history, newest first
+ * @param {Object} filters
+ * @param {string[]} filters.statuses - Statuses to include; empty includes every status
+ * @param {number|null} filters.from - Earliest creation time, in ms
+ * @param {number|null} filters.to - Latest creation time, in ms
+ * @param {string} filters.name - Text the uploaded file name must contain, ignoring case
+ * @param {{id: string}|null} filters.client - Client of the request (see isJobVisibleTo)
+ * @param {number} filters.offset - Matching jobs to skip
+ * @param {number} filters.limit - Most jobs to return
+ * @returns {{jobs: Object[], total: number}} - The page of jobs, and how many match in all
+ */
+export function queryJobs({ statuses = [], from = null, to = null, name = '', client = null, offset = 0, limit = 20 }) {
+  const nameFilter = name.toLowerCase();
+  const matching = listJobs()
+    .filter((job) => {
+      const createdAt = Date.parse(job.createdAt);
+      return isJobVisibleTo(job, client)
+        && (statuses.length === 0 || statuses.includes(job.status))
+        && (from === null || createdAt >= from)
+        && (to === null || createdAt <= to)
+        && (!nameFilter || (job.originalName || '').toLowerCase().includes(nameFilter));
+    })
+    .reverse();
+
+  return { jobs: matching.slice(offset, offset + limit), total: matching.length };
+}
+
+/**
+ * Converts a job into the shape returned by the API
+ * Internal file paths are never exposed to clients
+ * @param {Object} job - Stored job
+ * @returns {Object}
+ */
+export function toPublicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage || null,
+    // A finished job may still hold its queue slot for a moment
+    queuePosition: job.status === 'queued' || job.status === 'processing'
+      ? conversionQueue.getPosition(job.id)
+      : null,
+    originalName: job.originalName,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    timings: job.timings,
+    exportOptions: job.exportOptions,
+    documentSelection: job.documentSelection,
+    documents: job.documents || null,
+    chapters: job.chapters || null,
+    extraction: job.extraction || null,
+    preflight: job.preflight || null,
+    requirements: job.requirements || null,
+    worker: job.worker || null,
+    cached: Boolean(job.cached),
+    callbackUrl: job.callbackUrl || null,
+    webhook: job.webhook || null,
+    timeline: job.timeline || [],
+    error: job.error,
+    resultName: job.resultName,
+    resultSize: job.resultSize ?? null,
+    pageCount: job.pageCount ?? null,
+    rerunOf: job.rerunOf || null
+  };
+}
+
+/**
+ * Converts a job into the shorter shape of the conversion history (GET /api/jobs)
+ * @param {Object} job - Stored job
+ * @returns {Object}
+ */
+export function toJobSummary(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage || null,
+    originalName: job.originalName,
+    submittedBy: job.clientName || null,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    timings: job.timings,
+    exportOptions: job.exportOptions,
+    cached: Boolean(job.cached),
+    resultName: job.resultName,
+    resultSize: job.resultSize ?? null,
+    pageCount: job.pageCount ?? null,
+    error: job.error ? { code: job.error.code, message: job.error.message } : null,
+    preflight: job.preflight ? { status: job.preflight.status, summary: job.preflight.summary } : null,
+    // Re-running needs the uploaded package, kept with STORAGE_KEEP_PACKAGES
+    canRerun: Boolean(job.packageKey),
+    rerunOf: job.rerunOf || null
+  };
+}
@@ -0,0 +1,156 @@
+import client from 'prom-client';
+import { conversionQueue } from './conversionQueue.js';
+
+/**
+ * Prometheus metrics, served at GET /metrics
+ * Besides the conversion metrics below, the registry has Node.js process
+ * metrics (CPU, memory, event loop lag, ...)
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time taken to answer HTTP requests, by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const uploads = new client.Counter({
+  name: 'indesign_uploads_total',
+  help: 'Uploaded packages, by upload type (single, batch or resumable)',
+  labelNames: ['type'],
+  registers: [register]
+});
+
+const uploadBytes = new client.Counter({
+  name: 'indesign_upload_bytes_total',
+  help: 'Bytes of uploaded packages, by upload type',
+  labelNames: ['type'],
+  registers: [register]
+});
+
+const extractionDuration = new client.Histogram({
+  name: 'indesign_extraction_duration_seconds',
+  help: 'Time taken to extract uploaded packages',
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+  registers: [register]
+});
+
+const conversionDuration = new client.Histogram({
+  name: 'indesign_conversion_duration_seconds',
+  help: 'Time taken by the engine to convert the documents of completed jobs, by format',
+  labelNames: ['format'],
+  buckets: [1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600],
+  registers: [register]
+});
+
+const jobsCompleted = new client.Counter({
+  name: 'indesign_jobs_completed_total',
+  help: 'Completed jobs, by format and whether the result came from the result cache',
+  labelNames: ['format', 'cached'],
+  registers: [register]
+});
+
+const jobsFailed = new client.Counter({
+  name: 'indesign_jobs_failed_total',
+  help: 'Failed jobs, by error code',
+  labelNames: ['code'],
+  registers: [register]
+});
+
+const conversionTimeouts = new client.Counter({
+  name: 'indesign_conversion_timeouts_total',
+  help: 'Jobs stopped because the conversion took longer than allowed',
+  registers: [register]
+});
+
+const indesignRestarts = new client.Counter({
+  name: 'indesign_restarts_total',
+  help: 'Restarts of the InDesign session (INDESIGN_SESSION), by reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+new client.Gauge({
+  name: 'indesign_queue_depth',
+  help: 'Jobs waiting in the conversion queue',
+  registers: [register],
+  collect() {
+    this.set(conversionQueue.getStats().waiting);
+  }
+});
+
+new client.Gauge({
+  name: 'indesign_jobs_running',
+  help: 'Jobs being converted (or, with a render farm, dispatched to workers)',
+  registers: [register],
+  collect() {
+    this.set(conversionQueue.getStats().running);
+  }
+});
+
+/**
+ * Records an answered HTTP request
+ * @param {string} method - HTTP method
+ * @param {string} route - Route pattern that handled it, e.g. "/api/jobs/:id", so ids do not become labels
+ * @param {number} status - Status code
+ * @param {number} durationMs - Time taken to answer
+ */
+export function recordHttpRequest(method, route, status, durationMs) {
+  httpRequestDuration.observe({ method, route, status: String(status) }, durationMs / 1000);
+}
+
+/**
+ * Records uploaded packages
+ * @param {string} type - single, batch or resumable
+ * @param {number} bytes - Their total size
+ * @param {number} count - How many packages were uploaded
+ */
+export function recordUpload(type, bytes, count = 1) {
+  uploads.inc({ type }, count);
+  uploadBytes.inc({ type }, bytes);
+}
+
+/**
+ * Records a finished job: its outcome and, for completed jobs, the time its stages took
+ * @param {Object} job - The completed or failed job
+ */
+export function recordJobFinished(job) {
+  const timings = job.timings || {};
+  if (timings.extractMs !== undefined) {
+    extractionDuration.observe(timings.extractMs / 1000);
+  }
+
+  if (job.status === 'completed') {
+    const format = job.exportOptions?.format || 'pdf';
+    jobsCompleted.inc({ format, cached: String(Boolean(job.cached)) });
+    if (timings.convertMs !== undefined) {
+      conversionDuration.observe({ format }, timings.convertMs / 1000);
+    }
+    return;
+  }
+
+  const code = job.error?.code || 'UNKNOWN';
+  jobsFailed.inc({ code });
+  if (code === 'ENGINE_TIMEOUT') {
+    conversionTimeouts.inc();
+  }
+}
+
+/**
+ * Records a restart of the InDesign session
+ * @param {string} reason - max_jobs, hung, health_check_failed, reset_failed or crashed
+ */
+export function recordInDesignRestart(reason) {
+  indesignRestarts.inc({ reason });
+}
+
+/**
+ * Renders all metrics in the Prometheus text format
+ * @returns {Promise<{contentType: string, body: string}>}
+ */
+export async function getMetrics() {
+  return { contentType: register.contentType, body: await register.metrics() };
+}
@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { PDFDocument } from 'pdf-lib';
+
+/**
+ * Merges several PDFs into one, in the given order
+ * @param {string[]} pdfPaths - PDFs to merge
+ * @param {string} outputPath - Path of the merged PDF
+ * @returns {Promise<void>}
+ */
+export async function mergePdfs(pdfPaths, outputPath) {
+  const merged = await PDFDocument.create();
+
+  for (const pdfPath of pdfPaths) {
+    const source = await PDFDocument.load(await fs.readFile(pdfPath));
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+
+  await fs.writeFile(outputPath, await merged.save());
+}
+
+/**
+ * Zips the outputs of several documents into one archive
+ * Outputs that are zips themselves (per-page images) are unpacked into a
+ * folder named after their document instead of being nested
+ * @param {{name: string, path: string}[]} outputs - Entry name and file of each output
+ * @param {string} outputPath - Path of the zip to write
+ * @returns {Promise<void>}
+ */
+export async function zipOutputs(outputs, outputPath) {
+  const zip = new AdmZip({ noSort: true });
+
+  for (const output of outputs) {
+    if (path.extname(output.path).toLowerCase() === '.zip') {
+      const folder = output.name.replace(/\.zip$/i, '');
+      for (const entry of new AdmZip(output.path).getEntries()) {
+        if (!entry.isDirectory) {
+          zip.addFile(`${folder}/${entry.entryName}`, entry.getData());
+        }
+      }
+    } else {
+      zip.addFile(output.name, await fs.readFile(output.path));
+    }
+  }
+
+  await zip.writeZipPromise(outputPath);
+}
+
+/**
+ * Counts the pages of a PDF
+ * @param {string} pdfPath - The PDF
+ * @returns {Promise<number>}
+ */
+export async function countPdfPages(pdfPath) {
+  const pdf = await PDFDocument.load(await fs.readFile(pdfPath), { ignoreEncryption: true, updateMetadata: false });
+  return pdf.getPageCount();
+}
@@ -0,0 +1,254 @@
+import AdmZip from 'adm-zip';
+import fs from 'fs/promises';
+import path from 'path';
+import { extractZipAndFindInDesignFile, comparePaths } from './zipHandler.js';
+import { getSize } from '../utils/fileCleanup.js';
+
+// Folders InDesign's Package command collects linked graphics and fonts into
+const LINKS_FOLDER = 'Links';
+const FONTS_FOLDER = 'Document fonts';
+
+// Written by the Package command; never referenced by a document
+const PACKAGE_INSTRUCTIONS_FILE = 'Instructions.txt';
+
+/**
+ * Inspects an InDesign package without launching InDesign
+ * Lists its documents, linked files and fonts, and which files no document
+ * references. IDML documents are parsed for their page count and links;
+ * .indd files are binary, so their references are found by searching the
+ * document for each file name
+ * @param {string} zipPath - Path to the zip file
+ * @param {string} extractPath - Directory to extract the package to (removed by the caller)
+ * @returns {Promise<Object>} - The inspection report
+ */
+export async function inspectPackage(zipPath, extractPath) {
+  const { indesignFiles, books } = await extractZipAndFindInDesignFile(zipPath, extractPath);
+  const files = await listFiles(extractPath);
+  const relative = filePath => path.relative(extractPath, filePath).split(path.sep).join('/');
+
+  const documents = [];
+  const documentNames = new Set([...indesignFiles, ...books].map(relative));
+  const referenced = new Set(documentNames);
+
+  for (const documentPath of indesignFiles) {
+    const name = relative(documentPath);
+    const size = files.find(file => file.path === name).size;
+
+    if (path.extname(documentPath).toLowerCase() === '.idml') {
+      const { pageCount, links } = await inspectIdml(documentPath, name, files);
+      links.forEach(link => link.file && referenced.add(link.file));
+      documents.push({
+        path: name,
+        type: 'idml',
+        size,
+        pageCount,
+        links,
+        missingLinks: links.filter(link => !link.embedded && !link.file).map(link => link.uri)
+      });
+    } else {
+      const linkedFiles = await findReferencedFiles(documentPath, files, documentNames);
+      linkedFiles.forEach(file => referenced.add(file));
+      documents.push({
+        path: name,
+        type: 'indd',
+        size,
+        pageCount: null,
+        linkedFiles,
+        missingLinks: null
+      });
+    }
+  }
+
+  // Book chapters are documents, which are never reported as unreferenced
+  const unreferencedFiles = files
+    .filter(file => !referenced.has(file.path))
+    .filter(file => !isInFolder(file.path, FONTS_FOLDER) && file.path !== PACKAGE_INSTRUCTIONS_FILE)
+    .map(file => file.path);
+
+  return {
+    archiveSize: await getSize(zipPath),
+    totalSize: await getSize(extractPath),
+    fileCount: files.length,
+    documents,
+    books: books.map(relative),
+    links: files.filter(file => isInFolder(file.path, LINKS_FOLDER)),
+    fonts: files.filter(file => isInFolder(file.path, FONTS_FOLDER)),
+    unreferencedFiles
+  };
+}
+
+/**
+ * Reads the page count and linked files of an IDML document
+ * Pages are counted in the spreads listed by designmap.xml (master pages
+ * are not counted); links are collected from spreads, master spreads and stories
+ * @param {string} idmlPath - Path to the .idml file
+ * @param {string} documentName - Path of the document in the package
+ * @param {{path: string, size: number}[]} files - Files in the package
+ * @returns {Promise<{pageCount: number, links: Object[]}>}
+ */
+async function inspectIdml(idmlPath, documentName, files) {
+  let zip;
+  try {
+    zip = new AdmZip(idmlPath);
+  } catch (error) {
+    throw new Error(`Failed to read IDML file ${path.basename(idmlPath)}: ${error.message}`);
+  }
+
+  const readEntry = name => {
+    const entry = zip.getEntry(name);
+    return entry ? entry.getData().toString('utf8') : '';
+  };
+
+  const designmap = readEntry('designmap.xml');
+  const spreads = [...designmap.matchAll(/<idPkg:Spread\s+src="([^"]+)"/g)].map(match => decodeXml(match[1]));
+  const pageCount = spreads.reduce((count, spread) => count + (readEntry(spread).match(/<Page\s/g) || []).length, 0);
+
+  const sources = zip.getEntries()
+    .map(entry => entry.entryName)
+    .filter(name => /^(Spreads|MasterSpreads|Stories)\/[^/]+\.xml$/.test(name))
+    .sort(comparePaths);
+
+  const links = new Map();
+  for (const source of sources) {
+    for (const [element] of readEntry(source).matchAll(/<Link\s[^>]*>/g)) {
+      const uri = decodeXml(getAttribute(element, 'LinkResourceURI') || '');
+      if (!uri || links.has(uri)) {
+        continue;
+      }
+      links.set(uri, {
+        uri,
+        file: findLinkedFile(uri, documentName, files),
+        embedded: getAttribute(element, 'StoredState') === 'Embedded'
+      });
+    }
+  }
+
+  return { pageCount, links: [...links.values()] };
+}
+
+/**
+ * Finds the package file an IDML link points to
+ * Like InDesign, looks for the link's file name in the document's folder,
+ * then in its Links folder, then anywhere in the package
+ * @param {string} uri - LinkResourceURI, e.g. "file:/Users/me/Job/Links/photo.jpg"
+ * @param {string} documentName - Path of the document in the package
+ * @param {{path: string}[]} files - Files in the package
+ * @returns {string|null} - Path of the file in the package, or null if missing
+ */
+function findLinkedFile(uri, documentName, files) {
+  let fileName;
+  try {
+    fileName = decodeURIComponent(uri).split(/[/\\:]/).pop();
+  } catch {
+    fileName = uri.split(/[/\\:]/).pop();
+  }
+  if (!fileName) {
+    return null;
+  }
+
+  const candidates = files.filter(file => path.posix.basename(file.path) === fileName);
+  const documentFolder = path.posix.dirname(documentName);
+  const preferred = [
+    path.posix.join(documentFolder, fileName),
+    path.posix.join(documentFolder, LINKS_FOLDER, fileName)
+  ];
+
+  const match = preferred.find(candidate => candidates.some(file => file.path === candidate))
+    ?? candidates[0]?.path;
+  return match ?? null;
+}
+
+/**
+ * Finds package files whose names appear in a binary .indd document
+ * InDesign stores link paths as UTF-8 or UTF-16 text, so a file whose name
+ * occurs in the document is most likely linked from it
+ * @param {string} documentPath - Path to the .indd file
+ * @param {{path: string}[]} files - Files in the package
+ * @param {Set<string>} documents - Paths of the package's documents and books, which are skipped
+ * @returns {Promise<string[]>} - Paths of the referenced files
+ */
+async function findReferencedFiles(documentPath, files, documents) {
+  const contents = await fs.readFile(documentPath);
+
+  return files
+    .filter(file => !documents.has(file.path) && !isInFolder(file.path, FONTS_FOLDER))
+    .filter(file => {
+      const fileName = path.posix.basename(file.path);
+      const utf16le = Buffer.from(fileName, 'utf16le');
+      const utf16be = Buffer.from(utf16le).swap16();
+      return contents.includes(Buffer.from(fileName, 'utf8'))
+        || contents.includes(utf16le)
+        || contents.includes(utf16be);
+    })
+    .map(file => file.path);
+}
+
+/**
+ * Lists the files of an extracted package, skipping hidden files and __MACOSX
+ * @param {string} rootPath - Directory the package was extracted to
+ * @returns {Promise<{path: string, size: number}[]>} - Relative paths (forward slashes) and sizes, sorted
+ */
+async function listFiles(rootPath) {
+  const files = [];
+
+  async function walk(currentPath) {
+    const entries = await fs.readdir(currentPath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name === '__MACOSX') {
+        continue;
+      }
+
+      const fullPath = path.join(currentPath, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        files.push({
+          path: path.relative(rootPath, fullPath).split(path.sep).join('/'),
+          size: await getSize(fullPath)
+        });
+      }
+    }
+  }
+
+  await walk(rootPath);
+  return files.sort((a, b) => comparePaths(a.path, b.path));
+}
+
+/**
+ * Checks whether a relative path lies inside a folder with the given name
+ * @param {string} filePath - Relative path (forward slashes)
+ * @param {string} folderName - Folder name, matched at any depth
+ * @returns {boolean}
+ */
+function isInFolder(filePath, folderName) {
+  return filePath.split('/').slice(0, -1).includes(folderName);
+}
+
+/**
+ * Gets an attribute value from an XML start tag
+ * @param {string} element - The start tag
+ * @param {string} name - Attribute name
+ * @returns {string|null}
+ */
+function getAttribute(element, name) {
+  const match = element.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Decodes the predefined and numeric XML entities
+ * @param {string} text - Attribute or text content
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    if (entity[0] !== '#') {
+      return named[entity.toLowerCase()];
+    }
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10));
+  });
+}
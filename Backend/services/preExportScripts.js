@@ -0,0 +1,163 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Script names are their file names in PRE_EXPORT_SCRIPTS_PATH, without .jsx
+const SCRIPT_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/i;
+
+/**
+ * Lists the pre-export scripts registered in PRE_EXPORT_SCRIPTS_PATH
+ * Each is a <name>.jsx file whose header comments describe it and its parameters:
+ *   // @description Hides a layer so it is left out of the export
+ *   // @param layer Name of the layer to hide
+ * Scripts are read on every request, so new ones can be added without a restart
+ * @returns {Promise<{name: string, description: string, params: {name: string, description: string}[]}[]>}
+ */
+export async function listPreExportScripts() {
+  let files;
+  try {
+    files = await fs.readdir(config.preExportScriptsPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const scripts = [];
+  for (const file of files.sort()) {
+    const name = path.basename(file, '.jsx');
+    if (file.endsWith('.jsx') && SCRIPT_NAME_PATTERN.test(name)) {
+      const { name: scriptName, description, params } = await loadPreExportScript(name);
+      scripts.push({ name: scriptName, description, params });
+    }
+  }
+  return scripts;
+}
+
+/**
+ * Reads a registered pre-export script
+ * @param {string} name - Script name
+ * @returns {Promise<{name: string, description: string, params: {name: string, description: string}[], source: string}>}
+ * @throws {ValidationError} - If no script of that name is registered
+ */
+export async function loadPreExportScript(name) {
+  let source = null;
+  if (SCRIPT_NAME_PATTERN.test(name)) {
+    try {
+      source = await fs.readFile(path.join(config.preExportScriptsPath, `${name}.jsx`), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  if (source === null) {
+    const registered = await listPreExportScripts();
+    throw new ValidationError(
+      `Unknown pre-export script: ${name}`,
+      { preExportScripts: registered.map(script => script.name) },
+      'INVALID_OPTION'
+    );
+  }
+  return { name, ...parseHeader(source), source };
+}
+
+/**
+ * Parses the pre-export scripts a job opts into
+ * Only the form is checked here; validatePreExportScripts checks them against the registered scripts
+ * @param {*} value - Comma-separated script names, or a JSON array of names and
+ *   { name, params } objects, e.g. [{"name": "hide-layer", "params": {"layer": "Notes"}}]
+ * @returns {{name: string, params: Object<string, string|number|boolean>}[]} - Scripts in the order they run
+ * @throws {ValidationError} - If the list is malformed
+ */
+export function parsePreExportScripts(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return [];
+  }
+
+  const text = String(value).trim();
+  let entries;
+  if (text.startsWith('[')) {
+    try {
+      entries = JSON.parse(text);
+    } catch {
+      entries = null;
+    }
+    if (!Array.isArray(entries)) {
+      throw invalidSelection('expected a JSON array of script names or { name, params } objects');
+    }
+  } else {
+    entries = text.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  return entries.map((entry) => {
+    const { name, params = {} } = typeof entry === 'string' ? { name: entry } : entry || {};
+    if (typeof name !== 'string' || !SCRIPT_NAME_PATTERN.test(name)) {
+      throw invalidSelection(`invalid script name ${JSON.stringify(name)}`);
+    }
+    if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+      throw invalidSelection(`params of ${name} must be an object`);
+    }
+    for (const [param, paramValue] of Object.entries(params)) {
+      if (!['string', 'number', 'boolean'].includes(typeof paramValue)) {
+        throw invalidSelection(`parameter ${param} of ${name} must be a string, number or boolean`);
+      }
+    }
+    return { name, params };
+  });
+}
+
+/**
+ * Checks that the scripts a job opts into are registered and get exactly the parameters they declare
+ * @param {{name: string, params: Object}[]} selection - Parsed by parsePreExportScripts
+ * @returns {Promise<void>}
+ * @throws {ValidationError} - If a script is unknown or its parameters do not match
+ */
+export async function validatePreExportScripts(selection = []) {
+  for (const { name, params } of selection) {
+    const script = await loadPreExportScript(name);
+    const declared = script.params.map(param => param.name);
+    const unknown = Object.keys(params).filter(param => !declared.includes(param));
+    const missing = declared.filter(param => !Object.hasOwn(params, param));
+
+    if (unknown.length > 0 || missing.length > 0) {
+      const problems = [
+        ...(missing.length > 0 ? [`missing ${missing.join(', ')}`] : []),
+        ...(unknown.length > 0 ? [`unknown ${unknown.join(', ')}`] : [])
+      ];
+      throw new ValidationError(
+        `Invalid parameters for pre-export script ${name}: ${problems.join('; ')}`,
+        { script: name, params: script.params },
+        'INVALID_OPTION'
+      );
+    }
+  }
+}
+
+/**
+ * Reads the @description and @param header comments of a script
+ * @param {string} source - Script source
+ * @returns {{description: string, params: {name: string, description: string}[]}}
+ */
+function parseHeader(source) {
+  let description = '';
+  const params = [];
+
+  for (const line of source.split('\n')) {
+    const match = /^\s*\/\/\s*@(description|param)\s+(.+)$/.exec(line);
+    if (match?.[1] === 'description') {
+      description = match[2].trim();
+    } else if (match?.[1] === 'param') {
+      const [name, ...words] = match[2].trim().split(/\s+/);
+      params.push({ name, description: words.join(' ') });
+    }
+  }
+  return { description, params };
+}
+
+function invalidSelection(reason) {
+  return new ValidationError(`Invalid preExportScripts: ${reason}`, null, 'INVALID_OPTION');
+}
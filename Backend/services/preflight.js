@@ -0,0 +1,103 @@
+import fs from 'fs/promises';
+import config from '../config/config.js';
+import { ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// What happens to a job whose preflight finds problems
+export const PREFLIGHT_POLICIES = ['fail', 'warn', 'proceed'];
+
+// Problem categories reported by the engines, with the label used in messages
+export const PREFLIGHT_CHECKS = {
+  missingFonts: 'missing font',
+  substitutedFonts: 'substituted font',
+  missingLinks: 'missing link',
+  modifiedLinks: 'out-of-date link',
+  oversetText: 'overset text frame',
+  lowResolutionImages: 'low-resolution image',
+  rgbImages: 'RGB image in a print job'
+};
+
+/**
+ * Validates the preflight policy of an upload
+ * @param {string} value - Policy from the request (defaults to PREFLIGHT_POLICY)
+ * @returns {string} - fail, warn or proceed
+ * @throws {ValidationError} - If the policy is unknown
+ */
+export function parsePreflightPolicy(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return config.preflightPolicy;
+  }
+
+  const policy = String(value).trim().toLowerCase();
+  if (!PREFLIGHT_POLICIES.includes(policy)) {
+    throw new ValidationError(
+      `Invalid preflight policy: ${value}. Expected one of: ${PREFLIGHT_POLICIES.join(', ')}`,
+      null,
+      'INVALID_OPTION'
+    );
+  }
+  return policy;
+}
+
+/**
+ * Reads the preflight report an engine wrote for one document
+ * Reports look like {"issues": {"missingFonts": [{"document": "a.indd", "font": "Minion Pro"}], ...}}
+ * with a list per PREFLIGHT_CHECKS category; unknown categories are dropped
+ * and missing ones default to no problems
+ * @param {string} reportPath - Path of the report file
+ * @returns {Promise<Object<string, Object[]>|null>} - Problems by category, or null if the engine wrote no report
+ */
+export async function readPreflightReport(reportPath) {
+  let report;
+  try {
+    report = JSON.parse(await fs.readFile(reportPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Unreadable preflight report ${reportPath}`, { error: error.message });
+    }
+    return null;
+  }
+
+  const issues = {};
+  for (const check of Object.keys(PREFLIGHT_CHECKS)) {
+    issues[check] = Array.isArray(report?.issues?.[check]) ? report.issues[check] : [];
+  }
+  return issues;
+}
+
+/**
+ * Combines the preflight reports of a job's documents and applies the policy
+ * status is "passed" without problems; otherwise "failed", "warnings" or
+ * "ignored" depending on the policy
+ * @param {{document: string, issues: Object<string, Object[]>}[]} documents - Report of each document
+ * @param {string} policy - fail, warn or proceed
+ * @returns {{policy: string, status: string, summary: Object<string, number>, documents: Object[]}}
+ */
+export function summarizePreflight(documents, policy) {
+  const summary = {};
+  for (const check of Object.keys(PREFLIGHT_CHECKS)) {
+    summary[check] = documents.reduce((count, document) => count + document.issues[check].length, 0);
+  }
+
+  const hasIssues = Object.values(summary).some(count => count > 0);
+  const statusByPolicy = { fail: 'failed', warn: 'warnings', proceed: 'ignored' };
+
+  return {
+    policy,
+    status: hasIssues ? statusByPolicy[policy] : 'passed',
+    summary,
+    documents
+  };
+}
+
+/**
+ * Describes the problems of a preflight summary in one line
+ * @param {Object<string, number>} summary - Problem counts by category
+ * @returns {string} - e.g. "2 missing fonts, 1 overset text frame"
+ */
+export function describePreflightIssues(summary) {
+  return Object.entries(PREFLIGHT_CHECKS)
+    .filter(([check]) => summary[check] > 0)
+    .map(([check, label]) => `${summary[check]} ${label}${summary[check] === 1 ? '' : 's'}`)
+    .join(', ');
+}
@@ -0,0 +1,395 @@
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { getJob, updateJob, recordStage } from './jobStore.js';
+import { completeJob, failJob, releasePackage } from './jobResults.js';
+import { conversionQueue } from './conversionQueue.js';
+import { AppError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Render farm coordinator (RENDER_FARM=true)
+ *
+ * Instead of converting jobs itself, the server hands them to worker agents
+ * (farm-worker.js) on other machines. Workers register with their capability
+ * tags, send heartbeats, claim jobs whose requirements they meet, download the
+ * package, report progress and upload the result (see routes/farm.js).
+ *
+ * Queued jobs still go through the conversion queue, whose concurrency follows
+ * the number of slots the registered workers offer. A job whose worker stops
+ * sending heartbeats is dispatched again, up to FARM_MAX_ATTEMPTS times.
+ */
+
+// Registered workers by id
+const workers = new Map();
+// Jobs handed to the farm by id: { jobId, requirements, workerId, attempts, resolve }
+const dispatches = new Map();
+// Ids of dispatched jobs waiting for a worker, oldest first
+const waiting = [];
+
+/**
+ * Starts the coordinator: no job runs until a worker registers, and workers
+ * that stop sending heartbeats are removed
+ */
+export function startRenderFarm() {
+  conversionQueue.setConcurrency(0);
+  setInterval(removeSilentWorkers, Math.max(1000, config.farmHeartbeatTimeoutMs / 3)).unref();
+}
+
+/**
+ * Waits for a worker to convert a job
+ * Used as the conversion queue task in render farm mode
+ * @param {string} jobId - Id of the job to dispatch
+ * @returns {Promise<void>} - Resolves once the job has completed or failed
+ */
+export function dispatchJob(jobId) {
+  const job = getJob(jobId);
+  if (!job) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    dispatches.set(jobId, { jobId, requirements: job.requirements || null, workerId: null, attempts: 0, resolve });
+    waiting.push(jobId);
+  });
+}
+
+/**
+ * Parses the worker requirements of an upload
+ * @param {Object} fields - Request fields: indesignVersion, requiredFonts (comma-separated or JSON array)
+ * @returns {{indesignVersion: string|null, fonts: string[]}|null} - Requirements, or null if there are none
+ * @throws {ValidationError} - If the font list is malformed
+ */
+export function parseWorkerRequirements(fields = {}) {
+  const indesignVersion = fields.indesignVersion ? String(fields.indesignVersion).trim() : null;
+
+  let fonts = [];
+  if (fields.requiredFonts) {
+    const text = String(fields.requiredFonts).trim();
+    if (text.startsWith('[')) {
+      try {
+        fonts = JSON.parse(text);
+      } catch {
+        fonts = null;
+      }
+      if (!Array.isArray(fonts) || !fonts.every(font => typeof font === 'string')) {
+        throw new ValidationError('Invalid requiredFonts: expected a JSON array of font names', null, 'INVALID_OPTION');
+      }
+    } else {
+      fonts = text.split(',');
+    }
+    fonts = fonts.map(font => font.trim()).filter(Boolean);
+  }
+
+  if (!indesignVersion && fonts.length === 0) {
+    return null;
+  }
+  return { indesignVersion, fonts };
+}
+
+/**
+ * Registers a worker agent
+ * @param {{name: string, slots: number, tags: {indesignVersions?: string[], fonts?: string[], engine?: string}}} info -
+ *   Worker name, how many jobs it converts at once and its capabilities
+ * @returns {Object} - The registered worker
+ */
+export function registerWorker({ name, slots, tags } = {}) {
+  const worker = {
+    id: uuidv4(),
+    name: String(name || 'worker'),
+    slots: Math.max(1, parseInt(slots, 10) || 1),
+    tags: {
+      engine: tags?.engine ? String(tags.engine) : null,
+      indesignVersions: Array.isArray(tags?.indesignVersions) ? tags.indesignVersions.map(String) : [],
+      fonts: Array.isArray(tags?.fonts) ? tags.fonts.map(String) : []
+    },
+    activeJobs: new Set(),
+    completedJobs: 0,
+    failedJobs: 0,
+    registeredAt: new Date().toISOString(),
+    lastHeartbeatAt: Date.now()
+  };
+
+  workers.set(worker.id, worker);
+  logger.info(`Farm worker ${worker.name} registered with ${worker.slots} slot(s)`, { workerId: worker.id, tags: worker.tags });
+  updateConcurrency();
+  return worker;
+}
+
+/**
+ * Records a heartbeat from a worker
+ * @param {string} workerId - Worker id
+ * @throws {AppError} - WORKER_NOT_FOUND if the worker is unknown, e.g. after it was
+ *   considered lost; it should register again
+ */
+export function recordHeartbeat(workerId) {
+  getWorker(workerId).lastHeartbeatAt = Date.now();
+}
+
+/**
+ * Removes a worker; jobs it was converting are dispatched again
+ * @param {string} workerId - Worker id
+ * @param {string} reason - Why the worker is removed, recorded on its jobs
+ * @returns {Promise<void>}
+ */
+export async function removeWorker(workerId, reason = 'Worker left the farm') {
+  const worker = workers.get(workerId);
+  if (!worker) {
+    return;
+  }
+
+  workers.delete(workerId);
+  logger.info(`Farm worker ${worker.name} removed: ${reason}`, { workerId: worker.id });
+  updateConcurrency();
+
+  for (const jobId of worker.activeJobs) {
+    await redispatch(jobId, reason);
+  }
+}
+
+/**
+ * Hands the oldest waiting job the worker can convert to the worker
+ * @param {string} workerId - Worker id
+ * @returns {Promise<Object|null>} - Job description for the worker, or null if there is no work for it
+ */
+export async function claimJob(workerId) {
+  const worker = getWorker(workerId);
+  worker.lastHeartbeatAt = Date.now();
+  if (worker.activeJobs.size >= worker.slots) {
+    return null;
+  }
+
+  const index = waiting.findIndex(jobId => meetsRequirements(worker, dispatches.get(jobId).requirements));
+  if (index === -1) {
+    return null;
+  }
+
+  const [jobId] = waiting.splice(index, 1);
+  const dispatch = dispatches.get(jobId);
+  dispatch.workerId = worker.id;
+  dispatch.attempts++;
+  worker.activeJobs.add(jobId);
+
+  await updateJob(jobId, {
+    status: 'processing',
+    startedAt: new Date().toISOString(),
+    worker: { id: worker.id, name: worker.name },
+    attempts: dispatch.attempts
+  });
+  await recordStage(jobId, 'queued', `Dispatched to worker ${worker.name}`);
+  logger.info(`Dispatched to farm worker ${worker.name}`, { jobId, workerId: worker.id, attempt: dispatch.attempts });
+
+  const job = getJob(jobId);
+  return {
+    id: job.id,
+    originalName: job.originalName,
+    exportOptions: job.exportOptions,
+    documentSelection: job.documentSelection,
+    requirements: job.requirements || null,
+    // Lets the worker's log entries be correlated with the upload
+    requestId: job.requestId ?? null
+  };
+}
+
+/**
+ * Gets the uploaded package of a job the worker is converting
+ * @param {string} workerId - Worker id
+ * @param {string} jobId - Job id
+ * @returns {string} - Path of the zip
+ */
+export function getJobPackage(workerId, jobId) {
+  getAssignment(workerId, jobId);
+  return getJob(jobId).uploadPath;
+}
+
+// Job fields workers may set while converting
+const WORKER_JOB_FIELDS = ['documents', 'chapters', 'extraction', 'preflight'];
+const WORKER_STAGES = ['extracting', 'converting', 'combining'];
+
+/**
+ * Records progress a worker reports on a job
+ * @param {string} workerId - Worker id
+ * @param {string} jobId - Job id
+ * @param {{stage?: string, message?: string, changes?: Object}} progress - A stage with its message,
+ *   and/or changes to the job's documents, chapters, extraction or preflight
+ * @returns {Promise<void>}
+ */
+export async function recordWorkerProgress(workerId, jobId, { stage, message, changes } = {}) {
+  getAssignment(workerId, jobId);
+
+  if (changes) {
+    const allowed = Object.fromEntries(
+      Object.entries(changes).filter(([field]) => WORKER_JOB_FIELDS.includes(field))
+    );
+    await updateJob(jobId, allowed);
+  }
+  if (stage) {
+    if (!WORKER_STAGES.includes(stage)) {
+      throw new ValidationError(`Invalid stage "${stage}". Expected one of: ${WORKER_STAGES.join(', ')}`);
+    }
+    await recordStage(jobId, stage, String(message || ''));
+  }
+}
+
+/**
+ * Completes a job with the result a worker uploaded
+ * @param {string} workerId - Worker id
+ * @param {string} jobId - Job id
+ * @param {{path: string, contentType: string, extension: string}} output - The uploaded result
+ * @param {{extractMs?: number, convertMs?: number}} timings - Times the worker measured
+ * @returns {Promise<void>}
+ */
+export async function completeWorkerJob(workerId, jobId, output, timings = {}) {
+  const dispatch = getAssignment(workerId, jobId);
+  const job = getJob(jobId);
+
+  await completeJob(jobId, output, {
+    timings: { ...timings, totalMs: Date.now() - Date.parse(job.startedAt) },
+    preflight: job.preflight || null
+  });
+  workers.get(workerId).completedJobs++;
+  await finishDispatch(dispatch);
+}
+
+/**
+ * Fails a job with the error a worker reported
+ * Conversion errors are not retried on another worker; they would fail there too
+ * @param {string} workerId - Worker id
+ * @param {string} jobId - Job id
+ * @param {{code: string, message: string, details: Object|null}} error - The serialized error
+ * @returns {Promise<void>}
+ */
+export async function failWorkerJob(workerId, jobId, error) {
+  const dispatch = getAssignment(workerId, jobId);
+  const job = getJob(jobId);
+
+  await failJob(
+    jobId,
+    {
+      code: String(error?.code || 'INTERNAL_ERROR'),
+      message: String(error?.message || 'The worker could not convert the package'),
+      details: error?.details ?? null
+    },
+    { timings: { totalMs: Date.now() - Date.parse(job.startedAt) } }
+  );
+  workers.get(workerId).failedJobs++;
+  await finishDispatch(dispatch);
+}
+
+/**
+ * Summarizes the farm for the worker status endpoint
+ * @returns {{workers: Object[], slots: number, waitingJobs: number}}
+ */
+export function getFarmStatus() {
+  const now = Date.now();
+  return {
+    workers: [...workers.values()].map(worker => ({
+      id: worker.id,
+      name: worker.name,
+      status: worker.activeJobs.size > 0 ? 'busy' : 'idle',
+      slots: worker.slots,
+      tags: worker.tags,
+      activeJobs: [...worker.activeJobs],
+      completedJobs: worker.completedJobs,
+      failedJobs: worker.failedJobs,
+      registeredAt: worker.registeredAt,
+      lastHeartbeatAt: new Date(worker.lastHeartbeatAt).toISOString(),
+      secondsSinceHeartbeat: Math.round((now - worker.lastHeartbeatAt) / 1000)
+    })),
+    slots: totalSlots(),
+    waitingJobs: waiting.length
+  };
+}
+
+function getWorker(workerId) {
+  const worker = workers.get(workerId);
+  if (!worker) {
+    throw new AppError('WORKER_NOT_FOUND', 'Worker is not registered; register again', { status: 404 });
+  }
+  return worker;
+}
+
+function getAssignment(workerId, jobId) {
+  getWorker(workerId);
+  const dispatch = dispatches.get(jobId);
+  if (!dispatch || dispatch.workerId !== workerId) {
+    throw new AppError('JOB_NOT_ASSIGNED', 'The job is not assigned to this worker', { status: 409 });
+  }
+  return dispatch;
+}
+
+function meetsRequirements(worker, requirements) {
+  if (!requirements) {
+    return true;
+  }
+  const versions = worker.tags.indesignVersions.map(version => version.toLowerCase());
+  if (requirements.indesignVersion && !versions.includes(requirements.indesignVersion.toLowerCase())) {
+    return false;
+  }
+
+  const installedFonts = new Set(worker.tags.fonts.map(font => font.toLowerCase()));
+  return (requirements.fonts || []).every(font => installedFonts.has(font.toLowerCase()));
+}
+
+function totalSlots() {
+  return [...workers.values()].reduce((sum, worker) => sum + worker.slots, 0);
+}
+
+function updateConcurrency() {
+  conversionQueue.setConcurrency(totalSlots());
+}
+
+/**
+ * Puts a job whose worker was lost back in line, or fails it once it has
+ * been attempted FARM_MAX_ATTEMPTS times
+ * @param {string} jobId - Job id
+ * @param {string} reason - Why the worker was lost
+ */
+async function redispatch(jobId, reason) {
+  const dispatch = dispatches.get(jobId);
+  if (!dispatch) {
+    return;
+  }
+
+  dispatch.workerId = null;
+  if (dispatch.attempts >= config.farmMaxAttempts) {
+    const job = getJob(jobId);
+    await failJob(
+      jobId,
+      new AppError('WORKER_LOST', `${reason}; the job was given up after ${dispatch.attempts} attempts`, {
+        status: 503,
+        details: { attempts: dispatch.attempts }
+      }),
+      { timings: { totalMs: Date.now() - Date.parse(job.startedAt) } }
+    );
+    await finishDispatch(dispatch);
+    return;
+  }
+
+  // The job was dispatched before anything still waiting, so it goes first
+  waiting.unshift(jobId);
+  await updateJob(jobId, { status: 'queued', worker: null });
+  await recordStage(jobId, 'queued', `${reason}; waiting for another worker`);
+}
+
+async function finishDispatch(dispatch) {
+  const worker = workers.get(dispatch.workerId);
+  worker?.activeJobs.delete(dispatch.jobId);
+  dispatches.delete(dispatch.jobId);
+
+  const job = getJob(dispatch.jobId);
+  if (job) {
+    await releasePackage(job.id, job.uploadPath);
+  }
+  dispatch.resolve();
+}
+
+function removeSilentWorkers() {
+  const cutoff = Date.now() - config.farmHeartbeatTimeoutMs;
+  for (const worker of workers.values()) {
+    if (worker.lastHeartbeatAt < cutoff) {
+      removeWorker(worker.id, `Worker ${worker.name} stopped sending heartbeats`).catch((error) => {
+        logger.error(`Failed to remove farm worker ${worker.name}`, { workerId: worker.id, error });
+      });
+    }
+  }
+}
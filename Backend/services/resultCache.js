@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import config from '../config/config.js';
+import { getEngine } from './engines/index.js';
+import { loadPreExportScript } from './preExportScripts.js';
+import { deleteFile, protectFromCleanup } from '../utils/fileCleanup.js';
+import { createJsonFileStore } from '../utils/jsonFileStore.js';
+import logger from '../utils/logger.js';
+
+// Results are stored as <key><extension> next to an index of what each one is
+const INDEX_FILE = 'index.json';
+
+// Most recently used last; Map keeps insertion order, so a hit moves the entry to the end
+const entries = new Map();
+const stats = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+const indexFile = createJsonFileStore(path.join(config.resultCachePath, INDEX_FILE), 'result cache index');
+let indexLoaded = null;
+
+protectFromCleanup(config.resultCachePath);
+
+/**
+ * Tells whether conversion results are cached (RESULT_CACHE_MAX_MB above 0)
+ * @returns {boolean}
+ */
+export function isCacheEnabled() {
+  return config.resultCacheMaxBytes > 0;
+}
+
+/**
+ * Computes the cache key of a conversion: the SHA-256 of the uploaded zip
+ * together with everything else that shapes the result
+ * Pre-export scripts count with their source, so editing one invalidates the results it produced
+ * @param {string} packagePath - The uploaded zip
+ * @param {{exportOptions: Object, documentSelection: Object}} job - Export options and document selection
+ * @returns {Promise<string>} - Hex digest
+ */
+export async function getCacheKey(packagePath, { exportOptions, documentSelection }) {
+  const packageHash = crypto.createHash('sha256');
+  await pipeline(createReadStream(packagePath), packageHash);
+
+  const scripts = await Promise.all(
+    (exportOptions.preExportScripts || []).map(async ({ name, params }) => ({
+      name,
+      params,
+      source: (await loadPreExportScript(name)).source
+    }))
+  );
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      package: packageHash.digest('hex'),
+      engine: config.renderFarm ? 'render-farm' : getEngine().name,
+      exportOptions: { ...exportOptions, preExportScripts: scripts },
+      documentSelection
+    }))
+    .digest('hex');
+}
+
+/**
+ * Looks up a cached result and copies it to a path the caller owns
+ * Counts a hit or a miss, and marks the result as most recently used
+ * @param {string} key - Cache key from getCacheKey
+ * @param {string} destinationPath - Where to copy the cached file
+ * @returns {Promise<{contentType: string, extension: string, preflight: Object|null, createdAt: string}|null>} -
+ *   The cached result, or null on a miss
+ */
+export async function restoreCachedResult(key, destinationPath) {
+  await loadIndex();
+  const entry = entries.get(key);
+
+  if (entry) {
+    try {
+      await fs.copyFile(getEntryPath(entry), destinationPath);
+      entries.delete(key);
+      entries.set(key, { ...entry, lastUsedAt: new Date().toISOString(), hits: entry.hits + 1 });
+      stats.hits++;
+      await persistIndex();
+      return { contentType: entry.contentType, extension: entry.extension, preflight: entry.preflight, createdAt: entry.createdAt };
+    } catch (error) {
+      // The file was removed behind the cache's back; forget it
+      logger.error(`Cached result ${key} is unreadable`, { error: error.message });
+      entries.delete(key);
+      await persistIndex();
+    }
+  }
+
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Adds the result of a finished conversion to the cache, replacing any result
+ * with the same key, then evicts the least recently used results until the cache
+ * fits RESULT_CACHE_MAX_MB. Results larger than the whole cache are not stored
+ * @param {string} key - Cache key from getCacheKey
+ * @param {string} resultPath - The job's result; it is copied, the job keeps its own file
+ * @param {{contentType: string, extension: string, preflight: Object|null}} result - What the result is
+ * @returns {Promise<void>}
+ */
+export async function storeCachedResult(key, resultPath, { contentType, extension, preflight = null }) {
+  await loadIndex();
+  const { size } = await fs.stat(resultPath);
+  if (size > config.resultCacheMaxBytes) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const entry = { key, extension, contentType, preflight, size, createdAt: now, lastUsedAt: now, hits: 0 };
+  await fs.mkdir(config.resultCachePath, { recursive: true });
+  await fs.copyFile(resultPath, getEntryPath(entry));
+
+  const replaced = entries.get(key);
+  entries.delete(key);
+  if (replaced && replaced.extension !== extension) {
+    await deleteFile(getEntryPath(replaced));
+  }
+  entries.set(key, entry);
+  stats.stores++;
+
+  let totalBytes = getTotalBytes();
+  for (const [oldestKey, oldest] of entries) {
+    if (totalBytes <= config.resultCacheMaxBytes) {
+      break;
+    }
+    entries.delete(oldestKey);
+    await deleteFile(getEntryPath(oldest));
+    totalBytes -= oldest.size;
+    stats.evictions++;
+    logger.info(`Evicted cached result ${oldestKey}`, { bytes: oldest.size, lastUsedAt: oldest.lastUsedAt });
+  }
+
+  await persistIndex();
+}
+
+/**
+ * Reports the cache's size and how often it was used since the server started
+ * @returns {Promise<{enabled: boolean, entries: number, bytes: number, maxBytes: number, hits: number,
+ *   misses: number, hitRate: number|null, stores: number, evictions: number}>}
+ */
+export async function getCacheStats() {
+  await loadIndex();
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    enabled: isCacheEnabled(),
+    entries: entries.size,
+    bytes: getTotalBytes(),
+    maxBytes: config.resultCacheMaxBytes,
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : null
+  };
+}
+
+/**
+ * Reads the cache index from disk, once; entries whose file is gone are dropped
+ * @returns {Promise<void>}
+ */
+function loadIndex() {
+  indexLoaded ??= (async () => {
+    const stored = await indexFile.read();
+
+    for (const entry of stored || []) {
+      try {
+        await fs.access(getEntryPath(entry));
+        entries.set(entry.key, entry);
+      } catch {
+        // Skipped: the file was removed
+      }
+    }
+  })();
+  return indexLoaded;
+}
+
+/**
+ * Writes the cache index to disk, least recently used first
+ * @returns {Promise<void>}
+ */
+function persistIndex() {
+  return indexFile.write(() => [...entries.values()]);
+}
+
+/**
+ * Gets where a cached result is stored
+ * @param {{key: string, extension: string}} entry - Index entry
+ * @returns {string}
+ */
+function getEntryPath(entry) {
+  return path.join(config.resultCachePath, `${entry.key}${entry.extension}`);
+}
+
+/**
+ * Adds up the size of all cached results
+ * @returns {number} - Bytes
+ */
+function getTotalBytes() {
+  return [...entries.values()].reduce((total, entry) => total + entry.size, 0);
+}
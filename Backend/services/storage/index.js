@@ -0,0 +1,96 @@
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import config from '../../config/config.js';
+import { createLocalStorage } from './localStorage.js';
+import s3Storage from './s3Storage.js';
+
+/**
+ * Result storage backends, selected with STORAGE_BACKEND
+ *
+ * Every backend exposes the same interface; files are addressed by key,
+ * e.g. "results/<jobId>.pdf" or "packages/<jobId>.zip":
+ *   name: string
+ *   retentionHours: number - how long completed jobs keep their files; 0 keeps them forever
+ *   put(key, filePath, {contentType}): Promise<void> - stores a local file, which is moved or removed
+ *   getStream(key): Promise<{stream: Readable, size: number}> - throws ResultExpiredError if the file is gone
+ *   delete(key): Promise<void>
+ *   getSignedUrl(key, {fileName, contentType, expiresInSeconds}): Promise<string> - time-limited download link
+ *   getStatus(): Promise<Object> - optional; backend state for GET /health
+ *
+ * Jobs record the backend their files went to, so they stay downloadable after
+ * STORAGE_BACKEND changes
+ */
+export const storages = {
+  temp: createLocalStorage({
+    name: 'temp',
+    rootPath: config.tempStoragePath,
+    retentionHours: config.jobRetentionHours
+  }),
+  archive: createLocalStorage({
+    name: 'archive',
+    rootPath: config.archiveStoragePath,
+    retentionHours: config.storageRetentionDays * 24
+  }),
+  s3: s3Storage
+};
+
+/**
+ * Gets a storage backend
+ * @param {string} name - Backend name; defaults to the one selected in the configuration
+ * @returns {Object} - The backend
+ */
+export function getStorage(name = config.storageBackend) {
+  const storage = storages[name];
+  if (!storage) {
+    throw new Error(`Unknown storage backend "${name}". Expected one of: ${Object.keys(storages).join(', ')}`);
+  }
+  return storage;
+}
+
+/**
+ * Creates a time-limited link to a completed job's result that works without an API key
+ * @param {Object} job - Completed job
+ * @param {number} expiresInSeconds - How long the link works (default DOWNLOAD_URL_TTL_MINUTES)
+ * @returns {Promise<{url: string, expiresAt: string}>}
+ */
+export async function createResultUrl(job, expiresInSeconds = config.downloadUrlTtlSeconds) {
+  const url = await getStorage(job.resultStorage).getSignedUrl(job.resultKey, {
+    fileName: job.resultName,
+    contentType: job.resultContentType,
+    expiresInSeconds
+  });
+  return { url, expiresAt: new Date(Date.now() + expiresInSeconds * 1000).toISOString() };
+}
+
+/**
+ * Sends a stored file as a download
+ * @param {Object} res - Express response
+ * @param {string} storageName - Backend the file is stored in
+ * @param {string} key - Key of the file
+ * @param {{fileName: string, contentType: string}} file - Name and content type to send it with
+ * @returns {Promise<void>} - Rejects with ResultExpiredError before anything is sent if the file is gone
+ */
+export async function sendStoredFile(res, storageName, key, { fileName, contentType }) {
+  const { stream, size } = await getStorage(storageName).getStream(key);
+
+  res.attachment(fileName);
+  if (contentType) {
+    res.type(contentType);
+  }
+  if (size !== undefined) {
+    res.set('Content-Length', String(size));
+  }
+  await pipeline(stream, res);
+}
+
+/**
+ * Copies a stored file to a local path, e.g. to add it to an archive
+ * @param {string} storageName - Backend the file is stored in
+ * @param {string} key - Key of the file
+ * @param {string} destinationPath - Where to write the copy
+ * @returns {Promise<void>}
+ */
+export async function copyStoredFile(storageName, key, destinationPath) {
+  const { stream } = await getStorage(storageName).getStream(key);
+  await pipeline(stream, createWriteStream(destinationPath));
+}
@@ -0,0 +1,73 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { ResultExpiredError } from '../../utils/errors.js';
+import { deleteFile } from '../../utils/fileCleanup.js';
+import { createLocalSignedUrl } from './signedUrls.js';
+
+/**
+ * Creates a storage backend that keeps files in a directory on this server
+ * Keys map to paths below the directory; signed URLs are served by GET /api/files
+ * @param {Object} options
+ * @param {string} options.name - Backend name, as used in STORAGE_BACKEND
+ * @param {string} options.rootPath - Directory files are stored in
+ * @param {number} options.retentionHours - How long files are kept (see storage/index.js)
+ * @returns {Object} - Storage backend
+ */
+export function createLocalStorage({ name, rootPath, retentionHours }) {
+  const root = path.resolve(rootPath);
+
+  // Keys are generated by the server, but a key must never reach outside the directory
+  const getFilePath = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new ResultExpiredError('No such file in result storage', { storage: name });
+    }
+    return filePath;
+  };
+
+  return {
+    name,
+    retentionHours,
+
+    async put(key, filePath) {
+      const targetPath = getFilePath(key);
+      await fs.mkdir(path.dirname(targetPath), { recursive: true });
+      try {
+        await fs.rename(filePath, targetPath);
+      } catch (error) {
+        // The directory may be on another volume than the temp files
+        if (error.code !== 'EXDEV') {
+          throw error;
+        }
+        await fs.copyFile(filePath, targetPath);
+        await deleteFile(filePath);
+      }
+    },
+
+    async getStream(key) {
+      const filePath = getFilePath(key);
+      try {
+        const { size } = await fs.stat(filePath);
+        return { stream: createReadStream(filePath), size };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new ResultExpiredError(undefined, { storage: name });
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await deleteFile(getFilePath(key));
+    },
+
+    async getSignedUrl(key, options) {
+      return createLocalSignedUrl(name, key, options);
+    },
+
+    async getStatus() {
+      return { path: root };
+    }
+  };
+}
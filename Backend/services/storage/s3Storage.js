@@ -0,0 +1,141 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import config from '../../config/config.js';
+import { AppError, ResultExpiredError } from '../../utils/errors.js';
+import { deleteFile } from '../../utils/fileCleanup.js';
+
+let client = null;
+
+/**
+ * Gets the S3 client, created on first use so servers without S3 need no configuration
+ * @returns {S3Client}
+ * @throws {AppError} - STORAGE_ERROR if S3_BUCKET is not set
+ */
+function getClient() {
+  if (!config.s3Bucket) {
+    throw new AppError('STORAGE_ERROR', 'S3 storage is not configured (S3_BUCKET is not set)');
+  }
+
+  client ??= new S3Client({
+    region: config.s3Region,
+    endpoint: config.s3Endpoint || undefined,
+    forcePathStyle: config.s3ForcePathStyle,
+    credentials: config.s3AccessKeyId
+      ? { accessKeyId: config.s3AccessKeyId, secretAccessKey: config.s3SecretAccessKey }
+      : undefined
+  });
+  return client;
+}
+
+function getObjectKey(key) {
+  return config.s3Prefix ? `${config.s3Prefix}/${key}` : key;
+}
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+}
+
+/**
+ * Wraps an S3 failure so jobs and clients get a stable code instead of the SDK's
+ * @param {string} action - What failed, e.g. "store"
+ * @param {string} key - Key of the object
+ * @param {Error} error - SDK error
+ * @returns {AppError}
+ */
+function toStorageError(action, key, error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  return new AppError('STORAGE_ERROR', `Failed to ${action} ${key} in S3 storage: ${error.message}`, {
+    status: 502,
+    details: { bucket: config.s3Bucket, endpoint: config.s3Endpoint },
+    cause: error
+  });
+}
+
+/**
+ * Attachment header for a file name, with an ASCII fallback for old clients
+ * @param {string} fileName - Name the browser saves the file as
+ * @returns {string}
+ */
+function contentDisposition(fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Storage backend for Amazon S3 and S3-compatible servers such as MinIO
+ * Objects are stored in S3_BUCKET below S3_PREFIX; signed URLs are S3 presigned
+ * URLs, so downloads go straight to the bucket
+ */
+export default {
+  name: 's3',
+  retentionHours: config.storageRetentionDays * 24,
+
+  async put(key, filePath, { contentType } = {}) {
+    try {
+      const { size } = await fs.stat(filePath);
+      await getClient().send(new PutObjectCommand({
+        Bucket: config.s3Bucket,
+        Key: getObjectKey(key),
+        Body: createReadStream(filePath),
+        ContentLength: size,
+        ContentType: contentType
+      }));
+    } catch (error) {
+      throw toStorageError('store', key, error);
+    }
+    await deleteFile(filePath);
+  },
+
+  async getStream(key) {
+    try {
+      const { Body, ContentLength } = await getClient().send(new GetObjectCommand({
+        Bucket: config.s3Bucket,
+        Key: getObjectKey(key)
+      }));
+      return { stream: Body, size: ContentLength };
+    } catch (error) {
+      if (isNotFound(error)) {
+        throw new ResultExpiredError(undefined, { storage: 's3' });
+      }
+      throw toStorageError('read', key, error);
+    }
+  },
+
+  async delete(key) {
+    try {
+      await getClient().send(new DeleteObjectCommand({ Bucket: config.s3Bucket, Key: getObjectKey(key) }));
+    } catch (error) {
+      throw toStorageError('delete', key, error);
+    }
+  },
+
+  async getSignedUrl(key, { fileName, contentType, expiresInSeconds }) {
+    const command = new GetObjectCommand({
+      Bucket: config.s3Bucket,
+      Key: getObjectKey(key),
+      ResponseContentDisposition: contentDisposition(fileName),
+      ResponseContentType: contentType
+    });
+    return getSignedUrl(getClient(), command, { expiresIn: expiresInSeconds });
+  },
+
+  async getStatus() {
+    const status = { bucket: config.s3Bucket, endpoint: config.s3Endpoint || 'AWS' };
+    try {
+      await getClient().send(new HeadBucketCommand({ Bucket: config.s3Bucket }));
+      return { ...status, reachable: true };
+    } catch (error) {
+      return { ...status, reachable: false, error: error.message || error.name };
+    }
+  }
+};
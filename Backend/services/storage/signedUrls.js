@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import config from '../../config/config.js';
+import { AppError } from '../../utils/errors.js';
+
+// Without DOWNLOAD_URL_SECRET links are signed with a key of this process only
+const secret = config.downloadUrlSecret || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Creates a time-limited link to a file in a local storage backend, served by
+ * GET /api/files/:storage/*key without an API key
+ * @param {string} storageName - Backend the file is stored in
+ * @param {string} key - Key of the file
+ * @param {Object} options
+ * @param {string} options.fileName - Name the browser saves the file as
+ * @param {string} options.contentType - Content type of the file
+ * @param {number} options.expiresInSeconds - How long the link works
+ * @returns {string} - Absolute URL, based on PUBLIC_URL
+ */
+export function createLocalSignedUrl(storageName, key, { fileName, contentType, expiresInSeconds }) {
+  const expires = String(Math.floor(Date.now() / 1000) + expiresInSeconds);
+  const query = new URLSearchParams({
+    name: fileName,
+    type: contentType || 'application/octet-stream',
+    expires
+  });
+  query.set('signature', sign(storageName, key, query));
+
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `${config.publicUrl}/api/files/${storageName}/${encodedKey}?${query}`;
+}
+
+/**
+ * Checks the signature and expiry of a link from createLocalSignedUrl
+ * @param {string} storageName - Backend named in the link
+ * @param {string} key - Key named in the link
+ * @param {Object} query - Query parameters of the link (name, type, expires, signature)
+ * @returns {{fileName: string, contentType: string}} - How to send the file
+ * @throws {AppError} - 403 INVALID_SIGNATURE or LINK_EXPIRED
+ */
+export function verifyLocalSignedUrl(storageName, key, query) {
+  const params = new URLSearchParams({
+    name: String(query.name ?? ''),
+    type: String(query.type ?? ''),
+    expires: String(query.expires ?? '')
+  });
+  const expected = Buffer.from(sign(storageName, key, params));
+  const actual = Buffer.from(String(query.signature ?? ''));
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new AppError('INVALID_SIGNATURE', 'Download link is invalid', { status: 403 });
+  }
+  if (Number(params.get('expires')) * 1000 < Date.now()) {
+    throw new AppError('LINK_EXPIRED', 'Download link has expired; request a new one', { status: 403 });
+  }
+  return { fileName: params.get('name'), contentType: params.get('type') };
+}
+
+/**
+ * Signs everything a link grants: the file, how it is sent and until when
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function sign(storageName, key, params) {
+  const payload = [storageName, key, params.get('name'), params.get('type'), params.get('expires')].join('\n');
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
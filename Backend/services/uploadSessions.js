@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4, validate as isUuid } from 'uuid';
+import config from '../config/config.js';
+import { ValidationError, ChunkChecksumError } from '../utils/errors.js';
+import { deleteFile } from '../utils/fileCleanup.js';
+import logger from '../utils/logger.js';
+
+// Each session is a directory holding its metadata and the file being assembled
+const SESSION_FILE = 'session.json';
+const DATA_FILE = 'data';
+
+// Updates to a session are chained so concurrent chunks never overwrite each other's metadata
+const sessionLocks = new Map();
+
+/**
+ * Starts a chunked upload of a package
+ * The file is assembled in place as chunks arrive, in any order; sessions live
+ * on disk so an interrupted upload can be resumed, even after a server restart
+ * @param {{fileName: string, fileSize: number}} fields - Name and size in bytes of the file to upload
+ * @param {{clientId: string|null}} owner - API key that started the upload, if API_AUTH is on
+ * @returns {Promise<Object>} - The new session
+ * @throws {ValidationError} - If the file is not a zip or is too large
+ */
+export async function createUploadSession(fields = {}, { clientId = null } = {}) {
+  const fileName = typeof fields.fileName === 'string' ? path.basename(fields.fileName.trim()) : '';
+  if (path.extname(fileName).toLowerCase() !== '.zip') {
+    throw new ValidationError('Only .zip files are allowed', null, 'INVALID_FILE_TYPE');
+  }
+
+  const fileSize = Number(fields.fileSize);
+  if (!Number.isSafeInteger(fileSize) || fileSize <= 0) {
+    throw new ValidationError('fileSize must be a positive number of bytes');
+  }
+  if (fileSize > config.maxFileSizeBytes) {
+    throw new ValidationError('File too large', { maxSize: `${config.maxFileSizeMB}MB` }, 'FILE_TOO_LARGE');
+  }
+
+  const now = new Date().toISOString();
+  const session = {
+    id: uuidv4(),
+    clientId,
+    fileName,
+    fileSize,
+    chunkSize: config.uploadChunkSizeBytes,
+    totalChunks: Math.ceil(fileSize / config.uploadChunkSizeBytes),
+    receivedChunks: {},
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const sessionPath = getSessionPath(session.id);
+  await fs.mkdir(sessionPath, { recursive: true });
+  await fs.writeFile(path.join(sessionPath, DATA_FILE), '');
+  await saveSession(session);
+  return session;
+}
+
+/**
+ * Gets an upload session by id
+ * @param {string} uploadId - Session id
+ * @returns {Promise<Object|null>} - The session, or null if it does not exist or has expired
+ */
+export async function getUploadSession(uploadId) {
+  if (!isUuid(uploadId)) {
+    return null;
+  }
+
+  try {
+    const contents = await fs.readFile(path.join(getSessionPath(uploadId), SESSION_FILE), 'utf8');
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error reading upload session ${uploadId}`, { error: error.message });
+    }
+    return null;
+  }
+}
+
+/**
+ * Stores one chunk of an upload after checking its size and checksum
+ * Sending a chunk again replaces it, so a chunk whose response was lost can simply be retried
+ * @param {string} uploadId - Session id
+ * @param {number|string} index - Zero-based chunk number
+ * @param {Buffer} data - Chunk contents
+ * @param {string} checksum - Hex SHA-256 of the chunk, as computed by the client
+ * @returns {Promise<Object|null>} - The updated session, or null if it does not exist
+ * @throws {ValidationError} - If the chunk number or size is wrong (ChunkChecksumError for a bad checksum)
+ */
+export function writeChunk(uploadId, index, data, checksum) {
+  return withSessionLock(uploadId, async () => {
+    const session = await getUploadSession(uploadId);
+    if (!session) {
+      return null;
+    }
+    if (session.jobId) {
+      throw new ValidationError('The upload is already complete', { jobId: session.jobId }, 'UPLOAD_COMPLETED');
+    }
+
+    const chunkIndex = Number(index);
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.totalChunks) {
+      throw new ValidationError(`Chunk number must be between 0 and ${session.totalChunks - 1}`);
+    }
+
+    const offset = chunkIndex * session.chunkSize;
+    const expectedSize = Math.min(session.chunkSize, session.fileSize - offset);
+    if (!Buffer.isBuffer(data) || data.length !== expectedSize) {
+      throw new ValidationError(`Chunk ${chunkIndex} must be ${expectedSize} bytes`, {
+        expectedSize,
+        receivedSize: Buffer.isBuffer(data) ? data.length : 0
+      });
+    }
+
+    if (!checksum) {
+      throw new ValidationError('Chunk checksum is required (X-Chunk-Checksum: SHA-256 in hex)');
+    }
+    const actualChecksum = crypto.createHash('sha256').update(data).digest('hex');
+    if (actualChecksum !== checksum.trim().toLowerCase()) {
+      throw new ChunkChecksumError(chunkIndex, { expected: checksum, actual: actualChecksum });
+    }
+
+    const handle = await fs.open(path.join(getSessionPath(uploadId), DATA_FILE), 'r+');
+    try {
+      await handle.write(data, 0, data.length, offset);
+    } finally {
+      await handle.close();
+    }
+
+    session.receivedChunks[chunkIndex] = actualChecksum;
+    session.updatedAt = new Date().toISOString();
+    await saveSession(session);
+    return session;
+  });
+}
+
+/**
+ * Completes an upload once every chunk has arrived
+ * The assembled file is moved to the upload directory, like a regular upload,
+ * and handed to submit, which queues it. The session is then kept, without its
+ * chunks, with the id of the job, so completing it again (e.g. a retry after a
+ * lost response) returns that job instead of converting the file twice
+ * @param {string} uploadId - Session id
+ * @param {function({path: string, originalName: string}): Promise<{id: string}>} submit - Queues the
+ *   uploaded file and returns its job; if it throws, the file and the session are deleted
+ * @returns {Promise<{jobId: string, repeated: boolean}|null>} - The job, whether an earlier request
+ *   created it, or null if the session does not exist
+ * @throws {ValidationError} - If chunks are still missing; errors thrown by submit
+ */
+export function completeUploadSession(uploadId, submit) {
+  return withSessionLock(uploadId, async () => {
+    const session = await getUploadSession(uploadId);
+    if (!session) {
+      return null;
+    }
+    if (session.jobId) {
+      return { jobId: session.jobId, repeated: true };
+    }
+
+    const missingChunks = getMissingChunks(session);
+    if (missingChunks.length > 0) {
+      throw new ValidationError(
+        `The upload is missing ${missingChunks.length} chunk(s)`,
+        { missingChunks },
+        'UPLOAD_INCOMPLETE'
+      );
+    }
+
+    const uploadPath = path.join(config.tempUploadPath, `${uuidv4()}.zip`);
+    await fs.mkdir(config.tempUploadPath, { recursive: true });
+    await fs.rename(path.join(getSessionPath(uploadId), DATA_FILE), uploadPath);
+
+    let job;
+    try {
+      job = await submit({ path: uploadPath, originalName: session.fileName });
+    } catch (error) {
+      await deleteFile(uploadPath);
+      await deleteFile(getSessionPath(uploadId));
+      throw error;
+    }
+
+    session.jobId = job.id;
+    session.updatedAt = new Date().toISOString();
+    await saveSession(session);
+    return { jobId: job.id, repeated: false };
+  });
+}
+
+/**
+ * Cancels an upload and deletes the chunks received so far
+ * @param {string} uploadId - Session id
+ * @returns {Promise<boolean>} - Whether the session existed
+ */
+export function deleteUploadSession(uploadId) {
+  return withSessionLock(uploadId, async () => {
+    const session = await getUploadSession(uploadId);
+    if (!session) {
+      return false;
+    }
+    await deleteFile(getSessionPath(uploadId));
+    return true;
+  });
+}
+
+/**
+ * Builds the representation of a session returned by the API
+ * @param {Object} session - Upload session
+ * @returns {Object}
+ */
+export function toPublicUploadSession(session) {
+  const receivedChunks = Object.keys(session.receivedChunks).map(Number).sort((a, b) => a - b);
+  const receivedBytes = receivedChunks.reduce(
+    (total, index) => total + Math.min(session.chunkSize, session.fileSize - index * session.chunkSize),
+    0
+  );
+
+  return {
+    uploadId: session.id,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks,
+    receivedBytes,
+    complete: receivedChunks.length === session.totalChunks,
+    jobId: session.jobId ?? null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+/**
+ * Lists the chunk numbers that have not been received yet
+ * @param {Object} session - Upload session
+ * @returns {number[]}
+ */
+function getMissingChunks(session) {
+  const missing = [];
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (!session.receivedChunks[index]) {
+      missing.push(index);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Writes a session's metadata to disk
+ * The file is replaced atomically, which also marks the session directory as recently used
+ * @param {Object} session - Upload session
+ * @returns {Promise<void>}
+ */
+async function saveSession(session) {
+  const sessionFile = path.join(getSessionPath(session.id), SESSION_FILE);
+  await fs.writeFile(`${sessionFile}.tmp`, JSON.stringify(session, null, 2), 'utf8');
+  await fs.rename(`${sessionFile}.tmp`, sessionFile);
+}
+
+/**
+ * Runs an update of a session after any update already in progress
+ * @param {string} uploadId - Session id
+ * @param {Function} update - Async function to run
+ * @returns {Promise<*>} - Result of the update
+ */
+function withSessionLock(uploadId, update) {
+  const previous = sessionLocks.get(uploadId) || Promise.resolve();
+  const result = previous.then(update, update);
+  const settled = result.catch(() => {});
+
+  sessionLocks.set(uploadId, settled);
+  settled.then(() => {
+    if (sessionLocks.get(uploadId) === settled) {
+      sessionLocks.delete(uploadId);
+    }
+  });
+  return result;
+}
+
+/**
+ * Gets the directory of an upload session
+ * @param {string} uploadId - Session id
+ * @returns {string}
+ */
+function getSessionPath(uploadId) {
+  return path.join(config.uploadSessionPath, uploadId);
+}
@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/config.js';
+import { getJob, updateJob, listJobs } from './jobStore.js';
+import { createResultUrl } from './storage/index.js';
+import { ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Jobs whose webhook is being delivered, so a job is never delivered twice at once
+const activeDeliveries = new Set();
+
+// Addresses callbacks may not go to unless their host is in WEBHOOK_ALLOWED_HOSTS:
+// loopback, private networks, link-local (including the 169.254.169.254 cloud
+// metadata service) and other ranges that are not on the public internet
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Parses the callbackUrl of an upload: where to POST the job's result once it finishes
+ * @param {*} value - Field value
+ * @returns {Promise<string|null>} - The URL, or null if none was given
+ * @throws {ValidationError} - If the URL is not http(s), its host may not be called (see
+ *   checkCallbackTarget) or webhooks are not configured
+ */
+export async function parseCallbackUrl(value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch {
+    url = null;
+  }
+  if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+    throw new ValidationError('Invalid callbackUrl: expected an http or https URL', null, 'INVALID_OPTION');
+  }
+  if (!config.webhookSecret) {
+    throw new ValidationError(
+      'Callbacks are not enabled on this server (WEBHOOK_SECRET is not set)',
+      null,
+      'INVALID_OPTION'
+    );
+  }
+  await checkCallbackTarget(url);
+  return url.href;
+}
+
+/**
+ * Checks that the server may POST to a callback URL, so API clients cannot make
+ * it call internal services. With WEBHOOK_ALLOWED_HOSTS only the hosts listed
+ * there may be called; otherwise any host whose addresses are all public
+ * @param {URL} url - Callback URL
+ * @returns {Promise<void>}
+ * @throws {ValidationError} - If the host is not allowed, cannot be resolved or has a non-public address
+ */
+async function checkCallbackTarget(url) {
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (config.webhookAllowedHosts.length > 0) {
+    const allowed = config.webhookAllowedHosts.some(pattern => pattern.startsWith('*.')
+      ? host.endsWith(pattern.slice(1))
+      : host === pattern);
+    if (!allowed) {
+      throw new ValidationError(
+        `Invalid callbackUrl: ${host} is not in the hosts callbacks may go to`,
+        { allowedHosts: config.webhookAllowedHosts },
+        'INVALID_OPTION'
+      );
+    }
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map(entry => entry.address);
+  } catch {
+    throw new ValidationError(`Invalid callbackUrl: ${host} cannot be resolved`, null, 'INVALID_OPTION');
+  }
+  if (addresses.some(isNonPublicAddress)) {
+    throw new ValidationError(
+      `Invalid callbackUrl: ${host} is not a public address (set WEBHOOK_ALLOWED_HOSTS to allow internal hosts)`,
+      null,
+      'INVALID_OPTION'
+    );
+  }
+}
+
+/**
+ * Tells whether an IP address is loopback, private, link-local or otherwise not public
+ * IPv4 addresses written as IPv6 (::ffff:7f00:1) are matched against the IPv4 ranges
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isNonPublicAddress(address) {
+  return NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Signs a webhook body the way receivers verify it: the hex HMAC-SHA256, keyed
+ * with WEBHOOK_SECRET, of "<timestamp>.<body>"
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Value of the X-Webhook-Timestamp header (Unix seconds)
+ * @param {string} secret - Shared secret
+ * @returns {string} - Value of the X-Webhook-Signature header, "sha256=<hex>"
+ */
+export function signWebhookPayload(body, timestamp, secret = config.webhookSecret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Starts delivering the webhook of a job that completed or failed, if it has a callbackUrl
+ * Delivery runs in the background and is retried with exponential backoff;
+ * each attempt is logged on the job (webhook.deliveries)
+ * @param {string} jobId - Id of the finished job
+ * @returns {Promise<void>} - Resolves once delivery is queued, not delivered
+ */
+export async function notifyJobFinished(jobId) {
+  const job = getJob(jobId);
+  if (!job?.callbackUrl) {
+    return;
+  }
+
+  await updateJob(jobId, {
+    webhook: { id: uuidv4(), url: job.callbackUrl, state: 'pending', deliveries: [] }
+  });
+  deliverWebhook(jobId);
+}
+
+/**
+ * Continues delivering the webhooks that were still pending when the server stopped
+ * @returns {number} - Number of deliveries resumed
+ */
+export function resumePendingWebhooks() {
+  const pending = listJobs().filter(job => job.webhook?.state === 'pending');
+  pending.forEach(job => deliverWebhook(job.id));
+  return pending.length;
+}
+
+/**
+ * Describes a finished job for its webhook
+ * Completed jobs include a signed downloadUrl, so receivers can fetch the
+ * result without an API key until downloadUrlExpiresAt
+ * @param {Object} job - Completed or failed job
+ * @returns {Promise<Object>}
+ */
+async function toWebhookPayload(job) {
+  const completed = job.status === 'completed';
+  const download = completed
+    ? await createResultUrl(job).catch((error) => {
+      logger.error('Failed to sign the webhook download link', { jobId: job.id, error: error.message });
+      return null;
+    })
+    : null;
+
+  return {
+    event: completed ? 'job.completed' : 'job.failed',
+    jobId: job.id,
+    status: job.status,
+    originalName: job.originalName,
+    completedAt: job.completedAt,
+    cached: Boolean(job.cached),
+    error: job.error ? { code: job.error.code, message: job.error.message } : null,
+    preflight: job.preflight ? { status: job.preflight.status, summary: job.preflight.summary } : null,
+    resultName: completed ? job.resultName : null,
+    resultUrl: completed ? `${config.publicUrl}/api/jobs/${job.id}/result` : null,
+    downloadUrl: download?.url ?? null,
+    downloadUrlExpiresAt: download?.expiresAt ?? null
+  };
+}
+
+/**
+ * POSTs a job's webhook until the receiver accepts it (any 2xx) or
+ * WEBHOOK_MAX_ATTEMPTS attempts have failed; waits WEBHOOK_RETRY_BASE_SECONDS
+ * after the first failure and twice as long after each further one
+ * @param {string} jobId - Id of the job
+ * @returns {Promise<void>}
+ */
+async function deliverWebhook(jobId) {
+  if (activeDeliveries.has(jobId)) {
+    return;
+  }
+  activeDeliveries.add(jobId);
+
+  try {
+    for (;;) {
+      const job = getJob(jobId);
+      if (!job?.webhook || job.webhook.state !== 'pending') {
+        return;
+      }
+
+      const attempt = job.webhook.deliveries.length + 1;
+      const delivery = await sendWebhook(job, attempt);
+      const delivered = delivery.statusCode >= 200 && delivery.statusCode < 300;
+      const state = delivered ? 'delivered' : attempt >= config.webhookMaxAttempts ? 'failed' : 'pending';
+      await updateJob(jobId, {
+        webhook: { ...job.webhook, state, deliveries: [...job.webhook.deliveries, delivery] }
+      });
+
+      if (state !== 'pending') {
+        const outcome = delivered ? 'delivered' : `gave up after ${attempt} attempts`;
+        logger[delivered ? 'info' : 'warn'](`Webhook to ${job.webhook.url} ${outcome}`, { jobId, attempts: attempt });
+        return;
+      }
+
+      const delayMs = config.webhookRetryBaseMs * 2 ** (attempt - 1);
+      logger.warn(`Webhook attempt ${attempt} failed; retrying in ${Math.round(delayMs / 1000)}s`, {
+        jobId,
+        statusCode: delivery.statusCode,
+        error: delivery.error
+      });
+      await sleep(delayMs);
+    }
+  } catch (error) {
+    logger.error('Webhook delivery stopped', { jobId, error: error.message });
+  } finally {
+    activeDeliveries.delete(jobId);
+  }
+}
+
+/**
+ * Makes one delivery attempt
+ * @param {Object} job - The finished job
+ * @param {number} attempt - Attempt number, from 1
+ * @returns {Promise<{attempt: number, at: string, statusCode: number|null, error: string|null, durationMs: number}>}
+ */
+async function sendWebhook(job, attempt) {
+  const body = JSON.stringify(await toWebhookPayload(job));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const at = new Date().toISOString();
+  const startTime = Date.now();
+
+  try {
+    // The host is checked again, as its addresses may have changed since the upload
+    await checkCallbackTarget(new URL(job.webhook.url));
+
+    // Redirects count as failures, so a receiver cannot bounce the payload elsewhere
+    const response = await fetch(job.webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'indesign-converter-webhook',
+        'X-Webhook-Id': job.webhook.id,
+        'X-Webhook-Event': job.status === 'completed' ? 'job.completed' : 'job.failed',
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signWebhookPayload(body, timestamp)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.webhookTimeoutMs)
+    });
+    await response.body?.cancel();
+    return { attempt, at, statusCode: response.status, error: null, durationMs: Date.now() - startTime };
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `No response within ${config.webhookTimeoutMs / 1000}s`
+      : error.cause?.message || error.message;
+    return { attempt, at, statusCode: null, error: message, durationMs: Date.now() - startTime };
+  }
+}
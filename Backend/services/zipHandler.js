@@ -1,84 +1,429 @@
-import AdmZip from 'adm-zip';
 import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
 import path from 'path';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import yauzl from 'yauzl';
+import config from '../config/config.js';
+import { AppError, UnsafeArchiveError, NoDocumentError } from '../utils/errors.js';
+import { deleteMultiple } from '../utils/fileCleanup.js';
+import logger from '../utils/logger.js';
+
+// File extensions of InDesign documents
+const INDESIGN_EXTENSIONS = ['.indd', '.idml'];
+
+// File extension of InDesign books, which list chapter documents
+const BOOK_EXTENSION = '.indb';
+
+// Entries smaller than this are not held to the compression ratio limit,
+// since small text files routinely compress far better than any document
+const MIN_RATIO_CHECK_BYTES = 1024 * 1024;
+
+// Unix file type bits of an entry's external attributes
+const UNIX_FILE_TYPE_MASK = 0o170000;
+const UNIX_SYMLINK = 0o120000;
 
 /**
  * Extracts a zip file and finds InDesign files
+ * The archive is streamed entry by entry (Zip64 included), so memory use does
+ * not grow with its size; each entry is checked just before it is written, so
+ * validation and extraction happen in this one pass over the data
  * @param {string} zipPath - Path to the zip file
  * @param {string} extractPath - Path to extract the contents to
- * @returns {Promise<{indesignFile: string, extractedPath: string}>}
+ * @param {Function} onProgress - Optional; called with {entries, totalEntries, bytes} as entries are written
+ * @returns {Promise<{indesignFile: string, indesignFiles: string[], books: string[], extractedPath: string}>}
+ *   indesignFile is the first document in path order; indesignFiles lists them all
+ *   and books lists the InDesign books (.indb)
+ * @throws {UnsafeArchiveError} - If the zip is corrupt, unsafe or over the limits
+ * @throws {NoDocumentError} - If the zip contains no InDesign document or book
  */
-export async function extractZipAndFindInDesignFile(zipPath, extractPath) {
+export async function extractZipAndFindInDesignFile(zipPath, extractPath, onProgress = () => {}) {
   try {
-    // Extract the zip file
-    const zip = new AdmZip(zipPath);
-    zip.extractAllTo(extractPath, true);
+    await fs.mkdir(extractPath, { recursive: true });
+
+    const zipfile = await openZip(zipPath);
+    const checkEntry = createEntryChecker(zipfile.entryCount, extractPath);
+    const progress = { entries: 0, totalEntries: zipfile.entryCount, bytes: 0 };
+
+    await forEachEntry(zipfile, async (entry) => {
+      const targetPath = checkEntry(entry);
+
+      if (entry.fileName.endsWith('/')) {
+        await fs.mkdir(targetPath, { recursive: true });
+      } else {
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        const stream = await openEntryStream(zipfile, entry);
+        stream.on('data', (chunk) => {
+          progress.bytes += chunk.length;
+        });
+        await pipeline(stream, createWriteStream(targetPath)).catch((error) => {
+          throw toArchiveError(error, entry.fileName);
+        });
+      }
+
+      progress.entries += 1;
+      onProgress({ ...progress });
+    });
 
-    // Find InDesign file (.indd or .idml)
-    const indesignFile = await findInDesignFile(extractPath);
+    // Find InDesign files (.indd or .idml) and books (.indb)
+    const indesignFiles = await findInDesignFiles(extractPath, INDESIGN_EXTENSIONS);
+    const books = await findInDesignFiles(extractPath, [BOOK_EXTENSION]);
 
-    if (!indesignFile) {
-      throw new Error('No InDesign file (.indd or .idml) found in the zip');
+    logger.info('Package extracted', {
+      entries: progress.entries,
+      bytes: progress.bytes,
+      documents: indesignFiles.length,
+      books: books.length
+    });
+    if (indesignFiles.length === 0 && books.length === 0) {
+      throw new NoDocumentError();
     }
 
     return {
-      indesignFile,
+      indesignFile: indesignFiles[0] || null,
+      indesignFiles,
+      books,
       extractedPath: extractPath
     };
   } catch (error) {
-    if (error.message.includes('No InDesign file')) {
+    if (error instanceof UnsafeArchiveError) {
+      logger.warn(`Archive rejected: ${error.message}`, { code: error.code, details: error.details });
+    }
+    if (error instanceof AppError) {
       throw error;
     }
-    throw new Error(`Failed to extract zip file: ${error.message}`);
+    // The underlying message can name server paths, so it is only logged
+    logger.error('Error extracting zip file', { error });
+    throw new AppError('EXTRACTION_FAILED', 'Failed to extract the package', { cause: error });
+  }
+}
+
+/**
+ * Checks an uploaded zip against the extraction rules without extracting it
+ * Only the central directory is read, so this is cheap even for large archives.
+ * It is not needed for safety, since extraction checks every entry again; it lets
+ * an upload be refused with a 400 instead of being queued as a job that fails
+ * @param {string} zipPath - Path to the zip file
+ * @returns {Promise<{entries: number, uncompressedBytes: number}>}
+ * @throws {UnsafeArchiveError} - If the zip is corrupt, unsafe or over the limits
+ */
+export async function validateZipFile(zipPath) {
+  try {
+    const zipfile = await openZip(zipPath);
+
+    // Paths are checked against a placeholder root; only their shape matters here
+    const checkEntry = createEntryChecker(zipfile.entryCount, path.resolve('/extract'));
+    let uncompressedBytes = 0;
+
+    await forEachEntry(zipfile, (entry) => {
+      checkEntry(entry);
+      uncompressedBytes += entry.uncompressedSize;
+    });
+
+    logger.debug('Archive validated', { entries: zipfile.entryCount, uncompressedBytes });
+    return { entries: zipfile.entryCount, uncompressedBytes };
+  } catch (error) {
+    // Rejections are only reported to the client otherwise; repeated ones may be an attack
+    logger.warn(`Archive rejected: ${error.message}`, { code: error.code, details: error.details });
+    throw error;
+  }
+}
+
+/**
+ * Extracts the packages of a zip of zips, as sent for a batch conversion
+ * The archive counts as a zip of zips when every file in it is a zip; macOS
+ * metadata (__MACOSX, "._" files) is ignored. Entries are held to the same
+ * rules as a package's; the packages themselves are validated when queued
+ * @param {string} zipPath - Path to the zip file
+ * @param {string} outputDir - Directory to write the packages to, under unique names
+ * @returns {Promise<{name: string, path: string}[]|null>} - Each package's path in the archive and
+ *   extracted file, in path order; null if the archive is an ordinary package
+ * @throws {UnsafeArchiveError} - If the zip is corrupt, unsafe or over the limits
+ */
+export async function extractNestedPackages(zipPath, outputDir) {
+  const packageNames = new Set();
+  let onlyPackages = true;
+
+  await forEachEntry(await openZip(zipPath), (entry) => {
+    const name = entry.fileName;
+    const isMetadata = name.split('/').some(part => part === '__MACOSX' || part.startsWith('.'));
+    if (name.endsWith('/') || isMetadata) {
+      return;
+    }
+    if (path.extname(name).toLowerCase() === '.zip') {
+      packageNames.add(name);
+    } else {
+      onlyPackages = false;
+    }
+  });
+
+  if (!onlyPackages || packageNames.size === 0) {
+    return null;
+  }
+
+  await fs.mkdir(outputDir, { recursive: true });
+  const zipfile = await openZip(zipPath);
+  const checkEntry = createEntryChecker(zipfile.entryCount, outputDir);
+  const packages = [];
+
+  try {
+    await forEachEntry(zipfile, async (entry) => {
+      checkEntry(entry);
+      if (!packageNames.has(entry.fileName)) {
+        return;
+      }
+
+      const packagePath = path.join(outputDir, `${uuidv4()}.zip`);
+      packages.push({ name: entry.fileName, path: packagePath });
+      const stream = await openEntryStream(zipfile, entry);
+      await pipeline(stream, createWriteStream(packagePath)).catch((error) => {
+        throw toArchiveError(error, entry.fileName);
+      });
+    });
+  } catch (error) {
+    await deleteMultiple(packages.map(item => item.path));
+    throw error;
   }
+
+  logger.info(`Batch archive unpacked into ${packages.length} package(s)`);
+  return packages.sort((a, b) => comparePaths(a.name, b.name));
+}
+
+/**
+ * Creates a checker that rejects entries which could write outside the
+ * extraction directory or exhaust disk space (zip-slip, symlinks, zip bombs)
+ * Limits come from ZIP_MAX_ENTRIES, ZIP_MAX_UNCOMPRESSED_MB and ZIP_MAX_COMPRESSION_RATIO;
+ * the running total of declared sizes is kept across calls
+ * @param {number} entryCount - Number of entries in the archive
+ * @param {string} extractPath - Directory the archive will be extracted to
+ * @returns {function(yauzl.Entry): string} - Checks one entry and returns its target path
+ * @throws {UnsafeArchiveError} - If the archive is empty or has too many entries
+ */
+export function createEntryChecker(entryCount, extractPath) {
+  if (entryCount === 0) {
+    throw new UnsafeArchiveError('CORRUPT_ZIP', 'Invalid or corrupt zip file', { reason: 'The archive is empty' });
+  }
+
+  if (entryCount > config.zipMaxEntries) {
+    throw new UnsafeArchiveError(
+      'ZIP_TOO_MANY_ENTRIES',
+      `The archive has ${entryCount} entries; at most ${config.zipMaxEntries} are allowed`,
+      { entries: entryCount, limit: config.zipMaxEntries }
+    );
+  }
+
+  let totalBytes = 0;
+
+  return (entry) => {
+    const name = entry.fileName;
+
+    const targetPath = resolveEntryPath(extractPath, name);
+    if (targetPath === null) {
+      throw new UnsafeArchiveError('ZIP_PATH_TRAVERSAL', `Archive entry points outside the package: ${name}`, { entry: name });
+    }
+
+    if (isSymlink(entry)) {
+      throw new UnsafeArchiveError('ZIP_SYMLINK', `Archive entry is a symbolic link: ${name}`, { entry: name });
+    }
+
+    const { uncompressedSize: size, compressedSize } = entry;
+    if (size >= MIN_RATIO_CHECK_BYTES && size / Math.max(compressedSize, 1) > config.zipMaxCompressionRatio) {
+      throw new UnsafeArchiveError(
+        'ZIP_COMPRESSION_RATIO',
+        `Archive entry ${name} expands more than ${config.zipMaxCompressionRatio} times its compressed size`,
+        { entry: name, size, compressedSize, limit: config.zipMaxCompressionRatio }
+      );
+    }
+
+    totalBytes += size;
+    if (totalBytes > config.zipMaxUncompressedBytes) {
+      throw new UnsafeArchiveError(
+        'ZIP_TOO_LARGE',
+        `The archive expands to more than ${Math.round(config.zipMaxUncompressedBytes / 1024 / 1024)} MB`,
+        { limitBytes: config.zipMaxUncompressedBytes }
+      );
+    }
+
+    return targetPath;
+  };
+}
+
+/**
+ * Opens a zip file for reading one entry at a time
+ * @param {string} zipPath - Path to the zip file
+ * @returns {Promise<yauzl.ZipFile>}
+ * @throws {UnsafeArchiveError} - If the file is not a readable zip
+ */
+function openZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    // Entry sizes are verified while streaming, so an archive cannot lie about them
+    yauzl.open(zipPath, { lazyEntries: true, validateEntrySizes: true }, (error, zipfile) => {
+      if (error) {
+        reject(toArchiveError(error));
+      } else {
+        resolve(zipfile);
+      }
+    });
+  });
+}
+
+/**
+ * Calls a handler for each entry in turn, waiting for it before reading the next
+ * @param {yauzl.ZipFile} zipfile - Zip opened with openZip
+ * @param {function(yauzl.Entry): (void|Promise<void>)} handler - Called with each entry
+ * @returns {Promise<void>} - Resolves after the last entry; rejects with the first error
+ */
+function forEachEntry(zipfile, handler) {
+  return new Promise((resolve, reject) => {
+    zipfile.on('entry', (entry) => {
+      Promise.resolve()
+        .then(() => handler(entry))
+        .then(
+          () => zipfile.readEntry(),
+          (error) => {
+            zipfile.close();
+            reject(error);
+          }
+        );
+    });
+    zipfile.on('end', () => {
+      zipfile.close();
+      resolve();
+    });
+    zipfile.on('error', (error) => {
+      zipfile.close();
+      reject(toArchiveError(error));
+    });
+    zipfile.readEntry();
+  });
+}
+
+/**
+ * Opens the decompressed data of an entry as a stream
+ * @param {yauzl.ZipFile} zipfile - Zip opened with openZip
+ * @param {yauzl.Entry} entry - Entry to read
+ * @returns {Promise<import('stream').Readable>}
+ */
+function openEntryStream(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => {
+      if (error) {
+        reject(toArchiveError(error, entry.fileName));
+      } else {
+        resolve(stream);
+      }
+    });
+  });
+}
+
+/**
+ * Converts errors reported by the zip reader into archive rejections
+ * Errors that are not about the archive itself (e.g. a full disk) are returned unchanged
+ * @param {Error} error - Error from yauzl
+ * @param {string} entryName - Entry being read, if any
+ * @returns {Error}
+ */
+function toArchiveError(error, entryName = null) {
+  if (error instanceof UnsafeArchiveError || error.code) {
+    return error;
+  }
+
+  const message = error.message || '';
+  if (/^(absolute path|invalid relative path): /.test(message)) {
+    const name = message.replace(/^[^:]+: /, '');
+    return new UnsafeArchiveError('ZIP_PATH_TRAVERSAL', `Archive entry points outside the package: ${name}`, { entry: name });
+  }
+  if (/bytes in the stream/.test(message)) {
+    return new UnsafeArchiveError(
+      'ZIP_SIZE_MISMATCH',
+      `Archive entry ${entryName} does not match its declared size`,
+      { entry: entryName }
+    );
+  }
+  return new UnsafeArchiveError('CORRUPT_ZIP', 'Invalid or corrupt zip file', { reason: message });
+}
+
+/**
+ * Resolves where an entry would be written, refusing paths that escape the target
+ * Absolute paths, drive letters and ".." segments that climb above the root are all refused
+ * @param {string} extractPath - Directory the archive is extracted to
+ * @param {string} entryName - Entry path as stored in the archive
+ * @returns {string|null} - Absolute target path, or null if it lies outside extractPath
+ */
+function resolveEntryPath(extractPath, entryName) {
+  const name = entryName.replace(/\\/g, '/');
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name) || name.includes('\0')) {
+    return null;
+  }
+
+  const root = path.resolve(extractPath);
+  const targetPath = path.resolve(root, ...name.split('/'));
+  if (targetPath !== root && !targetPath.startsWith(root + path.sep)) {
+    return null;
+  }
+  return targetPath;
+}
+
+/**
+ * Checks whether an entry was stored as a symbolic link by a Unix zip tool
+ * @param {yauzl.Entry} entry - Zip entry
+ * @returns {boolean}
+ */
+function isSymlink(entry) {
+  const unixMode = (entry.externalFileAttributes >>> 16) & UNIX_FILE_TYPE_MASK;
+  return unixMode === UNIX_SYMLINK;
 }
 
 /**
  * Recursively searches for InDesign files in a directory
  * @param {string} dirPath - Directory to search
- * @returns {Promise<string|null>} - Path to the InDesign file or null
+ * @param {string[]} extensions - File extensions to look for
+ * @returns {Promise<string[]>} - Paths to the InDesign files, sorted by path
  */
-async function findInDesignFile(dirPath) {
-  try {
-    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+async function findInDesignFiles(dirPath, extensions) {
+  const found = [];
+
+  async function search(currentPath) {
+    const entries = await fs.readdir(currentPath, { withFileTypes: true });
 
     for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
+      const fullPath = path.join(currentPath, entry.name);
 
-      if (entry.isDirectory()) {
-        // Skip system directories
-        if (entry.name.startsWith('.') || entry.name === '__MACOSX') {
-          continue;
-        }
+      // Skip system directories and hidden files (e.g. macOS "._" resource forks)
+      if (entry.name.startsWith('.') || entry.name === '__MACOSX') {
+        continue;
+      }
 
+      if (entry.isDirectory()) {
         // Recursively search subdirectories
-        const found = await findInDesignFile(fullPath);
-        if (found) return found;
+        await search(fullPath);
       } else if (entry.isFile()) {
         const ext = path.extname(entry.name).toLowerCase();
-        if (ext === '.indd' || ext === '.idml') {
-          return fullPath;
+        if (extensions.includes(ext)) {
+          found.push(fullPath);
         }
       }
     }
+  }
 
-    return null;
+  try {
+    await search(dirPath);
   } catch (error) {
     throw new Error(`Error searching for InDesign file: ${error.message}`);
   }
+
+  // Sort so the result does not depend on readdir order
+  const relative = filePath => path.relative(dirPath, filePath).split(path.sep).join('/');
+  return found.sort((a, b) => comparePaths(relative(a), relative(b)));
 }
 
 /**
- * Validates that a file is a valid zip file
- * @param {string} filePath - Path to the file
- * @returns {Promise<boolean>}
+ * Orders relative paths so that shallower documents come first, then alphabetically
+ * @param {string} a - Relative path (forward slashes)
+ * @param {string} b - Relative path (forward slashes)
+ * @returns {number}
  */
-export async function isValidZipFile(filePath) {
-  try {
-    const zip = new AdmZip(filePath);
-    const zipEntries = zip.getEntries();
-    return zipEntries.length > 0;
-  } catch (error) {
-    return false;
-  }
+export function comparePaths(a, b) {
+  const depthDifference = a.split('/').length - b.split('/').length;
+  return depthDifference || a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
 }
@@ -1,23 +1,32 @@
 import { testInDesignConnection } from './services/indesignService.js';
+import { getInstallRoots, discoverInstalls, resolveInstall } from './services/engines/indesignInstalls.js';
 import os from 'os';
 import config from './config/config.js';
 
 console.log('=== Adobe InDesign Connection Test ===\n');
 
 console.log('Platform:', os.platform());
-console.log('Configured Path:', config.indesignAppPath || 'Not set (will use default)');
+console.log('Configured Path:', config.indesignAppPath || 'Not set (installations are discovered)');
+console.log('Configured Version:', config.indesignVersion || 'Not set (newest installation)');
 
-// Check default paths
+// List the installations found in the standard install folders
 const platform = os.platform();
-let defaultPath;
-if (platform === 'darwin') {
-  defaultPath = '/Applications/Adobe InDesign 2024/Adobe InDesign 2024.app/Contents/MacOS/Adobe InDesign 2024';
-} else if (platform === 'win32') {
-  defaultPath = 'C:\\Program Files\\Adobe\\Adobe InDesign 2024\\InDesign.exe';
+if (!config.indesignAppPath) {
+  console.log('\nSearching:', getInstallRoots().join(', ') || 'no install folders on this platform');
+  const installs = await discoverInstalls();
+  for (const install of installs) {
+    console.log(`  Adobe InDesign ${install.version}: ${install.executablePath}`);
+  }
+  if (installs.length === 0) {
+    console.log('  No installations found');
+  }
 }
 
-if (defaultPath) {
-  console.log('Default Path:', defaultPath);
+try {
+  const install = await resolveInstall();
+  console.log('\nSelected:', install.executablePath);
+} catch (error) {
+  console.log('\nSelected: none -', error.message);
 }
 
 console.log('\nTesting connection...\n');
@@ -33,6 +42,9 @@ try {
     console.log('\nPlease ensure Adobe InDesign is installed.');
     console.log('\nIf InDesign is installed in a different location, set the path in your .env file:');
     console.log('INDESIGN_APP_PATH=/path/to/your/InDesign/executable');
+    console.log('or the folder that contains the "Adobe InDesign [YEAR]" folders:');
+    console.log('INDESIGN_INSTALL_ROOTS=/path/to/folder');
+    console.log('If INDESIGN_VERSION is set, check that this version is installed.');
 
     console.log('\nCommon installation paths:');
     console.log('  macOS: /Applications/Adobe InDesign [YEAR]/Adobe InDesign [YEAR].app/Contents/MacOS/Adobe InDesign [YEAR]');
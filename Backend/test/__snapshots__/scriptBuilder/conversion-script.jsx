@@ -0,0 +1,503 @@
+#target indesign
+
+// Generated by scriptBuilder.js from the fragments in services/engines/jsx
+var params = {"sourcePath":"/srv/converter/temp/extracted/job/Brochure/Brochure.indd","outputPath":"/srv/converter/temp/results/job/Brochure.out","exportOptions":{"format":"pdf","preset":null,"pageRange":"all","spreads":null,"cropMarks":null,"bleedMarks":null,"bleedMm":null,"imageCompression":null,"imageResolution":null,"dpi":150,"preflight":"warn","indesignVersion":null},"chapters":null,"preflightReportPath":null,"preflightMinPpi":150,"quitWhenDone":true,"preExportScripts":[{"name":"hide-layer","params":{"layer":"Notes"}}]};
+
+// In session mode (INDESIGN_SESSION) InDesign stays open for the next job
+var quitWhenDone = params.quitWhenDone;
+var doc = null;
+var book = null;
+
+// Helpers shared by the other fragments
+
+// Gets the name of the page an item sits on (null on the pasteboard)
+function pageNameOf(item) {
+  try {
+    return item.parentPage ? item.parentPage.name : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Serializes a value as JSON; ExtendScript has no JSON object
+function toJson(value) {
+  var i;
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  if (typeof value === "string") {
+    var backslash = String.fromCharCode(92);
+    var text = '"';
+    for (i = 0; i < value.length; i++) {
+      var code = value.charCodeAt(i);
+      if (code === 34 || code === 92) {
+        text += backslash + value.charAt(i);
+      } else if (code < 32 || code === 0x2028 || code === 0x2029) {
+        var hex = code.toString(16);
+        while (hex.length < 4) {
+          hex = "0" + hex;
+        }
+        text += backslash + "u" + hex;
+      } else {
+        text += value.charAt(i);
+      }
+    }
+    return text + '"';
+  }
+  var parts = [];
+  if (value instanceof Array) {
+    for (i = 0; i < value.length; i++) {
+      parts.push(toJson(value[i]));
+    }
+    return "[" + parts.join(",") + "]";
+  }
+  for (var key in value) {
+    if (value.hasOwnProperty(key)) {
+      parts.push(toJson(key) + ":" + toJson(value[key]));
+    }
+  }
+  return "{" + parts.join(",") + "}";
+}
+
+// Expands an InDesign page range ("all" or e.g. "1-4, 7, 10-") into absolute page numbers
+function expandPageRange(range, pageCount) {
+  var pages = [];
+  var parts = range === "all" ? ["1-"] : range.split(", ");
+  for (var i = 0; i < parts.length; i++) {
+    var bounds = parts[i].split("-");
+    var first = parseInt(bounds[0], 10);
+    var last = bounds.length === 1 ? first : (bounds[1] === "" ? pageCount : parseInt(bounds[1], 10));
+    for (var n = first; n <= Math.min(last, pageCount); n++) {
+      pages.push(n);
+    }
+  }
+  return pages;
+}
+// Pre-export scripts registered by the administrator (PRE_EXPORT_SCRIPTS_PATH)
+var preExportScripts = [
+  {
+    name: params.preExportScripts[0].name,
+    run: function (document, scriptParams) {
+      var layer = document.layers.itemByName(scriptParams.layer);
+      if (layer.isValid) {
+        layer.visible = false;
+      }
+    }
+  }
+];
+
+try {
+  // Opens the document or book; for books, checks the chapters and picks the
+  // ones to export
+
+  $.writeln("Starting InDesign conversion script...");
+
+  // Suppress all dialogs and user interaction
+  app.scriptPreferences.userInteractionLevel = UserInteractionLevels.NEVER_INTERACT;
+
+  var sourceFile = File(params.sourcePath);
+  if (!sourceFile.exists) {
+    throw new Error("Source file not found: " + sourceFile.fsName);
+  }
+
+  var exportOptions = params.exportOptions;
+  var outputPath = params.outputPath;
+  var bookChapters = params.chapters;
+  var isBook = /\.indb$/i.test(sourceFile.name);
+  var exportContents = null;
+
+  if (isBook) {
+    $.writeln("Opening InDesign book...");
+    book = app.open(sourceFile, false);
+    $.writeln("Book opened successfully. Chapters: " + book.bookContents.length);
+
+    for (var c = 0; c < book.bookContents.length; c++) {
+      if (book.bookContents[c].status === BookContentStatus.DOCUMENT_IS_MISSING) {
+        throw new Error("Book chapter is missing from the package: " + book.bookContents[c].name);
+      }
+    }
+
+    // Export only the selected chapters, in book order, when a selection is given
+    if (bookChapters) {
+      exportContents = [];
+      for (var c = 0; c < book.bookContents.length; c++) {
+        for (var n = 0; n < bookChapters.length; n++) {
+          if (book.bookContents[c].name === bookChapters[n]) {
+            exportContents.push(book.bookContents[c]);
+          }
+        }
+      }
+      if (exportContents.length !== bookChapters.length) {
+        throw new Error("Not all selected chapters are part of the book: " + bookChapters.join(", "));
+      }
+      $.writeln("Exporting " + exportContents.length + " selected chapter(s)");
+    }
+  } else {
+    $.writeln("Opening InDesign document...");
+    doc = app.open(sourceFile, false); // false = don't show dialogs
+
+    $.writeln("Document opened successfully. Pages: " + doc.pages.length);
+  }
+
+  // The chapters of a book that are exported
+  function exportedChapters() {
+    return exportContents || book.bookContents.everyItem().getElements();
+  }
+
+  // Runs the pre-export scripts the job opted into, in order. Books run them on
+  // each exported chapter, which is saved so the export sees the changes
+
+  function runPreExportScripts(document) {
+    for (var i = 0; i < preExportScripts.length; i++) {
+      $.writeln("Running pre-export script " + preExportScripts[i].name + " on " + document.name + "...");
+      preExportScripts[i].run(document, params.preExportScripts[i].params);
+    }
+  }
+
+  if (preExportScripts.length > 0) {
+    if (isBook) {
+      var chapters = exportedChapters();
+      for (var c = 0; c < chapters.length; c++) {
+        var chapter = app.open(chapters[c].fullName, false);
+        runPreExportScripts(chapter);
+        chapter.save();
+        chapter.close(SaveOptions.NO);
+      }
+    } else {
+      runPreExportScripts(doc);
+    }
+  }
+
+  // Brings a book's styles, numbering and table of contents up to date, as
+  // InDesign does when a book is exported from its panel
+
+  // Regenerates the table of contents in every chapter that has one, so it
+  // lists entries and page numbers from the whole book
+  function updateBookTableOfContents() {
+    for (var i = 0; i < book.bookContents.length; i++) {
+      var chapter = app.open(book.bookContents[i].fullName, false);
+      var hasToc = false;
+      for (var s = 0; s < chapter.stories.length; s++) {
+        if (chapter.stories[s].storyType === StoryTypes.TOC_STORY) {
+          hasToc = true;
+          break;
+        }
+      }
+
+      if (hasToc) {
+        // Prefer the TOC style set up to include book documents
+        var tocStyle = chapter.tocStyles.lastItem();
+        for (var t = 0; t < chapter.tocStyles.length; t++) {
+          if (chapter.tocStyles[t].includeBookDocuments) {
+            tocStyle = chapter.tocStyles[t];
+            break;
+          }
+        }
+        chapter.createTOC(tocStyle, true, book);
+        chapter.save();
+        $.writeln("Updated table of contents in " + chapter.name);
+      }
+      chapter.close(SaveOptions.NO);
+    }
+  }
+
+  if (isBook) {
+    if (book.styleSourceDocument && book.styleSourceDocument.exists) {
+      $.writeln("Synchronizing book with its style source...");
+      book.synchronize();
+    }
+    book.repaginate();
+    book.updateAllNumbers();
+    updateBookTableOfContents();
+    book.repaginate();
+    book.updateAllNumbers();
+  }
+
+  // Preflight: reports missing fonts and links, overset text and problem images,
+  // and stops the conversion under the "fail" policy
+
+  // Adds the font, link, overset text and image problems of an open document to issues
+  function preflightDocument(document, issues) {
+    var i;
+    for (i = 0; i < document.fonts.length; i++) {
+      var font = document.fonts[i];
+      if (font.status === FontStatus.NOT_AVAILABLE) {
+        issues.missingFonts.push({ document: document.name, font: font.name });
+      } else if (font.status === FontStatus.SUBSTITUTED || font.status === FontStatus.FAUX) {
+        issues.substitutedFonts.push({ document: document.name, font: font.name });
+      }
+    }
+
+    for (i = 0; i < document.links.length; i++) {
+      var link = document.links[i];
+      var linkInfo = { document: document.name, link: link.name, path: link.filePath };
+      if (link.status === LinkStatus.LINK_MISSING || link.status === LinkStatus.LINK_INACCESSIBLE) {
+        issues.missingLinks.push(linkInfo);
+      } else if (link.status === LinkStatus.LINK_OUT_OF_DATE) {
+        issues.modifiedLinks.push(linkInfo);
+      }
+    }
+
+    for (i = 0; i < document.stories.length; i++) {
+      var story = document.stories[i];
+      if (story.overflows && story.textContainers.length > 0) {
+        var lastFrame = story.textContainers[story.textContainers.length - 1];
+        issues.oversetText.push({ document: document.name, page: pageNameOf(lastFrame) });
+      }
+    }
+
+    // RGB images only matter when the output goes to print
+    var checkRgb = exportOptions.format === "pdf";
+    for (i = 0; i < document.allGraphics.length; i++) {
+      var graphic = document.allGraphics[i];
+      var imageInfo = {
+        document: document.name,
+        link: graphic.itemLink && graphic.itemLink.isValid ? graphic.itemLink.name : null,
+        page: pageNameOf(graphic)
+      };
+
+      // Only placed bitmap images have an effective resolution and color space
+      var ppi;
+      try {
+        ppi = graphic.effectivePpi;
+      } catch (e) {
+        continue;
+      }
+      if (ppi && Math.min(ppi[0], ppi[1]) < params.preflightMinPpi) {
+        imageInfo.effectivePpi = ppi;
+        issues.lowResolutionImages.push(imageInfo);
+      }
+      if (checkRgb && graphic.space === "RGB") {
+        issues.rgbImages.push(imageInfo);
+      }
+    }
+  }
+
+  $.writeln("Running preflight checks...");
+  var issues = {
+    missingFonts: [],
+    substitutedFonts: [],
+    missingLinks: [],
+    modifiedLinks: [],
+    oversetText: [],
+    lowResolutionImages: [],
+    rgbImages: []
+  };
+  if (isBook) {
+    var checkedContents = exportedChapters();
+    for (var c = 0; c < checkedContents.length; c++) {
+      var chapterDoc = app.open(checkedContents[c].fullName, false);
+      preflightDocument(chapterDoc, issues);
+      chapterDoc.close(SaveOptions.NO);
+    }
+  } else {
+    preflightDocument(doc, issues);
+  }
+
+  var issueCount = 0;
+  for (var check in issues) {
+    if (issues[check].length > 0) {
+      $.writeln("Preflight: " + issues[check].length + " " + check);
+      issueCount += issues[check].length;
+    }
+  }
+
+  if (params.preflightReportPath) {
+    var reportFile = File(params.preflightReportPath);
+    reportFile.encoding = "UTF-8";
+    reportFile.open("w");
+    reportFile.write(toJson({ issues: issues }));
+    reportFile.close();
+  }
+
+  if (issueCount > 0 && exportOptions.preflight === "fail") {
+    throw new Error("Preflight found " + issueCount + " problem(s)");
+  }
+
+  // Configures the export preferences of the requested format and exports
+
+  // Exports the open document, or the book (or its selected chapters)
+  function exportTarget(exportFormat) {
+    if (!isBook) {
+      doc.exportFile(exportFormat, File(outputPath), false);
+    } else if (exportContents) {
+      // Book exports use the current export preferences when no preset is passed
+      book.exportFile(exportFormat, File(outputPath), false, undefined, exportContents);
+    } else {
+      book.exportFile(exportFormat, File(outputPath), false);
+    }
+  }
+
+  // Exports each page in the range as a separate image into the output folder
+  function exportPageImages(exportFormat, extension) {
+    var pages = expandPageRange(exportOptions.pageRange, doc.pages.length);
+    for (var i = 0; i < pages.length; i++) {
+      var pageNumber = "" + pages[i];
+      while (pageNumber.length < 4) {
+        pageNumber = "0" + pageNumber;
+      }
+      // "+N" addresses pages by absolute position, regardless of section numbering
+      if (exportFormat === ExportFormat.JPG) {
+        app.jpegExportPreferences.pageString = "+" + pages[i];
+      } else {
+        app.pngExportPreferences.pageString = "+" + pages[i];
+      }
+      doc.exportFile(exportFormat, File(outputPath + "/page-" + pageNumber + extension), false);
+    }
+    $.writeln("Exported " + pages.length + " page image(s)");
+  }
+
+  if (isBook && !/^(pdf|interactive-pdf|epub-reflowable|epub-fixed)$/.test(exportOptions.format)) {
+    throw new Error("Books cannot be exported to " + exportOptions.format);
+  }
+
+  $.writeln("Configuring " + exportOptions.format + " export preferences...");
+
+  if (exportOptions.format === "pdf") {
+    var prefs = app.pdfExportPreferences;
+
+    // Start from the requested preset; otherwise keep the application's current settings
+    if (exportOptions.preset) {
+      var preset = app.pdfExportPresets.itemByName(exportOptions.preset);
+      if (!preset.isValid) {
+        throw new Error("PDF export preset not found: " + exportOptions.preset);
+      }
+      var presetProperties = preset.properties;
+      for (var key in presetProperties) {
+        try {
+          prefs[key] = presetProperties[key];
+        } catch (e) {
+          // Read-only properties such as name cannot be copied
+        }
+      }
+      $.writeln("Using PDF export preset: " + exportOptions.preset);
+    }
+
+    // Books always export whole chapters
+    if (exportOptions.pageRange === "all" || isBook) {
+      prefs.pageRange = PageRange.ALL_PAGES;
+    } else {
+      prefs.pageRange = exportOptions.pageRange;
+    }
+
+    if (exportOptions.spreads !== null) {
+      prefs.exportReaderSpreads = exportOptions.spreads;
+    }
+    if (exportOptions.cropMarks !== null) {
+      prefs.cropMarks = exportOptions.cropMarks;
+    }
+    if (exportOptions.bleedMarks !== null) {
+      prefs.bleedMarks = exportOptions.bleedMarks;
+    }
+    if (exportOptions.bleedMm !== null) {
+      var bleed = exportOptions.bleedMm + "mm";
+      prefs.useDocumentBleedWithPDF = false;
+      prefs.bleedTop = bleed;
+      prefs.bleedBottom = bleed;
+      prefs.bleedInside = bleed;
+      prefs.bleedOutside = bleed;
+    }
+    if (exportOptions.imageCompression !== null) {
+      prefs.colorBitmapCompression = BitmapCompression[exportOptions.imageCompression];
+      prefs.grayscaleBitmapCompression = BitmapCompression[exportOptions.imageCompression];
+    }
+    if (exportOptions.imageResolution !== null) {
+      prefs.colorBitmapSampling = Sampling.BICUBIC_DOWNSAMPLE;
+      prefs.colorBitmapSamplingDPI = exportOptions.imageResolution;
+      prefs.thresholdToCompressColor = Math.round(exportOptions.imageResolution * 1.5);
+      prefs.grayscaleBitmapSampling = Sampling.BICUBIC_DOWNSAMPLE;
+      prefs.grayscaleBitmapSamplingDPI = exportOptions.imageResolution;
+      prefs.thresholdToCompressGray = Math.round(exportOptions.imageResolution * 1.5);
+    }
+
+    $.writeln("Starting PDF export...");
+    exportTarget(ExportFormat.PDF_TYPE);
+  } else if (exportOptions.format === "interactive-pdf") {
+    if (exportOptions.pageRange === "all" || isBook) {
+      app.interactivePDFExportPreferences.pageRange = PageRange.ALL_PAGES;
+    } else {
+      app.interactivePDFExportPreferences.pageRange = exportOptions.pageRange;
+    }
+    $.writeln("Starting interactive PDF export...");
+    exportTarget(ExportFormat.INTERACTIVE_PDF);
+  } else if (exportOptions.format === "idml") {
+    $.writeln("Starting IDML export...");
+    doc.exportFile(ExportFormat.INDESIGN_MARKUP, File(outputPath), false);
+  } else if (exportOptions.format === "epub-reflowable") {
+    $.writeln("Starting EPUB export...");
+    exportTarget(ExportFormat.EPUB);
+  } else if (exportOptions.format === "epub-fixed") {
+    $.writeln("Starting fixed layout EPUB export...");
+    exportTarget(ExportFormat.FIXED_LAYOUT_EPUB);
+  } else if (exportOptions.format === "jpeg") {
+    app.jpegExportPreferences.jpegExportRange = ExportRangeOrAllPages.EXPORT_RANGE;
+    app.jpegExportPreferences.exportResolution = exportOptions.dpi;
+    app.jpegExportPreferences.jpegQuality = JPEGOptionsQuality.HIGH;
+    $.writeln("Starting JPEG export...");
+    exportPageImages(ExportFormat.JPG, ".jpg");
+  } else if (exportOptions.format === "png") {
+    app.pngExportPreferences.pngExportRange = PNGExportRangeEnum.EXPORT_RANGE;
+    app.pngExportPreferences.exportResolution = exportOptions.dpi;
+    $.writeln("Starting PNG export...");
+    exportPageImages(ExportFormat.PNG_FORMAT, ".png");
+  } else {
+    throw new Error("Unsupported export format: " + exportOptions.format);
+  }
+
+  $.writeln("Export completed successfully");
+
+  // Closes the document or book without saving and, unless InDesign is kept
+  // running for the next job, quits InDesign
+
+  if (isBook) {
+    book.close(SaveOptions.NO);
+  } else {
+    doc.close(SaveOptions.NO);
+  }
+
+  $.writeln("Document closed. Conversion complete.");
+
+  // Quit InDesign to ensure process terminates
+  if (quitWhenDone) {
+    app.quit();
+  }
+
+  // Return success message
+  "SUCCESS";
+} catch (err) {
+  // Runs when any step fails: closes what is open, quits InDesign unless it is
+  // kept running, and reports the error
+
+  $.writeln("ERROR occurred: " + err.message);
+
+  // Close document if it's open
+  if (doc) {
+    try {
+      $.writeln("Attempting to close document...");
+      doc.close(SaveOptions.NO);
+    } catch (e) {
+      $.writeln("Could not close document: " + e.message);
+    }
+  }
+  if (book) {
+    try {
+      book.close(SaveOptions.NO);
+    } catch (e) {
+      $.writeln("Could not close book: " + e.message);
+    }
+  }
+
+  // Try to quit InDesign
+  if (quitWhenDone) {
+    try {
+      app.quit();
+    } catch (e) {}
+  }
+
+  // Write error to stderr
+  $.writeln("ERROR: " + err.message);
+  throw err;
+}
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { after, describe, test } from 'node:test';
+import config from '../config/config.js';
+
+// The usage file is opened when the module loads, so it is pointed at a temp directory first
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'client-limits-test-'));
+config.apiUsagePath = path.join(workDir, 'api-usage.json');
+const { checkQuota, reserveJobUsage } = await import('../services/clientLimits.js');
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+let clientCount = 0;
+
+/**
+ * Creates an API client with its own usage
+ * @param {Object} limits - Limits set on its key
+ * @returns {{id: string, name: string, limits: Object}}
+ */
+function createClient(limits) {
+  clientCount += 1;
+  return { id: `key-${clientCount}`, name: `Client ${clientCount}`, limits };
+}
+
+describe('reserveJobUsage', () => {
+  test('lets only as many parallel submissions through as the job quota allows', async () => {
+    const client = createClient({ jobsPerHour: 2, bytesPerDay: 0 });
+
+    const results = await Promise.allSettled(Array.from({ length: 5 }, () => reserveJobUsage(client, 100)));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+    for (const result of results.filter(result => result.status === 'rejected')) {
+      assert.equal(result.reason.code, 'QUOTA_EXCEEDED');
+      assert.equal(result.reason.status, 429);
+    }
+  });
+
+  test('lets only as many parallel submissions through as the upload quota allows', async () => {
+    const client = createClient({ jobsPerHour: 0, bytesPerDay: 250 });
+
+    const results = await Promise.allSettled(Array.from({ length: 4 }, () => reserveJobUsage(client, 100)));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+    await assert.rejects(checkQuota(client, { jobs: 1, bytes: 100 }), { code: 'QUOTA_EXCEEDED' });
+  });
+
+  test('gives a released reservation back', async () => {
+    const client = createClient({ jobsPerHour: 1, bytesPerDay: 0 });
+
+    const release = await reserveJobUsage(client, 100);
+    await assert.rejects(reserveJobUsage(client, 100), { code: 'QUOTA_EXCEEDED' });
+
+    await release();
+    await reserveJobUsage(client, 100);
+  });
+
+  test('persists reservations', async () => {
+    const client = createClient({ jobsPerHour: 0, bytesPerDay: 0 });
+
+    await reserveJobUsage(client, 123);
+
+    const stored = JSON.parse(await fs.readFile(config.apiUsagePath, 'utf8'));
+    assert.deepEqual(stored[client.id].map(entry => entry.bytes), [123]);
+  });
+});
@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import express from 'express';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { after, before, describe, test } from 'node:test';
+import config from '../config/config.js';
+import { ConversionQueue, conversionQueue } from '../services/conversionQueue.js';
+import uploadRouter from '../routes/upload.js';
+
+/**
+ * Creates a task that runs until released, recording when it starts
+ * @param {string} id - Task id
+ * @param {string[]} started - Ids of the tasks that started, in order
+ * @returns {{run: function(): Promise<string>, release: function(): void}}
+ */
+function createTask(id, started) {
+  let release;
+  const done = new Promise((resolve) => {
+    release = resolve;
+  });
+  return {
+    run: async () => {
+      started.push(id);
+      await done;
+      return id;
+    },
+    release: () => release()
+  };
+}
+
+// Lets the queue start the tasks that became runnable
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ConversionQueue', () => {
+  test('runs tasks one at a time, in the order they were added', async () => {
+    const queue = new ConversionQueue();
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(id => createTask(id, started));
+    const results = tasks.map((task, index) => queue.enqueue(['a', 'b', 'c'][index], task.run));
+
+    await settle();
+    assert.deepEqual(started, ['a']);
+
+    tasks[0].release();
+    assert.equal(await results[0], 'a');
+    await settle();
+    assert.deepEqual(started, ['a', 'b']);
+
+    tasks[1].release();
+    tasks[2].release();
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+    assert.deepEqual(started, ['a', 'b', 'c']);
+  });
+
+  test('runs as many tasks at once as the concurrency allows', async () => {
+    const queue = new ConversionQueue({ concurrency: 2 });
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(id => createTask(id, started));
+    const results = tasks.map((task, index) => queue.enqueue(['a', 'b', 'c'][index], task.run));
+
+    await settle();
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual(queue.getStats(), { running: 2, waiting: 1, concurrency: 2, maxDepth: Infinity });
+
+    tasks[1].release();
+    await results[1];
+    await settle();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+
+    tasks[0].release();
+    tasks[2].release();
+    await Promise.all(results);
+  });
+
+  test('holds tasks at concurrency 0 and starts them when setConcurrency raises it', async () => {
+    const queue = new ConversionQueue();
+    queue.setConcurrency(0);
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(id => createTask(id, started));
+    const results = tasks.map((task, index) => queue.enqueue(['a', 'b', 'c'][index], task.run));
+
+    await settle();
+    assert.deepEqual(started, []);
+
+    queue.setConcurrency(2);
+    await settle();
+    assert.deepEqual(started, ['a', 'b']);
+
+    // Lowering the limit lets running tasks finish but starts no more until there is room
+    queue.setConcurrency(1);
+    tasks[0].release();
+    await results[0];
+    await settle();
+    assert.deepEqual(started, ['a', 'b']);
+
+    tasks[1].release();
+    await results[1];
+    await settle();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+    tasks[2].release();
+    await results[2];
+  });
+
+  test('keeps running tasks after one fails', async () => {
+    const queue = new ConversionQueue();
+    const failed = queue.enqueue('a', async () => {
+      throw new Error('conversion failed');
+    });
+    const next = queue.enqueue('b', async () => 'b');
+
+    await assert.rejects(failed, { message: 'conversion failed' });
+    assert.equal(await next, 'b');
+    await settle();
+    assert.equal(queue.getStats().running, 0);
+  });
+
+  test('reports positions: 0 while running, 1-based while waiting, null once done', async () => {
+    const queue = new ConversionQueue();
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(id => createTask(id, started));
+    const results = tasks.map((task, index) => queue.enqueue(['a', 'b', 'c'][index], task.run));
+    await settle();
+
+    assert.deepEqual(['a', 'b', 'c', 'unknown'].map(id => queue.getPosition(id)), [0, 1, 2, null]);
+
+    tasks[0].release();
+    await results[0];
+    await settle();
+    assert.deepEqual(['a', 'b', 'c'].map(id => queue.getPosition(id)), [null, 0, 1]);
+
+    tasks[1].release();
+    tasks[2].release();
+    await Promise.all(results);
+  });
+
+  test('is full once maxDepth tasks are waiting; running tasks do not count', async () => {
+    const queue = new ConversionQueue({ maxDepth: 2 });
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(id => createTask(id, started));
+
+    const results = [queue.enqueue('a', tasks[0].run)];
+    await settle();
+    assert.ok(!queue.isFull());
+    assert.ok(queue.hasRoomFor(2));
+    assert.ok(!queue.hasRoomFor(3));
+
+    results.push(queue.enqueue('b', tasks[1].run), queue.enqueue('c', tasks[2].run));
+    assert.ok(queue.isFull());
+    assert.ok(queue.hasRoomFor(0));
+    assert.ok(!queue.hasRoomFor(1));
+
+    tasks[0].release();
+    await results[0];
+    await settle();
+    assert.ok(!queue.isFull());
+    assert.ok(queue.hasRoomFor(1));
+
+    tasks[1].release();
+    tasks[2].release();
+    await Promise.all(results);
+  });
+});
+
+describe('POST /api/upload with a full queue', () => {
+  let server;
+  let baseUrl;
+  const defaultMaxDepth = conversionQueue.maxDepth;
+  const defaultUploadPath = config.tempUploadPath;
+
+  before(async () => {
+    config.tempUploadPath = await fs.mkdtemp(path.join(os.tmpdir(), 'conversion-queue-test-'));
+    const app = express();
+    app.use('/api', uploadRouter);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    conversionQueue.maxDepth = 0;
+  });
+
+  after(async () => {
+    conversionQueue.maxDepth = defaultMaxDepth;
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(config.tempUploadPath, { recursive: true, force: true });
+    config.tempUploadPath = defaultUploadPath;
+  });
+
+  test('answers 429 QUEUE_FULL with the queue state', async () => {
+    const body = new FormData();
+    body.append('file', new Blob([Buffer.from('PK\u0005\u0006')]), 'package.zip');
+    const response = await fetch(`${baseUrl}/api/upload`, { method: 'POST', body });
+
+    assert.equal(response.status, 429);
+    const result = await response.json();
+    assert.equal(result.code, 'QUEUE_FULL');
+    assert.deepEqual(result.queue, conversionQueue.getStats());
+    assert.deepEqual(await fs.readdir(config.tempUploadPath), [], 'the upload is deleted');
+  });
+});
@@ -0,0 +1,15 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { ValidationError, serializeError } from '../utils/errors.js';
+
+describe('serializeError', () => {
+  test('reports an AppError with its code, message and details', () => {
+    const error = new ValidationError('Invalid format', { format: 'gif' }, 'INVALID_OPTION');
+    assert.deepEqual(serializeError(error), { code: 'INVALID_OPTION', message: 'Invalid format', details: { format: 'gif' } });
+  });
+
+  test('keeps the message of other errors out of the report', () => {
+    const error = new Error("ENOENT: no such file or directory, open '/srv/converter/temp/uploads/package.zip'");
+    assert.deepEqual(serializeError(error), { code: 'INTERNAL_ERROR', message: 'Internal server error', details: null });
+  });
+});
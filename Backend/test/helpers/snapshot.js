@@ -0,0 +1,34 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '__snapshots__');
+
+/**
+ * Compares text with its committed snapshot in test/__snapshots__
+ * Run the tests with UPDATE_SNAPSHOTS=true to write new or changed snapshots,
+ * then review and commit them
+ * @param {string} name - Snapshot file, relative to test/__snapshots__
+ * @param {string} actual - Text to compare
+ * @returns {Promise<void>}
+ */
+export async function matchSnapshot(name, actual) {
+  const snapshotPath = path.join(SNAPSHOT_DIR, name);
+  if (process.env.UPDATE_SNAPSHOTS === 'true') {
+    await fs.mkdir(path.dirname(snapshotPath), { recursive: true });
+    await fs.writeFile(snapshotPath, actual, 'utf8');
+    return;
+  }
+
+  let expected;
+  try {
+    expected = await fs.readFile(snapshotPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      assert.fail(`Snapshot ${name} does not exist; run the tests with UPDATE_SNAPSHOTS=true to write it`);
+    }
+    throw error;
+  }
+  assert.equal(actual, expected, `Output differs from snapshot ${name}`);
+}
@@ -0,0 +1,173 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import config from '../config/config.js';
+import { discoverInstalls, resolveInstall } from '../services/engines/indesignInstalls.js';
+
+const defaultSettings = {
+  indesignAppPath: config.indesignAppPath,
+  indesignVersion: config.indesignVersion,
+  indesignInstallRoots: config.indesignInstallRoots
+};
+
+let workDir;
+
+/**
+ * Creates an empty file, with the folders leading to it
+ * @param {...string} segments - Path below the work directory
+ * @returns {Promise<string>} - The file's path
+ */
+async function touch(...segments) {
+  const filePath = path.join(workDir, ...segments);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, '');
+  return filePath;
+}
+
+/**
+ * Creates a macOS install: "<root>/Adobe InDesign <version>/Adobe InDesign <version>.app/Contents/MacOS/..."
+ * @param {string} root - Root folder below the work directory
+ * @param {string} version - Release, e.g. "2024" or "CC 2019"
+ * @returns {Promise<string>} - The executable's path
+ */
+function createMacInstall(root, version) {
+  const name = `Adobe InDesign ${version}`;
+  return touch(root, name, `${name}.app`, 'Contents', 'MacOS', name);
+}
+
+/**
+ * Creates a Windows install: "<root>/Adobe InDesign <version>/InDesign.exe"
+ * @param {string} root - Root folder below the work directory
+ * @param {string} version - Release, e.g. "2024"
+ * @returns {Promise<string>} - The executable's path
+ */
+function createWindowsInstall(root, version) {
+  return touch(root, `Adobe InDesign ${version}`, 'InDesign.exe');
+}
+
+const versionsOf = installs => installs.map(install => install.version);
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'indesign-installs-test-'));
+
+  // macOS: several releases, an uninstalled one that left its folder behind and another Adobe app
+  await createMacInstall('Applications', '2023');
+  await createMacInstall('Applications', '2025');
+  await createMacInstall('Applications', 'CC 2019');
+  await fs.mkdir(path.join(workDir, 'Applications', 'Adobe InDesign 2024', 'Adobe InDesign 2024.app', 'Contents', 'MacOS'), {
+    recursive: true
+  });
+  await touch('Applications', 'Adobe Photoshop 2025', 'Adobe Photoshop 2025.app', 'Contents', 'MacOS', 'Adobe Photoshop 2025');
+
+  // Windows: 64-bit and 32-bit Program Files, with 2024 in both
+  await createWindowsInstall(path.join('Program Files', 'Adobe'), '2024');
+  await createWindowsInstall(path.join('Program Files', 'Adobe'), '2022');
+  await createWindowsInstall(path.join('Program Files (x86)', 'Adobe'), '2024');
+  await createWindowsInstall(path.join('Program Files (x86)', 'Adobe'), 'CS6');
+  await fs.mkdir(path.join(workDir, 'Program Files', 'Adobe', 'Adobe InDesign 2021'), { recursive: true });
+});
+
+after(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+describe('discoverInstalls', () => {
+  test('finds macOS application bundles, newest first', async () => {
+    const installs = await discoverInstalls({ platform: 'darwin', roots: [path.join(workDir, 'Applications')] });
+
+    assert.deepEqual(versionsOf(installs), ['2025', '2023', 'CC 2019']);
+    assert.deepEqual(installs[0], {
+      version: '2025',
+      executablePath: path.join(
+        workDir, 'Applications', 'Adobe InDesign 2025', 'Adobe InDesign 2025.app', 'Contents', 'MacOS', 'Adobe InDesign 2025'
+      ),
+      applicationName: 'Adobe InDesign 2025'
+    });
+  });
+
+  test('skips install folders without an executable', async () => {
+    const macInstalls = await discoverInstalls({ platform: 'darwin', roots: [path.join(workDir, 'Applications')] });
+    const windowsInstalls = await discoverInstalls({ platform: 'win32', roots: [path.join(workDir, 'Program Files', 'Adobe')] });
+
+    assert.ok(!versionsOf(macInstalls).includes('2024'));
+    assert.ok(!versionsOf(windowsInstalls).includes('2021'));
+  });
+
+  test('finds Windows installs in every root, keeping the first of each version', async () => {
+    const roots = [path.join(workDir, 'Program Files', 'Adobe'), path.join(workDir, 'Program Files (x86)', 'Adobe')];
+    const installs = await discoverInstalls({ platform: 'win32', roots });
+
+    assert.deepEqual(versionsOf(installs), ['2024', '2022', 'CS6']);
+    assert.equal(installs[0].executablePath, path.join(roots[0], 'Adobe InDesign 2024', 'InDesign.exe'));
+  });
+
+  test('expects the layout of the given platform', async () => {
+    const installs = await discoverInstalls({ platform: 'win32', roots: [path.join(workDir, 'Applications')] });
+    assert.deepEqual(installs, []);
+  });
+
+  test('skips roots that do not exist', async () => {
+    const installs = await discoverInstalls({
+      platform: 'darwin',
+      roots: [path.join(workDir, 'Missing'), path.join(workDir, 'Applications')]
+    });
+    assert.deepEqual(versionsOf(installs), ['2025', '2023', 'CC 2019']);
+  });
+});
+
+describe('resolveInstall', () => {
+  beforeEach(() => {
+    Object.assign(config, {
+      indesignAppPath: null,
+      indesignVersion: null,
+      indesignInstallRoots: [path.join(workDir, 'Program Files', 'Adobe'), path.join(workDir, 'Program Files (x86)', 'Adobe')]
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(config, defaultSettings);
+  });
+
+  // The install roots hold Windows layouts, which are what other platforms than macOS look for
+  const platformTest = os.platform() === 'darwin' ? test.skip : test;
+
+  platformTest('picks the newest install by default', async () => {
+    assert.equal((await resolveInstall()).version, '2024');
+  });
+
+  platformTest('picks the version a job asks for, ignoring case', async () => {
+    assert.equal((await resolveInstall('cs6')).version, 'CS6');
+  });
+
+  platformTest('picks INDESIGN_VERSION when the job asks for none', async () => {
+    config.indesignVersion = '2022';
+    assert.equal((await resolveInstall()).version, '2022');
+    assert.equal((await resolveInstall('2024')).version, '2024');
+  });
+
+  platformTest('rejects a version that is not installed, listing the installed ones', async () => {
+    await assert.rejects(resolveInstall('2026'), (error) => {
+      assert.equal(error.code, 'ENGINE_UNAVAILABLE');
+      assert.deepEqual(error.details, { requestedVersion: '2026', installedVersions: ['2024', '2022', 'CS6'] });
+      return true;
+    });
+  });
+
+  test('reports when no install is found', async () => {
+    config.indesignInstallRoots = [path.join(workDir, 'Missing')];
+    await assert.rejects(resolveInstall(), { code: 'ENGINE_UNAVAILABLE', message: 'No Adobe InDesign installation found' });
+  });
+
+  test('uses INDESIGN_APP_PATH without discovery, refusing other versions', async () => {
+    config.indesignAppPath = '/Applications/Adobe InDesign 2024/Adobe InDesign 2024.app/Contents/MacOS/Adobe InDesign 2024';
+
+    assert.deepEqual(await resolveInstall(), {
+      version: '2024',
+      executablePath: config.indesignAppPath,
+      applicationName: 'Adobe InDesign 2024'
+    });
+    await assert.rejects(resolveInstall('2025'), { code: 'ENGINE_UNAVAILABLE' });
+  });
+});
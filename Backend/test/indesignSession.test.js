@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'events';
+import { describe, test } from 'node:test';
+import { InDesignSession } from '../services/engines/indesignSession.js';
+
+const SCRIPTS = { startup: 'startup.jsx', healthCheck: 'health-check.jsx', reset: 'reset.jsx', quit: 'quit.jsx' };
+const JOB_SCRIPT = 'job.jsx';
+
+/**
+ * Stands in for the long-lived InDesign process: it only exits when told to or killed
+ */
+class FakeApp extends EventEmitter {
+  constructor(pid) {
+    super();
+    this.pid = pid;
+    this.exited = false;
+    this.killedWith = null;
+  }
+
+  exit(code, signal = null) {
+    if (!this.exited) {
+      this.exited = true;
+      setImmediate(() => this.emit('exit', code, signal));
+    }
+  }
+
+  kill(signal) {
+    this.killedWith = signal;
+    this.exit(null, signal);
+  }
+}
+
+/**
+ * Creates a session around fake apps
+ * Scripts succeed unless handlers[scriptPath] says otherwise; the quit script makes the app exit
+ * @param {Object} options - Session options to override
+ * @returns {{session: InDesignSession, apps: FakeApp[], scriptsRun: string[], handlers: Object}} - scriptsRun
+ *   lists "<pid>:<script>" for every script sent
+ */
+function createFakeSession(options = {}) {
+  const apps = [];
+  const scriptsRun = [];
+  const handlers = {};
+  const session = new InDesignSession({
+    launch: () => {
+      const app = new FakeApp(apps.length + 1);
+      apps.push(app);
+      return app;
+    },
+    send: async (scriptPath, scriptEnv, { app, signal }) => {
+      scriptsRun.push(`${app.pid}:${scriptPath}`);
+      if (scriptPath === SCRIPTS.quit) {
+        app.exit(0);
+        return '';
+      }
+      return handlers[scriptPath] ? handlers[scriptPath]({ app, signal }) : `${scriptPath} done`;
+    },
+    scripts: SCRIPTS,
+    jobTimeoutMs: 200,
+    startupTimeoutMs: 1000,
+    healthCheckTimeoutMs: 200,
+    retryDelayMs: 10,
+    ...options
+  });
+  return { session, apps, scriptsRun, handlers };
+}
+
+/**
+ * Makes a script fail the next time it runs, then succeed again
+ * @param {Object} handlers - Handlers of the fake session
+ * @param {string} scriptPath - Script to fail
+ */
+function failOnce(handlers, scriptPath) {
+  handlers[scriptPath] = () => {
+    delete handlers[scriptPath];
+    return Promise.reject(new Error(`${scriptPath} failed`));
+  };
+}
+
+describe('InDesignSession', () => {
+  test('runs jobs in one app, checking it before each job and resetting it after', async () => {
+    const { session, apps, scriptsRun } = createFakeSession();
+
+    assert.equal(await session.run(JOB_SCRIPT), 'job.jsx done');
+    assert.equal(await session.run(JOB_SCRIPT), 'job.jsx done');
+    await session.chain;
+
+    assert.equal(apps.length, 1);
+    assert.deepEqual(scriptsRun, [
+      '1:startup.jsx', '1:job.jsx', '1:reset.jsx', '1:health-check.jsx', '1:job.jsx', '1:reset.jsx'
+    ]);
+    assert.equal(session.getStatus().state, 'ready');
+    await session.shutdown();
+  });
+
+  test('quits the app when shut down while it is being reset after a job', async () => {
+    const { session, apps, scriptsRun } = createFakeSession();
+
+    await session.run(JOB_SCRIPT);
+    await session.shutdown();
+
+    assert.ok(apps[0].exited);
+    assert.equal(apps[0].killedWith, null);
+    assert.ok(scriptsRun.includes('1:quit.jsx'));
+    assert.equal(session.getStatus().state, 'stopped');
+  });
+
+  test('restarts the app after maxJobs jobs', async () => {
+    const { session, apps, scriptsRun } = createFakeSession({ maxJobs: 2 });
+
+    for (let i = 0; i < 3; i++) {
+      await session.run(JOB_SCRIPT);
+    }
+    await session.chain;
+
+    assert.equal(apps.length, 2);
+    assert.ok(apps[0].exited);
+    assert.equal(apps[0].killedWith, null, 'the first app quits by itself');
+    assert.deepEqual(scriptsRun.filter(script => script.endsWith(JOB_SCRIPT)), ['1:job.jsx', '1:job.jsx', '2:job.jsx']);
+    assert.ok(scriptsRun.includes('1:quit.jsx'));
+    assert.deepEqual(
+      { launches: session.getStatus().launches, jobsSinceLaunch: session.getStatus().jobsSinceLaunch },
+      { launches: 2, jobsSinceLaunch: 1 }
+    );
+    await session.shutdown();
+  });
+
+  test('starts the app again when it crashes while idle', async () => {
+    const { session, apps } = createFakeSession();
+    await session.run(JOB_SCRIPT);
+    await session.chain;
+
+    apps[0].exit(1);
+    await once(apps[0], 'exit');
+    await session.chain;
+
+    assert.equal(apps.length, 2);
+    assert.equal(session.getStatus().state, 'ready');
+    assert.equal(session.getStatus().pid, 2);
+    assert.equal(session.getStatus().lastExit.exitCode, 1);
+    assert.equal(await session.run(JOB_SCRIPT), 'job.jsx done');
+    await session.shutdown();
+  });
+
+  test('kills a hung app when a job times out and starts a new one', async () => {
+    const { session, apps, scriptsRun, handlers } = createFakeSession();
+    // Hangs until the session gives up on it
+    handlers[JOB_SCRIPT] = ({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+
+    await assert.rejects(session.run(JOB_SCRIPT), { code: 'ENGINE_TIMEOUT' });
+    await session.chain;
+
+    assert.equal(apps[0].killedWith, 'SIGKILL');
+    assert.ok(!scriptsRun.includes('1:quit.jsx'), 'a hung app is not asked to quit');
+    assert.equal(apps.length, 2);
+
+    delete handlers[JOB_SCRIPT];
+    assert.equal(await session.run(JOB_SCRIPT), 'job.jsx done');
+    assert.ok(scriptsRun.includes('2:job.jsx'));
+    await session.shutdown();
+  });
+
+  test('restarts the app when a health check fails, before running the job', async () => {
+    const { session, apps, scriptsRun, handlers } = createFakeSession();
+    await session.run(JOB_SCRIPT);
+    await session.chain;
+
+    failOnce(handlers, SCRIPTS.healthCheck);
+    assert.equal(await session.run(JOB_SCRIPT), 'job.jsx done');
+    await session.chain;
+
+    assert.equal(apps.length, 2);
+    assert.ok(apps[0].exited);
+    assert.deepEqual(scriptsRun.slice(3), [
+      '1:health-check.jsx', '1:quit.jsx', '2:startup.jsx', '2:job.jsx', '2:reset.jsx'
+    ]);
+    await session.shutdown();
+  });
+
+  test('restarts the app when resetting it after a job fails', async () => {
+    const { session, apps, scriptsRun, handlers } = createFakeSession();
+    failOnce(handlers, SCRIPTS.reset);
+
+    await session.run(JOB_SCRIPT);
+    await session.chain;
+
+    assert.equal(apps.length, 2);
+    assert.deepEqual(scriptsRun, ['1:startup.jsx', '1:job.jsx', '1:reset.jsx', '1:quit.jsx', '2:startup.jsx']);
+    assert.equal(session.getStatus().state, 'ready');
+    await session.shutdown();
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { buildConversionScript } from '../services/engines/scriptBuilder.js';
+import { EXPORT_FORMATS } from '../services/exportFormats.js';
+import { parseExportOptions } from '../services/exportOptions.js';
+import { matchSnapshot } from './helpers/snapshot.js';
+
+/**
+ * Builds the params the desktop engine passes for a job
+ * Preflight is off (no report path) unless overrides set preflightReportPath; the policy is pinned to
+ * "warn" unless the fields set one, so PREFLIGHT_POLICY does not change the output
+ * @param {Object} fields - Export option fields, as sent with an upload
+ * @param {Object} overrides - Params to replace
+ * @returns {Object}
+ */
+function scriptParams(fields, overrides = {}) {
+  const { preExportScripts, ...exportOptions } = parseExportOptions({ preflight: 'warn', ...fields });
+  return {
+    sourcePath: '/srv/converter/temp/extracted/job/Brochure/Brochure.indd',
+    outputPath: '/srv/converter/temp/results/job/Brochure.out',
+    exportOptions,
+    chapters: null,
+    preflightReportPath: null,
+    preflightMinPpi: 150,
+    quitWhenDone: true,
+    ...overrides
+  };
+}
+
+/**
+ * Reads back the params object a generated script embeds
+ * @param {string} script - Generated script
+ * @returns {Object}
+ */
+function readEmbeddedParams(script) {
+  const line = script.split('\n').find(text => text.startsWith('var params = '));
+  return JSON.parse(line.slice('var params = '.length, -1));
+}
+
+describe('buildConversionScript', () => {
+  // The fragments read every job value from params, so the script only differs in that line
+  test('builds the whole script, with a pre-export script', async () => {
+    const source = [
+      'var layer = document.layers.itemByName(scriptParams.layer);',
+      'if (layer.isValid) {',
+      '  layer.visible = false;',
+      '}'
+    ].join('\n');
+    const script = await buildConversionScript(
+      scriptParams({ format: 'pdf' }),
+      [{ name: 'hide-layer', source, params: { layer: 'Notes' } }]
+    );
+    await matchSnapshot('scriptBuilder/conversion-script.jsx', script);
+    assert.deepEqual(readEmbeddedParams(script).preExportScripts, [{ name: 'hide-layer', params: { layer: 'Notes' } }]);
+  });
+
+  for (const format of Object.keys(EXPORT_FORMATS)) {
+    test(`passes the export options for ${format}`, async () => {
+      const params = scriptParams({ format });
+      const embedded = readEmbeddedParams(await buildConversionScript(params));
+
+      assert.equal(embedded.exportOptions.format, format);
+      assert.deepEqual(embedded, { ...params, preExportScripts: [] });
+    });
+  }
+
+  test('passes the chapters of a book', async () => {
+    const params = scriptParams({ format: 'pdf' }, {
+      sourcePath: '/srv/converter/temp/extracted/job/Catalog/Catalog.indb',
+      chapters: ['01 Introduction.indd', '03 Products.indd']
+    });
+    const embedded = readEmbeddedParams(await buildConversionScript(params));
+
+    assert.equal(embedded.sourcePath, params.sourcePath);
+    assert.deepEqual(embedded.chapters, ['01 Introduction.indd', '03 Products.indd']);
+  });
+
+  test('passes the preflight policy and report path', async () => {
+    const params = scriptParams({ format: 'pdf', preflight: 'fail' }, {
+      preflightReportPath: '/srv/converter/temp/results/job/preflight.json'
+    });
+    const embedded = readEmbeddedParams(await buildConversionScript(params));
+
+    assert.equal(embedded.exportOptions.preflight, 'fail');
+    assert.equal(embedded.preflightReportPath, '/srv/converter/temp/results/job/preflight.json');
+    assert.equal(embedded.preflightMinPpi, 150);
+  });
+
+  test('keeps quotes, backslashes and line separators in paths out of the code', async () => {
+    const sourcePath = 'C:/Jobs/Client "A"\\Brochure\u2028v2\u2029final.indd';
+    const params = scriptParams({ format: 'pdf' }, { sourcePath });
+    const script = await buildConversionScript(params);
+
+    assert.ok(!/[\u2028\u2029]/.test(script), 'line separators must be escaped');
+    assert.equal(readEmbeddedParams(script).sourcePath, sourcePath);
+  });
+});
@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { after, afterEach, before, describe, test } from 'node:test';
+import config from '../config/config.js';
+import { createEntryChecker, extractZipAndFindInDesignFile } from '../services/zipHandler.js';
+import { buildZip } from './helpers/zipWriter.js';
+
+const MB = 1024 * 1024;
+const SYMLINK_MODE = 0o120777;
+const defaultLimits = {
+  zipMaxEntries: config.zipMaxEntries,
+  zipMaxUncompressedBytes: config.zipMaxUncompressedBytes,
+  zipMaxCompressionRatio: config.zipMaxCompressionRatio
+};
+
+/**
+ * Builds an entry as yauzl reports it
+ * @param {string} fileName - Entry path
+ * @param {Object} fields - Sizes and attributes to override
+ * @returns {Object}
+ */
+function fakeEntry(fileName, fields = {}) {
+  return { fileName, uncompressedSize: 10, compressedSize: 10, externalFileAttributes: 0o100644 << 16, ...fields };
+}
+
+/**
+ * Matches a rejection with the given code and the 400 status it is sent with
+ * @param {string} code - Expected error code
+ * @returns {Function}
+ */
+function rejectedWith(code) {
+  return (error) => {
+    assert.equal(error.code, code);
+    assert.equal(error.status, 400);
+    return true;
+  };
+}
+
+afterEach(() => {
+  Object.assign(config, defaultLimits);
+});
+
+describe('createEntryChecker', () => {
+  const extractPath = path.resolve('/extract');
+
+  test('returns the target path of a safe entry', () => {
+    const checkEntry = createEntryChecker(1, extractPath);
+    assert.equal(checkEntry(fakeEntry('Links/image.jpg')), path.join(extractPath, 'Links', 'image.jpg'));
+  });
+
+  test('rejects an empty archive', () => {
+    assert.throws(() => createEntryChecker(0, extractPath), rejectedWith('CORRUPT_ZIP'));
+  });
+
+  test('rejects archives with more entries than allowed', () => {
+    config.zipMaxEntries = 3;
+    assert.throws(() => createEntryChecker(4, extractPath), rejectedWith('ZIP_TOO_MANY_ENTRIES'));
+    assert.doesNotThrow(() => createEntryChecker(3, extractPath));
+  });
+
+  for (const name of ['../evil.txt', 'Links/../../evil.txt', '..\\evil.txt', '/etc/passwd', 'C:/Windows/evil.dll', 'a\0b']) {
+    test(`rejects the entry path ${JSON.stringify(name)}`, () => {
+      const checkEntry = createEntryChecker(1, extractPath);
+      assert.throws(() => checkEntry(fakeEntry(name)), rejectedWith('ZIP_PATH_TRAVERSAL'));
+    });
+  }
+
+  test('accepts ".." segments that stay inside the package', () => {
+    const checkEntry = createEntryChecker(1, extractPath);
+    assert.equal(checkEntry(fakeEntry('Links/../doc.indd')), path.join(extractPath, 'doc.indd'));
+  });
+
+  test('rejects symbolic links', () => {
+    const checkEntry = createEntryChecker(1, extractPath);
+    assert.throws(
+      () => checkEntry(fakeEntry('Links/image.jpg', { externalFileAttributes: SYMLINK_MODE << 16 })),
+      rejectedWith('ZIP_SYMLINK')
+    );
+  });
+
+  test('rejects large entries that expand more than the compression ratio allows', () => {
+    const checkEntry = createEntryChecker(1, extractPath);
+    assert.throws(
+      () => checkEntry(fakeEntry('bomb.bin', { uncompressedSize: 200 * MB, compressedSize: MB })),
+      rejectedWith('ZIP_COMPRESSION_RATIO')
+    );
+  });
+
+  test('does not hold small entries to the compression ratio', () => {
+    const checkEntry = createEntryChecker(1, extractPath);
+    assert.doesNotThrow(() => checkEntry(fakeEntry('notes.txt', { uncompressedSize: 100 * 1024, compressedSize: 10 })));
+  });
+
+  test('rejects archives whose entries add up to more than allowed', () => {
+    config.zipMaxUncompressedBytes = 25;
+    const checkEntry = createEntryChecker(3, extractPath);
+    checkEntry(fakeEntry('a.txt'));
+    checkEntry(fakeEntry('b.txt'));
+    assert.throws(() => checkEntry(fakeEntry('c.txt')), rejectedWith('ZIP_TOO_LARGE'));
+  });
+});
+
+describe('extractZipAndFindInDesignFile', () => {
+  let workDir;
+  let count = 0;
+
+  /**
+   * Writes an archive and extracts it into a fresh directory
+   * @param {Buffer} zip - Archive contents
+   * @returns {Promise<Object>} - What extractZipAndFindInDesignFile returns
+   */
+  async function extract(zip) {
+    count += 1;
+    const zipPath = path.join(workDir, `package-${count}.zip`);
+    await fs.writeFile(zipPath, zip);
+    return extractZipAndFindInDesignFile(zipPath, path.join(workDir, `extract-${count}`, 'package'));
+  }
+
+  before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zip-handler-test-'));
+  });
+
+  after(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('extracts a package and finds its documents and books', async () => {
+    const result = await extract(buildZip([
+      { name: 'Brochure/', data: '' },
+      { name: 'Brochure/Brochure.indd', data: 'document', deflate: true },
+      { name: 'Brochure/Links/logo.svg', data: '<svg/>' },
+      { name: 'Brochure/Catalog.indb', data: 'book' }
+    ]));
+
+    assert.equal(path.relative(result.extractedPath, result.indesignFile), path.join('Brochure', 'Brochure.indd'));
+    assert.equal(result.books.length, 1);
+    assert.equal(await fs.readFile(path.join(result.extractedPath, 'Brochure', 'Links', 'logo.svg'), 'utf8'), '<svg/>');
+  });
+
+  test('rejects a package without documents', async () => {
+    await assert.rejects(extract(buildZip([{ name: 'readme.txt', data: 'hello' }])), rejectedWith('NO_DOCUMENT'));
+  });
+
+  test('rejects zip-slip entries without writing outside the package', async () => {
+    await assert.rejects(
+      extract(buildZip([{ name: 'doc.indd', data: 'x' }, { name: '../evil.txt', data: 'x' }])),
+      rejectedWith('ZIP_PATH_TRAVERSAL')
+    );
+    await assert.rejects(fs.access(path.join(workDir, `extract-${count}`, 'evil.txt')));
+  });
+
+  test('rejects entries with absolute paths', async () => {
+    await assert.rejects(
+      extract(buildZip([{ name: '/tmp/evil.txt', data: 'x' }])),
+      rejectedWith('ZIP_PATH_TRAVERSAL')
+    );
+  });
+
+  test('rejects symbolic links', async () => {
+    await assert.rejects(
+      extract(buildZip([{ name: 'doc.indd', data: 'x' }, { name: 'Links/passwd', data: '/etc/passwd', mode: SYMLINK_MODE }])),
+      rejectedWith('ZIP_SYMLINK')
+    );
+  });
+
+  test('rejects entries that expand more than the compression ratio allows', async () => {
+    await assert.rejects(
+      extract(buildZip([{ name: 'bomb.bin', data: Buffer.alloc(4 * MB), deflate: true }])),
+      rejectedWith('ZIP_COMPRESSION_RATIO')
+    );
+  });
+
+  test('rejects archives that expand to more than the size limit', async () => {
+    config.zipMaxUncompressedBytes = 1000;
+    await assert.rejects(
+      extract(buildZip([{ name: 'doc.indd', data: Buffer.alloc(600) }, { name: 'Links/image.jpg', data: Buffer.alloc(600) }])),
+      rejectedWith('ZIP_TOO_LARGE')
+    );
+  });
+
+  test('rejects archives with too many entries', async () => {
+    config.zipMaxEntries = 2;
+    await assert.rejects(
+      extract(buildZip([{ name: 'doc.indd' }, { name: 'a.txt' }, { name: 'b.txt' }])),
+      rejectedWith('ZIP_TOO_MANY_ENTRIES')
+    );
+  });
+
+  test('rejects a corrupt archive', async () => {
+    await assert.rejects(extract(Buffer.from('this is not a zip file')), rejectedWith('CORRUPT_ZIP'));
+  });
+
+  test('rejects a truncated archive', async () => {
+    const zip = buildZip([{ name: 'doc.indd', data: 'document' }]);
+    await assert.rejects(extract(zip.subarray(0, zip.length - 10)), rejectedWith('CORRUPT_ZIP'));
+  });
+});
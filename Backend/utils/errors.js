@@ -0,0 +1,236 @@
+import logger from './logger.js';
+
+/**
+ * Base class of the errors the conversion pipeline reports to clients
+ * Each has a stable machine-readable code, the HTTP status it maps to, a
+ * user-facing message and optional details; routes and failed jobs report
+ * all three (see serializeError)
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code, e.g. ENGINE_TIMEOUT
+   * @param {string} message - Description of the problem for the user
+   * @param {Object} options
+   * @param {number} options.status - HTTP status (default 500)
+   * @param {Object} options.details - Optional extra information for the client
+   * @param {Error} options.cause - Optional underlying error
+   */
+  constructor(code, message, { status = 500, details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'AppError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Error raised when client input fails validation
+ * Routes respond to it with 400 and the error message
+ */
+export class ValidationError extends AppError {
+  /**
+   * @param {string} message - Description of what is wrong with the input
+   * @param {Object} details - Optional extra information for the client
+   * @param {string} code - Machine-readable error code (default INVALID_REQUEST)
+   */
+  constructor(message, details = null, code = 'INVALID_REQUEST') {
+    super(code, message, { status: 400, details });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Error raised when an uploaded archive is corrupt, unsafe or exceeds the extraction limits
+ * code identifies the rejection (e.g. ZIP_PATH_TRAVERSAL) for API clients
+ */
+export class UnsafeArchiveError extends ValidationError {
+  /**
+   * @param {string} code - Machine-readable rejection code
+   * @param {string} message - Description of the problem
+   * @param {Object} details - Optional extra information, such as the offending entry
+   */
+  constructor(code, message, details = null) {
+    super(message, details, code);
+    this.name = 'UnsafeArchiveError';
+  }
+}
+
+/**
+ * Error raised when a chunk of a resumable upload does not match its checksum
+ * The chunk was damaged in transit, so clients should simply send it again
+ */
+export class ChunkChecksumError extends ValidationError {
+  /**
+   * @param {number} index - Chunk number
+   * @param {Object} details - Expected and actual checksums
+   */
+  constructor(index, details = null) {
+    super(`Checksum of chunk ${index} does not match; send it again`, details, 'CHUNK_CHECKSUM_MISMATCH');
+    this.name = 'ChunkChecksumError';
+  }
+}
+
+/**
+ * Error raised when a package contains no InDesign document or book
+ */
+export class NoDocumentError extends ValidationError {
+  /**
+   * @param {string} message - Description of what is missing
+   */
+  constructor(message = 'No InDesign file (.indd, .idml or .indb) found in the zip') {
+    super(message, null, 'NO_DOCUMENT');
+    this.name = 'NoDocumentError';
+  }
+}
+
+/**
+ * Error raised when the conversion engine cannot run, e.g. InDesign is not installed
+ */
+export class EngineUnavailableError extends AppError {
+  /**
+   * @param {string} message - What is unavailable
+   * @param {Object} details - Optional extra information, such as the engine name
+   */
+  constructor(message = 'The conversion engine is not available', details = null) {
+    super('ENGINE_UNAVAILABLE', message, { status: 503, details });
+    this.name = 'EngineUnavailableError';
+  }
+}
+
+/**
+ * Error raised when a conversion takes longer than allowed and is stopped
+ */
+export class EngineTimeoutError extends AppError {
+  /**
+   * @param {string} message - Description of the timeout
+   * @param {Object} details - Optional extra information, such as the time limit
+   */
+  constructor(message, details = null) {
+    super('ENGINE_TIMEOUT', message, { status: 504, details });
+    this.name = 'EngineTimeoutError';
+  }
+}
+
+/**
+ * Error raised when InDesign reports an error while running the conversion script
+ */
+export class ScriptError extends AppError {
+  /**
+   * @param {string} message - The error InDesign reported
+   * @param {Object} details - Optional extra information, such as the script output
+   */
+  constructor(message, details = null) {
+    super('SCRIPT_ERROR', message, { status: 500, details });
+    this.name = 'ScriptError';
+  }
+}
+
+/**
+ * Error raised when preflight finds problems and the job's policy is "fail"
+ * The code names the most important problem: MISSING_FONTS, then MISSING_LINKS,
+ * otherwise PREFLIGHT_FAILED
+ */
+export class PreflightError extends AppError {
+  /**
+   * @param {string} message - Description of the problems found
+   * @param {Object} summary - Number of problems per preflight check
+   */
+  constructor(message, summary = {}) {
+    let code = 'PREFLIGHT_FAILED';
+    if (summary.missingFonts > 0) {
+      code = 'MISSING_FONTS';
+    } else if (summary.missingLinks > 0) {
+      code = 'MISSING_LINKS';
+    }
+    super(code, message, { status: 422, details: { summary } });
+    this.name = 'PreflightError';
+  }
+}
+
+/**
+ * Error raised when the engine finished but did not produce the expected output
+ */
+export class ExportFailedError extends AppError {
+  /**
+   * @param {string} message - Description of the failure
+   * @param {Object} details - Optional extra information
+   * @param {Error} cause - Optional underlying error
+   */
+  constructor(message, details = null, cause = undefined) {
+    super('EXPORT_FAILED', message, { status: 500, details, cause });
+    this.name = 'ExportFailedError';
+  }
+}
+
+/**
+ * Error raised when a stored result (or package) is no longer in result storage,
+ * e.g. removed by a retention rule
+ */
+export class ResultExpiredError extends AppError {
+  /**
+   * @param {string} message - What is missing
+   * @param {Object} details - Optional extra information, such as the storage backend
+   */
+  constructor(message = 'Result is no longer available', details = null) {
+    super('RESULT_EXPIRED', message, { status: 410, details });
+    this.name = 'ResultExpiredError';
+  }
+}
+
+/**
+ * Error raised when a client sends requests faster than its rate limit or uses up a quota
+ * Responses carry a Retry-After header with the number of seconds to wait
+ */
+export class RateLimitError extends AppError {
+  /**
+   * @param {string} code - RATE_LIMITED or QUOTA_EXCEEDED
+   * @param {string} message - Which limit was reached
+   * @param {number} retryAfterSeconds - When the client may try again
+   * @param {Object} details - Optional extra information, such as the limit and current usage
+   */
+  constructor(code, message, retryAfterSeconds, details = null) {
+    super(code, message, { status: 429, details: { ...details, retryAfterSeconds } });
+    this.name = 'RateLimitError';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Converts any error into the {code, message, details} shape reported to clients
+ * Errors that are not AppErrors are reported as INTERNAL_ERROR with a generic message, so paths and
+ * internals stay out of jobs, webhooks and batch items; callers log the original error
+ * @param {Error} error - The error
+ * @returns {{code: string, message: string, details: Object|null}}
+ */
+export function serializeError(error) {
+  if (error instanceof AppError) {
+    return { code: error.code, message: error.message, details: error.details };
+  }
+  return { code: 'INTERNAL_ERROR', message: 'Internal server error', details: null };
+}
+
+/**
+ * Responds to a failed request
+ * AppErrors are reported with their status and code; anything else is logged and a 500
+ * with only the generic message, so paths and internals stay out of the response
+ * @param {import('express').Response} res - Response to send
+ * @param {Error} error - The error
+ * @param {string} message - Message for unexpected errors
+ */
+export function sendError(res, error, message = 'Internal server error') {
+  if (error instanceof RateLimitError) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+  }
+  if (error instanceof AppError) {
+    return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
+  }
+
+  logger.error(message, { error });
+
+  res.status(500).json({
+    error: message,
+    code: 'INTERNAL_ERROR',
+    details: null
+  });
+}
@@ -1,5 +1,9 @@
 import fs from 'fs/promises';
 import path from 'path';
+import logger from './logger.js';
+
+// Directories cleanupOldFiles never deletes from, e.g. the result cache
+const protectedPaths = new Set();
 
 /**
  * Deletes a file or directory recursively
@@ -17,7 +21,7 @@ export async function deleteFile(targetPath) {
   } catch (error) {
     // Ignore errors if file doesn't exist
     if (error.code !== 'ENOENT') {
-      console.error(`Error deleting ${targetPath}:`, error.message);
+      logger.error(`Error deleting ${targetPath}`, { error: error.message });
     }
   }
 }
@@ -30,8 +34,31 @@ export async function deleteMultiple(paths) {
   await Promise.all(paths.map(p => deleteFile(p)));
 }
 
+/**
+ * Keeps cleanupOldFiles away from a directory that manages its own contents
+ * @param {string} dirPath - Directory to protect
+ */
+export function protectFromCleanup(dirPath) {
+  protectedPaths.add(path.resolve(dirPath));
+}
+
+/**
+ * Tells whether a path is, lies in or contains a protected directory
+ * @param {string} targetPath - Path to check
+ * @returns {boolean}
+ */
+function isProtected(targetPath) {
+  const resolved = path.resolve(targetPath);
+  return [...protectedPaths].some(protectedPath =>
+    resolved === protectedPath ||
+    resolved.startsWith(protectedPath + path.sep) ||
+    protectedPath.startsWith(resolved + path.sep)
+  );
+}
+
 /**
  * Cleans up temporary files older than specified age
+ * Protected directories (see protectFromCleanup) are left alone
  * @param {string} dirPath - Directory to clean
  * @param {number} maxAgeHours - Maximum age in hours (default: 24)
  */
@@ -43,6 +70,9 @@ export async function cleanupOldFiles(dirPath, maxAgeHours = 24) {
 
     for (const entry of entries) {
       const fullPath = path.join(dirPath, entry.name);
+      if (isProtected(fullPath)) {
+        continue;
+      }
 
       try {
         const stats = await fs.stat(fullPath);
@@ -50,14 +80,14 @@ export async function cleanupOldFiles(dirPath, maxAgeHours = 24) {
 
         if (age > maxAgeMs) {
           await deleteFile(fullPath);
-          console.log(`Cleaned up old file: ${fullPath}`);
+          logger.info(`Cleaned up old file: ${fullPath}`);
         }
       } catch (error) {
-        console.error(`Error checking file ${fullPath}:`, error.message);
+        logger.error(`Error checking file ${fullPath}`, { error: error.message });
       }
     }
   } catch (error) {
-    console.error(`Error cleaning up directory ${dirPath}:`, error.message);
+    logger.error(`Error cleaning up directory ${dirPath}`, { error: error.message });
   }
 }
 
@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+/**
+ * Creates a JSON file that mirrors some in-memory state so it survives restarts
+ * Writes go to a temporary file that is then renamed, so a crash never leaves a half-written file,
+ * and are chained so concurrent updates never interleave
+ * @param {string} filePath - Path of the JSON file
+ * @param {string} label - What the file holds, for log messages (e.g. "job store")
+ * @returns {{read: function(): Promise<*>, write: function(function(): *): Promise<void>}}
+ */
+export function createJsonFileStore(filePath, label) {
+  let writeChain = Promise.resolve();
+
+  return {
+    /**
+     * Reads the file
+     * @returns {Promise<*>} - The parsed contents, or null if the file is missing or unreadable
+     */
+    async read() {
+      try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error(`Error loading ${label} ${filePath}`, { error: error.message });
+        }
+        return null;
+      }
+    },
+
+    /**
+     * Writes the file; errors are logged, never thrown
+     * @param {function(): *} getValue - Returns the value to write, called when the write starts
+     *   so that the latest state is written
+     * @returns {Promise<void>}
+     */
+    write(getValue) {
+      writeChain = writeChain
+        .then(async () => {
+          const tempPath = `${filePath}.tmp`;
+          await fs.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.writeFile(tempPath, JSON.stringify(getValue(), null, 2), 'utf8');
+          await fs.rename(tempPath, filePath);
+        })
+        .catch((error) => {
+          logger.error(`Error persisting ${label}`, { error: error.message });
+        });
+
+      return writeChain;
+    }
+  };
+}
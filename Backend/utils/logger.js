@@ -0,0 +1,131 @@
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+import config from '../config/config.js';
+
+/**
+ * Structured logging
+ *
+ * Every entry is one line: a JSON object with time, level, msg, the fields of
+ * the current log context and the fields passed with the entry (LOG_FORMAT=json,
+ * the default), or the same information as readable text (LOG_FORMAT=text).
+ * Debug and info entries go to stdout, warnings and errors to stderr.
+ *
+ * The log context carries correlation ids: the server runs each request in a
+ * context with its requestId, and each job in one with its jobId and the
+ * requestId of the upload that created it, so every entry written while
+ * handling them (in routes, zipHandler.js, the engines, ...) can be traced back
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minimumLevel = LEVELS[config.logLevel] ?? LEVELS.info;
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Runs a function in a log context; entries written while it runs (including
+ * in callbacks and promises it starts) carry the context's fields
+ * @param {Object} fields - Correlation ids, e.g. {requestId} or {jobId, requestId}; they replace the current
+ *   context rather than add to it
+ * @param {Function} fn - Function to run
+ * @returns {*} - What the function returns
+ */
+export function withLogContext(fields, fn) {
+  return logContext.run(fields, fn);
+}
+
+/**
+ * Binds a callback to the current log context, for callbacks that are called
+ * from a shared event source, e.g. the output of an InDesign process serving many jobs
+ * @param {Function} fn - Callback
+ * @returns {Function} - Bound callback
+ */
+export function bindLogContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+/**
+ * Makes every listener of an event emitter run in the current log context
+ * Needed for requests: body parsers such as multer continue from the request's
+ * data events, which otherwise run in the context of the connection
+ * @param {EventEmitter} emitter - e.g. an HTTP request or response
+ */
+export function bindEmitterToLogContext(emitter) {
+  const resource = new AsyncResource('LogContext');
+  const emit = emitter.emit;
+  emitter.emit = function (...args) {
+    return resource.runInAsyncScope(emit, this, ...args);
+  };
+}
+
+/**
+ * Gets the fields of the current log context
+ * @returns {Object}
+ */
+export function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+/**
+ * Turns an error into plain fields, keeping its code and details
+ * @param {Error} error - The error
+ * @returns {{name: string, message: string, code?: string, details?: Object, stack?: string}}
+ */
+function serializeLoggedError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.details && { details: error.details }),
+    ...(error.stack && { stack: error.stack })
+  };
+}
+
+/**
+ * Formats an entry as a readable line, for LOG_FORMAT=text
+ * @param {{time: string, level: string, msg: string}} entry - Log entry; other fields are appended as JSON
+ * @returns {string} - e.g. "2024-05-01T10:00:00.000Z INFO  Server started {"port":5000}"
+ */
+function formatText(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}`;
+}
+
+/**
+ * Writes an entry with the current log context to stdout, or stderr for warnings and errors,
+ * if its level is at least LOG_LEVEL
+ * @param {string} level - debug, info, warn or error
+ * @param {string} message - What happened
+ * @param {Object} [fields] - Extra fields; undefined values are left out
+ */
+function write(level, message, fields) {
+  if (LEVELS[level] < minimumLevel) {
+    return;
+  }
+
+  const entry = { time: new Date().toISOString(), level, msg: message, ...getLogContext() };
+  for (const [name, value] of Object.entries(fields || {})) {
+    if (value !== undefined) {
+      entry[name] = name === 'error' ? serializeLoggedError(value) : value;
+    }
+  }
+
+  const line = config.logFormat === 'text' ? formatText(entry) : JSON.stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Each level takes a message and optional fields; an Error passed as the
+ * "error" field is logged with its code, details and stack
+ */
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+export default logger;
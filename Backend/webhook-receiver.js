@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+import crypto from 'crypto';
+import http from 'http';
+import config from './config/config.js';
+import { signWebhookPayload } from './services/webhooks.js';
+
+// Local webhook receiver for trying out callbacks
+//
+// Prints each webhook it receives and whether its signature matches
+// WEBHOOK_SECRET. Set WEBHOOK_RECEIVER_FAIL=N to answer the first N requests
+// with 500 and watch the backend retry.
+//
+// Usage (the backend needs WEBHOOK_ALLOWED_HOSTS=localhost to call it):
+//   WEBHOOK_SECRET=... npm run webhook:receiver
+//   curl -F "file=@package.zip" -F "callbackUrl=http://localhost:5070/webhook" http://localhost:5000/api/upload
+
+const port = parseInt(process.env.WEBHOOK_RECEIVER_PORT || '5070', 10);
+let failuresLeft = parseInt(process.env.WEBHOOK_RECEIVER_FAIL || '0', 10);
+
+/**
+ * Checks a webhook's signature in constant time
+ * @param {string} body - Raw body
+ * @param {http.IncomingHttpHeaders} headers - Request headers
+ * @returns {boolean}
+ */
+function hasValidSignature(body, headers) {
+  if (!config.webhookSecret || !headers['x-webhook-signature'] || !headers['x-webhook-timestamp']) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(body, headers['x-webhook-timestamp']));
+  const actual = Buffer.from(headers['x-webhook-signature']);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const valid = hasValidSignature(body, req.headers);
+
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`  Event: ${req.headers['x-webhook-event']}  Id: ${req.headers['x-webhook-id']}`);
+    console.log(`  Signature: ${valid ? '✓ valid' : '✗ invalid or missing'}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`  → 500 (failing ${failuresLeft} more)`);
+      res.writeHead(500).end();
+      return;
+    }
+    res.writeHead(valid ? 204 : 401).end();
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/webhook`);
+  if (!config.webhookSecret) {
+    console.warn('⚠ Warning: WEBHOOK_SECRET is not set; signatures cannot be checked');
+  }
+});
@@ -1,7 +1,46 @@
+import { useState } from 'react'
+import { NavLink, Navigate, Route, Routes, useMatch } from 'react-router'
 import FileUpload from './components/FileUpload'
+import BatchUpload from './components/BatchUpload'
+import JobHistory from './components/JobHistory'
+import ApiKeySettings from './components/ApiKeySettings'
 
 function App() {
-  return <FileUpload />
+  const [mode, setMode] = useState('single')
+  const onConvertPage = useMatch('/') !== null
+
+  // The converter stays mounted on other pages, so a conversion in progress and
+  // its state survive a visit to the history; both upload modes stay mounted for the same reason
+  return (
+    <>
+      <nav className="app-nav">
+        <NavLink to="/" end>Convert</NavLink>
+        <NavLink to="/history">History</NavLink>
+      </nav>
+      {onConvertPage && (
+        <nav className="mode-switch">
+          <button type="button" className={mode === 'single' ? 'active' : ''} onClick={() => setMode('single')}>
+            Single package
+          </button>
+          <button type="button" className={mode === 'batch' ? 'active' : ''} onClick={() => setMode('batch')}>
+            Batch
+          </button>
+        </nav>
+      )}
+      <ApiKeySettings />
+      <div hidden={!onConvertPage || mode !== 'single'}>
+        <FileUpload />
+      </div>
+      <div hidden={!onConvertPage || mode !== 'batch'}>
+        <BatchUpload />
+      </div>
+      <Routes>
+        <Route path="/" element={null} />
+        <Route path="/history" element={<JobHistory />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+    </>
+  )
 }
 
 export default App
@@ -0,0 +1,30 @@
+// localStorage key of the API key the user entered
+const API_KEY_STORAGE_KEY = 'indesign-converter.api-key';
+
+/**
+ * Gets the API key requests are sent with: the one the user entered, otherwise VITE_API_KEY
+ * @returns {string|null}
+ */
+export function getApiKey() {
+  return localStorage.getItem(API_KEY_STORAGE_KEY) || import.meta.env.VITE_API_KEY || null;
+}
+
+/**
+ * Remembers the API key the user entered, or forgets it
+ * @param {string} key - API key; empty to fall back to VITE_API_KEY
+ */
+export function setApiKey(key) {
+  if (key) {
+    localStorage.setItem(API_KEY_STORAGE_KEY, key);
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+  }
+}
+
+/**
+ * Tells whether the user has entered an API key in this browser
+ * @returns {boolean}
+ */
+export function hasStoredApiKey() {
+  return Boolean(localStorage.getItem(API_KEY_STORAGE_KEY));
+}
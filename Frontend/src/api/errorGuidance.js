@@ -0,0 +1,48 @@
+// What the user can do about each error code the server reports
+const ERROR_GUIDANCE = {
+  NETWORK_ERROR: 'Check your internet connection. If it is working, the conversion server may be down.',
+  NO_FILE: 'Choose a .zip file before converting.',
+  INVALID_FILE_TYPE: 'Upload the package as a .zip file: in InDesign use File > Package, then compress the package folder.',
+  FILE_TOO_LARGE: 'Remove files the document does not use from the package, or ask the administrator to raise MAX_FILE_SIZE_MB.',
+  NO_DOCUMENT: 'The zip must contain the .indd or .idml document (or an .indb book). Use File > Package in InDesign and zip the whole package folder.',
+  NO_BOOK: 'Chapters can only be chosen for packages that contain an InDesign book (.indb).',
+  DOCUMENT_NOT_FOUND: 'Check the document names you selected; they must match files in the package.',
+  DOCUMENT_AMBIGUOUS: 'Several documents have that name. Select the document by its full path in the package.',
+  CORRUPT_ZIP: 'The zip could not be read. Compress the package folder again and upload the new zip.',
+  ZIP_SIZE_MISMATCH: 'The zip is damaged. Compress the package folder again and upload the new zip.',
+  ZIP_PATH_TRAVERSAL: 'The zip contains files with unsafe paths. Create a new zip from the package folder itself.',
+  ZIP_SYMLINK: 'The zip contains shortcuts (symbolic links). Replace them with the actual files and zip the package again.',
+  ZIP_TOO_MANY_ENTRIES: 'The package has too many files. Remove files the document does not use and try again.',
+  ZIP_TOO_LARGE: 'The package is too large once unzipped. Remove files the document does not use and try again.',
+  ZIP_COMPRESSION_RATIO: 'A file in the zip is suspiciously compressible and was rejected as unsafe. Remove it and try again.',
+  INVALID_OPTION: 'Check the export options; the message above names the value that was rejected.',
+  UNSUPPORTED_FORMAT: 'Choose a different output format.',
+  UNAUTHORIZED: 'The server needs a valid API key. Enter the key you were given with the "API key" button at the top of the page.',
+  RATE_LIMITED: 'Too many requests in a short time. Wait a moment and try again.',
+  QUOTA_EXCEEDED: 'Your API key has used up its conversion quota for now. Try again later, or ask the administrator for a higher quota.',
+  QUEUE_FULL: 'The server is busy with other conversions. Try again in a few minutes.',
+  TOO_MANY_FILES: 'Too many packages for one batch. Split them into smaller batches.',
+  UPLOAD_INCOMPLETE: 'Part of the upload is missing. Select the file again to send the rest.',
+  ENGINE_UNAVAILABLE: 'InDesign is not available on the conversion server. Ask the administrator to check the installation (npm run test:indesign).',
+  ENGINE_TIMEOUT: 'InDesign took too long. This usually means a dialog is waiting, e.g. for missing fonts or links. Open the document in InDesign, fix any warnings and package it again.',
+  SCRIPT_ERROR: 'InDesign could not convert the document. Open it in InDesign to check that it opens without errors, then package it again.',
+  MISSING_FONTS: 'Fonts used by the document are missing. Package with "Copy Fonts" enabled, or set Preflight to "Warn about problems" to convert anyway.',
+  MISSING_LINKS: 'Linked images are missing. Package with "Copy Linked Graphics" enabled, or set Preflight to "Warn about problems" to convert anyway.',
+  PREFLIGHT_FAILED: 'Fix the problems preflight found in InDesign, or set Preflight to "Warn about problems" to convert anyway.',
+  EXPORT_FAILED: 'The export did not produce a file. Try again; if it keeps failing, try another format or PDF preset.',
+  JOB_INTERRUPTED: 'The server restarted during the conversion. Upload the package again.',
+  WORKER_LOST: 'The conversion machines stopped responding while converting this package. Upload it again; if it keeps failing, ask the administrator to check the render farm workers.',
+  STORAGE_ERROR: 'The converted file could not be saved on the server. Try again; if it keeps failing, ask the administrator to check the result storage.',
+  JOB_NOT_FOUND: 'The conversion is no longer available. Upload the package again.',
+  RESULT_EXPIRED: 'The converted file has been removed from the server. Upload the package again.',
+  PACKAGE_NOT_KEPT: 'The server did not keep this package, so it cannot be converted again. Upload it again instead.',
+};
+
+/**
+ * Suggests what the user can do about an error
+ * @param {Error} error - Error from the upload service, usually an ApiError with a code
+ * @returns {string|null} - Guidance, or null if there is nothing specific to suggest
+ */
+export function getErrorGuidance(error) {
+  return ERROR_GUIDANCE[error?.code] || null;
+}
@@ -1,58 +1,592 @@
 import axios from 'axios';
+import { getApiKey } from './apiKey';
+import { sha256Digest } from './sha256';
 
 // Use relative URL - Vite proxy will forward to backend
 const API_URL = import.meta.env.VITE_API_URL || '';
 
+// How often to check on a queued or running conversion job when its events cannot be streamed
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// Failed upload requests are retried with exponential backoff
+const MAX_REQUEST_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// localStorage keys for resuming uploads and jobs after a page reload
+const UPLOADS_KEY = 'indesign-converter.uploads';
+const ACTIVE_JOB_KEY = 'indesign-converter.active-job';
+
+// Every API request carries the API key, when the server requires one (API_AUTH)
+axios.interceptors.request.use((request) => {
+  const apiKey = getApiKey();
+  if (apiKey) {
+    request.headers.Authorization = `Bearer ${apiKey}`;
+  }
+  return request;
+});
+
 /**
- * Uploads a zip file and downloads the generated PDF
+ * Uploads a zip file and downloads the converted result
+ * The job is remembered until it finishes, so it can be picked up again with
+ * resumeConversion after a page reload
  * @param {File} file - The zip file to upload
+ * @param {Object} exportOptions - Output format and export options; empty values are left to the server defaults
  * @param {Function} onUploadProgress - Progress callback
- * @returns {Promise<Blob>} - The PDF blob
+ * @param {Function} onJobStatus - Called with the job each time its status is polled
+ * @param {{fresh?: boolean}} options - fresh converts again even if the server has cached the result
+ * @returns {Promise<{blob: Blob, filename: string, job: Object}>} - The result file, its suggested name and the completed job
  */
-export async function uploadAndConvertToPDF(file, onUploadProgress) {
-  const formData = new FormData();
-  formData.append('file', file);
+export async function uploadAndConvert(file, exportOptions, onUploadProgress, onJobStatus, options = {}) {
+  const { jobId } = await uploadPackage(file, exportOptions, onUploadProgress, options);
+  return resumeConversion(jobId, onJobStatus);
+}
 
+/**
+ * Waits for a queued conversion job and downloads its result
+ * @param {string} jobId - Job id returned by the upload
+ * @param {Function} onJobStatus - Called with the job each time its status is polled
+ * @returns {Promise<{blob: Blob, filename: string, job: Object}>} - The result file, its suggested name and the completed job
+ */
+export async function resumeConversion(jobId, onJobStatus) {
+  localStorage.setItem(ACTIVE_JOB_KEY, jobId);
   try {
-    const response = await axios.post(`${API_URL}/api/upload`, formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data',
-      },
+    const job = await waitForJob(jobId, onJobStatus);
+    const blob = await downloadJobResult(jobId);
+    return { blob, filename: job.resultName, job };
+  } finally {
+    localStorage.removeItem(ACTIVE_JOB_KEY);
+  }
+}
+
+/**
+ * Gets the job that was being waited for when the page was last closed
+ * @returns {string|null} - Job id
+ */
+export function getActiveJobId() {
+  return localStorage.getItem(ACTIVE_JOB_KEY);
+}
+
+/**
+ * Uploads a zip file in chunks and queues it for conversion
+ * Failed chunks are retried, waiting for the connection to come back if the
+ * browser is offline. The upload id is kept in localStorage, so uploading the
+ * same file again (e.g. after a page reload) only sends the missing chunks
+ * @param {File} file - The zip file to upload
+ * @param {Object} exportOptions - Output format and export options; empty values are left to the server defaults
+ * @param {Function} onUploadProgress - Progress callback
+ * @param {{fresh?: boolean}} options - fresh converts again even if the server has cached the result
+ * @returns {Promise<{jobId: string, status: string, cached: boolean}>}
+ */
+export async function uploadPackage(file, exportOptions, onUploadProgress, { fresh = false } = {}) {
+  try {
+    const upload = await resumeOrStartUpload(file);
+    const received = new Set(upload.receivedChunks);
+    let uploadedBytes = upload.receivedBytes;
+
+    const reportProgress = (bytes) => {
+      if (onUploadProgress) {
+        onUploadProgress(Math.min(100, Math.round((bytes * 100) / file.size)));
+      }
+    };
+    reportProgress(uploadedBytes);
+
+    for (let index = 0; index < upload.totalChunks; index++) {
+      if (received.has(index)) {
+        continue;
+      }
+
+      const chunk = file.slice(index * upload.chunkSize, Math.min((index + 1) * upload.chunkSize, file.size));
+      await sendChunk(upload.uploadId, index, chunk, (loaded) => reportProgress(uploadedBytes + loaded));
+      uploadedBytes += chunk.size;
+      reportProgress(uploadedBytes);
+    }
+
+    const response = await withRetries(() => axios.post(
+      `${API_URL}/api/uploads/${upload.uploadId}/complete`,
+      toFields(exportOptions),
+      fresh ? { headers: { 'Cache-Control': 'no-cache' } } : {}
+    ));
+    forgetUpload(file);
+    return response.data;
+  } catch (error) {
+    throw await toApiError(error);
+  }
+}
+
+/**
+ * Lists uploads that were interrupted and can be resumed by selecting the same file
+ * @returns {{fileName: string, fileSize: number}[]}
+ */
+export function getInterruptedUploads() {
+  return Object.values(readStoredUploads()).map(({ fileName, fileSize }) => ({ fileName, fileSize }));
+}
+
+/**
+ * Continues the stored upload of a file, or starts a new one
+ * @param {File} file - The zip file to upload
+ * @returns {Promise<Object>} - The upload session
+ */
+async function resumeOrStartUpload(file) {
+  const stored = readStoredUploads()[getFileKey(file)];
+  if (stored) {
+    try {
+      const response = await withRetries(() => axios.get(`${API_URL}/api/uploads/${stored.uploadId}`));
+      return response.data;
+    } catch (error) {
+      // The upload expired on the server; start over
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  const response = await withRetries(() => axios.post(`${API_URL}/api/uploads`, {
+    fileName: file.name,
+    fileSize: file.size,
+  }));
+  writeStoredUpload(getFileKey(file), {
+    uploadId: response.data.uploadId,
+    fileName: file.name,
+    fileSize: file.size,
+  });
+  return response.data;
+}
+
+/**
+ * Sends one chunk with its SHA-256 checksum, retrying on failure
+ * @param {string} uploadId - Upload id
+ * @param {number} index - Chunk number
+ * @param {Blob} chunk - Chunk contents
+ * @param {Function} onProgress - Called with the bytes of the chunk sent so far
+ * @returns {Promise<void>}
+ */
+async function sendChunk(uploadId, index, chunk, onProgress) {
+  const data = await chunk.arrayBuffer();
+  const checksum = await sha256(data);
+
+  await withRetries(() => axios.put(`${API_URL}/api/uploads/${uploadId}/chunks/${index}`, data, {
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'X-Chunk-Checksum': checksum,
+    },
+    onUploadProgress: (progressEvent) => onProgress(progressEvent.loaded),
+  }));
+}
+
+/**
+ * Runs a request, retrying it after network errors, server errors, damaged chunks and rate limiting
+ * Retries back off exponentially, or wait as long as the server's Retry-After asks;
+ * while the browser is offline, it waits to be back online
+ * @param {Function} request - Returns the axios request promise
+ * @returns {Promise<Object>} - The axios response
+ */
+async function withRetries(request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= MAX_REQUEST_ATTEMPTS) {
+        throw error;
+      }
+
+      if (!navigator.onLine) {
+        await new Promise((resolve) => window.addEventListener('online', resolve, { once: true }));
+      } else {
+        const retryAfterSeconds = Number(error.response?.headers?.['retry-after']);
+        const delay = retryAfterSeconds > 0
+          ? retryAfterSeconds * 1000
+          : Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+/**
+ * Checks whether a failed request may succeed if sent again
+ * @param {Error} error - The axios error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!status) {
+    return true;
+  }
+  const code = error.response.data?.code;
+  return status >= 500 || status === 408 || code === 'CHUNK_CHECKSUM_MISMATCH' || code === 'RATE_LIMITED';
+}
+
+/**
+ * Computes the hex SHA-256 of some data
+ * The Web Crypto API needs a secure context (HTTPS or localhost); elsewhere the
+ * slower JavaScript implementation is used
+ * @param {ArrayBuffer} data - Data to hash
+ * @returns {Promise<string>}
+ */
+async function sha256(data) {
+  const digest = globalThis.crypto?.subtle
+    ? new Uint8Array(await crypto.subtle.digest('SHA-256', data))
+    : sha256Digest(data);
+  return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Converts export options to request fields, leaving out empty values and unchecked options
+ * Lists, such as the selected pre-export scripts, are sent as JSON
+ * @param {Object} exportOptions - Output format and export options
+ * @returns {Object<string, string>}
+ */
+function toFields(exportOptions) {
+  return Object.fromEntries(
+    Object.entries(exportOptions || {})
+      .filter(([, value]) => value !== '' && value !== false && value !== null && value !== undefined)
+      .filter(([, value]) => !Array.isArray(value) || value.length > 0)
+      .map(([name, value]) => [name, typeof value === 'object' ? JSON.stringify(value) : String(value)])
+  );
+}
+
+/**
+ * Identifies a file across page reloads
+ * @param {File} file - The zip file
+ * @returns {string}
+ */
+function getFileKey(file) {
+  return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+/**
+ * Reads the uploads that have not been completed yet, by file key
+ * @returns {Object<string, {uploadId: string, fileName: string, fileSize: number}>}
+ */
+function readStoredUploads() {
+  try {
+    return JSON.parse(localStorage.getItem(UPLOADS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Remembers the upload of a file until it completes
+ * @param {string} key - File key from getFileKey
+ * @param {{uploadId: string, fileName: string, fileSize: number}} upload - The upload
+ */
+function writeStoredUpload(key, upload) {
+  localStorage.setItem(UPLOADS_KEY, JSON.stringify({ ...readStoredUploads(), [key]: upload }));
+}
+
+/**
+ * Forgets the upload of a file once it has completed
+ * @param {File} file - The zip file
+ */
+function forgetUpload(file) {
+  const uploads = readStoredUploads();
+  delete uploads[getFileKey(file)];
+  localStorage.setItem(UPLOADS_KEY, JSON.stringify(uploads));
+}
+
+/**
+ * Fetches the output formats, PDF presets, image compression types, preflight policies, InDesign versions
+ * and pre-export scripts the server accepts
+ * @returns {Promise<{formats: Object[], presets: string[], imageCompression: string[], preflightPolicies: string[],
+ *   indesignVersions: string[], preExportScripts: Object[]}>}
+ */
+export async function getExportOptions() {
+  try {
+    const response = await axios.get(`${API_URL}/api/export-options`);
+    return response.data;
+  } catch (error) {
+    throw await toApiError(error);
+  }
+}
+
+/**
+ * Fetches the current status of a conversion job
+ * @param {string} jobId - Job id returned by the upload
+ * @returns {Promise<Object>} - The job
+ */
+export async function getJobStatus(jobId) {
+  try {
+    const response = await withRetries(() => axios.get(`${API_URL}/api/jobs/${jobId}`));
+    return response.data;
+  } catch (error) {
+    throw await toApiError(error);
+  }
+}
+
+/**
+ * Follows a conversion job until it completes or fails
+ * Updates are streamed from the server (Server-Sent Events); if the stream
+ * cannot be opened, the job is polled instead
+ * @param {string} jobId - Job id returned by the upload
+ * @param {Function} onJobStatus - Called with the job each time it changes
+ * @returns {Promise<Object>} - The completed job
+ */
+export function waitForJob(jobId, onJobStatus) {
+  if (typeof EventSource === 'undefined') {
+    return pollJob(jobId, onJobStatus);
+  }
+
+  return new Promise((resolve, reject) => {
+    // EventSource cannot send headers, so the API key goes in the query
+    const apiKey = getApiKey();
+    const source = new EventSource(`${API_URL}/api/jobs/${jobId}/events${apiKey ? `?apiKey=${encodeURIComponent(apiKey)}` : ''}`);
+
+    source.addEventListener('job', (event) => {
+      const job = JSON.parse(event.data);
+
+      if (onJobStatus) {
+        onJobStatus(job);
+      }
+
+      if (job.status === 'completed') {
+        source.close();
+        resolve(job);
+      } else if (job.status === 'failed') {
+        source.close();
+        reject(toJobError(job));
+      }
+    });
+
+    // The browser reconnects dropped streams by itself; it gives up only if the
+    // stream cannot be opened at all (e.g. an error response), so fall back to polling
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        pollJob(jobId, onJobStatus).then(resolve, reject);
+      }
+    };
+  });
+}
+
+/**
+ * Polls a conversion job until it completes or fails
+ * @param {string} jobId - Job id returned by the upload
+ * @param {Function} onJobStatus - Called with the job after each poll
+ * @returns {Promise<Object>} - The completed job
+ */
+async function pollJob(jobId, onJobStatus) {
+  for (;;) {
+    const job = await getJobStatus(jobId);
+
+    if (onJobStatus) {
+      onJobStatus(job);
+    }
+
+    if (job.status === 'completed') {
+      return job;
+    }
+
+    if (job.status === 'failed') {
+      throw toJobError(job);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Downloads the file produced by a completed job
+ * @param {string} jobId - Job id returned by the upload
+ * @returns {Promise<Blob>} - The result blob
+ */
+export async function downloadJobResult(jobId) {
+  try {
+    const response = await axios.get(`${API_URL}/api/jobs/${jobId}/result`, {
       responseType: 'blob',
-      timeout: 30 * 60 * 1000, // 30 minutes timeout for large files (up to 3GB)
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity,
+    });
+    return response.data;
+  } catch (error) {
+    throw await toApiError(error);
+  }
+}
+
+/**
+ * Lists earlier conversion jobs, newest first
+ * @param {{status?: string, from?: string, to?: string, q?: string, page?: number, pageSize?: number}} filters -
+ *   Status (comma-separated), creation time range (ISO 8601), part of the file name and page; empty values are left out
+ * @returns {Promise<{jobs: Object[], total: number, page: number, pageSize: number, totalPages: number}>}
+ */
+export async function listJobs(filters = {}) {
+  try {
+    const response = await withRetries(() => axios.get(`${API_URL}/api/jobs`, { params: toFields(filters) }));
+    return response.data;
+  } catch (error) {
+    throw await toApiError(error);
+  }
+}
+
+/**
+ * Deletes a finished job and its result from the server
+ * @param {string} jobId - Job id
+ * @returns {Promise<void>}
+ */
+export async function deleteJob(jobId) {
+  try {
+    await axios.delete(`${API_URL}/api/jobs/${jobId}`);
+  } catch (error) {
+    throw await toApiError(error);
+  }
+}
+
+/**
+ * Converts the package of an earlier job again with other export options
+ * The result is never taken from the cache, so an unchanged job really runs again
+ * @param {string} jobId - Id of the earlier job; its package must have been kept on the server
+ * @param {Object} exportOptions - Output format and export options; empty values are left to the server defaults
+ * @returns {Promise<{jobId: string, status: string, cached: boolean}>} - The new job
+ */
+export async function rerunJob(jobId, exportOptions) {
+  try {
+    const response = await axios.post(`${API_URL}/api/jobs/${jobId}/rerun`, toFields(exportOptions), {
+      headers: { 'Cache-Control': 'no-cache' },
+    });
+    return response.data;
+  } catch (error) {
+    throw await toApiError(error);
+  }
+}
+
+/**
+ * Uploads several zip files as one batch and queues a conversion for each
+ * A single zip holding only zips is converted package by package as well
+ * @param {File[]} files - The zip files
+ * @param {Object} exportOptions - Output format and export options, applied to every package
+ * @param {Function} onUploadProgress - Progress callback
+ * @param {{fresh?: boolean}} options - fresh converts again even if the server has cached the results
+ * @returns {Promise<Object>} - The batch, with batchId
+ */
+export async function uploadBatch(files, exportOptions, onUploadProgress, { fresh = false } = {}) {
+  const formData = new FormData();
+  files.forEach((file) => formData.append('files', file));
+  Object.entries(toFields(exportOptions)).forEach(([name, value]) => formData.append(name, value));
+
+  try {
+    const response = await axios.post(`${API_URL}/api/batch`, formData, {
+      headers: fresh ? { 'Cache-Control': 'no-cache' } : {},
       onUploadProgress: (progressEvent) => {
         if (onUploadProgress && progressEvent.total) {
-          const percentCompleted = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          onUploadProgress(percentCompleted);
+          onUploadProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
         }
       },
     });
+    return response.data;
+  } catch (error) {
+    throw await toApiError(error);
+  }
+}
 
+/**
+ * Polls a batch until none of its packages is queued or converting
+ * @param {string} batchId - Batch id returned by the upload
+ * @param {Function} onBatchStatus - Called with the batch after each poll
+ * @returns {Promise<Object>} - The finished batch; some of its packages may have failed
+ */
+export async function waitForBatch(batchId, onBatchStatus) {
+  for (;;) {
+    let batch;
+    try {
+      const response = await withRetries(() => axios.get(`${API_URL}/api/batch/${batchId}`));
+      batch = response.data;
+    } catch (error) {
+      throw await toApiError(error);
+    }
+
+    if (onBatchStatus) {
+      onBatchStatus(batch);
+    }
+
+    if (batch.status !== 'processing') {
+      return batch;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Downloads the zip with every result of a finished batch and its manifest
+ * @param {string} batchId - Batch id returned by the upload
+ * @returns {Promise<Blob>} - The zip
+ */
+export async function downloadBatchResult(batchId) {
+  try {
+    const response = await axios.get(`${API_URL}/api/batch/${batchId}/result`, {
+      responseType: 'blob',
+    });
     return response.data;
   } catch (error) {
-    // Handle error response
-    if (error.response) {
-      // Server responded with error
-      if (error.response.data instanceof Blob) {
-        // Parse blob error message
-        const text = await error.response.data.text();
-        const errorData = JSON.parse(text);
-        throw new Error(errorData.error || 'Server error');
-      } else {
-        throw new Error(error.response.data.error || 'Server error');
+    throw await toApiError(error);
+  }
+}
+
+/**
+ * Error reported by the API
+ * code is the server's machine-readable error code (see getErrorGuidance)
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Readable message
+   * @param {Object} options
+   * @param {string} options.code - Error code, e.g. MISSING_FONTS
+   * @param {number|null} options.status - HTTP status, if the server responded
+   * @param {Object|null} options.details - Extra information from the server
+   */
+  constructor(message, { code = 'UNKNOWN_ERROR', status = null, details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Converts the error of a failed job into an ApiError
+ * @param {Object} job - The failed job
+ * @returns {ApiError}
+ */
+function toJobError(job) {
+  return new ApiError(job.error?.message || 'Conversion failed', {
+    code: job.error?.code,
+    details: job.error?.details,
+  });
+}
+
+/**
+ * Converts an axios error into an ApiError with a readable message and the server's error code
+ * @param {Error} error - The axios error
+ * @returns {Promise<ApiError>}
+ */
+async function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error.response) {
+    // Server responded with error
+    let errorData = error.response.data;
+    if (errorData instanceof Blob) {
+      // Parse blob error message
+      try {
+        errorData = JSON.parse(await errorData.text());
+      } catch {
+        errorData = {};
       }
-    } else if (error.request) {
-      // Request made but no response
-      throw new Error('Cannot connect to server. Please ensure the backend is running.');
-    } else {
-      // Something else happened
-      throw new Error(error.message || 'An error occurred');
     }
+    return new ApiError(errorData?.error || 'Server error', {
+      code: errorData?.code,
+      status: error.response.status,
+      details: errorData?.details ?? null,
+    });
+  } else if (error.request) {
+    // Request made but no response
+    return new ApiError('Cannot connect to server. Please ensure the backend is running.', {
+      code: 'NETWORK_ERROR',
+    });
   }
+  // Something else happened
+  return new ApiError(error.message || 'An error occurred');
 }
 
 /**
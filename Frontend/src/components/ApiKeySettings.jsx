@@ -0,0 +1,49 @@
+import { useState } from 'react';
+import { hasStoredApiKey, setApiKey } from '../api/apiKey';
+import './ApiKeySettings.css';
+
+export default function ApiKeySettings() {
+  const [open, setOpen] = useState(false);
+  const [value, setValue] = useState('');
+
+  // Reloads so the export options are fetched again with the new key
+  const save = (key) => {
+    setApiKey(key.trim());
+    window.location.reload();
+  };
+
+  return (
+    <div className="api-key-settings">
+      <button type="button" className="api-key-toggle" onClick={() => setOpen(!open)}>
+        {hasStoredApiKey() ? 'API key ✓' : 'API key'}
+      </button>
+
+      {open && (
+        <form
+          className="api-key-form"
+          onSubmit={(e) => {
+            e.preventDefault();
+            save(value);
+          }}
+        >
+          <label htmlFor="api-key-input">API key for the conversion server</label>
+          <input
+            id="api-key-input"
+            type="password"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder="idk_..."
+            autoComplete="off"
+          />
+          <div className="api-key-actions">
+            <button type="submit" disabled={!value.trim()}>Save</button>
+            {hasStoredApiKey() && (
+              <button type="button" onClick={() => save('')}>Forget key</button>
+            )}
+          </div>
+          <p className="api-key-hint">The key is kept in this browser only.</p>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,273 @@
+import { useState, useRef } from 'react';
+import {
+  uploadBatch,
+  waitForBatch,
+  downloadBatchResult,
+  downloadFile,
+} from '../api/uploadService';
+import { getErrorGuidance } from '../api/errorGuidance';
+import useExportOptions from '../hooks/useExportOptions';
+import ExportOptionsForm from './ExportOptionsForm';
+import './FileUpload.css';
+import './BatchUpload.css';
+
+const DEFAULT_EXPORT_OPTIONS = {
+  format: 'pdf',
+  dpi: '',
+  preset: '',
+  pageRange: '',
+  spreads: false,
+  cropMarks: false,
+  bleedMarks: false,
+  bleedMm: '',
+  imageCompression: '',
+  imageResolution: '',
+  preflight: '',
+  indesignVersion: '',
+  preExportScripts: [],
+};
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Converting',
+  completed: 'Done',
+  failed: 'Failed',
+  expired: 'Expired',
+};
+
+// Describes how the packages of a finished batch went
+function describeBatch(batch) {
+  const { total, completed } = batch.summary;
+  if (completed === total) {
+    return `All ${total} packages converted.`;
+  }
+  return `${completed} of ${total} packages converted; see the list for the ones that failed.`;
+}
+
+export default function BatchUpload() {
+  const [files, setFiles] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [batch, setBatch] = useState(null);
+  const [error, setError] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  const [forceFresh, setForceFresh] = useState(false);
+  const availableOptions = useExportOptions();
+  const fileInputRef = useRef(null);
+
+  const addFiles = (selectedFiles) => {
+    setError(null);
+    setBatch(null);
+
+    const zips = selectedFiles.filter((file) => file.name.toLowerCase().endsWith('.zip'));
+    if (zips.length < selectedFiles.length) {
+      setError({ message: 'Only .zip files can be converted; other files were left out', guidance: getErrorGuidance({ code: 'INVALID_FILE_TYPE' }) });
+    }
+
+    // Adding the same file twice keeps one copy
+    setFiles((current) => [
+      ...current,
+      ...zips.filter((zip) => !current.some((file) => file.name === zip.name && file.size === zip.size)),
+    ]);
+  };
+
+  const removeFile = (index) => {
+    setFiles((current) => current.filter((_, fileIndex) => fileIndex !== index));
+  };
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.type === 'dragenter' || e.type === 'dragover') {
+      setDragActive(true);
+    } else if (e.type === 'dragleave') {
+      setDragActive(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      addFiles(Array.from(e.dataTransfer.files));
+    }
+  };
+
+  const handleUpload = async () => {
+    if (files.length === 0) {
+      setError({ message: 'Please select files first', guidance: null });
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+    setBatch(null);
+    setProgress(0);
+
+    try {
+      const queued = await uploadBatch(files, exportOptions, setProgress, { fresh: forceFresh });
+      setBatch(queued);
+
+      const finished = await waitForBatch(queued.batchId, setBatch);
+      if (finished.summary.completed > 0) {
+        await handleDownload(finished.id);
+      }
+      setFiles([]);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    } catch (err) {
+      setError({ message: err.message, guidance: getErrorGuidance(err) });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (batchId) => {
+    downloadFile(await downloadBatchResult(batchId), `batch-${batchId}.zip`);
+  };
+
+  // Before the upload the selected files are listed; afterwards the packages the server queued
+  const items = batch
+    ? batch.items.map((item) => ({
+      name: item.name,
+      status: item.status,
+      detail: item.error?.message || (item.cached ? 'Reused an earlier conversion' : null),
+      guidance: item.error ? getErrorGuidance(item.error) : null,
+    }))
+    : files.map((file) => ({
+      name: file.name,
+      status: uploading ? 'uploading' : 'ready',
+      detail: `${(file.size / 1024 / 1024).toFixed(2)} MB`,
+      guidance: null,
+    }));
+
+  return (
+    <div className="upload-container">
+      <div className="upload-card">
+        <h1>Batch Conversion</h1>
+        <p className="subtitle">Upload several InDesign packages (.zip), or one zip of packages, and get all results in one zip</p>
+
+        <div
+          className={`drop-zone ${dragActive ? 'active' : ''} ${files.length > 0 ? 'has-file' : ''}`}
+          onDragEnter={handleDrag}
+          onDragLeave={handleDrag}
+          onDragOver={handleDrag}
+          onDrop={handleDrop}
+          onClick={() => fileInputRef.current?.click()}
+        >
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".zip"
+            multiple
+            onChange={(e) => addFiles(Array.from(e.target.files))}
+            style={{ display: 'none' }}
+          />
+
+          <div className="drop-zone-content">
+            <svg className="upload-icon" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+            </svg>
+            <p className="drop-text">
+              <span className="drop-highlight">Click to add packages</span> or drag and drop several
+            </p>
+            <p className="drop-hint">ZIP files only (InDesign packages)</p>
+          </div>
+        </div>
+
+        {items.length > 0 && (
+          <ul className="batch-items">
+            {items.map((item, index) => (
+              <li key={`${item.name}-${index}`} className={`batch-item ${item.status}`}>
+                <div className="batch-item-info">
+                  <p className="file-name">{item.name}</p>
+                  {item.detail && <p className="batch-item-detail">{item.detail}</p>}
+                  {item.guidance && <p className="batch-item-detail">{item.guidance}</p>}
+                </div>
+                {item.status === 'ready' ? (
+                  <button
+                    type="button"
+                    className="batch-item-remove"
+                    onClick={() => removeFile(index)}
+                    aria-label={`Remove ${item.name}`}
+                  >
+                    ×
+                  </button>
+                ) : (
+                  <span className="batch-item-status">
+                    {item.status === 'uploading' ? `${progress}%` : STATUS_LABELS[item.status] || item.status}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <ExportOptionsForm
+          options={exportOptions}
+          onChange={setExportOptions}
+          formats={availableOptions.formats}
+          presets={availableOptions.presets}
+          compressionTypes={availableOptions.imageCompression}
+          preflightPolicies={availableOptions.preflightPolicies}
+          indesignVersions={availableOptions.indesignVersions || []}
+          preExportScripts={availableOptions.preExportScripts || []}
+          disabled={uploading}
+        />
+
+        <label className="fresh-conversion">
+          <input
+            type="checkbox"
+            checked={forceFresh}
+            onChange={(e) => setForceFresh(e.target.checked)}
+            disabled={uploading}
+          />
+          Convert again, even if these packages were converted before
+        </label>
+
+        {error && (
+          <div className="message error">
+            <svg className="message-icon" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+            </svg>
+            <div>
+              <p className="message-text">{error.message}</p>
+              {error.guidance && <p className="message-guidance">{error.guidance}</p>}
+            </div>
+          </div>
+        )}
+
+        {batch && batch.status !== 'processing' && !uploading && (
+          <div className={`message ${batch.status === 'completed' ? 'success' : 'warning'}`}>
+            <svg className="message-icon" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+            </svg>
+            {describeBatch(batch)}
+          </div>
+        )}
+
+        {batch && batch.status !== 'processing' && batch.summary.completed > 0 && !uploading && (
+          <button
+            type="button"
+            className="batch-download-button"
+            onClick={() => handleDownload(batch.id).catch((err) => setError({ message: err.message, guidance: getErrorGuidance(err) }))}
+          >
+            Download results again
+          </button>
+        )}
+
+        <button
+          className="upload-button"
+          onClick={handleUpload}
+          disabled={files.length === 0 || uploading}
+        >
+          {uploading ? 'Processing...' : `Convert ${files.length || ''} package${files.length === 1 ? '' : 's'}`}
+        </button>
+      </div>
+    </div>
+  );
+}
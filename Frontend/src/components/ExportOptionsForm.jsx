@@ -0,0 +1,259 @@
+import './ExportOptionsForm.css';
+
+const COMPRESSION_LABELS = {
+  auto: 'Automatic',
+  jpeg: 'JPEG',
+  zip: 'ZIP (lossless)',
+  none: 'None',
+};
+
+const PREFLIGHT_LABELS = {
+  warn: 'Warn about problems',
+  fail: 'Fail on problems',
+  proceed: 'Ignore problems',
+};
+
+const PAGE_IMAGE_FORMATS = ['jpeg', 'png'];
+
+export default function ExportOptionsForm({
+  options,
+  onChange,
+  formats,
+  presets,
+  compressionTypes,
+  preflightPolicies,
+  indesignVersions,
+  preExportScripts,
+  disabled,
+}) {
+  const update = (name, value) => {
+    onChange({ ...options, [name]: value });
+  };
+
+  // Selected scripts keep the order they are listed in, which is the order they run
+  const selectedScript = (name) => options.preExportScripts.find((script) => script.name === name);
+
+  const toggleScript = (script, checked) => {
+    const params = Object.fromEntries(script.params.map((param) => [param.name, '']));
+    update(
+      'preExportScripts',
+      preExportScripts
+        .filter((candidate) => (candidate.name === script.name ? checked : selectedScript(candidate.name)))
+        .map((candidate) => selectedScript(candidate.name) || { name: candidate.name, params })
+    );
+  };
+
+  const updateScriptParam = (name, param, value) => {
+    update(
+      'preExportScripts',
+      options.preExportScripts.map((script) =>
+        script.name === name ? { ...script, params: { ...script.params, [param]: value } } : script
+      )
+    );
+  };
+
+  const isPrintPdf = options.format === 'pdf';
+  const isPageImages = PAGE_IMAGE_FORMATS.includes(options.format);
+
+  return (
+    <details className="export-options">
+      <summary>Export options</summary>
+
+      <div className="export-options-grid">
+        <label className="export-option">
+          <span>Format</span>
+          <select
+            value={options.format}
+            onChange={(e) => update('format', e.target.value)}
+            disabled={disabled}
+          >
+            {formats.length === 0 && <option value="pdf">PDF (print)</option>}
+            {formats.map((format) => (
+              <option key={format.id} value={format.id}>{format.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="export-option">
+          <span>Page range</span>
+          <input
+            type="text"
+            placeholder="All pages, or e.g. 1-4, 7"
+            value={options.pageRange}
+            onChange={(e) => update('pageRange', e.target.value)}
+            disabled={disabled}
+          />
+        </label>
+
+        <label className="export-option">
+          <span>Preflight</span>
+          <select
+            value={options.preflight}
+            onChange={(e) => update('preflight', e.target.value)}
+            disabled={disabled}
+          >
+            <option value="">Server default</option>
+            {preflightPolicies.map((policy) => (
+              <option key={policy} value={policy}>{PREFLIGHT_LABELS[policy] || policy}</option>
+            ))}
+          </select>
+        </label>
+
+        {/* Only worth choosing when the server has more than one InDesign */}
+        {indesignVersions.length > 1 && (
+          <label className="export-option">
+            <span>InDesign version</span>
+            <select
+              value={options.indesignVersion}
+              onChange={(e) => update('indesignVersion', e.target.value)}
+              disabled={disabled}
+            >
+              <option value="">Server default</option>
+              {indesignVersions.map((version) => (
+                <option key={version} value={version}>InDesign {version}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {isPageImages && (
+          <label className="export-option">
+            <span>Resolution (dpi)</span>
+            <input
+              type="number"
+              min="72"
+              max="2400"
+              placeholder="150"
+              value={options.dpi}
+              onChange={(e) => update('dpi', e.target.value)}
+              disabled={disabled}
+            />
+          </label>
+        )}
+
+        {isPrintPdf && (
+          <>
+            <label className="export-option">
+              <span>Preset</span>
+              <select
+                value={options.preset}
+                onChange={(e) => update('preset', e.target.value)}
+                disabled={disabled}
+              >
+                <option value="">Default (InDesign current settings)</option>
+                {presets.map((preset) => (
+                  <option key={preset} value={preset}>{preset}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="export-option">
+              <span>Image compression</span>
+              <select
+                value={options.imageCompression}
+                onChange={(e) => update('imageCompression', e.target.value)}
+                disabled={disabled}
+              >
+                <option value="">Preset default</option>
+                {compressionTypes.map((type) => (
+                  <option key={type} value={type}>{COMPRESSION_LABELS[type] || type}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="export-option">
+              <span>Image resolution (ppi)</span>
+              <input
+                type="number"
+                min="72"
+                max="2400"
+                placeholder="Preset default"
+                value={options.imageResolution}
+                onChange={(e) => update('imageResolution', e.target.value)}
+                disabled={disabled}
+              />
+            </label>
+
+            <label className="export-option">
+              <span>Bleed (mm)</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.5"
+                placeholder="Document bleed"
+                value={options.bleedMm}
+                onChange={(e) => update('bleedMm', e.target.value)}
+                disabled={disabled}
+              />
+            </label>
+
+            <div className="export-option-checks">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={options.spreads}
+                  onChange={(e) => update('spreads', e.target.checked)}
+                  disabled={disabled}
+                />
+                Export spreads
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={options.cropMarks}
+                  onChange={(e) => update('cropMarks', e.target.checked)}
+                  disabled={disabled}
+                />
+                Crop marks
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={options.bleedMarks}
+                  onChange={(e) => update('bleedMarks', e.target.checked)}
+                  disabled={disabled}
+                />
+                Bleed marks
+              </label>
+            </div>
+          </>
+        )}
+
+        {preExportScripts.length > 0 && (
+          <fieldset className="export-option-scripts">
+            <legend>Before export, run</legend>
+            {preExportScripts.map((script) => {
+              const selected = selectedScript(script.name);
+              return (
+                <div key={script.name} className="export-option-script">
+                  <label title={script.description}>
+                    <input
+                      type="checkbox"
+                      checked={Boolean(selected)}
+                      onChange={(e) => toggleScript(script, e.target.checked)}
+                      disabled={disabled}
+                    />
+                    {script.name}
+                  </label>
+                  {script.description && <p>{script.description}</p>}
+                  {selected && script.params.map((param) => (
+                    <label key={param.name} className="export-option">
+                      <span>{param.description || param.name}</span>
+                      <input
+                        type="text"
+                        value={selected.params[param.name] ?? ''}
+                        onChange={(e) => updateScriptParam(script.name, param.name, e.target.value)}
+                        disabled={disabled}
+                      />
+                    </label>
+                  ))}
+                </div>
+              );
+            })}
+          </fieldset>
+        )}
+      </div>
+    </details>
+  );
+}
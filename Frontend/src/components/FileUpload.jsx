@@ -1,23 +1,87 @@
-import { useState, useRef } from 'react';
-import { uploadAndConvertToPDF, downloadFile } from '../api/uploadService';
+import { useState, useRef, useEffect } from 'react';
+import {
+  uploadAndConvert,
+  resumeConversion,
+  getActiveJobId,
+  getInterruptedUploads,
+  downloadFile,
+} from '../api/uploadService';
+import { getErrorGuidance } from '../api/errorGuidance';
+import useExportOptions from '../hooks/useExportOptions';
+import ExportOptionsForm from './ExportOptionsForm';
+import JobTimeline from './JobTimeline';
 import './FileUpload.css';
 
+const DEFAULT_EXPORT_OPTIONS = {
+  format: 'pdf',
+  dpi: '',
+  preset: '',
+  pageRange: '',
+  spreads: false,
+  cropMarks: false,
+  bleedMarks: false,
+  bleedMm: '',
+  imageCompression: '',
+  imageResolution: '',
+  preflight: '',
+  indesignVersion: '',
+  preExportScripts: [],
+};
+
+// Preflight problem categories reported by the server, as shown to the user
+const PREFLIGHT_LABELS = {
+  missingFonts: 'missing fonts',
+  substitutedFonts: 'substituted fonts',
+  missingLinks: 'missing links',
+  modifiedLinks: 'out-of-date links',
+  oversetText: 'overset text frames',
+  lowResolutionImages: 'low-resolution images',
+  rgbImages: 'RGB images',
+};
+
+function describePreflight(summary) {
+  return Object.entries(PREFLIGHT_LABELS)
+    .filter(([check]) => summary[check] > 0)
+    .map(([check, label]) => `${summary[check]} ${label}`)
+    .join(', ');
+}
+
 export default function FileUpload() {
   const [file, setFile] = useState(null);
-  const [uploading, setUploading] = useState(false);
-  const [progress, setProgress] = useState(0);
+  // A job still running when the page was reloaded is picked up again
+  const [resumedJobId] = useState(getActiveJobId);
+  const [uploading, setUploading] = useState(Boolean(resumedJobId));
+  const [progress, setProgress] = useState(resumedJobId ? 100 : 0);
+  const [interruptedUploads, setInterruptedUploads] = useState(getInterruptedUploads);
+  const [job, setJob] = useState(null);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
+  const [preflightWarning, setPreflightWarning] = useState(null);
   const [dragActive, setDragActive] = useState(false);
+  const [exportOptions, setExportOptions] = useState(DEFAULT_EXPORT_OPTIONS);
+  // Converts again even if the server already has the result of an identical upload
+  const [forceFresh, setForceFresh] = useState(false);
+  const [resultCached, setResultCached] = useState(false);
+  const availableOptions = useExportOptions();
   const fileInputRef = useRef(null);
+  const resumeStartedRef = useRef(false);
+
+  useEffect(() => {
+    // Guard against effects running twice in development
+    if (resumedJobId && !resumeStartedRef.current) {
+      resumeStartedRef.current = true;
+      finishConversion(resumeConversion(resumedJobId, setJob));
+    }
+  }, [resumedJobId]);
 
   const handleFileChange = (selectedFile) => {
     setError(null);
     setSuccess(false);
+    setPreflightWarning(null);
 
     // Validate file type
     if (selectedFile && !selectedFile.name.toLowerCase().endsWith('.zip')) {
-      setError('Please select a .zip file');
+      setError({ message: 'Please select a .zip file', guidance: getErrorGuidance({ code: 'INVALID_FILE_TYPE' }) });
       return;
     }
 
@@ -46,42 +110,62 @@ export default function FileUpload() {
 
   const handleUpload = async () => {
     if (!file) {
-      setError('Please select a file first');
+      setError({ message: 'Please select a file first', guidance: null });
       return;
     }
 
     setUploading(true);
     setError(null);
     setSuccess(false);
+    setPreflightWarning(null);
     setProgress(0);
+    setJob(null);
 
-    try {
-      const pdfBlob = await uploadAndConvertToPDF(file, (percentCompleted) => {
+    await finishConversion(uploadAndConvert(
+      file,
+      exportOptions,
+      (percentCompleted) => {
         setProgress(percentCompleted);
-      });
+      },
+      (jobUpdate) => {
+        setJob(jobUpdate);
+      },
+      { fresh: forceFresh }
+    ));
+  };
+
+  // Downloads the result of a conversion and reports how it went
+  const finishConversion = async (conversion) => {
+    try {
+      const { blob, filename, job: completedJob } = await conversion;
 
-      // Download the PDF
-      const filename = file.name.replace('.zip', '.pdf');
-      downloadFile(pdfBlob, filename);
+      // Download the result
+      downloadFile(blob, filename);
 
+      if (completedJob.preflight?.status === 'warnings') {
+        setPreflightWarning(`Preflight found ${describePreflight(completedJob.preflight.summary)}`);
+      }
+      setResultCached(completedJob.cached);
       setSuccess(true);
       setFile(null);
       if (fileInputRef.current) {
         fileInputRef.current.value = '';
       }
     } catch (err) {
-      setError(err.message);
+      setError({ message: err.message, guidance: getErrorGuidance(err) });
     } finally {
       setUploading(false);
       setProgress(0);
+      setJob(null);
+      setInterruptedUploads(getInterruptedUploads());
     }
   };
 
   return (
     <div className="upload-container">
       <div className="upload-card">
-        <h1>InDesign to PDF Converter</h1>
-        <p className="subtitle">Upload your InDesign package (.zip) to convert it to PDF</p>
+        <h1>InDesign Converter</h1>
+        <p className="subtitle">Upload your InDesign package (.zip) to convert it to PDF, IDML, EPUB or page images</p>
 
         <div
           className={`drop-zone ${dragActive ? 'active' : ''} ${file ? 'has-file' : ''}`}
@@ -122,12 +206,46 @@ export default function FileUpload() {
           )}
         </div>
 
+        <ExportOptionsForm
+          options={exportOptions}
+          onChange={setExportOptions}
+          formats={availableOptions.formats}
+          presets={availableOptions.presets}
+          compressionTypes={availableOptions.imageCompression}
+          preflightPolicies={availableOptions.preflightPolicies}
+          indesignVersions={availableOptions.indesignVersions || []}
+          preExportScripts={availableOptions.preExportScripts || []}
+          disabled={uploading}
+        />
+
+        <label className="fresh-conversion">
+          <input
+            type="checkbox"
+            checked={forceFresh}
+            onChange={(e) => setForceFresh(e.target.checked)}
+            disabled={uploading}
+          />
+          Convert again, even if this package was converted before
+        </label>
+
+        {interruptedUploads.length > 0 && !uploading && !file && (
+          <div className="message warning">
+            <svg className="message-icon" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            Upload of {interruptedUploads.map((upload) => upload.fileName).join(', ')} was interrupted. Select the same file to continue where it stopped.
+          </div>
+        )}
+
         {error && (
           <div className="message error">
             <svg className="message-icon" fill="currentColor" viewBox="0 0 20 20">
               <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
             </svg>
-            {error}
+            <div>
+              <p className="message-text">{error.message}</p>
+              {error.guidance && <p className="message-guidance">{error.guidance}</p>}
+            </div>
           </div>
         )}
 
@@ -136,18 +254,29 @@ export default function FileUpload() {
             <svg className="message-icon" fill="currentColor" viewBox="0 0 20 20">
               <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
             </svg>
-            PDF downloaded successfully!
+            {resultCached
+              ? 'File downloaded successfully! It was converted before, so the earlier result was reused.'
+              : 'File downloaded successfully!'}
+          </div>
+        )}
+
+        {preflightWarning && (
+          <div className="message warning">
+            <svg className="message-icon" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            {preflightWarning}
           </div>
         )}
 
         {uploading && (
           <div className="progress-container">
-            <div className="progress-bar">
-              <div className="progress-fill" style={{ width: `${progress}%` }} />
-            </div>
-            <p className="progress-text">
-              {progress < 100 ? `Uploading... ${progress}%` : 'Processing... Please wait'}
-            </p>
+            {progress < 100 && (
+              <div className="progress-bar">
+                <div className="progress-fill" style={{ width: `${progress}%` }} />
+              </div>
+            )}
+            <JobTimeline job={job} uploadProgress={progress} />
           </div>
         )}
 
@@ -156,7 +285,7 @@ export default function FileUpload() {
           onClick={handleUpload}
           disabled={!file || uploading}
         >
-          {uploading ? 'Processing...' : 'Convert to PDF'}
+          {uploading ? 'Processing...' : 'Convert'}
         </button>
       </div>
     </div>
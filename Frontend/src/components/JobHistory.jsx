@@ -0,0 +1,402 @@
+import { Fragment, useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router';
+import {
+  listJobs,
+  deleteJob,
+  rerunJob,
+  downloadJobResult,
+  downloadFile,
+} from '../api/uploadService';
+import { getErrorGuidance } from '../api/errorGuidance';
+import useExportOptions from '../hooks/useExportOptions';
+import ExportOptionsForm from './ExportOptionsForm';
+import './FileUpload.css';
+import './JobHistory.css';
+
+const DEFAULT_EXPORT_OPTIONS = {
+  format: 'pdf',
+  dpi: '',
+  preset: '',
+  pageRange: '',
+  spreads: false,
+  cropMarks: false,
+  bleedMarks: false,
+  bleedMm: '',
+  imageCompression: '',
+  imageResolution: '',
+  preflight: '',
+  indesignVersion: '',
+  preExportScripts: [],
+};
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  processing: 'Converting',
+  completed: 'Done',
+  failed: 'Failed',
+};
+
+// Preflight problem categories reported by the server, as shown to the user
+const PREFLIGHT_LABELS = {
+  missingFonts: 'missing fonts',
+  substitutedFonts: 'substituted fonts',
+  missingLinks: 'missing links',
+  modifiedLinks: 'out-of-date links',
+  oversetText: 'overset text frames',
+  lowResolutionImages: 'low-resolution images',
+  rgbImages: 'RGB images',
+};
+
+// How often the list is refreshed while some of its jobs are still converting
+const REFRESH_INTERVAL_MS = 3000;
+
+const FILTER_NAMES = ['status', 'from', 'to', 'q'];
+
+function describePreflight(summary) {
+  return Object.entries(PREFLIGHT_LABELS)
+    .filter(([check]) => summary[check] > 0)
+    .map(([check, label]) => `${summary[check]} ${label}`)
+    .join(', ');
+}
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null) {
+    return '—';
+  }
+  if (ms < 1000) {
+    return `${ms} ms`;
+  }
+  const seconds = ms / 1000;
+  return seconds < 60 ? `${seconds.toFixed(1)} s` : `${Math.floor(seconds / 60)} min ${Math.round(seconds % 60)} s`;
+}
+
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return '—';
+  }
+  return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Date filters are whole days in the browser's time zone; the server filters on exact times
+function toRequestFilters(searchParams) {
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+  return {
+    status: searchParams.get('status') || '',
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : '',
+    q: searchParams.get('q') || '',
+    page: searchParams.get('page') || '',
+  };
+}
+
+// Export options of a job as the form shows them, for re-running it
+function toFormOptions(exportOptions) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_EXPORT_OPTIONS).map(([name, fallback]) => {
+      const value = exportOptions?.[name];
+      if (value === null || value === undefined) {
+        return [name, fallback];
+      }
+      if (typeof fallback === 'boolean' || Array.isArray(fallback)) {
+        return [name, value];
+      }
+      return [name, String(value)];
+    })
+  );
+}
+
+function HistoryFilters({ searchParams, onApply }) {
+  // The form is remounted whenever the filters in the URL change, e.g. with the back button
+  const [draft, setDraft] = useState(() =>
+    Object.fromEntries(FILTER_NAMES.map((name) => [name, searchParams.get(name) || '']))
+  );
+
+  const update = (name, value) => setDraft({ ...draft, [name]: value });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(draft);
+  };
+
+  return (
+    <form className="history-filters" onSubmit={handleSubmit}>
+      <label>
+        Status
+        <select value={draft.status} onChange={(e) => update('status', e.target.value)}>
+          <option value="">All</option>
+          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+            <option key={status} value={status}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        From
+        <input type="date" value={draft.from} onChange={(e) => update('from', e.target.value)} />
+      </label>
+      <label>
+        To
+        <input type="date" value={draft.to} onChange={(e) => update('to', e.target.value)} />
+      </label>
+      <label className="history-filter-name">
+        File name
+        <input type="search" value={draft.q} placeholder="e.g. brochure" onChange={(e) => update('q', e.target.value)} />
+      </label>
+      <button type="submit" className="history-filter-apply">Filter</button>
+      <button type="button" className="history-filter-clear" onClick={() => onApply({})}>Clear</button>
+    </form>
+  );
+}
+
+export default function JobHistory() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.toString();
+  const [history, setHistory] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [busyJobId, setBusyJobId] = useState(null);
+  const [rerun, setRerun] = useState(null);
+  const availableOptions = useExportOptions();
+
+  const loadKey = `${query}#${reloadCount}`;
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    const load = async () => {
+      try {
+        const result = await listJobs(toRequestFilters(new URLSearchParams(query)));
+        if (cancelled) {
+          return;
+        }
+        setHistory({ ...result, key: loadKey });
+        setError(null);
+        if (result.jobs.some((job) => job.status === 'queued' || job.status === 'processing')) {
+          timer = setTimeout(load, REFRESH_INTERVAL_MS);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setHistory((current) => current && { ...current, key: loadKey });
+          setError({ message: err.message, guidance: getErrorGuidance(err) });
+        }
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, loadKey]);
+
+  const loading = !history || history.key !== loadKey;
+  const reload = () => setReloadCount((count) => count + 1);
+
+  const applyFilters = (filters) => {
+    setSearchParams(Object.fromEntries(Object.entries(filters).filter(([, value]) => value)));
+  };
+
+  const goToPage = (page) => {
+    const next = new URLSearchParams(searchParams);
+    next.set('page', String(page));
+    setSearchParams(next);
+  };
+
+  // Runs an action on a job, reporting its failure in the message area
+  const runAction = async (job, action) => {
+    setBusyJobId(job.id);
+    setError(null);
+    setNotice(null);
+    try {
+      await action();
+    } catch (err) {
+      setError({ message: err.message, guidance: getErrorGuidance(err) });
+    } finally {
+      setBusyJobId(null);
+    }
+  };
+
+  const handleDownload = (job) => runAction(job, async () => {
+    downloadFile(await downloadJobResult(job.id), job.resultName);
+  });
+
+  const handleDelete = (job) => {
+    if (!window.confirm(`Delete the conversion of ${job.originalName} and its result?`)) {
+      return;
+    }
+    runAction(job, async () => {
+      await deleteJob(job.id);
+      setNotice(`Deleted the conversion of ${job.originalName}.`);
+      reload();
+    });
+  };
+
+  const handleRerun = (job) => runAction(job, async () => {
+    await rerunJob(job.id, rerun.options);
+    setRerun(null);
+    setNotice(`${job.originalName} is being converted again; it is listed as a new job.`);
+    reload();
+  });
+
+  const jobs = history?.jobs || [];
+
+  return (
+    <div className="upload-container">
+      <div className="upload-card history-card">
+        <h1>Conversion History</h1>
+        <p className="subtitle">Earlier conversions, newest first</p>
+
+        <HistoryFilters key={query} searchParams={searchParams} onApply={applyFilters} />
+
+        {error && (
+          <div className="message error">
+            <svg className="message-icon" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+            </svg>
+            <div>
+              <p className="message-text">{error.message}</p>
+              {error.guidance && <p className="message-guidance">{error.guidance}</p>}
+            </div>
+          </div>
+        )}
+
+        {notice && (
+          <div className="message success">
+            <svg className="message-icon" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+            </svg>
+            {notice}
+          </div>
+        )}
+
+        <div className={`history-table-wrapper ${loading ? 'loading' : ''}`}>
+          <table className="history-table">
+            <thead>
+              <tr>
+                <th>Package</th>
+                <th>Submitted</th>
+                <th>Status</th>
+                <th>Time</th>
+                <th>Pages</th>
+                <th>Size</th>
+                <th>Problems</th>
+                <th aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.length === 0 && !loading && (
+                <tr>
+                  <td colSpan={8} className="history-empty">No conversions match these filters.</td>
+                </tr>
+              )}
+              {jobs.map((job) => {
+                const finished = job.status === 'completed' || job.status === 'failed';
+                const preflightIssues = job.preflight ? describePreflight(job.preflight.summary) : '';
+                return (
+                  <Fragment key={job.id}>
+                    <tr className={`history-row ${job.status}`}>
+                      <td>
+                        <p className="history-name">{job.originalName}</p>
+                        <p className="history-detail">
+                          {(job.exportOptions?.format || 'pdf').toUpperCase()}
+                          {job.cached && ' · reused an earlier conversion'}
+                          {job.rerunOf && ' · re-run'}
+                        </p>
+                      </td>
+                      <td>
+                        <p>{new Date(job.createdAt).toLocaleString()}</p>
+                        {job.submittedBy && <p className="history-detail">{job.submittedBy}</p>}
+                      </td>
+                      <td>
+                        <span className="history-status">{STATUS_LABELS[job.status] || job.status}</span>
+                        {job.error && (
+                          <p className="history-detail history-error" title={getErrorGuidance(job.error) || job.error.message}>
+                            {job.error.code}
+                          </p>
+                        )}
+                      </td>
+                      <td title={`Unzipping ${formatDuration(job.timings?.extractMs)}, converting ${formatDuration(job.timings?.convertMs)}`}>
+                        {formatDuration(job.timings?.totalMs)}
+                      </td>
+                      <td>{job.pageCount ?? '—'}</td>
+                      <td>{formatBytes(job.resultSize)}</td>
+                      <td className="history-problems">
+                        {job.error?.message && job.status === 'failed' && <p className="history-error">{job.error.message}</p>}
+                        {preflightIssues && <p className="history-warning">{preflightIssues}</p>}
+                      </td>
+                      <td className="history-actions">
+                        {job.status === 'completed' && (
+                          <button type="button" onClick={() => handleDownload(job)} disabled={busyJobId === job.id}>
+                            Download
+                          </button>
+                        )}
+                        {finished && job.canRerun && (
+                          <button
+                            type="button"
+                            onClick={() => setRerun(rerun?.jobId === job.id ? null : { jobId: job.id, options: toFormOptions(job.exportOptions) })}
+                            disabled={busyJobId === job.id}
+                          >
+                            Re-run
+                          </button>
+                        )}
+                        {finished && (
+                          <button type="button" className="history-delete" onClick={() => handleDelete(job)} disabled={busyJobId === job.id}>
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {rerun?.jobId === job.id && (
+                      <tr className="history-rerun">
+                        <td colSpan={8}>
+                          <p className="history-detail">Convert {job.originalName} again with these options:</p>
+                          <ExportOptionsForm
+                            options={rerun.options}
+                            onChange={(options) => setRerun({ ...rerun, options })}
+                            formats={availableOptions.formats}
+                            presets={availableOptions.presets}
+                            compressionTypes={availableOptions.imageCompression}
+                            preflightPolicies={availableOptions.preflightPolicies}
+                            indesignVersions={availableOptions.indesignVersions || []}
+                            preExportScripts={availableOptions.preExportScripts || []}
+                            disabled={busyJobId === job.id}
+                          />
+                          <div className="history-rerun-buttons">
+                            <button type="button" className="history-filter-clear" onClick={() => setRerun(null)}>
+                              Cancel
+                            </button>
+                            <button
+                              type="button"
+                              className="history-filter-apply"
+                              onClick={() => handleRerun(job)}
+                              disabled={busyJobId === job.id}
+                            >
+                              Convert again
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {history && history.totalPages > 1 && (
+          <div className="history-pages">
+            <button type="button" onClick={() => goToPage(history.page - 1)} disabled={history.page <= 1}>
+              Previous
+            </button>
+            <span>Page {history.page} of {history.totalPages} ({history.total} conversions)</span>
+            <button type="button" onClick={() => goToPage(history.page + 1)} disabled={history.page >= history.totalPages}>
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
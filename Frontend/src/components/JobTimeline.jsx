@@ -0,0 +1,85 @@
+import './JobTimeline.css';
+
+// Conversion stages in the order a job goes through them; "combining" only
+// happens when several documents are converted
+const STAGES = [
+  { id: 'upload', label: 'Upload' },
+  { id: 'queued', label: 'Queued' },
+  { id: 'extracting', label: 'Extracting package' },
+  { id: 'converting', label: 'Converting with InDesign' },
+  { id: 'combining', label: 'Combining results' },
+  { id: 'completed', label: 'Done' },
+];
+
+// Messages shown under a stage; InDesign can print many lines
+const MAX_STAGE_MESSAGES = 6;
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function getStageDetail(stageId, job, uploadProgress) {
+  if (stageId === 'upload') {
+    return uploadProgress < 100 ? `${uploadProgress}%` : null;
+  }
+  if (stageId === 'queued' && job?.status === 'queued' && job.queuePosition) {
+    return `Position ${job.queuePosition}`;
+  }
+  if (stageId === 'extracting' && job?.extraction) {
+    const { entries, totalEntries, bytes } = job.extraction;
+    return `${entries}/${totalEntries} files, ${formatBytes(bytes)}`;
+  }
+  return null;
+}
+
+export default function JobTimeline({ job, uploadProgress }) {
+  const timeline = job?.timeline || [];
+  const failed = job?.status === 'failed';
+
+  // The stage a failed job was in is the last one it reached before failing
+  const reachedStages = timeline.map((entry) => entry.stage).filter((stage) => stage !== 'failed');
+  const currentStage = job ? reachedStages[reachedStages.length - 1] || 'queued' : 'upload';
+  const currentIndex = STAGES.findIndex((stage) => stage.id === currentStage);
+
+  const stages = STAGES.filter((stage) => stage.id !== 'combining' || reachedStages.includes('combining'));
+
+  return (
+    <ol className="job-timeline">
+      {stages.map((stage) => {
+        const index = STAGES.findIndex((item) => item.id === stage.id);
+        let state = 'pending';
+        if (index < currentIndex || (index === currentIndex && stage.id === 'completed')) {
+          state = 'done';
+        } else if (index === currentIndex) {
+          state = failed ? 'failed' : 'active';
+        }
+
+        const detail = getStageDetail(stage.id, job, uploadProgress);
+        const messages = stage.id === 'converting'
+          ? timeline.filter((entry) => entry.stage === 'converting').slice(-MAX_STAGE_MESSAGES)
+          : [];
+        const failure = state === 'failed' ? timeline.find((entry) => entry.stage === 'failed') : null;
+
+        return (
+          <li key={stage.id} className={`job-stage ${state}`}>
+            <span className="job-stage-marker" />
+            <div className="job-stage-body">
+              <p className="job-stage-label">
+                {stage.label}
+                {detail && <span className="job-stage-detail">{detail}</span>}
+              </p>
+              {state !== 'pending' && messages.length > 0 && (
+                <ul className="job-stage-messages">
+                  {messages.map((entry, messageIndex) => (
+                    <li key={`${entry.at}-${messageIndex}`}>{entry.message}</li>
+                  ))}
+                </ul>
+              )}
+              {failure && <p className="job-stage-error">{failure.message}</p>}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+import { getExportOptions } from '../api/uploadService';
+
+const NO_EXPORT_OPTIONS = {
+  formats: [],
+  presets: [],
+  imageCompression: [],
+  preflightPolicies: [],
+  indesignVersions: [],
+  preExportScripts: [],
+};
+
+/**
+ * Loads the export options the server accepts, for ExportOptionsForm
+ * The lists stay empty until they load; the form still works with defaults if loading fails
+ * @returns {{formats: Object[], presets: string[], imageCompression: string[], preflightPolicies: string[],
+ *   indesignVersions: string[], preExportScripts: Object[]}}
+ */
+export default function useExportOptions() {
+  const [availableOptions, setAvailableOptions] = useState(NO_EXPORT_OPTIONS);
+
+  useEffect(() => {
+    let cancelled = false;
+    getExportOptions()
+      .then((options) => {
+        if (!cancelled) {
+          setAvailableOptions(options);
+        }
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return availableOptions;
+}